@@ -0,0 +1,39 @@
+// src/config/optOut.js
+// Default opt-out / opt-in keywords. An inbound message matches when its
+// whole text equals one of these (case, punctuation and spacing ignored).
+const DEFAULT_OPT_OUT_KEYWORDS = [
+  'STOP',
+  'STOP ALL',
+  'STOPALL',
+  'UNSUBSCRIBE',
+  'CANCEL',
+  'END',
+  'QUIT',
+  'OPT OUT',
+  'OPTOUT',
+  'रोकें',
+  'रोको',
+  'बंद करें',
+  'बंद करो',
+  'अनसब्सक्राइब'
+];
+
+const DEFAULT_OPT_IN_KEYWORDS = [
+  'START',
+  'SUBSCRIBE',
+  'UNSTOP',
+  'OPT IN',
+  'OPTIN',
+  'शुरू करें',
+  'शुरू करो'
+];
+
+const DEFAULT_OPT_OUT_CONFIRMATION = 'You have been unsubscribed and will no longer receive messages from us. Reply START to subscribe again.';
+const DEFAULT_OPT_IN_CONFIRMATION = 'You are subscribed again. Reply STOP at any time to unsubscribe.';
+
+module.exports = {
+  DEFAULT_OPT_OUT_KEYWORDS,
+  DEFAULT_OPT_IN_KEYWORDS,
+  DEFAULT_OPT_OUT_CONFIRMATION,
+  DEFAULT_OPT_IN_CONFIRMATION
+};
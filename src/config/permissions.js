@@ -0,0 +1,138 @@
+// src/config/permissions.js
+// Permission catalog and built-in roles. Permissions are "<resource>:<action>";
+// routers mounted in server.js require "<resource>:read" for GET and
+// "<resource>:write" / "<resource>:delete" for changes. Debug tools and
+// webhook dead letters span tenants: they take the platform operator key
+// (middleware/platform.js), never a tenant permission.
+const PERMISSIONS = {
+  'campaigns:read': 'View campaigns, steps and progress',
+  'campaigns:write': 'Create and edit campaigns and steps',
+  'campaigns:delete': 'Delete campaigns and steps',
+  'campaigns:control': 'Start, pause, stop and test-trigger campaigns, enroll and move contacts',
+  'events:write': 'Post events that enroll contacts in triggered campaigns',
+  'contacts:read': 'View contacts',
+  'contacts:write': 'Create, import and edit contacts, change consent',
+  'contacts:delete': 'Delete contacts',
+  'sections:read': 'View sections',
+  'sections:write': 'Create sections',
+  'templates:read': 'View templates',
+  'templates:write': 'Create, edit, sync and submit templates',
+  'templates:delete': 'Delete templates',
+  'media:write': 'Upload media',
+  'messages:read': 'View WhatsApp templates and connection status',
+  'messages:write': 'Send individual WhatsApp messages',
+  'messages:bulk': 'Send batch WhatsApp messages',
+  'chats:read': 'View conversations',
+  'chats:write': 'Reply to and update conversations',
+  'chats:delete': 'Delete conversations',
+  'chats:all': 'See every conversation, not only those assigned to you',
+  'chats:assign': 'Assign conversations to users',
+  'analytics:read': 'View analytics',
+  'settings:read': 'View tenant settings and consent history',
+  'settings:write': 'Change tenant settings',
+  'users:read': 'View users',
+  'users:write': 'Create users and change their roles',
+  'roles:read': 'View roles',
+  'roles:write': 'Create and edit custom roles',
+  'roles:delete': 'Delete custom roles',
+  'api_keys:read': 'View API keys',
+  'api_keys:write': 'Create and edit API keys',
+  'api_keys:delete': 'Revoke API keys',
+  'webhooks:read': 'View webhook logs',
+  'webhooks:write': 'Retry and test webhooks',
+  'webhooks:manage': 'Inspect and replay stored webhook events'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+const BUILT_IN_ROLES = {
+  owner: {
+    name: 'Owner',
+    description: 'Full access to the workspace',
+    permissions: ['*']
+  },
+  admin: {
+    name: 'Admin',
+    description: 'Manages the workspace, users and roles',
+    permissions: ALL_PERMISSIONS
+  },
+  campaign_manager: {
+    name: 'Campaign manager',
+    description: 'Runs campaigns, contacts and templates',
+    permissions: [
+      'campaigns:read', 'campaigns:write', 'campaigns:delete', 'campaigns:control',
+      'events:write',
+      'contacts:read', 'contacts:write', 'contacts:delete',
+      'sections:read', 'sections:write',
+      'templates:read', 'templates:write', 'templates:delete',
+      'media:write',
+      'messages:read', 'messages:write', 'messages:bulk',
+      'chats:read', 'chats:write', 'chats:all', 'chats:assign',
+      'analytics:read',
+      'settings:read'
+    ]
+  },
+  agent: {
+    name: 'Agent',
+    description: 'Handles the conversations assigned to them',
+    permissions: [
+      'chats:read', 'chats:write',
+      'contacts:read',
+      'sections:read',
+      'templates:read',
+      'media:write',
+      'messages:read', 'messages:write'
+    ]
+  },
+  viewer: {
+    name: 'Viewer',
+    description: 'Read-only access',
+    permissions: [
+      'campaigns:read',
+      'contacts:read',
+      'sections:read',
+      'templates:read',
+      'messages:read',
+      'chats:read', 'chats:all',
+      'analytics:read'
+    ]
+  }
+};
+
+// Scopes an API key may carry: server-to-server sending and data sync only
+const API_KEY_SCOPES = [
+  'messages:read',
+  'messages:write',
+  'messages:bulk',
+  'contacts:read',
+  'contacts:write',
+  'contacts:delete',
+  'sections:read',
+  'templates:read',
+  'campaigns:read',
+  'events:write',
+  'analytics:read'
+];
+
+// Shorthand scopes accepted when creating a key
+const API_KEY_SCOPE_ALIASES = {
+  send: ['messages:write'],
+  contacts: ['contacts:read', 'contacts:write']
+};
+
+// Roles stored before RBAC existed
+const LEGACY_ROLE_ALIASES = {
+  user: 'campaign_manager'
+};
+
+const DEFAULT_ROLE = 'agent';
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  BUILT_IN_ROLES,
+  API_KEY_SCOPES,
+  API_KEY_SCOPE_ALIASES,
+  LEGACY_ROLE_ALIASES,
+  DEFAULT_ROLE
+};
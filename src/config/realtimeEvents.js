@@ -0,0 +1,35 @@
+// src/config/realtimeEvents.js
+// Socket.IO event catalog. Every event is emitted by the server only, and
+// only to sockets of the tenant that owns the data (see services/realtime.js).
+//
+// Connect with the same credentials as the REST API:
+//   io(url, { auth: { token: '<JWT or wsk_ API key>' } })
+// The server puts the socket in its tenant's rooms; clients cannot pick rooms.
+//
+// Chat events reach users with chats:all and the user the conversation is
+// assigned to. Campaign events reach users with campaigns:read.
+const EVENTS = {
+  // MessageLog document of a new inbound or outbound message
+  MESSAGE_NEW: 'message:new',
+  // MessageLog document after a delivery status change (sent/delivered/read/failed)
+  MESSAGE_STATUS: 'message:status',
+  // { phone, lastMessage?, lastDirection?, lastStatus?, unreadCount?, updatedAt, ... }
+  // or the full ChatSession document after an edit
+  SESSION_UPDATED: 'session:updated',
+  // { phone }
+  SESSION_DELETED: 'session:deleted',
+  // { modifiedCount }
+  SESSIONS_MARKED_READ: 'sessions:marked_read',
+  // { messageId, phone, mediaUrl, media } once inbound media has been archived
+  MESSAGE_MEDIA: 'message:media',
+  // { phone, windowExpiresAt, minutesLeft }: 24-hour window about to close
+  CONVERSATION_WINDOW_CLOSING: 'conversation:window_closing',
+  // { from, text, timestamp } for each new inbound message (legacy, prefer message:new)
+  WHATSAPP_MESSAGE: 'whatsapp_message',
+  // { campaignId, stepId?, contactId?, status?, sent?, skipped?, failed?, total?, done?, at }
+  CAMPAIGN_PROGRESS: 'campaign:progress'
+};
+
+module.exports = {
+  EVENTS
+};
@@ -0,0 +1,59 @@
+// src/config/sendErrors.js
+// Meta Cloud API error codes grouped by what a failed send should do next
+// (see services/retryPolicy.js). Codes not listed fall back to the HTTP
+// status: 5xx and network errors are retried, anything else is permanent.
+
+// Rate limits and temporary provider errors: retry with backoff
+const RETRYABLE_CODES = {
+  1: 'API unknown error',
+  2: 'API service temporarily unavailable',
+  4: 'Application request limit reached',
+  80007: 'WhatsApp Business Account rate limit',
+  130429: 'Cloud API throughput reached',
+  131000: 'Something went wrong',
+  131016: 'Service temporarily unavailable',
+  131048: 'Spam rate limit hit',
+  131056: 'Too many messages to this recipient',
+  133004: 'Server temporarily unavailable',
+  DAILY_RECIPIENT_CAP: 'Messaging tier daily limit reached'
+};
+
+// Free-form message outside the 24-hour window: retry once the contact
+// writes to us again
+const REENGAGE_CODES = {
+  470: 'Message outside the 24-hour window',
+  131047: 'Re-engagement message'
+};
+
+// Never retried. `contact: true` means the number itself cannot receive
+// WhatsApp messages, so the contact is updated as well.
+const PERMANENT_CODES = {
+  100: { title: 'Invalid parameter' },
+  1013: { title: 'User is invalid', contact: true },
+  131008: { title: 'Required parameter is missing' },
+  131009: { title: 'Parameter value is not valid' },
+  131021: { title: 'Recipient cannot be sender' },
+  131026: { title: 'Message undeliverable', contact: true },
+  131030: { title: 'Recipient not in allowed list' },
+  131031: { title: 'Business account locked' },
+  131050: { title: 'User stopped marketing messages' },
+  131051: { title: 'Unsupported message type' },
+  132000: { title: 'Template parameter count mismatch' },
+  132001: { title: 'Template does not exist' },
+  132005: { title: 'Template hydrated text too long' },
+  132007: { title: 'Template format character policy violated' },
+  132012: { title: 'Template parameter format mismatch' },
+  132015: { title: 'Template is paused' },
+  132016: { title: 'Template is disabled' },
+  INVALID_PHONE: { title: 'Invalid phone number', contact: true }
+};
+
+// Node / axios network errors worth retrying
+const RETRYABLE_NETWORK_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'ENOTFOUND'];
+
+module.exports = {
+  RETRYABLE_CODES,
+  REENGAGE_CODES,
+  PERMANENT_CODES,
+  RETRYABLE_NETWORK_ERRORS
+};
@@ -1,22 +1,85 @@
 // src/middleware/auth.js
 const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
+const roleService = require('../services/roleService');
+const apiKeyService = require('../services/apiKeyService');
+const MongoRateLimitStore = require('../services/rateLimitStore');
 
+// Per-key limit, configured on each ApiKey; counted in Mongo so it holds
+// across workers
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  store: new MongoRateLimitStore(),
+  max: (req) => req.apiKey.rateLimitPerMinute || 60,
+  keyGenerator: (req) => `apikey_${req.apiKey._id}`,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'API key rate limit exceeded' }
+});
+
+/**
+ * Resolve a JWT or wsk_ API key to { tenantId, user, apiKey }, or null.
+ * Shared by REST (requireAuth) and the Socket.IO handshake.
+ */
+async function resolveCredentials(token) {
+  if (!token) return null;
+
+  if (apiKeyService.isApiKey(token)) {
+    const apiKey = await apiKeyService.authenticate(token);
+    if (!apiKey) return null;
+    return {
+      tenantId: apiKey.tenantId,
+      apiKey,
+      user: {
+        id: null,
+        role: 'api_key',
+        apiKeyId: apiKey._id,
+        permissions: new Set(apiKey.scopes)
+      }
+    };
+  }
+
+  const payload = jwt.verify(token, process.env.JWT_SECRET);
+  const user = await User.findById(payload.userId);
+  if (!user) return null;
+  const tenantId = payload.tenantId || user.tenantId;
+  const role = await roleService.resolveRole(tenantId, user.role);
+  return {
+    tenantId,
+    apiKey: null,
+    user: { id: user._id, role: user.role, permissions: role.permissions }
+  };
+}
+
+// API keys come as "Authorization: Bearer wsk_..." or "X-API-Key: wsk_..."
 async function requireAuth(req, res, next) {
+  // Already authenticated earlier in the chain (see middleware/permissions)
+  if (req.user && req.user.permissions) return next();
+
   const auth = req.headers.authorization;
-  if (!auth) return res.status(401).json({ error: 'Authorization required' });
-  const token = auth.split(' ')[1];
+  const headerKey = req.headers['x-api-key'];
+  if (!auth && !headerKey) return res.status(401).json({ error: 'Authorization required' });
+  const token = headerKey || auth.split(' ')[1];
+  const isApiKey = apiKeyService.isApiKey(token);
+
   try {
-    const payload = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(payload.userId);
-    if (!user) return res.status(401).json({ error: 'User not found' });
-    req.user = { id: user._id, role: user.role };
-    req.tenantId = payload.tenantId || user.tenantId;
-    next();
+    const credentials = await resolveCredentials(token);
+    if (!credentials) {
+      return res.status(401).json({ error: isApiKey ? 'Invalid or revoked API key' : 'User not found' });
+    }
+    req.tenantId = credentials.tenantId;
+    req.user = credentials.user;
+
+    if (!credentials.apiKey) return next();
+    req.apiKey = credentials.apiKey;
+    apiKeyService.touch(credentials.apiKey, req.ip);
+    apiKeyLimiter(req, res, next);
   } catch (err) {
     console.error('Auth error', err);
-    res.status(401).json({ error: 'Invalid token' });
+    res.status(401).json({ error: isApiKey ? 'Invalid API key' : 'Invalid token' });
   }
 }
 
 module.exports = requireAuth;
+module.exports.resolveCredentials = resolveCredentials;
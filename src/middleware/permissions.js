@@ -0,0 +1,87 @@
+// src/middleware/permissions.js
+const requireAuth = require('./auth');
+const ChatSession = require('../models/ChatSession');
+const roleService = require('../services/roleService');
+const { normalizeTenantPhone } = require('../utils/phone');
+
+function hasPermission(req, permission) {
+  return roleService.hasPermission(req.user?.permissions, permission);
+}
+
+function deny(res, permission) {
+  return res.status(403).json({ error: 'Permission denied', permission });
+}
+
+/**
+ * Permission a request needs on a resource: GET/HEAD read, DELETE delete,
+ * everything else write
+ */
+function permissionFor(resource, method) {
+  if (method === 'GET' || method === 'HEAD') return `${resource}:read`;
+  if (method === 'DELETE') return `${resource}:delete`;
+  return `${resource}:write`;
+}
+
+/**
+ * Mount-level guard used in server.js: authenticates the request and checks
+ * the method's permission on `resource`. `publicPaths` (relative to the
+ * mount point) skip both, e.g. provider webhooks.
+ */
+function authorize(resource, { publicPaths = [] } = {}) {
+  return (req, res, next) => {
+    if (publicPaths.includes(req.path)) return next();
+
+    requireAuth(req, res, () => {
+      const permission = permissionFor(resource, req.method);
+      if (!hasPermission(req, permission)) return deny(res, permission);
+      next();
+    });
+  };
+}
+
+/**
+ * Route-level guard for actions that need more than the router's default
+ */
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    const missing = permissions.find(p => !hasPermission(req, p));
+    if (missing) return deny(res, missing);
+    next();
+  };
+}
+
+/**
+ * ChatSession filter limiting users without chats:all to their assigned chats
+ */
+function chatScope(req) {
+  return hasPermission(req, 'chats:all') ? {} : { assignedTo: req.user?.id };
+}
+
+/**
+ * router.param('phone', ...) handler: a user without chats:all may only
+ * open conversations assigned to them
+ */
+async function requireChatAccess(req, res, next, rawPhone) {
+  try {
+    if (hasPermission(req, 'chats:all')) return next();
+
+    const phone = (await normalizeTenantPhone(rawPhone, req.tenantId, { stored: true }))
+      || String(rawPhone || '').replace(/\D/g, '');
+    const assigned = await ChatSession.exists({ tenantId: req.tenantId, phone, ...chatScope(req) });
+    if (!assigned) {
+      return res.status(403).json({ error: 'This conversation is not assigned to you' });
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  hasPermission,
+  permissionFor,
+  authorize,
+  requirePermission,
+  chatScope,
+  requireChatAccess
+};
@@ -0,0 +1,27 @@
+// src/middleware/platform.js
+// Guard for platform operator routes that reach across tenants (webhook
+// dead letters, debug tools). They take PLATFORM_ADMIN_KEY in the
+// "X-Platform-Key" header; tenant JWTs and API keys never get in, whatever
+// their role. Without PLATFORM_ADMIN_KEY set the routes are off.
+const crypto = require('crypto');
+
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+function requirePlatformOperator(req, res, next) {
+  const expected = process.env.PLATFORM_ADMIN_KEY;
+  if (!expected) {
+    return res.status(404).json({ error: 'Route not found' });
+  }
+
+  const given = req.headers['x-platform-key'];
+  if (!given || !crypto.timingSafeEqual(digest(given), digest(expected))) {
+    return res.status(403).json({ error: 'Platform operator credential required' });
+  }
+
+  req.platformOperator = true;
+  next();
+}
+
+module.exports = { requirePlatformOperator };
@@ -0,0 +1,24 @@
+// src/models/ApiKey.js
+const mongoose = require('mongoose');
+
+// Tenant API key for server-to-server calls. Only a SHA-256 hash of the
+// key is stored; the plain key is shown once at creation.
+const ApiKeySchema = new mongoose.Schema({
+  tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true },
+  name: { type: String, required: true },
+  prefix: { type: String, required: true },   // First characters, to tell keys apart
+  keyHash: { type: String, required: true, unique: true },
+  scopes: [String],                            // Permissions from config/permissions.js
+  rateLimitPerMinute: { type: Number, default: 60, min: 1 },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  usageCount: { type: Number, default: 0 },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  revokedAt: Date,
+  revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+ApiKeySchema.index({ tenantId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
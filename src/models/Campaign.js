@@ -25,10 +25,38 @@ const campaignSchema = new mongoose.Schema({
   // Campaign Formats
   campaignType: {
     type: String,
-    enum: ['daily', 'weekly', 'monthly', 'fixed', 'content_based'],
+    enum: ['daily', 'weekly', 'monthly', 'fixed', 'content_based', 'triggered'],
     default: 'fixed'
   },
   
+  // Triggered campaigns enroll a contact when the event happens and run the
+  // day/step timeline from that moment (see services/campaignTriggers.js)
+  trigger: {
+    event: {
+      type: String,
+      enum: ['contact_created', 'tag_added', 'section_joined', 'keyword', 'api_event']
+    },
+    tags: [String],                 // tag_added: any of these (empty = any tag)
+    keywords: [String],             // keyword: inbound text that enrolls the sender
+    keywordMatch: {
+      type: String,
+      enum: ['exact', 'contains'],
+      default: 'exact'
+    },
+    eventName: String,              // api_event: name posted to /api/events
+    // Whether a contact who has been in the campaign may be enrolled again:
+    // never, after_exit (previous run completed / stopped / failed) or always
+    reentry: {
+      type: String,
+      enum: ['never', 'after_exit', 'always'],
+      default: 'never'
+    },
+    reentryCooldownHours: {         // Minimum time since the previous enrollment
+      type: Number,
+      default: 0
+    }
+  },
+  
   // Campaign status and control
   status: {
     type: String,
@@ -74,6 +102,23 @@ const campaignSchema = new mongoose.Schema({
   totalDays: {
     type: Number,
     default: 1
+  },
+  
+  // Fixed campaigns enroll the contacts of sectionIds when first set up.
+  // With autoEnroll, contacts joining those sections later are enrolled too;
+  // otherwise only the enrollment API adds contacts after that.
+  autoEnroll: {
+    type: Boolean,
+    default: false
+  },
+  audienceSyncedAt: Date,     // When the sections were last pulled in
+  
+  // No sends between startTime and endTime (HH:MM) in the contact's local
+  // time; due steps wait for endTime. A window may run past midnight.
+  quietHours: {
+    enabled: { type: Boolean, default: false },
+    startTime: { type: String, default: '21:00' },
+    endTime: { type: String, default: '09:00' }
   }
 }, { 
   timestamps: true 
@@ -81,5 +126,7 @@ const campaignSchema = new mongoose.Schema({
 
 campaignSchema.index({ tenantId: 1, status: 1 });
 campaignSchema.index({ campaignType: 1 });
+campaignSchema.index({ tenantId: 1, campaignType: 1, 'trigger.event': 1 });
+campaignSchema.index({ tenantId: 1, autoEnroll: 1, sectionIds: 1 });
 
 module.exports = mongoose.model('Campaign', campaignSchema);
\ No newline at end of file
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Step statuses that mean the message went out (later ones come from status webhooks)
+const SENT_STATUSES = ['sent', 'delivered', 'read'];
+
 const campaignProgressSchema = new mongoose.Schema({
   campaignId: { 
     type: mongoose.Schema.Types.ObjectId, 
@@ -32,9 +35,13 @@ const campaignProgressSchema = new mongoose.Schema({
     sentAt: Date,       // When it was actually sent
     status: {           // ADD ENUM for better control
       type: String, 
-      enum: ['scheduled', 'sent', 'failed', 'missed', 'skipped'],
+      enum: ['scheduled', 'waiting', 'sent', 'delivered', 'read', 'failed', 'missed', 'skipped'],
       default: 'scheduled'
     },
+    waitUntil: Date,    // Waiting for a reply until then (CampaignStep.waitForReplyHours)
+    deliveredAt: Date,  // From status webhooks
+    readAt: Date,
+    failedAt: Date,
     messageId: String,  // WhatsApp message ID for tracking
     error: String       // If failed, store error message
   }],
@@ -49,23 +56,79 @@ const campaignProgressSchema = new mongoose.Schema({
     sentAt: Date,        // When it was actually sent
     status: {            // ADD ENUM for better control
       type: String,
-      enum: ['sent', 'failed', 'missed', 'skipped'],
+      enum: ['sent', 'delivered', 'read', 'failed', 'missed', 'skipped'],
       default: 'sent'
     },
+    deliveredAt: Date,   // From status webhooks
+    readAt: Date,
+    failedAt: Date,
     messageId: String,   // WhatsApp message ID
+    variant: String,     // A/B variant key sent (CampaignStep.variants)
     error: String,       // Error if failed
+    skipReason: String,  // Branch conditions that did not hold
+    errorCode: Number,   // Meta error code
+    errorCategory: {     // See services/retryPolicy.js
+      type: String,
+      enum: ['retryable', 'reengage', 'permanent']
+    },
+    nextRetryAt: Date,   // Set while a retry is scheduled
     retryCount: {        // Track retry attempts
       type: Number,
       default: 0
     }
   }],
   
+  // Options chosen on button / list steps, oldest first
+  responses: [{
+    _id: false,
+    stepId: { type: mongoose.Schema.Types.ObjectId, ref: 'CampaignStep' },
+    day: Number,
+    sequence: Number,
+    type: { type: String, enum: ['button', 'list', 'template_button'] },
+    optionId: String,
+    title: String,
+    description: String,
+    messageId: String,         // Our message the contact answered
+    inboundMessageId: String,  // The reply itself
+    respondedAt: Date
+  }],
+  lastResponse: {
+    stepId: { type: mongoose.Schema.Types.ObjectId, ref: 'CampaignStep' },
+    type: { type: String },
+    optionId: String,
+    title: String,
+    respondedAt: Date
+  },
+  
+  // Triggered campaigns: the event that enrolled the contact (startedAt is
+  // its time), and the runs before it when the campaign allows re-entry
+  trigger: {
+    event: String,
+    detail: mongoose.Schema.Types.Mixed,
+    at: Date
+  },
+  enrollmentCount: {
+    type: Number,
+    default: 1
+  },
+  previousRuns: [{
+    _id: false,
+    startedAt: Date,
+    endedAt: Date,
+    status: String,
+    event: String,
+    completedStepCount: Number,
+    failedStepCount: Number,
+    missedStepCount: Number
+  }],
+  
   // Last interaction
   lastInteraction: Date,
   hasReplied: {
     type: Boolean,
     default: false
   },
+  lastReplyAt: Date,     // Latest inbound message from the contact
   
   // Campaign status for this contact
   status: {
@@ -91,6 +154,14 @@ const campaignProgressSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  deliveredStepCount: {  // Sent steps the provider reported delivered
+    type: Number,
+    default: 0
+  },
+  readStepCount: {       // Sent steps the contact read
+    type: Number,
+    default: 0
+  },
   
   // Timing info
   startedAt: {
@@ -98,6 +169,8 @@ const campaignProgressSchema = new mongoose.Schema({
     default: Date.now
   },
   completedAt: Date,
+  pausedAt: Date,                // Paused by the enrollment API
+  stoppedAt: Date,               // Unenrolled
   estimatedCompletionDate: Date, // When campaign should complete
   
   // For duplicate prevention
@@ -119,29 +192,10 @@ campaignProgressSchema.index({ lastInteraction: -1 });
 campaignProgressSchema.index({ 'completedSteps.sentAt': -1 });
 campaignProgressSchema.index({ 'completedSteps.status': 1 });
 
-// Method to check if a step was already sent
-campaignProgressSchema.methods.hasStepBeenSent = function(stepId, stepSequence, day) {
-  // Check in currentDaySteps
-  const inCurrentDay = this.currentDaySteps.some(step => 
-    (step.stepId && step.stepId.toString() === stepId.toString()) ||
-    (step.sequence === stepSequence && step.day === day)
-  );
-  
-  if (inCurrentDay) return true;
-  
-  // Check in completedSteps
-  const inCompleted = this.completedSteps.some(step => 
-    (step.stepId && step.stepId.toString() === stepId.toString()) ||
-    (step.sequence === stepSequence && step.day === day)
-  );
-  
-  return inCompleted;
-};
-
 // Method to add a completed step
 campaignProgressSchema.methods.addCompletedStep = function(stepData) {
   this.completedSteps.push(stepData);
-  this.completedStepCount = this.completedSteps.filter(s => s.status === 'sent').length;
+  this.completedStepCount = this.completedSteps.filter(s => SENT_STATUSES.includes(s.status)).length;
   this.failedStepCount = this.completedSteps.filter(s => s.status === 'failed').length;
   this.missedStepCount = this.completedSteps.filter(s => s.status === 'missed').length;
   this.lastInteraction = new Date();
@@ -171,14 +225,14 @@ campaignProgressSchema.methods.markStepAsMissed = function(stepId, stepSequence,
 
 // Method to check if campaign is completed
 campaignProgressSchema.methods.isCampaignCompleted = function(totalCampaignSteps) {
-  const sentSteps = this.completedSteps.filter(s => s.status === 'sent').length;
+  const sentSteps = this.completedSteps.filter(s => SENT_STATUSES.includes(s.status)).length;
   return sentSteps >= totalCampaignSteps || this.status === 'completed';
 };
 
 // Method to get progress percentage
 campaignProgressSchema.methods.getProgressPercentage = function(totalCampaignSteps) {
   if (totalCampaignSteps === 0) return 0;
-  const sentSteps = this.completedSteps.filter(s => s.status === 'sent').length;
+  const sentSteps = this.completedSteps.filter(s => SENT_STATUSES.includes(s.status)).length;
   return Math.round((sentSteps / totalCampaignSteps) * 100);
 };
 
@@ -193,7 +247,7 @@ campaignProgressSchema.pre('save', function(next) {
   // Update current day based on completed steps
   if (this.completedSteps.length > 0) {
     const maxCompletedDay = Math.max(...this.completedSteps
-      .filter(s => s.status === 'sent')
+      .filter(s => SENT_STATUSES.includes(s.status))
       .map(s => s.day));
     
     if (maxCompletedDay > this.currentDay) {
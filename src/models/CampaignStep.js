@@ -18,7 +18,7 @@ const campaignStepSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['text', 'media', 'template'],
+    enum: ['text', 'media', 'template', 'buttons', 'list', 'cta_url', 'location', 'contacts'],
     required: true
   },
   body: {
@@ -41,6 +41,37 @@ const campaignStepSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // buttons / list / cta_url steps; `body` is the message text
+  interactive: {
+    header: { type: String, default: undefined },
+    footer: { type: String, default: undefined },
+    buttons: {
+      type: [{ _id: false, id: String, title: String }],
+      default: undefined
+    },
+    buttonText: { type: String, default: undefined }, // list menu button
+    sections: {
+      type: [{
+        _id: false,
+        title: String,
+        rows: [{ _id: false, id: String, title: String, description: String }]
+      }],
+      default: undefined
+    },
+    url: { type: String, default: undefined },
+    displayText: { type: String, default: undefined }
+  },
+  location: {
+    latitude: { type: Number, default: undefined },
+    longitude: { type: Number, default: undefined },
+    name: { type: String, default: undefined },
+    address: { type: String, default: undefined }
+  },
+  // Contact cards: [{ name, phones: [{ phone, type }], emails, org, urls }]
+  contacts: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: undefined
+  },
   stepTime: { // CHANGED: delayDays removed, stepTime added
     type: String,
     default: '09:00'
@@ -62,9 +93,110 @@ const campaignStepSchema = new mongoose.Schema({
     enum: ['always', 'if_replied', 'if_not_replied'],
     default: 'always'
   },
-  placeholders: [{
+  // Branching (fixed / triggered campaigns): the step is sent only to
+  // contacts the conditions hold for, and recorded as skipped for the rest.
+  // Conditions look at the step named by stepId, by default the last step
+  // sent to the contact before this one. See services/campaignJourneys.js.
+  conditions: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: [
+        'replied', 'not_replied',       // Replied since the step was sent
+        'button',                       // Tapped one of `values` (option id or title)
+        'keyword',                      // Replied with one of `values`
+        'tag', 'no_tag',                // Has / lacks one of `values`
+        'field',                        // Contact field `field` <operator> `value`
+        'read', 'not_read',             // Read the step
+        'step_sent', 'step_skipped'     // The step (stepId) was sent / skipped
+      ],
+      required: true
+    },
+    stepId: { type: mongoose.Schema.Types.ObjectId, ref: 'CampaignStep' },
+    values: { type: [String], default: undefined },
+    field: String,                      // e.g. "email", "customFields.city"
+    operator: {
+      type: String,
+      enum: ['equals', 'not_equals', 'contains', 'exists', 'not_exists']
+    },
+    value: String
+  }],
+  conditionMatch: {
+    type: String,
+    enum: ['all', 'any'],
+    default: 'all'
+  },
+  // Wait node: hold the step until the contact replies to the previous step
+  // or this many hours pass since it was sent, then check the conditions
+  waitForReplyHours: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // Template parameters, resolved per contact. Values may use expressions
+  // like {{contact.name | "there"}} (see utils/variables.js); text bodies,
+  // captions and interactive texts accept them too.
+  placeholders: [{ // Body variables {{1}}, {{2}}, ... in order
+    type: String
+  }],
+  headerParams: [{ // Header text variables, or the media link of a media header
     type: String
   }],
+  buttonParams: [{ // URL suffix of the dynamic URL button at `index`
+    _id: false,
+    index: { type: Number, min: 0, max: 9 },
+    value: String
+  }],
+  // A/B test: each contact always gets the same variant, picked by weight
+  // (services/stepVariants.js). A variant's fields replace the step's own,
+  // so a variant with only a key and weight sends the step as it is.
+  variants: {
+    type: [{
+      key: { type: String, required: true },    // "A", "B", ... (unique in the step)
+      name: String,
+      weight: { type: Number, min: 0, default: 1 },
+      type: {
+        type: String,
+        enum: ['text', 'media', 'template', 'buttons', 'list', 'cta_url', 'location', 'contacts']
+      },
+      body: String,
+      templateName: String,
+      language: String,
+      mediaUrl: String,
+      caption: String,
+      interactive: mongoose.Schema.Types.Mixed,
+      location: mongoose.Schema.Types.Mixed,
+      contacts: { type: [mongoose.Schema.Types.Mixed], default: undefined },
+      placeholders: { type: [String], default: undefined },
+      headerParams: { type: [String], default: undefined },
+      buttonParams: { type: [mongoose.Schema.Types.Mixed], default: undefined }
+    }],
+    default: undefined
+  },
+  abTest: {
+    // What counts as converting
+    goal: {
+      type: {
+        type: String,
+        enum: ['reply', 'button', 'keyword', 'event', 'tag']
+      },
+      values: { type: [String], default: undefined },  // button / keyword / tag
+      eventName: String                                 // event posted to /api/events
+    },
+    // Replies and goals count for a send within this many hours of it
+    windowHours: { type: Number, min: 1, default: 72 },
+    // With autoPromote, once every variant has minSample sends the one with
+    // the best `metric` rate goes to every contact from then on
+    autoPromote: { type: Boolean, default: false },
+    metric: {
+      type: String,
+      enum: ['delivered', 'read', 'replied', 'goal'],
+      default: 'replied'
+    },
+    minSample: { type: Number, min: 1, default: 100 },
+    promotedVariant: String,
+    promotedAt: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -73,6 +73,8 @@ const ChatSessionSchema = new mongoose.Schema({
     type: Boolean, 
     default: false 
   },
+  autoReplySentAt: Date,
+  autoReplyType: { type: String, enum: ['welcome', 'offline', 'holiday'] },
   followUpNeeded: { 
     type: Boolean, 
     default: false 
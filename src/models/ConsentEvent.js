@@ -0,0 +1,29 @@
+// src/models/ConsentEvent.js
+const mongoose = require('mongoose');
+
+// Append-only audit trail of opt-out / opt-in changes, kept for compliance
+const ConsentEventSchema = new mongoose.Schema({
+  tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true },
+  contactId: { type: mongoose.Schema.Types.ObjectId, ref: 'Contact' },
+  phone: { type: String, required: true },
+  action: { type: String, enum: ['opt_out', 'opt_in'], required: true },
+  source: {
+    type: String,
+    enum: ['keyword', 'agent', 'api', 'import'],
+    required: true
+  },
+  keyword: String,             // Matched keyword for source "keyword"
+  messageText: String,         // Raw inbound text that triggered it
+  providerMessageId: String,   // WhatsApp message id of the inbound message
+  reason: String,
+  previousOptedIn: Boolean,
+  confirmationSent: { type: Boolean, default: false },
+  confirmationError: String,
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Agent / API user
+  createdAt: { type: Date, default: Date.now }
+});
+
+ConsentEventSchema.index({ tenantId: 1, createdAt: -1 });
+ConsentEventSchema.index({ tenantId: 1, phone: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ConsentEvent', ConsentEventSchema);
@@ -16,6 +16,7 @@
 
 
 const mongoose = require('mongoose');
+const { timezoneForPhone } = require('../utils/timezone');
 
 const ContactSchema = new mongoose.Schema({
   tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true },
@@ -25,9 +26,14 @@ const ContactSchema = new mongoose.Schema({
   tags: [String],
   metadata: { type: Object, default: {} },
   section: { type: mongoose.Schema.Types.ObjectId, ref: 'Section' },
+  // IANA zone campaign steps are timed in; when empty it comes from the
+  // phone number's country (utils/timezone.js)
+  timezone: { type: String },
   
   // Chat specific fields
-  hasWhatsApp: { type: Boolean, default: false },
+  // Unknown until the contact messages us (true) or a send fails because
+  // the number is not on WhatsApp (false); false contacts are not sent to
+  hasWhatsApp: { type: Boolean },
   lastInteraction: Date,
   lastMessage: String,
   lastMessageType: String,
@@ -36,6 +42,13 @@ const ContactSchema = new mongoose.Schema({
   messageCount: { type: Number, default: 0 },
   chatSessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'ChatSession' },
   
+  // Last permanent send error about the number (sets hasWhatsApp to false)
+  lastSendError: {
+    code: mongoose.Schema.Types.Mixed,
+    title: String,
+    at: Date
+  },
+  
   // Opt-in/Opt-out
   optedIn: { type: Boolean, default: true },
   optedInAt: Date,
@@ -59,4 +72,12 @@ ContactSchema.index({ tenantId: 1, lastInteraction: -1 });
 ContactSchema.index({ tenantId: 1, hasWhatsApp: 1 });
 ContactSchema.index({ tenantId: 1, optedIn: 1 });
 
+// New contacts get the timezone of their number's country unless given one
+ContactSchema.pre('save', function(next) {
+  if (this.isNew && !this.timezone) {
+    this.timezone = timezoneForPhone(this.phone) || undefined;
+  }
+  next();
+});
+
 module.exports = mongoose.model('Contact', ContactSchema);
\ No newline at end of file
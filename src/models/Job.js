@@ -0,0 +1,55 @@
+// src/models/Job.js
+const mongoose = require('mongoose');
+
+// One document per scheduled unit of campaign work. Recurring jobs (daily,
+// weekly, monthly) are rescheduled in place after each occurrence; fixed jobs
+// run once per contact and step; retry jobs resend one failed message
+// (services/retryPolicy.js). A worker owns a job while lockedUntil is in
+// the future and must keep extending it with heartbeats.
+const JobSchema = new mongoose.Schema({
+  jobId: { type: String, required: true, unique: true },
+  campaignId: { type: mongoose.Schema.Types.ObjectId, ref: 'Campaign', required: true },
+  stepId: { type: mongoose.Schema.Types.ObjectId, ref: 'CampaignStep' },
+  contactId: { type: mongoose.Schema.Types.ObjectId, ref: 'Contact' },
+  tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true },
+  jobType: { type: String, enum: ['cron', 'timeout', 'retry'], required: true },
+  // Retry jobs resend one failed message, whatever the campaign's schedule
+  scheduleType: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly', 'fixed'],
+    required: function() { return this.jobType !== 'retry'; }
+  },
+  cronPattern: { type: String },
+  executeAt: { type: Date },
+  occurrenceKey: { type: String }, // e.g. "2026-10-19" for the occurrence executeAt points at
+  data: { type: mongoose.Schema.Types.Mixed },
+  // Set while a fixed job waits for the contact's reply (a reply wakes it)
+  waitingUntil: { type: Date, default: null },
+  status: {
+    type: String,
+    enum: ['scheduled', 'executing', 'completed', 'failed', 'missed', 'cancelled'],
+    default: 'scheduled'
+  },
+
+  // Lease
+  lockedBy: { type: String, default: null },
+  lockedUntil: { type: Date, default: null },
+  heartbeatAt: { type: Date },
+  attempts: { type: Number, default: 0 },
+
+  lastExecution: { type: Date },
+  lastError: { type: String },
+
+  // Only set once the job reaches a terminal state
+  expiresAt: { type: Date }
+}, { timestamps: true });
+
+JobSchema.index({ campaignId: 1, status: 1 });
+JobSchema.index({ contactId: 1, status: 1 });
+JobSchema.index({ status: 1, executeAt: 1 });
+JobSchema.index({ status: 1, lockedUntil: 1 });
+JobSchema.index({ createdAt: 1 });
+JobSchema.index({ expiresAt: 1 });
+JobSchema.index({ jobType: 1, scheduleType: 1 });
+
+module.exports = mongoose.model('Job', JobSchema);
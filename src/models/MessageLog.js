@@ -4,7 +4,7 @@
 //   tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true },
 //   campaignId: { type: mongoose.Schema.Types.ObjectId, ref: 'Campaign' },
 //   contactId: { type: mongoose.Schema.Types.ObjectId, ref: 'Contact' },
-//   provider: { type: String, enum: ['meta', 'twilio'], default: 'meta' },
+//   provider: { type: String, enum: ['meta', 'twilio', 'simulator'], default: 'meta' },
 //   to: { type: String, required: true },
 //   from: { type: String },
 //   direction: { type: String, enum: ['inbound', 'outbound'], required: true },
@@ -42,7 +42,7 @@ const messageLogSchema = new mongoose.Schema({
   tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true },
   campaignId: { type: mongoose.Schema.Types.ObjectId, ref: 'Campaign' },
   contactId: { type: mongoose.Schema.Types.ObjectId, ref: 'Contact' },
-  provider: { type: String, enum: ['meta', 'twilio'], default: 'meta' },
+  provider: { type: String, enum: ['meta', 'twilio', 'simulator'], default: 'meta' },
   to: { type: String, required: true },
   from: { type: String },
   direction: { type: String, enum: ['inbound', 'outbound'], required: true },
@@ -50,10 +50,42 @@ const messageLogSchema = new mongoose.Schema({
   body: { type: String },
   mediaUrl: { type: String },
   caption: { type: String },
+  
+  // Archived copy of inbound media (see services/inboundMedia.js)
+  media: {
+    id: { type: String },              // Meta media id
+    mimeType: { type: String },
+    size: { type: Number },            // Bytes
+    sha256: { type: String },          // Hex digest of the stored bytes
+    filename: { type: String },
+    status: { type: String, enum: ['pending', 'downloading', 'stored', 'failed'] },
+    driver: { type: String, enum: ['cloudinary', 'local'] },
+    key: { type: String },             // Cloudinary public id or local path
+    url: { type: String },             // Public Cloudinary URL of older archives; else only via the proxy
+    attempts: { type: Number },
+    error: { type: String },
+    claimedAt: { type: Date },
+    storedAt: { type: Date }
+  },
   templateName: { type: String },
   language: { type: String },
-  status: { type: String, enum: ['sent', 'delivered', 'read', 'failed', 'pending'], default: 'sent' },
+  status: { type: String, enum: ['pending', 'sent', 'delivered', 'read', 'failed', 'received'], default: 'sent' },
   error: { type: String },
+  
+  // Delivery tracking (set from status webhooks, see applyStatus)
+  deliveredAt: { type: Date },
+  readAt: { type: Date },
+  failedAt: { type: Date },
+  errorCode: { type: Number },
+  errorTitle: { type: String },
+  
+  // Failed campaign sends (see services/retryPolicy.js)
+  errorCategory: { type: String, enum: ['retryable', 'reengage', 'permanent'] },
+  retryCount: { type: Number, default: 0 },       // Retries before this attempt
+  nextRetryAt: { type: Date, default: null },
+  retryOf: { type: mongoose.Schema.Types.ObjectId, ref: 'MessageLog' },
+  retriedAt: { type: Date },                      // A retry job resent this message
+  
   messageId: { type: String },
   whatsappMessageId: { type: String },
   provider_message_id: { type: String },
@@ -62,8 +94,21 @@ const messageLogSchema = new mongoose.Schema({
   stepTime: { type: String },
   stepSequence: { type: Number },
   stepDay: { type: Number },
+  stepId: { type: mongoose.Schema.Types.ObjectId, ref: 'CampaignStep' },
+  occurrenceDate: { type: String },   // Send ledger occurrence, reused by retries
   sentAt: { type: Date },
   
+  // A/B tested steps (see services/stepVariants.js)
+  variant: { type: String },           // Key of the step variant sent
+  repliedAt: { type: Date },           // First reply after the send
+  goalAt: { type: Date },              // When the step's abTest goal was reached
+  
+  // Inbound side effects done so far (see processInboundMessage in
+  // routes/webhooks.js); a retried webhook event runs the rest
+  inboundEffects: { type: [String], default: undefined },
+  consentChanged: { type: Boolean },   // The message was a STOP / START keyword
+  inboundProcessedAt: { type: Date },
+  
   // Metadata
   metadata: { type: Object, default: {} },
   payload: { type: Object, default: {} },
@@ -78,9 +123,73 @@ messageLogSchema.index({ tenantId: 1, timestamp: -1 });
 messageLogSchema.index({ tenantId: 1, status: 1 });
 messageLogSchema.index({ tenantId: 1, direction: 1 });
 messageLogSchema.index({ tenantId: 1, to: 1, from: 1 });
+messageLogSchema.index({ tenantId: 1, from: 1, direction: 1, timestamp: -1 });
 messageLogSchema.index({ tenantId: 1, campaignId: 1, contactId: 1 });
+messageLogSchema.index({ tenantId: 1, to: 1, errorCategory: 1, status: 1 });
 messageLogSchema.index({ provider_message_id: 1 }, { unique: true, sparse: true });
+messageLogSchema.index({ whatsappMessageId: 1 }, { sparse: true });
 messageLogSchema.index({ timestamp: 1 });
 messageLogSchema.index({ 'payload.id': 1 });
+messageLogSchema.index({ stepId: 1, variant: 1 }, { partialFilterExpression: { variant: { $exists: true } } });
+
+// Outbound delivery only moves forward: pending → sent → delivered → read.
+// "failed" can only replace pending / sent.
+const STATUS_RANK = { pending: 0, sent: 1, delivered: 2, read: 3 };
+const STATUS_TIMESTAMP = { sent: 'sentAt', delivered: 'deliveredAt', read: 'readAt' };
+
+/**
+ * Apply a provider status to the message matching `filter`.
+ * Out-of-order events never move the status backwards, but still fill in
+ * missing timestamps (a "read" also implies "delivered").
+ * Resolves to { message, previousStatus, changed }.
+ */
+messageLogSchema.statics.applyStatus = async function(filter, status, { timestamp = new Date(), error = null, payload } = {}) {
+  const current = await this.findOne(filter).select('status').lean();
+  if (!current) return { message: null, previousStatus: null, changed: false };
+
+  let allowedFrom;
+  const set = { status, updatedAt: new Date() };
+  if (payload !== undefined) set.payload = payload;
+
+  if (status === 'failed') {
+    allowedFrom = ['pending', 'sent'];
+    set.failedAt = timestamp;
+    if (error) {
+      set.errorCode = error.code;
+      set.errorTitle = error.title;
+      set.error = error.error_data?.details || error.message || error.title;
+    }
+  } else if (STATUS_RANK[status] !== undefined) {
+    allowedFrom = Object.keys(STATUS_RANK).filter(s => STATUS_RANK[s] < STATUS_RANK[status]);
+
+    // Backfill timestamps even when the status itself does not move
+    const timestamps = {};
+    if (STATUS_TIMESTAMP[status]) timestamps[STATUS_TIMESTAMP[status]] = timestamp;
+    if (status === 'read') timestamps.deliveredAt = timestamp;
+    if (Object.keys(timestamps).length > 0) {
+      await this.updateOne({ _id: current._id, status: { $ne: 'failed' } }, { $min: timestamps });
+    }
+  } else {
+    return { message: null, previousStatus: current.status, changed: false };
+  }
+
+  const message = await this.findOneAndUpdate(
+    { _id: current._id, status: { $in: allowedFrom } },
+    { $set: set },
+    { new: true }
+  );
+
+  if (message) {
+    return { message, previousStatus: current.status, changed: true };
+  }
+
+  return {
+    message: await this.findById(current._id),
+    previousStatus: current.status,
+    changed: false
+  };
+};
+
+messageLogSchema.statics.STATUS_RANK = STATUS_RANK;
 
 module.exports = mongoose.model('MessageLog', messageLogSchema);
\ No newline at end of file
@@ -0,0 +1,16 @@
+// src/models/RateLimitWindow.js
+const mongoose = require('mongoose');
+
+// Hits of one rate limit key (e.g. an API key) in one fixed window, shared by
+// every worker (see services/rateLimitStore.js)
+const RateLimitWindowSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  windowStart: { type: Date, required: true },
+  count: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true }
+});
+
+RateLimitWindowSchema.index({ key: 1, windowStart: 1 }, { unique: true });
+RateLimitWindowSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitWindow', RateLimitWindowSchema);
@@ -0,0 +1,16 @@
+// src/models/Role.js
+const mongoose = require('mongoose');
+
+// Tenant-defined role; built-in roles live in config/permissions.js
+const RoleSchema = new mongoose.Schema({
+  tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true },
+  key: { type: String, required: true, lowercase: true, trim: true }, // Stored in User.role
+  name: { type: String, required: true },
+  description: String,
+  permissions: [String],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+RoleSchema.index({ tenantId: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('Role', RoleSchema);
@@ -0,0 +1,32 @@
+// src/models/SendLedger.js
+const mongoose = require('mongoose');
+
+// One entry per campaign step, contact and occurrence. The unique key is
+// reserved before the message goes to the provider, so a second worker or a
+// retry for the same occurrence cannot send it again.
+const SendLedgerSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true },
+  campaignId: { type: mongoose.Schema.Types.ObjectId, ref: 'Campaign', required: true },
+  stepId: { type: mongoose.Schema.Types.ObjectId, ref: 'CampaignStep', required: true },
+  contactId: { type: mongoose.Schema.Types.ObjectId, ref: 'Contact', required: true },
+  occurrenceDate: { type: String, required: true }, // "YYYY-MM-DD" in Asia/Kolkata
+  to: String,
+  status: {
+    type: String,
+    enum: ['reserved', 'sent', 'failed'],
+    default: 'reserved'
+  },
+  messageId: String,
+  error: String,
+  attempts: { type: Number, default: 1 },
+  reservedBy: String,
+  reservedAt: { type: Date, default: Date.now },
+  sentAt: Date,
+  failedAt: Date
+}, { timestamps: true });
+
+SendLedgerSchema.index({ campaignId: 1, status: 1 });
+SendLedgerSchema.index({ tenantId: 1, contactId: 1 });
+
+module.exports = mongoose.model('SendLedger', SendLedgerSchema);
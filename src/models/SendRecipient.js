@@ -0,0 +1,20 @@
+// src/models/SendRecipient.js
+const mongoose = require('mongoose');
+
+const RECIPIENT_WINDOW_SECONDS = 24 * 60 * 60;
+
+// Business-initiated recipients of one WhatsApp number: the first send to
+// `to` in the current 24-hour window. Counted against the messaging tier
+// (see services/sendGovernor.js).
+const SendRecipientSchema = new mongoose.Schema({
+  phoneId: { type: String, required: true },
+  tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant' },
+  to: { type: String, required: true },
+  firstAt: { type: Date, required: true }
+});
+
+SendRecipientSchema.index({ phoneId: 1, to: 1 }, { unique: true });
+SendRecipientSchema.index({ phoneId: 1, firstAt: 1 });
+SendRecipientSchema.index({ firstAt: 1 }, { expireAfterSeconds: RECIPIENT_WINDOW_SECONDS });
+
+module.exports = mongoose.model('SendRecipient', SendRecipientSchema);
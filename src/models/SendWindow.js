@@ -0,0 +1,17 @@
+// src/models/SendWindow.js
+const mongoose = require('mongoose');
+
+// Sends of one WhatsApp number in one rate window, shared by every worker
+// (see services/sendGovernor.js). `count` is only ever raised with a
+// conditional $inc, so a full window never takes another send.
+const SendWindowSchema = new mongoose.Schema({
+  phoneId: { type: String, required: true },
+  windowStart: { type: Date, required: true },
+  count: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true }
+});
+
+SendWindowSchema.index({ phoneId: 1, windowStart: 1 }, { unique: true });
+SendWindowSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SendWindow', SendWindowSchema);
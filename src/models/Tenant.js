@@ -11,6 +11,12 @@
 
 
 const mongoose = require('mongoose');
+const {
+  DEFAULT_OPT_OUT_KEYWORDS,
+  DEFAULT_OPT_IN_KEYWORDS,
+  DEFAULT_OPT_OUT_CONFIRMATION,
+  DEFAULT_OPT_IN_CONFIRMATION
+} = require('../config/optOut');
 
 const TenantSchema = new mongoose.Schema({
   name: { type: String, required: true },
@@ -25,16 +31,64 @@ const TenantSchema = new mongoose.Schema({
   whatsappAccessToken: String,
   whatsappWebhookVerifyToken: String,
   whatsappPhoneNumber: String,
+
+  // Who carries this tenant's WhatsApp traffic (see services/providers)
+  messagingProvider: { type: String, enum: ['meta', 'twilio', 'simulator'], default: 'meta' },
+  twilio: {
+    accountSid: String,
+    authToken: String,
+    whatsappFrom: String,                  // Sender number in E.164, e.g. "+14155238886"
+    // Approved WhatsApp templates are sent as Twilio Content: template name -> ContentSid
+    contentSids: { type: Map, of: String, default: {} }
+  },
+  // Fake traffic for offline testing (rates are 0..1)
+  simulator: {
+    deliveredRate: { type: Number, default: 0.95 },
+    readRate: { type: Number, default: 0.7 },
+    replyRate: { type: Number, default: 0.2 },
+    replies: { type: [String], default: () => ['Thanks!', 'Tell me more'] },
+    delayMs: { type: Number, default: 2000 }
+  },
+
+  // Outbound throughput of the connected number (see services/sendGovernor.js)
+  sendLimits: {
+    messagesPerSecond: Number,             // Defaults to SEND_MESSAGES_PER_SECOND
+    // Meta messaging_limit_tier; synced from the Graph API
+    messagingTier: {
+      type: String,
+      enum: ['TIER_50', 'TIER_250', 'TIER_1K', 'TIER_2K', 'TIER_10K', 'TIER_100K', 'TIER_UNLIMITED']
+    },
+    dailyRecipientCap: Number,             // Overrides the tier's cap
+    throughputLevel: String,               // Meta throughput.level (STANDARD / HIGH)
+    tierSyncedAt: Date
+  },
+
+  // ISO 3166 country used to read national phone numbers (e.g. "9876543210")
+  defaultCountry: { type: String, uppercase: true, default: 'IN' },
   
   // Chat settings
   chatSettings: {
     autoReplyEnabled: { type: Boolean, default: false },
-    autoReplyMessage: String,
+    autoReplyMessage: String,              // Welcome reply during business hours
+    autoReplyCooldownHours: { type: Number, default: 24 }, // One auto-reply per conversation per window
     businessHours: {
       enabled: { type: Boolean, default: false },
       timezone: { type: String, default: 'Asia/Kolkata' },
-      startTime: { type: String, default: '09:00' },
+      startTime: { type: String, default: '09:00' },   // Used when weeklyHours is empty
       endTime: { type: String, default: '18:00' },
+      // Per-weekday hours (day: 0 = Sunday); endTime before startTime runs past midnight
+      weeklyHours: [{
+        day: { type: Number, min: 0, max: 6 },
+        startTime: String,
+        endTime: String,
+        closed: { type: Boolean, default: false }
+      }],
+      // Closed all day; `message` overrides offlineMessage
+      holidays: [{
+        date: String,                      // YYYY-MM-DD in the tenant timezone
+        name: String,
+        message: String
+      }],
       offlineMessage: String
     },
     quickReplies: [{
@@ -45,6 +99,16 @@ const TenantSchema = new mongoose.Schema({
     labels: [String],
     csatEnabled: { type: Boolean, default: false }
   },
+
+  // STOP / START keyword handling on inbound messages
+  optOutSettings: {
+    enabled: { type: Boolean, default: true },
+    optOutKeywords: { type: [String], default: () => [...DEFAULT_OPT_OUT_KEYWORDS] },
+    optInKeywords: { type: [String], default: () => [...DEFAULT_OPT_IN_KEYWORDS] },
+    sendConfirmation: { type: Boolean, default: true },
+    optOutConfirmation: { type: String, default: DEFAULT_OPT_OUT_CONFIRMATION },
+    optInConfirmation: { type: String, default: DEFAULT_OPT_IN_CONFIRMATION }
+  },
   
   status: { 
     type: String, 
@@ -8,7 +8,7 @@ const UserSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true, lowercase: true },
   passwordHash: { type: String, required: true },
-  role: { type: String, enum: ['admin','user'], default: 'user' },
+  role: { type: String, default: 'agent' }, // Built-in role (config/permissions.js) or Role.key
   resetToken: String,
   resetTokenExpiry: Date
 }, { timestamps: true });
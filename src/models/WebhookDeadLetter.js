@@ -0,0 +1,35 @@
+// src/models/WebhookDeadLetter.js
+const mongoose = require('mongoose');
+
+// Webhook changes we could not attribute to a tenant (unknown phone_number_id).
+// They are kept here until the number is connected and the change is replayed.
+const WebhookDeadLetterSchema = new mongoose.Schema({
+  provider: { type: String, enum: ['meta', 'twilio', 'simulator'], default: 'meta' },
+  phoneNumberId: { type: String, index: true },
+  displayPhoneNumber: String,
+  entryId: String,
+  field: String,
+  value: { type: mongoose.Schema.Types.Mixed, required: true },
+  reason: {
+    type: String,
+    enum: ['unknown_phone_number_id', 'missing_phone_number_id'],
+    required: true
+  },
+  messageCount: { type: Number, default: 0 },
+  statusCount: { type: Number, default: 0 },
+  status: {
+    type: String,
+    enum: ['pending', 'replayed', 'discarded'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  lastError: String,
+  lastAttemptAt: Date,
+  replayedAt: Date,
+  replayedTenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant' },
+  receivedAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+WebhookDeadLetterSchema.index({ status: 1, receivedAt: -1 });
+
+module.exports = mongoose.model('WebhookDeadLetter', WebhookDeadLetterSchema);
@@ -0,0 +1,44 @@
+// src/models/WebhookEvent.js
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.WEBHOOK_EVENT_RETENTION_DAYS || '30', 10);
+
+// Every verified provider callback, stored as received before it is processed.
+// dedupeKeys holds the message / status ids this event is responsible for;
+// a redelivery whose ids are all owned by an earlier event is a duplicate.
+const WebhookEventSchema = new mongoose.Schema({
+  provider: { type: String, enum: ['meta', 'twilio', 'simulator'], default: 'meta' },
+  source: String,
+  object: String,
+  rawBody: { type: String, required: true },
+  signature: String,
+  phoneNumberIds: [String],
+  tenantIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Tenant' }],
+  dedupeKeys: [String],
+  duplicateKeys: [String],
+  duplicateOf: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookEvent' },
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'processed', 'failed', 'duplicate'],
+    default: 'received'
+  },
+  attempts: { type: Number, default: 0 },
+  lockedUntil: Date,
+  lastError: String,
+  result: mongoose.Schema.Types.Mixed,
+  processedAt: Date,
+  replayCount: { type: Number, default: 0 },
+  lastReplayedAt: Date,
+  receivedAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+// Unique per id across events; events without ids are not indexed
+WebhookEventSchema.index(
+  { dedupeKeys: 1 },
+  { unique: true, partialFilterExpression: { dedupeKeys: { $type: 'string' } } }
+);
+WebhookEventSchema.index({ status: 1, receivedAt: 1 });
+WebhookEventSchema.index({ tenantIds: 1, receivedAt: -1 });
+WebhookEventSchema.index({ receivedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookEvent', WebhookEventSchema);
@@ -14,13 +14,33 @@ router.get('/campaign/:campaignId', requireAuth, async (req, res) => {
       campaignId 
     });
     
-    const sent = logs.length;
-    const delivered = logs.filter(l => l.status === 'delivered').length;
-    const read = logs.filter(l => l.status === 'read' || l.status === 'seen').length;
-    const failed = logs.filter(l => l.status === 'failed').length;
+    // Status only moves forward, so a read message also counts as delivered
+    const failedLogs = logs.filter(l => l.status === 'failed');
+    const failed = failedLogs.length;
+    const sent = logs.length - failed;
+    const delivered = logs.filter(l => l.deliveredAt || ['delivered', 'read', 'seen'].includes(l.status)).length;
+    const read = logs.filter(l => l.readAt || l.status === 'read' || l.status === 'seen').length;
+
+    const rate = (n, d) => (d ? Math.round((n / d) * 1000) / 10 : 0);
+
+    // Failure reasons reported by WhatsApp
+    const errors = {};
+    for (const l of failedLogs) {
+      const key = l.errorCode ? String(l.errorCode) : 'unknown';
+      if (!errors[key]) errors[key] = { errorCode: l.errorCode || null, errorTitle: l.errorTitle || l.error || null, count: 0 };
+      errors[key].count++;
+    }
 
     res.json({
-      summary: { sent, delivered, read, failed },
+      summary: {
+        sent,
+        delivered,
+        read,
+        failed,
+        deliveryRate: rate(delivered, sent),
+        readRate: rate(read, delivered)
+      },
+      errors: Object.values(errors).sort((a, b) => b.count - a.count),
       logs // पूरा detail भेज दो frontend के लिए
     });
   } catch (err) {
@@ -0,0 +1,114 @@
+// src/routes/apiKeys.js
+const express = require('express');
+const router = express.Router();
+const requireAuth = require('../middleware/auth');
+const ApiKey = require('../models/ApiKey');
+const apiKeyService = require('../services/apiKeyService');
+const { API_KEY_SCOPES, API_KEY_SCOPE_ALIASES } = require('../config/permissions');
+
+const PUBLIC_FIELDS = 'name prefix scopes rateLimitPerMinute expiresAt lastUsedAt lastUsedIp usageCount createdBy revokedAt createdAt';
+
+function parseRateLimit(value) {
+  if (value === undefined) return undefined;
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+// Scopes that can be granted
+router.get('/scopes', requireAuth, (req, res) => {
+  res.json({ scopes: API_KEY_SCOPES, aliases: API_KEY_SCOPE_ALIASES });
+});
+
+// List keys (never returns the key itself)
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const keys = await ApiKey.find({ tenantId: req.tenantId })
+      .select(PUBLIC_FIELDS)
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json(keys);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create a key; the plain key is only in this response
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const { name, expiresAt } = req.body;
+    if (!name) return res.status(400).json({ error: 'Name is required' });
+
+    const { scopes, invalid } = apiKeyService.resolveScopes(req.body.scopes);
+    if (invalid.length) return res.status(400).json({ error: 'Invalid scopes', invalid });
+    if (!scopes.length) return res.status(400).json({ error: 'At least one scope is required' });
+
+    const rateLimitPerMinute = parseRateLimit(req.body.rateLimitPerMinute);
+    if (rateLimitPerMinute === null) return res.status(400).json({ error: 'rateLimitPerMinute must be a positive number' });
+
+    const { key, apiKey } = await apiKeyService.create(req.tenantId, {
+      name,
+      scopes,
+      rateLimitPerMinute,
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined
+    }, req.user.id);
+
+    res.status(201).json({
+      key,
+      id: apiKey._id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+      rateLimitPerMinute: apiKey.rateLimitPerMinute,
+      expiresAt: apiKey.expiresAt
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Rename, rescope or change the rate limit of a key
+router.patch('/:id', requireAuth, async (req, res) => {
+  try {
+    const update = {};
+    if (req.body.name !== undefined) update.name = req.body.name;
+    if (req.body.scopes !== undefined) {
+      const { scopes, invalid } = apiKeyService.resolveScopes(req.body.scopes);
+      if (invalid.length) return res.status(400).json({ error: 'Invalid scopes', invalid });
+      if (!scopes.length) return res.status(400).json({ error: 'At least one scope is required' });
+      update.scopes = scopes;
+    }
+    if (req.body.rateLimitPerMinute !== undefined) {
+      const rateLimitPerMinute = parseRateLimit(req.body.rateLimitPerMinute);
+      if (rateLimitPerMinute === null) return res.status(400).json({ error: 'rateLimitPerMinute must be a positive number' });
+      update.rateLimitPerMinute = rateLimitPerMinute;
+    }
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, tenantId: req.tenantId, revokedAt: null },
+      { $set: update },
+      { new: true }
+    );
+    if (!apiKey) return res.status(404).json({ error: 'API key not found' });
+
+    res.json(await ApiKey.findById(apiKey._id).select(PUBLIC_FIELDS).lean());
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Revoke a key; it is kept for the audit trail
+router.delete('/:id', requireAuth, async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.revoke(req.tenantId, req.params.id, req.user.id);
+    if (!apiKey) return res.status(404).json({ error: 'API key not found' });
+    res.json({ message: 'API key revoked', id: apiKey._id, revokedAt: apiKey.revokedAt });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@ const jwt = require('jsonwebtoken');
 const router = express.Router();
 const Tenant = require('../models/Tenant');
 const User = require('../models/User');
+const requireAuth = require('../middleware/auth');
 const nodemailer = require('nodemailer');
 
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
@@ -16,14 +17,14 @@ const transporter = nodemailer.createTransport({
   auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
 });
 
-// Register: create tenant + admin user
+// Register: create tenant + owner user
 router.post('/register', async (req, res) => {
   try {
     const { tenantName, adminName, email, password } = req.body;
     if (!tenantName || !adminName || !email || !password) return res.status(400).json({ error: 'Missing fields' });
 
     const tenant = await Tenant.create({ name: tenantName, contact_email: email });
-    const user = new User({ tenantId: tenant._id, name: adminName, email: email.toLowerCase(), role: 'admin' });
+    const user = new User({ tenantId: tenant._id, name: adminName, email: email.toLowerCase(), role: 'owner' });
     await user.setPassword(password);
     await user.save();
 
@@ -52,6 +53,33 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Current user with resolved permissions
+router.get('/me', requireAuth, async (req, res) => {
+  try {
+    if (req.apiKey) {
+      return res.json({
+        apiKey: { id: req.apiKey._id, name: req.apiKey.name, prefix: req.apiKey.prefix },
+        tenantId: req.tenantId,
+        permissions: [...req.user.permissions]
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('name email role tenantId');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json({
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      tenantId: user.tenantId,
+      permissions: [...req.user.permissions]
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Forgot password - sends reset link with token
 router.post('/forgot-password', async (req, res) => {
   try {
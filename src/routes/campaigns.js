@@ -1,15 +1,24 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
 const requireAuth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 const Campaign = require('../models/Campaign');
 const CampaignStep = require('../models/CampaignStep');
 const CampaignProgress = require('../models/CampaignProgress');
 const Contact = require('../models/Contact');
 const MessageLog = require('../models/MessageLog');
 const Template = require('../models/Template');
-const { isHttpsUrl } = require('../utils/validators');
+const { validateCampaignStepData, validateCampaignTrigger, validateQuietHours } = require('../utils/validators');
 const campaignScheduler = require('../services/campaignScheduler');
 const campaignProcessor = require('../services/campaignProcessor');
+const campaignSimulator = require('../services/campaignSimulator');
+const sendLedger = require('../services/sendLedger');
+const optOutService = require('../services/optOutService');
+const stepVariants = require('../services/stepVariants');
+const { resolveStepContent, describeStepMessage } = require('../services/whatsapp');
+const { normalizeTenantPhone } = require('../utils/phone');
 
 // --- Campaign Routes ---
 
@@ -24,19 +33,35 @@ router.post('/', requireAuth, async (req, res) => {
       autoStart = true, // Default to true for automatic
       repeatCount,
       contentType,
-      contentId
+      contentId,
+      trigger,
+      autoEnroll,
+      quietHours
     } = req.body;
     
     console.log('🎯 Creating campaign:', { name, campaignType });
     
-    if (!sectionIds || !Array.isArray(sectionIds) || sectionIds.length === 0) {
+    if (quietHours !== undefined) {
+      const errors = validateQuietHours(quietHours);
+      if (errors.length) {
+        return res.status(400).json({ error: errors[0], errors });
+      }
+    }
+    
+    // Triggered campaigns enroll contacts by event; sections only narrow them
+    if (campaignType === 'triggered') {
+      const errors = validateCampaignTrigger(trigger);
+      if (errors.length) {
+        return res.status(400).json({ error: errors[0], errors });
+      }
+    } else if (!sectionIds || !Array.isArray(sectionIds) || sectionIds.length === 0) {
       return res.status(400).json({ error: 'Please select at least one section' });
     }
     
     const campaignData = {
       tenantId: req.tenantId,
       name,
-      sectionIds,
+      sectionIds: sectionIds || [],
       description,
       createdBy: req.user.id,
       campaignType: campaignType || 'fixed',
@@ -44,16 +69,21 @@ router.post('/', requireAuth, async (req, res) => {
       repeatCount: repeatCount || 0,
       contentType: contentType,
       contentId: contentId,
+      autoEnroll: campaignType === 'fixed' && autoEnroll === true,
+      quietHours,
       status: autoStart ? 'active' : 'draft',
       executedCount: 0,
       lastExecutionDate: null,
       createdAt: new Date()
     };
     
-    // Set totalDays for fixed campaigns
-    if (campaignType === 'fixed') {
+    // Set totalDays for fixed and triggered campaigns
+    if (campaignType === 'fixed' || campaignType === 'triggered') {
       campaignData.totalDays = 1;
     }
+    if (campaignType === 'triggered') {
+      campaignData.trigger = trigger;
+    }
     
     const campaign = await Campaign.create(campaignData);
     
@@ -125,7 +155,10 @@ router.put('/:campaignId', requireAuth, async (req, res) => {
       description, 
       status,
       sectionIds,
-      repeatCount
+      repeatCount,
+      trigger,
+      autoEnroll,
+      quietHours
     } = req.body;
     
     const campaign = await Campaign.findById(req.params.campaignId);
@@ -133,6 +166,23 @@ router.put('/:campaignId', requireAuth, async (req, res) => {
       return res.status(404).json({ error: 'Campaign not found' });
     }
     
+    if (quietHours !== undefined) {
+      const errors = validateQuietHours(quietHours);
+      if (errors.length) {
+        return res.status(400).json({ error: errors[0], errors });
+      }
+    }
+    
+    if (trigger !== undefined) {
+      if (campaign.campaignType !== 'triggered') {
+        return res.status(400).json({ error: 'Only triggered campaigns have a trigger' });
+      }
+      const errors = validateCampaignTrigger(trigger);
+      if (errors.length) {
+        return res.status(400).json({ error: errors[0], errors });
+      }
+    }
+    
     // Store old status for comparison
     const oldStatus = campaign.status;
     
@@ -140,8 +190,16 @@ router.put('/:campaignId', requireAuth, async (req, res) => {
     if (name !== undefined) campaign.name = name;
     if (description !== undefined) campaign.description = description;
     if (status !== undefined) campaign.status = status;
-    if (sectionIds !== undefined) campaign.sectionIds = sectionIds;
+    if (sectionIds !== undefined) {
+      campaign.sectionIds = sectionIds;
+      campaign.audienceSyncedAt = null; // Pull the new sections in on the next setup
+    }
+    if (autoEnroll !== undefined) campaign.autoEnroll = campaign.campaignType === 'fixed' && autoEnroll === true;
     if (repeatCount !== undefined) campaign.repeatCount = repeatCount;
+    if (trigger !== undefined) campaign.trigger = trigger;
+    if (quietHours !== undefined) {
+      campaign.quietHours = { ...campaign.quietHours?.toObject?.(), ...quietHours };
+    }
     
     await campaign.save();
     
@@ -151,9 +209,12 @@ router.put('/:campaignId', requireAuth, async (req, res) => {
       if (campaignScheduler.isInitialized) {
         await campaignScheduler.setupCampaign(campaign);
       }
+    } else if (quietHours !== undefined && campaign.status === 'active' && campaignScheduler.isInitialized) {
+      // Queued steps move out of the new quiet hours
+      await campaignScheduler.setupCampaign(campaign);
     } else if ((status === 'paused' || status === 'completed') && oldStatus === 'active') {
       console.log(`⏸️ Stopping campaign: ${campaign.name}`);
-      campaignScheduler.stopCampaign(campaign._id);
+      await campaignScheduler.stopCampaign(campaign._id);
     }
     
     res.json(campaign);
@@ -174,12 +235,13 @@ router.delete('/:campaignId', requireAuth, async (req, res) => {
     }
 
     // Stop from scheduler
-    campaignScheduler.stopCampaign(campaignId);
+    await campaignScheduler.stopCampaign(campaignId);
 
     // Delete associated data
     await CampaignStep.deleteMany({ campaignId });
     await CampaignProgress.deleteMany({ campaignId });
     await MessageLog.deleteMany({ campaignId });
+    await sendLedger.deleteCampaignEntries(campaignId);
 
     res.json({ message: 'Campaign deleted successfully' });
   } catch (err) {
@@ -190,6 +252,13 @@ router.delete('/:campaignId', requireAuth, async (req, res) => {
 
 // --- Campaign Step Routes ---
 
+// Variant template names are stored like step ones (lowercase, underscores)
+function formatVariantTemplates(variants) {
+  return variants.map(variant => variant.templateName
+    ? { ...variant, templateName: variant.templateName.toLowerCase().replace(/\s+/g, '_') }
+    : variant);
+}
+
 // Add step
 router.post('/:campaignId/steps', requireAuth, async (req, res) => {
   try {
@@ -205,7 +274,18 @@ router.post('/:campaignId/steps', requireAuth, async (req, res) => {
       stepTime = '09:00',
       dayOfWeek,
       dayOfMonth,
-      condition = 'always'
+      condition = 'always',
+      conditions,
+      conditionMatch,
+      waitForReplyHours,
+      interactive,
+      location,
+      contacts,
+      placeholders,
+      headerParams,
+      buttonParams,
+      variants,
+      abTest
     } = req.body;
     
     const campaign = await Campaign.findById(req.params.campaignId);
@@ -227,20 +307,12 @@ router.post('/:campaignId/steps', requireAuth, async (req, res) => {
     }
 
     // Validate
-    if (type === 'text' && !body?.trim()) {
-      return res.status(400).json({ error: 'Message body is required for text type' });
-    }
-
-    if (type === 'media' && !mediaUrl?.trim()) {
-      return res.status(400).json({ error: 'Media URL is required for media type' });
-    }
-
-    if (type === 'template' && !templateName) {
-      return res.status(400).json({ error: 'Template name is required for template type' });
+    const errors = validateCampaignStepData({ ...req.body, sequence: parseInt(sequence) });
+    if (errors.length) {
+      return res.status(400).json({ error: errors[0], errors });
     }
-
-    if (type === 'media' && mediaUrl && !isHttpsUrl(mediaUrl)) {
-      return res.status(400).json({ error: 'mediaUrl must be HTTPS' });
+    if (!campaignScheduler.followsTimeline(campaign) && (conditions?.length || waitForReplyHours)) {
+      return res.status(400).json({ error: 'Branch conditions and waits need a fixed or triggered campaign' });
     }
 
     // Validate stepTime
@@ -287,13 +359,26 @@ router.post('/:campaignId/steps', requireAuth, async (req, res) => {
       dayOfWeek: dayOfWeek !== undefined ? dayOfWeek : null,
       dayOfMonth: dayOfMonth !== undefined ? dayOfMonth : null,
       condition: condition,
+      conditions: conditions || [],
+      conditionMatch: conditionMatch || 'all',
+      waitForReplyHours: waitForReplyHours ?? null,
+      ...(type === 'template' && {
+        placeholders: placeholders || [],
+        headerParams: headerParams || [],
+        buttonParams: buttonParams || []
+      }),
+      ...(['buttons', 'list', 'cta_url'].includes(type) && { interactive }),
+      ...(type === 'location' && { location }),
+      ...(type === 'contacts' && { contacts }),
+      ...(variants?.length && { variants: formatVariantTemplates(variants) }),
+      ...(abTest && { abTest }),
       createdAt: new Date()
     };
 
     const step = await CampaignStep.create(stepData);
     
-    // Update campaign totalDays if fixed
-    if (campaign.campaignType === 'fixed' && step.day > campaign.totalDays) {
+    // Update campaign totalDays if fixed or triggered
+    if (['fixed', 'triggered'].includes(campaign.campaignType) && step.day > campaign.totalDays) {
       campaign.totalDays = step.day;
       await campaign.save();
     }
@@ -335,10 +420,30 @@ router.put('/:campaignId/steps/:stepId', requireAuth, async (req, res) => {
     const { stepId, campaignId } = req.params;
     const updateData = req.body;
     
+    const currentStep = await CampaignStep.findOne({ _id: stepId, campaignId }).lean();
+    if (!currentStep) {
+      return res.status(404).json({ error: 'Step not found' });
+    }
+
+    // Validate the step as it will be after the update
+    const errors = validateCampaignStepData({ ...currentStep, ...updateData });
+    if (errors.length) {
+      return res.status(400).json({ error: errors[0], errors });
+    }
+    if (updateData.conditions?.length || updateData.waitForReplyHours) {
+      const owner = await Campaign.findById(campaignId).select('campaignType');
+      if (!owner || !campaignScheduler.followsTimeline(owner)) {
+        return res.status(400).json({ error: 'Branch conditions and waits need a fixed or triggered campaign' });
+      }
+    }
+    
     // Format template name
     if (updateData.type === 'template' && updateData.templateName) {
       updateData.templateName = updateData.templateName.toLowerCase().replace(/\s+/g, '_');
     }
+    if (Array.isArray(updateData.variants)) {
+      updateData.variants = formatVariantTemplates(updateData.variants);
+    }
 
     // Check sequence conflict
     if (updateData.sequence) {
@@ -431,7 +536,7 @@ router.delete('/:campaignId/steps/:stepId', requireAuth, async (req, res) => {
 // --- Campaign Control Routes ---
 
 // Start/Pause/Resume/Stop campaign
-router.post('/:campaignId/control', requireAuth, async (req, res) => {
+router.post('/:campaignId/control', requireAuth, requirePermission('campaigns:control'), async (req, res) => {
   try {
     const { action } = req.body;
     const campaign = await Campaign.findById(req.params.campaignId);
@@ -457,14 +562,14 @@ router.post('/:campaignId/control', requireAuth, async (req, res) => {
       case 'pause':
         campaign.status = 'paused';
         await campaign.save();
-        campaignScheduler.pauseCampaign(campaign._id);
+        await campaignScheduler.pauseCampaign(campaign._id);
         message = 'Campaign paused';
         break;
         
       case 'stop':
         campaign.status = 'completed';
         await campaign.save();
-        campaignScheduler.stopCampaign(campaign._id);
+        await campaignScheduler.stopCampaign(campaign._id);
         message = 'Campaign stopped';
         break;
         
@@ -565,6 +670,452 @@ router.get('/:campaignId/progress', requireAuth, async (req, res) => {
   }
 });
 
+// --- Enrollment Routes (fixed and triggered campaigns) ---
+
+const MAX_ENROLLMENTS = 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// The request's campaign if it runs contacts along a timeline; otherwise
+// responds with the error and returns null
+async function loadTimelineCampaign(req, res) {
+  const { campaignId } = req.params;
+  if (!mongoose.isValidObjectId(campaignId)) {
+    res.status(400).json({ error: 'Invalid campaign id' });
+    return null;
+  }
+
+  const campaign = await Campaign.findOne({ _id: campaignId, tenantId: req.tenantId });
+  if (!campaign) {
+    res.status(404).json({ error: 'Campaign not found' });
+    return null;
+  }
+  if (!campaignScheduler.followsTimeline(campaign)) {
+    res.status(400).json({ error: 'Only fixed and triggered campaigns have enrollments' });
+    return null;
+  }
+  return campaign;
+}
+
+async function loadContact(req, res) {
+  const { contactId } = req.params;
+  const contact = mongoose.isValidObjectId(contactId)
+    ? await Contact.findOne({ _id: contactId, tenantId: req.tenantId })
+    : null;
+  if (!contact) res.status(404).json({ error: 'Contact not found' });
+  return contact;
+}
+
+// Day / start date of a timeline position; returns an error message or null
+function validateTimelinePosition(campaign, day, startDate) {
+  if (day !== undefined && (!Number.isInteger(day) || day < 1 || day > (campaign.totalDays || 1))) {
+    return `Day must be between 1 and ${campaign.totalDays || 1}`;
+  }
+  if (startDate !== undefined && startDate !== null &&
+      (!DATE_PATTERN.test(startDate) || !moment(startDate, 'YYYY-MM-DD', true).isValid())) {
+    return 'startDate must be a date (YYYY-MM-DD)';
+  }
+  return null;
+}
+
+// Enroll contacts by id, phone or filter: { contactIds, phones,
+// filter: { sectionIds, tags }, startDay, startDate }
+router.post('/:campaignId/enrollments', requireAuth, requirePermission('campaigns:control'), async (req, res) => {
+  try {
+    const campaign = await loadTimelineCampaign(req, res);
+    if (!campaign) return;
+
+    if (campaign.status !== 'active') {
+      return res.status(409).json({ error: 'Campaign is not running' });
+    }
+
+    const { contactIds = [], phones = [], filter, startDay = 1, startDate } = req.body;
+    if (!Array.isArray(contactIds) || !Array.isArray(phones)) {
+      return res.status(400).json({ error: 'contactIds and phones must be arrays' });
+    }
+    if (!contactIds.length && !phones.length && !filter) {
+      return res.status(400).json({ error: 'Give contactIds, phones or a filter' });
+    }
+    if (contactIds.length + phones.length > MAX_ENROLLMENTS) {
+      return res.status(400).json({ error: `At most ${MAX_ENROLLMENTS} contacts per request` });
+    }
+    const positionError = validateTimelinePosition(campaign, startDay, startDate);
+    if (positionError) {
+      return res.status(400).json({ error: positionError });
+    }
+
+    const results = [];
+    const contacts = new Map();
+    const add = (contact) => contacts.set(contact._id.toString(), contact);
+
+    const validIds = contactIds.filter(id => mongoose.isValidObjectId(id));
+    contactIds.filter(id => !mongoose.isValidObjectId(id))
+      .forEach(id => results.push({ contactId: id, enrolled: false, reason: 'Invalid contact id' }));
+    if (validIds.length) {
+      const found = await Contact.find({ _id: { $in: validIds }, tenantId: req.tenantId });
+      found.forEach(add);
+      validIds.filter(id => !found.some(c => c._id.toString() === String(id)))
+        .forEach(id => results.push({ contactId: id, enrolled: false, reason: 'Contact not found' }));
+    }
+
+    for (const raw of phones) {
+      const phone = await normalizeTenantPhone(raw, req.tenantId);
+      const contact = phone && await Contact.findOne({ tenantId: req.tenantId, phone });
+      if (contact) add(contact);
+      else results.push({ phone: raw, enrolled: false, reason: phone ? 'Contact not found' : 'Invalid phone number' });
+    }
+
+    if (filter) {
+      const query = { tenantId: req.tenantId, ...optOutService.SENDABLE_CONTACT_FILTER };
+      if (Array.isArray(filter.sectionIds) && filter.sectionIds.length) query.section = { $in: filter.sectionIds };
+      if (Array.isArray(filter.tags) && filter.tags.length) query.tags = { $in: filter.tags };
+      if (!query.section && !query.tags) {
+        return res.status(400).json({ error: 'filter needs sectionIds or tags' });
+      }
+
+      const matched = await Contact.find(query).limit(MAX_ENROLLMENTS + 1);
+      if (matched.length > MAX_ENROLLMENTS) {
+        return res.status(400).json({ error: `Filter matches more than ${MAX_ENROLLMENTS} contacts, narrow it down` });
+      }
+      matched.forEach(add);
+    }
+
+    const steps = await CampaignStep.find({ campaignId: campaign._id }).sort({ day: 1, sequence: 1 });
+    const trigger = {
+      event: 'manual',
+      detail: { source: req.apiKey ? 'api' : 'user', userId: req.user?.id }
+    };
+
+    for (const contact of contacts.values()) {
+      const result = await campaignScheduler.enrollContact(campaign, contact, trigger, {
+        startDay,
+        startDate,
+        steps,
+        reentry: 'after_exit'
+      });
+      results.push({ contactId: contact._id, phone: contact.phone, ...result });
+    }
+
+    const enrolled = results.filter(r => r.enrolled).length;
+    console.log(`📥 Enrolled ${enrolled}/${results.length} contacts in "${campaign.name}"`);
+
+    res.json({ requested: results.length, enrolled, results });
+  } catch (err) {
+    console.error('❌ Enroll contacts error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Unenroll a contact
+router.delete('/:campaignId/enrollments/:contactId', requireAuth, requirePermission('campaigns:control'), async (req, res) => {
+  try {
+    const campaign = await loadTimelineCampaign(req, res);
+    if (!campaign) return;
+
+    if (!mongoose.isValidObjectId(req.params.contactId)) {
+      return res.status(400).json({ error: 'Invalid contact id' });
+    }
+
+    const progress = await campaignScheduler.unenrollContact(campaign, req.params.contactId);
+    if (!progress) {
+      return res.status(404).json({ error: 'Contact is not enrolled' });
+    }
+    res.json({ success: true, progress });
+  } catch (err) {
+    console.error('❌ Unenroll contact error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Pause / resume one contact
+router.post('/:campaignId/enrollments/:contactId/pause', requireAuth, requirePermission('campaigns:control'), async (req, res) => {
+  try {
+    const campaign = await loadTimelineCampaign(req, res);
+    if (!campaign) return;
+
+    if (!mongoose.isValidObjectId(req.params.contactId)) {
+      return res.status(400).json({ error: 'Invalid contact id' });
+    }
+
+    const progress = await campaignScheduler.pauseContact(campaign, req.params.contactId);
+    if (!progress) {
+      return res.status(409).json({ error: 'Contact is not active in this campaign' });
+    }
+    res.json({ success: true, progress });
+  } catch (err) {
+    console.error('❌ Pause contact error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/:campaignId/enrollments/:contactId/resume', requireAuth, requirePermission('campaigns:control'), async (req, res) => {
+  try {
+    const campaign = await loadTimelineCampaign(req, res);
+    if (!campaign) return;
+    const contact = await loadContact(req, res);
+    if (!contact) return;
+
+    const result = await campaignScheduler.resumeContact(campaign, contact);
+    if (!result) {
+      return res.status(409).json({ error: 'Contact is not paused in this campaign' });
+    }
+    res.json({ success: true, progress: result.progress, jobs: result.jobs.length });
+  } catch (err) {
+    console.error('❌ Resume contact error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Move a contact to day `day`, falling on `startDate` (default today)
+router.post('/:campaignId/enrollments/:contactId/move', requireAuth, requirePermission('campaigns:control'), async (req, res) => {
+  try {
+    const campaign = await loadTimelineCampaign(req, res);
+    if (!campaign) return;
+
+    const { day, startDate } = req.body;
+    if (day === undefined) {
+      return res.status(400).json({ error: 'day is required' });
+    }
+    const positionError = validateTimelinePosition(campaign, day, startDate);
+    if (positionError) {
+      return res.status(400).json({ error: positionError });
+    }
+
+    const contact = await loadContact(req, res);
+    if (!contact) return;
+
+    const result = await campaignScheduler.moveContact(campaign, contact, day, startDate);
+    if (!result) {
+      return res.status(404).json({ error: 'Contact is not enrolled' });
+    }
+    res.json({ success: true, progress: result.progress, jobs: result.jobs.length });
+  } catch (err) {
+    console.error('❌ Move contact error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Options contacts chose on a button / list step
+router.get('/:campaignId/steps/:stepId/responses', requireAuth, async (req, res) => {
+  try {
+    const { campaignId, stepId } = req.params;
+    if (!mongoose.isValidObjectId(campaignId) || !mongoose.isValidObjectId(stepId)) {
+      return res.status(404).json({ error: 'Step not found' });
+    }
+
+    const step = await CampaignStep.findOne({ _id: stepId, campaignId }).lean();
+    if (!step) {
+      return res.status(404).json({ error: 'Step not found' });
+    }
+
+    const options = await CampaignProgress.aggregate([
+      {
+        $match: {
+          tenantId: new mongoose.Types.ObjectId(String(req.tenantId)),
+          campaignId: new mongoose.Types.ObjectId(campaignId)
+        }
+      },
+      { $unwind: '$responses' },
+      { $match: { 'responses.stepId': new mongoose.Types.ObjectId(stepId) } },
+      {
+        $group: {
+          _id: '$responses.optionId',
+          title: { $last: '$responses.title' },
+          responses: { $sum: 1 },
+          contacts: { $addToSet: '$contactId' },
+          lastRespondedAt: { $max: '$responses.respondedAt' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          optionId: '$_id',
+          title: 1,
+          responses: 1,
+          contacts: { $size: '$contacts' },
+          lastRespondedAt: 1
+        }
+      },
+      { $sort: { contacts: -1 } }
+    ]);
+
+    res.json({
+      stepId,
+      type: step.type,
+      totalResponses: options.reduce((sum, o) => sum + o.responses, 0),
+      options
+    });
+  } catch (err) {
+    console.error('❌ Step responses error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// A/B test results of a step: delivery, read, reply and goal rates per variant
+router.get('/:campaignId/steps/:stepId/variants', requireAuth, async (req, res) => {
+  try {
+    const { campaignId, stepId } = req.params;
+    if (!mongoose.isValidObjectId(campaignId) || !mongoose.isValidObjectId(stepId)) {
+      return res.status(404).json({ error: 'Step not found' });
+    }
+
+    const campaign = await Campaign.findOne({ _id: campaignId, tenantId: req.tenantId }).select('_id');
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const step = await CampaignStep.findOne({ _id: stepId, campaignId }).lean();
+    if (!step) {
+      return res.status(404).json({ error: 'Step not found' });
+    }
+    if (!step.variants?.length) {
+      return res.status(400).json({ error: 'Step has no variants' });
+    }
+
+    const results = await stepVariants.results(step);
+
+    res.json({
+      stepId,
+      goal: step.abTest?.goal?.type ? step.abTest.goal : null,
+      windowHours: step.abTest?.windowHours || 72,
+      autoPromote: !!step.abTest?.autoPromote,
+      promotedVariant: step.abTest?.promotedVariant || null,
+      promotedAt: step.abTest?.promotedAt || null,
+      ...results
+    });
+  } catch (err) {
+    console.error('❌ Step variants error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Render a step for one contact (?contactId= or ?phone=) without sending it
+router.get('/:campaignId/steps/:stepId/preview', requireAuth, async (req, res) => {
+  try {
+    const { campaignId, stepId } = req.params;
+    const { contactId, phone } = req.query;
+    if (!mongoose.isValidObjectId(campaignId) || !mongoose.isValidObjectId(stepId)) {
+      return res.status(404).json({ error: 'Step not found' });
+    }
+    if (!contactId && !phone) {
+      return res.status(400).json({ error: 'contactId or phone is required' });
+    }
+
+    const campaign = await Campaign.findOne({ _id: campaignId, tenantId: req.tenantId });
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const step = await CampaignStep.findOne({ _id: stepId, campaignId });
+    if (!step) {
+      return res.status(404).json({ error: 'Step not found' });
+    }
+
+    let contact = null;
+    if (contactId && mongoose.isValidObjectId(contactId)) {
+      contact = await Contact.findOne({ _id: contactId, tenantId: req.tenantId });
+    } else if (phone) {
+      const normalized = await normalizeTenantPhone(phone, req.tenantId);
+      contact = normalized ? await Contact.findOne({ tenantId: req.tenantId, phone: normalized }) : null;
+    }
+    if (!contact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const progress = await CampaignProgress.findOne({ campaignId, contactId: contact._id })
+      .select('currentDay')
+      .lean();
+
+    // The variant this contact gets in an A/B test
+    const variant = stepVariants.pickVariant(step, contact._id);
+
+    const resolved = await resolveStepContent(
+      stepVariants.applyVariant(step, variant),
+      { contact, campaign, day: progress?.currentDay },
+      req.tenantId,
+      { preview: true }
+    );
+    const { missing } = resolved;
+    const message = describeStepMessage(resolved);
+
+    res.json({
+      step: { id: step._id, type: step.type, day: step.day, sequence: step.sequence },
+      variant: variant ? variant.key : null,
+      contact: { id: contact._id, name: contact.name, phone: contact.phone },
+      message,
+      missing,
+      ready: missing.length === 0
+    });
+  } catch (err) {
+    console.error('❌ Step preview error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Dry run: the send plan per contact between ?from= and ?to= (ISO dates,
+// default the next 7 days) as the scheduler would compute it. Nothing is
+// sent or scheduled. ?contactIds=a,b simulates those contacts, ?limit= caps
+// the contacts listed.
+router.get('/:campaignId/simulate', requireAuth, async (req, res) => {
+  try {
+    const { campaignId } = req.params;
+    if (!mongoose.isValidObjectId(campaignId)) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const campaign = await Campaign.findOne({ _id: campaignId, tenantId: req.tenantId });
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    // A bare date is the start (from) or end (to) of that day
+    const parseDate = (value, edge) => {
+      const date = moment(value, moment.ISO_8601, true);
+      if (!date.isValid()) return null;
+      return (DATE_PATTERN.test(value) ? date[edge]('day') : date).toDate();
+    };
+
+    const from = req.query.from ? parseDate(req.query.from, 'startOf') : new Date();
+    if (!from) {
+      return res.status(400).json({ error: 'from must be an ISO date' });
+    }
+    const start = from > new Date() ? from : new Date();
+    const to = req.query.to
+      ? parseDate(req.query.to, 'endOf')
+      : moment(start).add(campaignSimulator.DEFAULT_DAYS, 'days').toDate();
+    if (!to) {
+      return res.status(400).json({ error: 'to must be an ISO date' });
+    }
+    if (to <= start) {
+      return res.status(400).json({ error: 'to must be in the future and after from' });
+    }
+    if (moment(to).diff(start, 'days', true) > campaignSimulator.MAX_DAYS) {
+      return res.status(400).json({ error: `The range can be at most ${campaignSimulator.MAX_DAYS} days` });
+    }
+
+    let contactIds = null;
+    if (req.query.contactIds) {
+      contactIds = String(req.query.contactIds).split(',').map(id => id.trim()).filter(Boolean);
+      if (contactIds.some(id => !mongoose.isValidObjectId(id))) {
+        return res.status(400).json({ error: 'Invalid contact id in contactIds' });
+      }
+      if (contactIds.length > campaignSimulator.MAX_CONTACTS) {
+        return res.status(400).json({ error: `At most ${campaignSimulator.MAX_CONTACTS} contacts per simulation` });
+      }
+    }
+
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : undefined;
+    if (limit !== undefined && !(limit > 0)) {
+      return res.status(400).json({ error: 'limit must be a positive number' });
+    }
+
+    const result = await campaignSimulator.simulate(campaign, { from: start, to, contactIds, limit });
+    res.json(result);
+  } catch (err) {
+    console.error('❌ Campaign simulation error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // --- Debug & Monitoring Routes ---
 
 // Get scheduler status
@@ -586,7 +1137,7 @@ router.get('/debug/scheduler/status', requireAuth, async (req, res) => {
 });
 
 // Manually trigger campaign (for testing)
-router.post('/:campaignId/trigger-test', requireAuth, async (req, res) => {
+router.post('/:campaignId/trigger-test', requireAuth, requirePermission('campaigns:control'), async (req, res) => {
   try {
     const campaign = await Campaign.findById(req.params.campaignId);
     if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
@@ -602,7 +1153,8 @@ router.post('/:campaignId/trigger-test', requireAuth, async (req, res) => {
     // Get first contact
     const contacts = await Contact.find({ 
       tenantId: campaign.tenantId,
-      section: { $in: campaign.sectionIds }
+      section: { $in: campaign.sectionIds },
+      ...optOutService.SENDABLE_CONTACT_FILTER
     }).limit(1);
 
     if (contacts.length === 0) {
@@ -615,7 +1167,10 @@ router.post('/:campaignId/trigger-test', requireAuth, async (req, res) => {
     console.log(`🧪 Test sending to ${contact.phone}`);
     
     // Use scheduler to send
-    const result = await campaignScheduler.sendToSingleContact(step, contact, campaign);
+    // Test sends get their own ledger key so they never block the real occurrence
+    const result = await campaignScheduler.sendToSingleContact(step, contact, campaign, {
+      occurrenceDate: `test-${Date.now()}`
+    });
     
     res.json({
       success: result.success,
@@ -631,7 +1186,7 @@ router.post('/:campaignId/trigger-test', requireAuth, async (req, res) => {
 });
 
 // Fix campaign scheduling
-router.post('/:campaignId/fix-scheduling', requireAuth, async (req, res) => {
+router.post('/:campaignId/fix-scheduling', requireAuth, requirePermission('campaigns:control'), async (req, res) => {
   try {
     const campaign = await Campaign.findById(req.params.campaignId);
     if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
@@ -643,7 +1198,7 @@ router.post('/:campaignId/fix-scheduling', requireAuth, async (req, res) => {
     console.log(`🔧 Fixing scheduling for ${campaign.name}`);
     
     // Stop current scheduling
-    campaignScheduler.stopCampaign(campaign._id);
+    await campaignScheduler.stopCampaign(campaign._id);
     
     // Re-setup
     await campaignScheduler.setupCampaign(campaign);
@@ -660,43 +1215,33 @@ router.post('/:campaignId/fix-scheduling', requireAuth, async (req, res) => {
   }
 });
 
-// Check for duplicate messages
-router.get('/:campaignId/check-duplicates', requireAuth, async (req, res) => {
+// Send ledger overview: every campaign send is reserved under
+// campaign:step:contact:occurrenceDate, so duplicates cannot be recorded.
+// Unconfirmed reservations are sends whose outcome is unknown (worker died
+// between reserving and committing) and are worth checking by hand.
+router.get('/:campaignId/check-duplicates', requireAuth, requirePermission('campaigns:control'), async (req, res) => {
   try {
     const campaignId = req.params.campaignId;
     
-    // Find potential duplicates (same contact, same step within 1 hour)
-    const duplicates = await MessageLog.aggregate([
-      {
-        $match: {
-          campaignId: mongoose.Types.ObjectId(campaignId),
-          status: 'sent'
-        }
-      },
-      {
-        $group: {
-          _id: {
-            contactId: '$contactId',
-            stepSequence: '$stepSequence',
-            date: {
-              $dateToString: { format: "%Y-%m-%d", date: "$createdAt" }
-            }
-          },
-          count: { $sum: 1 },
-          messages: { $push: "$$ROOT" }
-        }
-      },
-      {
-        $match: {
-          count: { $gt: 1 }
-        }
-      }
+    if (!mongoose.isValidObjectId(campaignId)) {
+      return res.status(400).json({ error: 'Invalid campaign id' });
+    }
+
+    // Unconfirmed reservations carry recipient phones: own campaigns only
+    const campaign = await Campaign.findOne({ _id: campaignId, tenantId: req.tenantId }).select('_id');
+    if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+    
+    const [totalMessages, ledger, unconfirmed] = await Promise.all([
+      MessageLog.countDocuments({ campaignId }),
+      sendLedger.getSummary(campaignId),
+      sendLedger.getUnconfirmed(campaignId)
     ]);
     
     res.json({
-      totalMessages: await MessageLog.countDocuments({ campaignId }),
-      potentialDuplicates: duplicates.length,
-      duplicates: duplicates
+      totalMessages,
+      ledger,
+      unconfirmedCount: unconfirmed.length,
+      unconfirmed
     });
     
   } catch (err) {
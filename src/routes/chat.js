@@ -9,14 +9,19 @@ const MessageLog = require("../models/MessageLog");
 const ChatSession = require("../models/ChatSession");
 const Contact = require("../models/Contact");
 const requireAuth = require("../middleware/auth");
+const { hasPermission, requirePermission, chatScope, requireChatAccess } = require("../middleware/permissions");
 const { 
   sendText, 
   sendImage, 
   sendVideo, 
-  sendDocument,
   sendTemplate,
   sendChatMessage 
 } = require("../services/whatsapp");
+const { normalizeTenantPhone } = require("../utils/phone");
+const conversationWindow = require("../services/conversationWindow");
+const inboundMedia = require("../services/inboundMedia");
+const mediaStorage = require("../services/mediaStorage");
+const realtime = require("../services/realtime");
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -60,10 +65,16 @@ const upload = multer({
 // HELPER FUNCTIONS
 // ===============================
 
+// Sessions are keyed by the normalized phone; plain digits keep legacy rows reachable
+async function resolveSessionPhone(rawPhone, tenantId) {
+  const normalized = await normalizeTenantPhone(rawPhone, tenantId, { stored: true });
+  return normalized || String(rawPhone || '').replace(/\D/g, '');
+}
+
 // Update chat session
 async function updateChatSession(tenantId, phone, messageData) {
   try {
-    const cleanedPhone = phone.replace("+", "").trim();
+    const cleanedPhone = await resolveSessionPhone(phone, tenantId);
     
     // Find or create contact
     let contact = await Contact.findOne({ 
@@ -125,6 +136,9 @@ async function updateChatSession(tenantId, phone, messageData) {
   }
 }
 
+// Users without chats:all only reach conversations assigned to them
+router.param("phone", requireChatAccess);
+
 // ===============================
 // 1. GET ALL CHAT SESSIONS
 // ===============================
@@ -149,7 +163,7 @@ router.get("/sessions", requireAuth, async (req, res) => {
     }
 
     // Build query
-    let query = { tenantId };
+    let query = { tenantId, ...chatScope(req) };
     
     // Search
     if (search && search.trim() !== '') {
@@ -189,6 +203,9 @@ router.get("/sessions", requireAuth, async (req, res) => {
     const unreadSessions = await ChatSession.countDocuments({ ...query, unreadCount: { $gt: 0 } });
     const repliedSessions = await ChatSession.countDocuments({ ...query, hasReplied: true });
 
+    // 24-hour customer service window per session
+    const windows = await conversationWindow.getWindows(tenantId, sessions.map(s => s.phone));
+
     // Get unread count for each session
     const sessionsWithCounts = await Promise.all(sessions.map(async (session) => {
       const unreadCount = await MessageLog.countDocuments({
@@ -200,9 +217,13 @@ router.get("/sessions", requireAuth, async (req, res) => {
         status: { $in: ['sent', 'delivered', 'read'] }
       });
       
+      const { windowOpen, windowExpiresAt } = windows.get(session.phone);
+
       return {
         ...session,
-        actualUnreadCount: unreadCount
+        actualUnreadCount: unreadCount,
+        windowOpen,
+        windowExpiresAt
       };
     }));
 
@@ -220,7 +241,7 @@ router.get("/sessions", requireAuth, async (req, res) => {
         unread: unreadSessions,
         replied: repliedSessions,
         notReplied: totalSessions - repliedSessions,
-        archived: await ChatSession.countDocuments({ tenantId, isArchived: true })
+        archived: await ChatSession.countDocuments({ tenantId, ...chatScope(req), isArchived: true })
       }
     });
 
@@ -239,7 +260,7 @@ router.get("/sessions", requireAuth, async (req, res) => {
 router.get("/sessions/:phone", requireAuth, async (req, res) => {
   try {
     const tenantId = req.user?.tenantId || req.tenantId || process.env.DEFAULT_TENANT_ID;
-    const phone = req.params.phone.replace("+", "").trim();
+    const phone = await resolveSessionPhone(req.params.phone, tenantId);
 
     if (!tenantId) {
       return res.status(400).json({ 
@@ -296,11 +317,15 @@ router.get("/sessions/:phone", requireAuth, async (req, res) => {
     .limit(5)
     .lean();
 
+    const { windowOpen, windowExpiresAt } = await conversationWindow.getWindow(tenantId, phone);
+
     res.json({
       success: true,
       session: {
         ...session,
-        unreadCount: 0
+        unreadCount: 0,
+        windowOpen,
+        windowExpiresAt
       },
       messages,
       contact: session.contactId,
@@ -325,7 +350,7 @@ router.post("/sessions/:phone/messages",
   async (req, res) => {
     try {
       const tenantId = req.user?.tenantId || req.tenantId || process.env.DEFAULT_TENANT_ID;
-      const phone = req.params.phone.replace("+", "").trim();
+      const phone = await normalizeTenantPhone(req.params.phone, tenantId, { stored: true });
       const { 
         message = '', 
         type = 'text', 
@@ -343,6 +368,13 @@ router.post("/sessions/:phone/messages",
         });
       }
 
+      if (!phone) {
+        return res.status(400).json({ 
+          success: false, 
+          error: "Invalid phone number" 
+        });
+      }
+
       if (!message && !mediaFile && !templateName) {
         return res.status(400).json({ 
           success: false, 
@@ -350,6 +382,14 @@ router.post("/sessions/:phone/messages",
         });
       }
 
+      // Free-form messages need an open 24-hour window; templates are always allowed
+      if (!templateName) {
+        const window = await conversationWindow.getWindow(tenantId, phone);
+        if (!window.windowOpen) {
+          return res.status(409).json(await conversationWindow.buildClosedError(tenantId, window));
+        }
+      }
+
       let whatsappResponse;
       let messageType = type;
       let providerMessageId = null;
@@ -358,10 +398,12 @@ router.post("/sessions/:phone/messages",
       if (templateName) {
         // Send template message
         whatsappResponse = await sendTemplate({
-          to: `91${phone}`,
+          to: phone,
           templateName,
           language: templateLanguage,
-          dynamicParams: templateVariables ? JSON.parse(templateVariables) : []
+          dynamicParams: templateVariables ? JSON.parse(templateVariables) : [],
+          tenantId,
+          lane: 'inbox'
         });
         messageType = 'template';
         providerMessageId = whatsappResponse?.messages?.[0]?.id;
@@ -374,32 +416,41 @@ router.post("/sessions/:phone/messages",
         const mimeType = mediaFile.mimetype;
         if (mimeType.startsWith('image/')) {
           whatsappResponse = await sendImage({
-            to: `91${phone}`,
+            to: phone,
             imageUrl: mediaUrl,
-            caption: message
+            caption: message,
+            tenantId,
+            lane: 'inbox'
           });
           messageType = 'image';
         } else if (mimeType.startsWith('video/')) {
           whatsappResponse = await sendVideo({
-            to: `91${phone}`,
+            to: phone,
             videoUrl: mediaUrl,
-            caption: message
+            caption: message,
+            tenantId,
+            lane: 'inbox'
           });
           messageType = 'video';
         } else if (mimeType.startsWith('audio/')) {
           whatsappResponse = await sendChatMessage({
-            to: `91${phone}`,
+            to: phone,
             body: message,
             type: 'audio',
-            mediaUrl: mediaUrl
+            mediaUrl: mediaUrl,
+            tenantId,
+            lane: 'inbox'
           });
           messageType = 'audio';
         } else {
-          whatsappResponse = await sendDocument({
-            to: `91${phone}`,
-            documentUrl: mediaUrl,
+          whatsappResponse = await sendChatMessage({
+            to: phone,
+            type: 'document',
+            mediaUrl: mediaUrl,
             filename: mediaFile.originalname,
-            caption: message
+            caption: message,
+            tenantId,
+            lane: 'inbox'
           });
           messageType = 'document';
         }
@@ -408,8 +459,10 @@ router.post("/sessions/:phone/messages",
       } else {
         // Send text message
         whatsappResponse = await sendText({
-          to: `91${phone}`,
-          body: message
+          to: phone,
+          body: message,
+          tenantId,
+          lane: 'inbox'
         });
         messageType = 'text';
         providerMessageId = whatsappResponse?.messages?.[0]?.id;
@@ -424,7 +477,7 @@ router.post("/sessions/:phone/messages",
         type: messageType,
         direction: "outbound",
         status: "sent",
-        provider: "meta",
+        provider: whatsappResponse?.provider || "meta",
         provider_message_id: providerMessageId,
         templateName: templateName || null,
         language: templateLanguage || null,
@@ -443,17 +496,14 @@ router.post("/sessions/:phone/messages",
       });
 
       // Socket emit
-      const io = req.app.get("io");
-      if (io) {
-        io.to(`tenant_${tenantId}`).emit("message:new", messageLog);
-        io.to(`tenant_${tenantId}`).emit("session:updated", {
-          phone,
-          lastMessage: message || (templateName ? `Template: ${templateName}` : '[Media]'),
-          lastDirection: 'outbound',
-          lastStatus: 'sent',
-          updatedAt: new Date()
-        });
-      }
+      await realtime.emitChatEvent(tenantId, phone, realtime.EVENTS.MESSAGE_NEW, messageLog);
+      await realtime.emitChatEvent(tenantId, phone, realtime.EVENTS.SESSION_UPDATED, {
+        phone,
+        lastMessage: message || (templateName ? `Template: ${templateName}` : '[Media]'),
+        lastDirection: 'outbound',
+        lastStatus: 'sent',
+        updatedAt: new Date()
+      });
 
       res.json({
         success: true,
@@ -470,20 +520,21 @@ router.post("/sessions/:phone/messages",
         await MessageLog.create({
           tenantId: req.tenantId,
           from: process.env.BUSINESS_PHONE_NUMBER || "business",
-          to: req.params.phone.replace("+", "").trim(),
+          to: await resolveSessionPhone(req.params.phone, req.tenantId),
           body: req.body.message || '',
           type: req.body.type || 'text',
           direction: 'outbound',
           status: 'failed',
-          provider: 'meta',
+          provider: error.provider || 'meta',
           error: error.message,
           timestamp: new Date(),
           payload: error.response?.data
         });
       }
 
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
+        code: error.code,
         error: error.response?.data?.error?.message || error.message
       });
     }
@@ -496,7 +547,7 @@ router.post("/sessions/:phone/messages",
 router.get("/sessions/:phone/messages", requireAuth, async (req, res) => {
   try {
     const tenantId = req.user?.tenantId || req.tenantId || process.env.DEFAULT_TENANT_ID;
-    const phone = req.params.phone.replace("+", "").trim();
+    const phone = await resolveSessionPhone(req.params.phone, tenantId);
     const { 
       limit = 100, 
       offset = 0,
@@ -578,7 +629,7 @@ router.get("/sessions/:phone/messages", requireAuth, async (req, res) => {
 router.patch("/sessions/:phone", requireAuth, async (req, res) => {
   try {
     const tenantId = req.user?.tenantId || req.tenantId || process.env.DEFAULT_TENANT_ID;
-    const phone = req.params.phone.replace("+", "").trim();
+    const phone = await resolveSessionPhone(req.params.phone, tenantId);
     const updateData = req.body;
 
     if (!tenantId) {
@@ -588,6 +639,14 @@ router.patch("/sessions/:phone", requireAuth, async (req, res) => {
       });
     }
 
+    if (updateData.assignedTo !== undefined && !hasPermission(req, 'chats:assign')) {
+      return res.status(403).json({ 
+        success: false, 
+        error: "Permission denied", 
+        permission: 'chats:assign' 
+      });
+    }
+
     const session = await ChatSession.findOneAndUpdate(
       { tenantId, phone },
       { $set: updateData },
@@ -602,10 +661,7 @@ router.patch("/sessions/:phone", requireAuth, async (req, res) => {
     }
 
     // Socket emit
-    const io = req.app.get("io");
-    if (io) {
-      io.to(`tenant_${tenantId}`).emit("session:updated", session);
-    }
+    await realtime.emitChatEvent(tenantId, phone, realtime.EVENTS.SESSION_UPDATED, session, session.assignedTo || null);
 
     res.json({
       success: true,
@@ -628,7 +684,7 @@ router.patch("/sessions/:phone", requireAuth, async (req, res) => {
 router.delete("/sessions/:phone", requireAuth, async (req, res) => {
   try {
     const tenantId = req.user?.tenantId || req.tenantId || process.env.DEFAULT_TENANT_ID;
-    const phone = req.params.phone.replace("+", "").trim();
+    const phone = await resolveSessionPhone(req.params.phone, tenantId);
 
     if (!tenantId) {
       return res.status(400).json({ 
@@ -647,10 +703,7 @@ router.delete("/sessions/:phone", requireAuth, async (req, res) => {
     }
 
     // Socket emit
-    const io = req.app.get("io");
-    if (io) {
-      io.to(`tenant_${tenantId}`).emit("session:deleted", { phone });
-    }
+    await realtime.emitChatEvent(tenantId, phone, realtime.EVENTS.SESSION_DELETED, { phone }, session.assignedTo || null);
 
     res.json({
       success: true,
@@ -681,17 +734,14 @@ router.post("/sessions/mark-all-read", requireAuth, async (req, res) => {
     }
 
     const result = await ChatSession.updateMany(
-      { tenantId, unreadCount: { $gt: 0 } },
+      { tenantId, ...chatScope(req), unreadCount: { $gt: 0 } },
       { $set: { unreadCount: 0 } }
     );
 
     // Socket emit
-    const io = req.app.get("io");
-    if (io) {
-      io.to(`tenant_${tenantId}`).emit("sessions:marked_read", {
-        modifiedCount: result.modifiedCount
-      });
-    }
+    await realtime.emitChatEvent(tenantId, null, realtime.EVENTS.SESSIONS_MARKED_READ, {
+      modifiedCount: result.modifiedCount
+    }, req.user.id);
 
     res.json({
       success: true,
@@ -752,20 +802,18 @@ router.post("/sessions/bulk/action", requireAuth, async (req, res) => {
         });
     }
 
+    const sessionPhones = await Promise.all(phones.map(p => resolveSessionPhone(p, tenantId)));
     const result = await ChatSession.updateMany(
-      { tenantId, phone: { $in: phones } },
+      { tenantId, ...chatScope(req), phone: { $in: sessionPhones } },
       { $set: updateQuery }
     );
 
     // Socket emit
-    const io = req.app.get("io");
-    if (io) {
-      phones.forEach(phone => {
-        io.to(`tenant_${tenantId}`).emit("session:updated", {
-          phone,
-          ...updateQuery,
-          updatedAt: new Date()
-        });
+    for (const phone of sessionPhones) {
+      await realtime.emitChatEvent(tenantId, phone, realtime.EVENTS.SESSION_UPDATED, {
+        phone,
+        ...updateQuery,
+        updatedAt: new Date()
       });
     }
 
@@ -816,12 +864,24 @@ router.get("/search/messages", requireAuth, async (req, res) => {
     };
 
     if (phone && phone.trim() !== '') {
+      const sessionPhone = await resolveSessionPhone(phone, tenantId);
       searchQuery.$or = [
-        { from: phone.trim() },
-        { to: phone.trim() }
+        { from: sessionPhone },
+        { to: sessionPhone }
       ];
     }
 
+    // Limit to the user's assigned conversations
+    if (!hasPermission(req, 'chats:all')) {
+      const assignedPhones = await ChatSession.distinct('phone', { tenantId, ...chatScope(req) });
+      searchQuery.$and = [{
+        $or: [
+          { from: { $in: assignedPhones } },
+          { to: { $in: assignedPhones } }
+        ]
+      }];
+    }
+
     const messages = await MessageLog.find(searchQuery)
       .sort({ timestamp: -1 })
       .limit(parseInt(limit))
@@ -845,7 +905,7 @@ router.get("/search/messages", requireAuth, async (req, res) => {
 // ===============================
 // 10. CHAT STATISTICS
 // ===============================
-router.get("/stats/summary", requireAuth, async (req, res) => {
+router.get("/stats/summary", requireAuth, requirePermission('chats:all'), async (req, res) => {
   try {
     const tenantId = req.user?.tenantId || req.tenantId || process.env.DEFAULT_TENANT_ID;
     const { startDate, endDate } = req.query;
@@ -1026,7 +1086,7 @@ router.get("/stats/summary", requireAuth, async (req, res) => {
 router.get("/sessions/:phone/export", requireAuth, async (req, res) => {
   try {
     const tenantId = req.user?.tenantId || req.tenantId || process.env.DEFAULT_TENANT_ID;
-    const phone = req.params.phone.replace("+", "").trim();
+    const phone = await resolveSessionPhone(req.params.phone, tenantId);
     const { format = 'json' } = req.query;
 
     if (!tenantId) {
@@ -1117,13 +1177,15 @@ router.get("/stats/unread", requireAuth, async (req, res) => {
       });
     }
 
+    const scope = chatScope(req);
     const totalUnread = await ChatSession.aggregate([
-      { $match: { tenantId: new mongoose.Types.ObjectId(tenantId), isArchived: false } },
+      { $match: { tenantId: new mongoose.Types.ObjectId(tenantId), ...scope, isArchived: false } },
       { $group: { _id: null, total: { $sum: "$unreadCount" } } }
     ]);
 
     const unreadSessions = await ChatSession.countDocuments({
       tenantId,
+      ...scope,
       unreadCount: { $gt: 0 },
       isArchived: false
     });
@@ -1144,4 +1206,78 @@ router.get("/stats/unread", requireAuth, async (req, res) => {
   }
 });
 
+// ===============================
+// 13. INBOUND MEDIA PROXY
+// ===============================
+// Streams archived media of an inbound message to the inbox. Media that is
+// not archived yet (or failed) is downloaded from WhatsApp first.
+router.get("/media/:messageId", requireAuth, async (req, res) => {
+  try {
+    const tenantId = req.user?.tenantId || req.tenantId || process.env.DEFAULT_TENANT_ID;
+    const { messageId } = req.params;
+
+    if (!mongoose.isValidObjectId(messageId)) {
+      return res.status(404).json({ success: false, error: "Media not found" });
+    }
+
+    let message = await MessageLog.findOne({ _id: messageId, tenantId, "media.id": { $exists: true } }).lean();
+    if (!message) {
+      return res.status(404).json({ success: false, error: "Media not found" });
+    }
+
+    // Same rule as the conversation itself
+    if (!hasPermission(req, "chats:all")) {
+      const assigned = await ChatSession.exists({ tenantId, phone: message.from, ...chatScope(req) });
+      if (!assigned) {
+        return res.status(403).json({ success: false, error: "This conversation is not assigned to you" });
+      }
+    }
+
+    if (message.media.status !== "stored") {
+      try {
+        message = await inboundMedia.archive(message._id);
+      } catch (error) {
+        return res.status(502).json({
+          success: false,
+          error: "Could not download the media from WhatsApp",
+          details: error.response?.data?.error?.message || error.message
+        });
+      }
+      if (!message) {
+        return res.status(202).json({ success: false, status: "downloading", error: "Media is still downloading, try again shortly" });
+      }
+    }
+
+    const { media } = message;
+    const etag = `"${media.sha256}"`;
+    if (req.headers["if-none-match"] === etag) {
+      return res.status(304).end();
+    }
+
+    const stream = await mediaStorage.open(media);
+    res.set({
+      "Content-Type": media.mimeType || "application/octet-stream",
+      "Cache-Control": "private, max-age=86400",
+      ETag: etag
+    });
+    if (media.size) res.set("Content-Length", String(media.size));
+    if (media.filename) {
+      res.set("Content-Disposition", `inline; filename="${media.filename.replace(/["\\\r\n]/g, "_")}"`);
+    }
+
+    stream.on("error", (error) => {
+      console.error("Media stream error:", error.message);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    console.error("Media proxy error:", error);
+    res.status(500).json({ 
+      success: false, 
+      error: "Failed to load media" 
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
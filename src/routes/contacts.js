@@ -9,17 +9,26 @@ const path = require('path');
 
 const requireAuth = require('../middleware/auth');
 const Contact = require('../models/Contact');
-const { validatePhone } = require('../utils/validators');
+const { normalizePhone, getTenantDefaultCountry } = require('../utils/phone');
+const { isValidTimezone } = require('../utils/timezone');
+const optOutService = require('../services/optOutService');
+const campaignTriggers = require('../services/campaignTriggers');
+const campaignScheduler = require('../services/campaignScheduler');
+const stepVariants = require('../services/stepVariants');
 
 const upload = multer({ dest: 'src/uploads/' });
 
 // Create contact
 router.post('/', requireAuth, async (req, res) => {
   try {
-    const { name, phone, tags, section } = req.body;
-    if (!validatePhone(phone)) return res.status(400).json({ error: 'Invalid phone format' });
-    const doc = await Contact.create({ tenantId: req.tenantId, name, phone, tags, section });
+    const { name, tags, section, timezone } = req.body;
+    const phone = normalizePhone(req.body.phone, await getTenantDefaultCountry(req.tenantId));
+    if (!phone) return res.status(400).json({ error: 'Invalid phone number' });
+    if (timezone && !isValidTimezone(timezone)) return res.status(400).json({ error: `Unknown timezone "${timezone}"` });
+    const doc = await Contact.create({ tenantId: req.tenantId, name, phone, tags, section, timezone: timezone || undefined });
     res.json(doc);
+    // Enroll in triggered campaigns after responding
+    campaignTriggers.onContactCreated(doc, req.apiKey ? 'api' : 'manual');
   } catch (err) {
     console.error(err);
     if (err.code === 11000) return res.status(400).json({ error: 'Contact already exists' });
@@ -47,13 +56,19 @@ router.post('/import', requireAuth, upload.single('file'), async (req,res)=>{
     const imported=[];
     const tenantId = req.tenantId;
     const section = req.body.section;
+    const country = await getTenantDefaultCountry(tenantId);
+    const invalid=[];
 
     const ext = path.extname(req.file.originalname).toLowerCase();
 
     const processRow = async r => {
-      const phone = (r.phone || r.phone_number || r.mobile || '').toString().trim();
-      if(!validatePhone(phone)) return;
-      try { await Contact.create({ tenantId, name: r.name || r.fullname || '', phone, tags: r.tags ? r.tags.split(',').map(s=>s.trim()) : [], section }); imported.push(phone); } catch(err){}
+      const rawPhone = (r.phone || r.phone_number || r.mobile || '').toString().trim();
+      const phone = normalizePhone(rawPhone, country);
+      if(!phone) { invalid.push(rawPhone); return; }
+      let doc;
+      const timezone = isValidTimezone(r.timezone) ? r.timezone : undefined;
+      try { doc = await Contact.create({ tenantId, name: r.name || r.fullname || '', phone, tags: r.tags ? r.tags.split(',').map(s=>s.trim()) : [], section, timezone }); imported.push(phone); } catch(err){ return; }
+      await campaignTriggers.onContactCreated(doc, 'import');
     }
 
     if(ext==='.csv'){
@@ -64,7 +79,7 @@ router.post('/import', requireAuth, upload.single('file'), async (req,res)=>{
         .on('end', async ()=>{
           for(const r of rows) await processRow(r);
           fs.unlinkSync(filePath);
-          res.json({ imported: imported.length });
+          res.json({ imported: imported.length, invalid: invalid.length });
         });
     } else {
       const wb = XLSX.readFile(filePath);
@@ -72,11 +87,75 @@ router.post('/import', requireAuth, upload.single('file'), async (req,res)=>{
       const rows = XLSX.utils.sheet_to_json(wb.Sheets[sheet]);
       for(const r of rows) await processRow(r);
       fs.unlinkSync(filePath);
-      res.json({ imported: imported.length });
+      res.json({ imported: imported.length, invalid: invalid.length });
     }
   }catch(err){ console.error(err); res.status(500).json({ error: 'Import failed' }) }
 });
 
+// Update name, email, tags, section or timezone. New tags and a new section
+// fire tag_added / section_joined campaign triggers.
+router.put('/:id', requireAuth, async (req,res)=>{
+  try{
+    const contact = await Contact.findOne({ _id:req.params.id, tenantId:req.tenantId });
+    if(!contact) return res.status(404).json({ error:'Contact not found' });
+
+    const { name, email, tags, section, timezone } = req.body;
+    if(tags !== undefined && (!Array.isArray(tags) || tags.some(t => typeof t !== 'string'))) {
+      return res.status(400).json({ error:'tags must be an array of strings' });
+    }
+    if(timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error:`Unknown timezone "${timezone}"` });
+    }
+
+    const previousTags = new Set((contact.tags || []).map(t => t.toLowerCase()));
+    const previousSection = contact.section ? String(contact.section) : null;
+    const previousTimezone = contact.timezone;
+
+    if(name !== undefined) contact.name = name;
+    if(email !== undefined) contact.email = email;
+    if(tags !== undefined) contact.tags = [...new Set(tags.map(t => t.trim()).filter(Boolean))];
+    if(section !== undefined) contact.section = section || undefined;
+    if(timezone !== undefined) contact.timezone = timezone || undefined;
+    contact.updatedAt = new Date();
+    await contact.save();
+    res.json(contact);
+
+    // Queued steps move to the contact's new local times
+    if(contact.timezone !== previousTimezone) await campaignScheduler.rescheduleContact(contact);
+
+    const addedTags = (contact.tags || []).filter(t => !previousTags.has(t.toLowerCase()));
+    if(addedTags.length) {
+      await campaignTriggers.onTagsAdded(contact, addedTags);
+      await stepVariants.recordGoal(contact, { type:'tag', tags:addedTags });
+    }
+    if(contact.section && String(contact.section) !== previousSection) {
+      await campaignTriggers.onSectionJoined(contact, contact.section);
+    }
+  }catch(err){
+    console.error(err);
+    if(!res.headersSent) res.status(500).json({ error:'Server error' });
+  }
+});
+
+// Manually opt a contact out of / back into campaign messages
+router.post('/:id/opt-out', requireAuth, async (req,res)=>{
+  try{
+    const contact = await Contact.findOne({ _id:req.params.id, tenantId:req.tenantId }).select('phone');
+    if(!contact) return res.status(404).json({ error:'Contact not found' });
+    const event = await optOutService.optOut({ tenantId:req.tenantId, phone:contact.phone, source:req.apiKey ? 'api' : 'agent', reason:req.body.reason || 'Opted out by agent', userId:req.user.id || undefined });
+    res.json({ success:true, event });
+  }catch(err){ console.error(err); res.status(500).json({ error:'Server error' }) }
+});
+
+router.post('/:id/opt-in', requireAuth, async (req,res)=>{
+  try{
+    const contact = await Contact.findOne({ _id:req.params.id, tenantId:req.tenantId }).select('phone');
+    if(!contact) return res.status(404).json({ error:'Contact not found' });
+    const event = await optOutService.optIn({ tenantId:req.tenantId, phone:contact.phone, source:req.apiKey ? 'api' : 'agent', reason:req.body.reason || 'Opted in by agent', userId:req.user.id || undefined });
+    res.json({ success:true, event });
+  }catch(err){ console.error(err); res.status(500).json({ error:'Server error' }) }
+});
+
 // Delete
 router.delete('/:id', requireAuth, async (req,res)=>{
   try{ await Contact.deleteOne({ _id:req.params.id, tenantId:req.tenantId }); res.json({ success:true }) } 
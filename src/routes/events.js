@@ -0,0 +1,59 @@
+// src/routes/events.js
+// Events posted by the tenant's own backend ("signed_up", "order_placed", ...).
+// Each one enrolls the contact in the active triggered campaigns listening
+// for that eventName (services/campaignTriggers.js) and counts as a goal of
+// A/B tested steps that wait for it (services/stepVariants.js).
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const requireAuth = require('../middleware/auth');
+const Contact = require('../models/Contact');
+const campaignTriggers = require('../services/campaignTriggers');
+const stepVariants = require('../services/stepVariants');
+const { normalizeTenantPhone } = require('../utils/phone');
+
+// Post an event: { event, phone | contactId, data }
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const { event, phone, contactId, data } = req.body;
+
+    if (typeof event !== 'string' || !event.trim()) {
+      return res.status(400).json({ error: 'event is required' });
+    }
+    if (!phone && !contactId) {
+      return res.status(400).json({ error: 'phone or contactId is required' });
+    }
+
+    let contact;
+    if (contactId) {
+      if (!mongoose.Types.ObjectId.isValid(contactId)) {
+        return res.status(400).json({ error: 'Invalid contactId' });
+      }
+      contact = await Contact.findOne({ _id: contactId, tenantId: req.tenantId });
+    } else {
+      const normalized = await normalizeTenantPhone(phone, req.tenantId);
+      if (!normalized) {
+        return res.status(400).json({ error: 'Invalid phone number' });
+      }
+      contact = await Contact.findOne({ tenantId: req.tenantId, phone: normalized });
+    }
+
+    if (!contact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const enrollments = await campaignTriggers.onApiEvent(contact, event.trim(), data);
+    // Conversions of A/B tested steps with this event as their goal
+    await stepVariants.recordGoal(contact, { type: 'event', eventName: event.trim() });
+
+    console.log(`📨 Event "${event}" for ${contact.phone}: ${enrollments.filter(e => e.enrolled).length} enrollment(s)`);
+
+    res.json({ event: event.trim(), contactId: contact._id, enrollments });
+
+  } catch (err) {
+    console.error('❌ Post event error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
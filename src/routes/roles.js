@@ -0,0 +1,112 @@
+// src/routes/roles.js
+const express = require('express');
+const router = express.Router();
+const requireAuth = require('../middleware/auth');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const roleService = require('../services/roleService');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Permission catalog for building role editors
+router.get('/permissions', requireAuth, (req, res) => {
+  res.json(Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description })));
+});
+
+// Built-in and custom roles
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    res.json(await roleService.listRoles(req.tenantId));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create a custom role
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    const key = String(req.body.key || name || '')
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+
+    if (!key || !name) return res.status(400).json({ error: 'Name is required' });
+    if (roleService.isBuiltIn(key)) return res.status(400).json({ error: `"${key}" is a built-in role` });
+
+    const { permissions, unknown } = roleService.cleanPermissions(req.body.permissions);
+    if (unknown.length) return res.status(400).json({ error: 'Unknown permissions', unknown });
+    const beyond = roleService.beyondHeld(req.user.permissions, permissions);
+    if (beyond.length) return res.status(403).json({ error: 'You cannot grant permissions you do not have', permissions: beyond });
+
+    const role = await Role.create({
+      tenantId: req.tenantId,
+      key,
+      name,
+      description,
+      permissions,
+      createdBy: req.user.id
+    });
+    res.status(201).json(role);
+  } catch (err) {
+    console.error(err);
+    if (err.code === 11000) return res.status(400).json({ error: 'Role already exists' });
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update a custom role
+router.put('/:key', requireAuth, async (req, res) => {
+  try {
+    const existing = await Role.findOne({ tenantId: req.tenantId, key: req.params.key }).lean();
+    if (!existing) return res.status(404).json({ error: 'Role not found' });
+    // A role above the caller's own is out of their reach
+    if (roleService.beyondHeld(req.user.permissions, roleService.cleanPermissions(existing.permissions).permissions).length) {
+      return res.status(403).json({ error: 'You cannot edit a role with permissions you do not have' });
+    }
+
+    const update = {};
+    if (req.body.name !== undefined) update.name = req.body.name;
+    if (req.body.description !== undefined) update.description = req.body.description;
+    if (req.body.permissions !== undefined) {
+      const { permissions, unknown } = roleService.cleanPermissions(req.body.permissions);
+      if (unknown.length) return res.status(400).json({ error: 'Unknown permissions', unknown });
+      const beyond = roleService.beyondHeld(req.user.permissions, permissions);
+      if (beyond.length) return res.status(403).json({ error: 'You cannot grant permissions you do not have', permissions: beyond });
+      update.permissions = permissions;
+    }
+
+    const role = await Role.findOneAndUpdate(
+      { tenantId: req.tenantId, key: req.params.key },
+      { $set: update },
+      { new: true }
+    );
+    if (!role) return res.status(404).json({ error: 'Role not found' });
+
+    roleService.invalidate(req.tenantId, role.key);
+    res.json(role);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete a custom role that no user still has
+router.delete('/:key', requireAuth, async (req, res) => {
+  try {
+    const inUse = await User.countDocuments({ tenantId: req.tenantId, role: req.params.key });
+    if (inUse) return res.status(400).json({ error: `Role is assigned to ${inUse} user(s)` });
+
+    const role = await Role.findOneAndDelete({ tenantId: req.tenantId, key: req.params.key });
+    if (!role) return res.status(404).json({ error: 'Role not found' });
+
+    roleService.invalidate(req.tenantId, role.key);
+    res.json({ message: 'Role deleted' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,345 @@
+// src/routes/settings.js
+const express = require('express');
+const router = express.Router();
+const requireAuth = require('../middleware/auth');
+const Tenant = require('../models/Tenant');
+const ConsentEvent = require('../models/ConsentEvent');
+const optOutService = require('../services/optOutService');
+const autoReplyService = require('../services/autoReplyService');
+const sendGovernor = require('../services/sendGovernor');
+const providers = require('../services/providers');
+const { getTenantClient, invalidateTenantClient } = require('../services/whatsapp');
+const { invalidateTenantPhoneCache } = require('./webhooks');
+const { normalizeTenantPhone } = require('../utils/phone');
+const moment = require('moment-timezone');
+
+function cleanKeywords(list) {
+  if (!Array.isArray(list)) return null;
+  const keywords = list
+    .map(k => String(k || '').trim())
+    .filter(Boolean);
+  return [...new Set(keywords)];
+}
+
+// Get opt-out keyword settings
+router.get('/opt-out', requireAuth, async (req, res) => {
+  try {
+    const settings = await optOutService.getSettings(req.tenantId);
+    const { optOutSet, optInSet, ...visible } = settings;
+    res.json(visible);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update opt-out keyword settings (settings:write)
+router.put('/opt-out', requireAuth, async (req, res) => {
+  try {
+    const { enabled, optOutKeywords, optInKeywords, sendConfirmation, optOutConfirmation, optInConfirmation } = req.body;
+    const update = {};
+
+    if (enabled !== undefined) update['optOutSettings.enabled'] = !!enabled;
+    if (sendConfirmation !== undefined) update['optOutSettings.sendConfirmation'] = !!sendConfirmation;
+    if (optOutConfirmation !== undefined) update['optOutSettings.optOutConfirmation'] = String(optOutConfirmation);
+    if (optInConfirmation !== undefined) update['optOutSettings.optInConfirmation'] = String(optInConfirmation);
+
+    const outList = optOutKeywords !== undefined ? cleanKeywords(optOutKeywords) : null;
+    const inList = optInKeywords !== undefined ? cleanKeywords(optInKeywords) : null;
+
+    if ((optOutKeywords !== undefined && !outList?.length) || (optInKeywords !== undefined && !inList?.length)) {
+      return res.status(400).json({ error: 'Keyword lists must be non-empty arrays of strings' });
+    }
+
+    // The same keyword cannot both opt out and opt in
+    const current = await optOutService.getSettings(req.tenantId);
+    const outSet = new Set((outList || current.optOutKeywords).map(optOutService.normalizeKeyword));
+    const clash = (inList || current.optInKeywords).find(k => outSet.has(optOutService.normalizeKeyword(k)));
+    if (clash) {
+      return res.status(400).json({ error: `Keyword "${clash}" is in both lists` });
+    }
+
+    if (outList) update['optOutSettings.optOutKeywords'] = outList;
+    if (inList) update['optOutSettings.optInKeywords'] = inList;
+
+    const tenant = await Tenant.findByIdAndUpdate(req.tenantId, { $set: update }, { new: true }).select('optOutSettings');
+    if (!tenant) return res.status(404).json({ error: 'Tenant not found' });
+
+    optOutService.invalidateSettings(req.tenantId);
+    res.json(tenant.optOutSettings);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Returns an error message for invalid business hours, or null
+function validateBusinessHours(hours) {
+  const { TIME_PATTERN } = autoReplyService;
+  if (hours.timezone !== undefined && !moment.tz.zone(hours.timezone)) return `Unknown timezone "${hours.timezone}"`;
+  for (const field of ['startTime', 'endTime']) {
+    if (hours[field] !== undefined && !TIME_PATTERN.test(hours[field])) return `${field} must be HH:mm`;
+  }
+  if (hours.weeklyHours !== undefined) {
+    if (!Array.isArray(hours.weeklyHours)) return 'weeklyHours must be an array';
+    const days = new Set();
+    for (const h of hours.weeklyHours) {
+      if (!Number.isInteger(h.day) || h.day < 0 || h.day > 6) return 'weeklyHours day must be 0 (Sunday) to 6';
+      if (days.has(h.day)) return `weeklyHours has day ${h.day} twice`;
+      days.add(h.day);
+      if (!h.closed && (!TIME_PATTERN.test(h.startTime || '') || !TIME_PATTERN.test(h.endTime || ''))) {
+        return `weeklyHours day ${h.day} needs startTime and endTime as HH:mm`;
+      }
+    }
+  }
+  if (hours.holidays !== undefined) {
+    if (!Array.isArray(hours.holidays)) return 'holidays must be an array';
+    const bad = hours.holidays.find(h => !moment(h.date, 'YYYY-MM-DD', true).isValid());
+    if (bad) return `Holiday date "${bad.date}" must be YYYY-MM-DD`;
+  }
+  return null;
+}
+
+// Get auto-reply and business-hours settings, with whether it is open right now
+router.get('/chat', requireAuth, async (req, res) => {
+  try {
+    const tenant = await Tenant.findById(req.tenantId).select('chatSettings').lean();
+    if (!tenant) return res.status(404).json({ error: 'Tenant not found' });
+    const chatSettings = tenant.chatSettings || {};
+    res.json({
+      ...chatSettings,
+      currentState: autoReplyService.getBusinessHoursState(chatSettings.businessHours)
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update auto-reply and business-hours settings
+router.put('/chat', requireAuth, async (req, res) => {
+  try {
+    const { autoReplyEnabled, autoReplyMessage, autoReplyCooldownHours, businessHours } = req.body;
+    const update = {};
+
+    if (autoReplyEnabled !== undefined) update['chatSettings.autoReplyEnabled'] = !!autoReplyEnabled;
+    if (autoReplyMessage !== undefined) update['chatSettings.autoReplyMessage'] = String(autoReplyMessage);
+    if (autoReplyCooldownHours !== undefined) {
+      const hours = Number(autoReplyCooldownHours);
+      if (!Number.isFinite(hours) || hours < 0) return res.status(400).json({ error: 'autoReplyCooldownHours must be a non-negative number' });
+      update['chatSettings.autoReplyCooldownHours'] = hours;
+    }
+
+    if (businessHours !== undefined) {
+      const error = validateBusinessHours(businessHours);
+      if (error) return res.status(400).json({ error });
+
+      for (const field of ['timezone', 'startTime', 'endTime', 'offlineMessage', 'weeklyHours', 'holidays']) {
+        if (businessHours[field] !== undefined) update[`chatSettings.businessHours.${field}`] = businessHours[field];
+      }
+      if (businessHours.enabled !== undefined) update['chatSettings.businessHours.enabled'] = !!businessHours.enabled;
+    }
+
+    const tenant = await Tenant.findByIdAndUpdate(req.tenantId, { $set: update }, { new: true, runValidators: true }).select('chatSettings');
+    if (!tenant) return res.status(404).json({ error: 'Tenant not found' });
+
+    autoReplyService.invalidateSettings(req.tenantId);
+    res.json(tenant.chatSettings);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Sending limits of the connected number, with today's usage and queue
+router.get('/sending', requireAuth, async (req, res) => {
+  try {
+    const tenant = await Tenant.findById(req.tenantId).select('sendLimits whatsappPhoneId').lean();
+    if (!tenant) return res.status(404).json({ error: 'Tenant not found' });
+    // The governor keys limits by the client's phoneId (not only Meta's)
+    const client = await getTenantClient(req.tenantId).catch(() => null);
+    res.json({
+      sendLimits: tenant.sendLimits || {},
+      effective: await sendGovernor.getStatus(req.tenantId, client?.phoneId || tenant.whatsappPhoneId)
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update sending limits (messagingTier is normally synced from Meta)
+router.put('/sending', requireAuth, async (req, res) => {
+  try {
+    const { messagesPerSecond, dailyRecipientCap, messagingTier } = req.body;
+    const update = {};
+
+    if (messagesPerSecond !== undefined) {
+      const mps = Number(messagesPerSecond);
+      if (!Number.isFinite(mps) || mps <= 0) return res.status(400).json({ error: 'messagesPerSecond must be a positive number' });
+      update['sendLimits.messagesPerSecond'] = mps;
+    }
+    if (dailyRecipientCap !== undefined) {
+      const cap = dailyRecipientCap === null ? null : Number(dailyRecipientCap);
+      if (cap !== null && (!Number.isInteger(cap) || cap < 0)) return res.status(400).json({ error: 'dailyRecipientCap must be a non-negative integer or null' });
+      update['sendLimits.dailyRecipientCap'] = cap;
+    }
+    if (messagingTier !== undefined) {
+      if (messagingTier !== null && !Object.keys(sendGovernor.TIER_CAPS).includes(messagingTier)) {
+        return res.status(400).json({ error: `messagingTier must be one of ${Object.keys(sendGovernor.TIER_CAPS).join(', ')}` });
+      }
+      update['sendLimits.messagingTier'] = messagingTier;
+    }
+
+    const tenant = await Tenant.findByIdAndUpdate(req.tenantId, { $set: update }, { new: true, runValidators: true }).select('sendLimits');
+    if (!tenant) return res.status(404).json({ error: 'Tenant not found' });
+
+    sendGovernor.invalidate(req.tenantId);
+    res.json(tenant.sendLimits);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Refresh the messaging tier from Meta now
+router.post('/sending/sync-tier', requireAuth, async (req, res) => {
+  try {
+    const client = await getTenantClient(req.tenantId);
+    if (client.provider !== 'meta') {
+      return res.status(409).json({ error: 'Messaging tiers can only be synced for numbers on the Meta Cloud API' });
+    }
+    await sendGovernor.syncTier(client);
+    res.json(await sendGovernor.getStatus(req.tenantId, client.phoneId));
+  } catch (err) {
+    console.error(err.response?.data || err);
+    res.status(502).json({ error: err.response?.data?.error?.message || err.message });
+  }
+});
+
+function validateProviderSettings({ messagingProvider, twilio, simulator }) {
+  if (messagingProvider !== undefined && !providers.NAMES.includes(messagingProvider)) {
+    return `messagingProvider must be one of ${providers.NAMES.join(', ')}`;
+  }
+  if (twilio?.whatsappFrom !== undefined && !/^\+\d{8,15}$/.test(String(twilio.whatsappFrom))) {
+    return 'twilio.whatsappFrom must be an E.164 number, e.g. +14155238886';
+  }
+  if (twilio?.contentSids !== undefined && (typeof twilio.contentSids !== 'object' || Array.isArray(twilio.contentSids))) {
+    return 'twilio.contentSids must map template names to ContentSids';
+  }
+  for (const field of ['deliveredRate', 'readRate', 'replyRate']) {
+    const rate = simulator?.[field];
+    if (rate !== undefined && !(Number(rate) >= 0 && Number(rate) <= 1)) {
+      return `simulator.${field} must be between 0 and 1`;
+    }
+  }
+  if (simulator?.delayMs !== undefined && !(Number(simulator.delayMs) >= 0)) {
+    return 'simulator.delayMs must be a non-negative number';
+  }
+  if (simulator?.replies !== undefined && !Array.isArray(simulator.replies)) {
+    return 'simulator.replies must be an array of strings';
+  }
+  return null;
+}
+
+// Messaging provider of the tenant (auth token is never returned)
+router.get('/provider', requireAuth, async (req, res) => {
+  try {
+    const tenant = await Tenant.findById(req.tenantId).select('messagingProvider twilio simulator').lean();
+    if (!tenant) return res.status(404).json({ error: 'Tenant not found' });
+
+    const { authToken, ...twilio } = tenant.twilio || {};
+    res.json({
+      messagingProvider: tenant.messagingProvider || 'meta',
+      providers: providers.NAMES,
+      twilio: { ...twilio, hasAuthToken: !!authToken },
+      simulator: tenant.simulator || {}
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Switch provider or update its settings
+router.put('/provider', requireAuth, async (req, res) => {
+  try {
+    const { messagingProvider, twilio, simulator } = req.body;
+    const error = validateProviderSettings(req.body);
+    if (error) return res.status(400).json({ error });
+
+    // Callbacks are routed by the Twilio number (findTenantByWaPhoneId), so
+    // it may only belong to one active tenant. The shared sandbox number
+    // (+14155238886) can only be used by one workspace at a time.
+    const current = await Tenant.findById(req.tenantId).select('messagingProvider twilio.whatsappFrom').lean();
+    if (!current) return res.status(404).json({ error: 'Tenant not found' });
+    const nextProvider = messagingProvider !== undefined ? messagingProvider : current.messagingProvider;
+    const nextFrom = twilio?.whatsappFrom !== undefined ? twilio.whatsappFrom : current.twilio?.whatsappFrom;
+    if (nextProvider === 'twilio' && nextFrom) {
+      const claimed = await Tenant.exists({
+        _id: { $ne: req.tenantId },
+        messagingProvider: 'twilio',
+        'twilio.whatsappFrom': nextFrom,
+        status: 'active'
+      });
+      if (claimed) {
+        return res.status(409).json({ error: `Twilio number ${nextFrom} is already connected to another workspace` });
+      }
+    }
+
+    const update = {};
+    if (messagingProvider !== undefined) update.messagingProvider = messagingProvider;
+    for (const field of ['accountSid', 'authToken', 'whatsappFrom', 'contentSids']) {
+      if (twilio?.[field] !== undefined) update[`twilio.${field}`] = twilio[field];
+    }
+    for (const field of ['deliveredRate', 'readRate', 'replyRate', 'delayMs']) {
+      if (simulator?.[field] !== undefined) update[`simulator.${field}`] = Number(simulator[field]);
+    }
+    if (simulator?.replies !== undefined) {
+      update['simulator.replies'] = simulator.replies.map(r => String(r || '').trim()).filter(Boolean);
+    }
+
+    const tenant = await Tenant.findByIdAndUpdate(req.tenantId, { $set: update }, { new: true, runValidators: true })
+      .select('messagingProvider twilio simulator');
+    if (!tenant) return res.status(404).json({ error: 'Tenant not found' });
+
+    invalidateTenantClient(req.tenantId);
+    invalidateTenantPhoneCache();
+    sendGovernor.invalidate(req.tenantId);
+
+    const { authToken, ...twilioSettings } = tenant.toObject().twilio || {};
+    res.json({
+      messagingProvider: tenant.messagingProvider,
+      twilio: { ...twilioSettings, hasAuthToken: !!authToken },
+      simulator: tenant.simulator
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Consent audit trail
+router.get('/consent-events', requireAuth, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, action, source, phone } = req.query;
+    const query = { tenantId: req.tenantId };
+    if (action) query.action = action;
+    if (source) query.source = source;
+    if (phone) query.phone = (await normalizeTenantPhone(phone, req.tenantId)) || phone;
+
+    const data = await ConsentEvent.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(Number(limit))
+      .lean();
+    const total = await ConsentEvent.countDocuments(query);
+
+    res.json({ data, total });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
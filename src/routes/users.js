@@ -2,14 +2,33 @@
 const express = require('express');
 const router = express.Router();
 const requireAuth = require('../middleware/auth');
+const { hasPermission } = require('../middleware/permissions');
 const User = require('../models/User');
+const roleService = require('../services/roleService');
+const { DEFAULT_ROLE } = require('../config/permissions');
 
-// Admin creates user under same tenant
+// Returns an error message, or null when the caller may give out this role
+async function checkAssignableRole(req, role) {
+  if (!(await roleService.roleExists(req.tenantId, role))) return `Unknown role "${role}"`;
+  // Only a full-access user may create another one
+  if (role === 'owner' && !hasPermission(req, '*')) return 'Only an owner can assign the owner role';
+  // Nobody hands out more than they hold themselves
+  const { permissions } = await roleService.resolveRole(req.tenantId, role);
+  if (roleService.beyondHeld(req.user.permissions, permissions).length) {
+    return `You cannot assign "${role}": it has permissions you do not have`;
+  }
+  return null;
+}
+
+// Create user under same tenant
 router.post('/', requireAuth, async (req, res) => {
   try {
-    if (!req.user || req.user.role !== 'admin') return res.status(403).json({ error: 'Admin only' });
-    const { name, email, password, role } = req.body;
-    const user = new User({ tenantId: req.tenantId, name, email: email.toLowerCase(), role: role || 'user' });
+    const { name, email, password } = req.body;
+    const role = req.body.role || DEFAULT_ROLE;
+    const roleError = await checkAssignableRole(req, role);
+    if (roleError) return res.status(400).json({ error: roleError });
+
+    const user = new User({ tenantId: req.tenantId, name, email: email.toLowerCase(), role });
     await user.setPassword(password || 'changeme123');
     await user.save();
     res.json({ id: user._id, name: user.name, email: user.email, role: user.role });
@@ -20,10 +39,9 @@ router.post('/', requireAuth, async (req, res) => {
   }
 });
 
-// List users in tenant (admin only)
+// List users in tenant
 router.get('/', requireAuth, async (req, res) => {
   try {
-    if (!req.user || req.user.role !== 'admin') return res.status(403).json({ error: 'Admin only' });
     const users = await User.find({ tenantId: req.tenantId }).select('name email role createdAt');
     res.json(users);
   } catch (err) {
@@ -32,4 +50,36 @@ router.get('/', requireAuth, async (req, res) => {
   }
 });
 
+// Change a user's role
+router.put('/:id/role', requireAuth, async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!role) return res.status(400).json({ error: 'Role is required' });
+    const roleError = await checkAssignableRole(req, role);
+    if (roleError) return res.status(400).json({ error: roleError });
+
+    const user = await User.findOne({ _id: req.params.id, tenantId: req.tenantId });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.role === 'owner' && !hasPermission(req, '*')) {
+      return res.status(403).json({ error: 'Only an owner can change an owner' });
+    }
+    const current = await roleService.resolveRole(req.tenantId, user.role);
+    if (roleService.beyondHeld(req.user.permissions, current.permissions).length) {
+      return res.status(403).json({ error: 'You cannot change a user who has permissions you do not have' });
+    }
+    // Keep at least one owner per tenant
+    if (user.role === 'owner' && role !== 'owner') {
+      const owners = await User.countDocuments({ tenantId: req.tenantId, role: 'owner' });
+      if (owners <= 1) return res.status(400).json({ error: 'Tenant must keep at least one owner' });
+    }
+
+    user.role = role;
+    await user.save();
+    res.json({ id: user._id, name: user.name, email: user.email, role: user.role });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 module.exports = router;
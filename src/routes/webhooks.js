@@ -1,37 +1,136 @@
 const express = require("express");
 const router = express.Router();
 const crypto = require("crypto");
+const mongoose = require("mongoose");
+const NodeCache = require("node-cache");
+const requireAuth = require("../middleware/auth");
+const { requirePermission } = require("../middleware/permissions");
 
 // Import models
 const MessageLog = require("../models/MessageLog");
 const CampaignProgress = require("../models/CampaignProgress");
 const ChatSession = require("../models/ChatSession");
 const Contact = require("../models/Contact");
+const Tenant = require("../models/Tenant");
+const WebhookDeadLetter = require("../models/WebhookDeadLetter");
+const WebhookEvent = require("../models/WebhookEvent");
+const { normalizePhone, normalizeTenantPhone } = require("../utils/phone");
+const optOutService = require("../services/optOutService");
+const autoReplyService = require("../services/autoReplyService");
+const realtime = require("../services/realtime");
+const { applyStatusUpdate } = require("../services/messageStatus");
+const campaignResponses = require("../services/campaignResponses");
+const retryPolicy = require("../services/retryPolicy");
+const campaignTriggers = require("../services/campaignTriggers");
+const stepVariants = require("../services/stepVariants");
+const JobQueue = require("../services/JobQueue");
+const inboundMedia = require("../services/inboundMedia");
+const providers = require("../services/providers");
+const { getTenantClient } = require("../services/whatsapp");
 
 // ===============================
 // Tenant finder
 // ===============================
+const tenantByPhoneIdCache = new NodeCache({ stdTTL: 300, useClones: false });
+
 async function findTenantByWaPhoneId(waPhoneId) {
   try {
-    if (String(waPhoneId) === String(process.env.META_WA_PHONE_ID)) {
-      return {
-        tenantId: process.env.DEFAULT_TENANT_ID || "default",
-        businessPhone: process.env.BUSINESS_PHONE_NUMBER || "918920101739",
-        phoneId: waPhoneId
+    if (!waPhoneId) return null;
+
+    const key = String(waPhoneId);
+    const cached = tenantByPhoneIdCache.get(key);
+    if (cached) return cached;
+
+    let tenantInfo = null;
+    let tenant = null;
+    let provider = "meta";
+
+    // Twilio and simulator numbers use the phoneId of their client
+    // (see whatsapp.getTenantClient)
+    if (key.startsWith("twilio:")) {
+      provider = "twilio";
+      tenant = await Tenant.findOne({
+        messagingProvider: "twilio",
+        "twilio.whatsappFrom": key.slice("twilio:".length),
+        status: 'active'
+      }).select('_id whatsappPhoneNumber twilio.whatsappFrom').lean();
+    } else if (key.startsWith("simulator:")) {
+      provider = "simulator";
+      const tenantId = key.slice("simulator:".length);
+      tenant = mongoose.isValidObjectId(tenantId)
+        ? await Tenant.findOne({ _id: tenantId, messagingProvider: "simulator", status: 'active' })
+          .select('_id whatsappPhoneNumber')
+          .lean()
+        : null;
+    } else {
+      tenant = await Tenant.findOne({ whatsappPhoneId: key, status: 'active' })
+        .select('_id whatsappPhoneNumber')
+        .lean();
+    }
+
+    if (tenant) {
+      tenantInfo = {
+        tenantId: tenant._id,
+        businessPhone: tenant.whatsappPhoneNumber || tenant.twilio?.whatsappFrom?.replace(/\D/g, "") || null,
+        phoneId: key,
+        provider
+      };
+    } else if (
+      key === String(process.env.META_WA_PHONE_ID) &&
+      mongoose.isValidObjectId(process.env.DEFAULT_TENANT_ID)
+    ) {
+      // Single-brand installs still configure their number through env
+      tenantInfo = {
+        tenantId: process.env.DEFAULT_TENANT_ID,
+        businessPhone: process.env.BUSINESS_PHONE_NUMBER || null,
+        phoneId: key,
+        provider
       };
     }
-    
-    return {
-      tenantId: process.env.DEFAULT_TENANT_ID || "default",
-      businessPhone: process.env.BUSINESS_PHONE_NUMBER || "918920101739",
-      phoneId: waPhoneId
-    };
+
+    if (tenantInfo) {
+      tenantByPhoneIdCache.set(key, tenantInfo);
+    }
+    return tenantInfo;
   } catch (error) {
     console.error("Error finding tenant:", error);
     return null;
   }
 }
 
+function invalidateTenantPhoneCache(waPhoneId) {
+  if (waPhoneId) {
+    tenantByPhoneIdCache.del(String(waPhoneId));
+  } else {
+    tenantByPhoneIdCache.flushAll();
+  }
+}
+
+// ===============================
+// Dead letters (unroutable changes)
+// ===============================
+async function quarantineChange(change, entryId, reason) {
+  try {
+    const value = change.value || {};
+    const deadLetter = await WebhookDeadLetter.create({
+      phoneNumberId: value.metadata?.phone_number_id,
+      displayPhoneNumber: value.metadata?.display_phone_number,
+      entryId,
+      field: change.field,
+      value,
+      reason,
+      messageCount: Array.isArray(value.messages) ? value.messages.length : 0,
+      statusCount: Array.isArray(value.statuses) ? value.statuses.length : 0
+    });
+
+    console.warn(`🪦 Quarantined webhook change for phone_number_id ${deadLetter.phoneNumberId || 'n/a'} (${reason})`);
+    return deadLetter;
+  } catch (error) {
+    console.error("❌ Error quarantining webhook change:", error);
+    return null;
+  }
+}
+
 // ===============================
 // Signature verification
 // ===============================
@@ -153,6 +252,9 @@ async function updateChatSession(tenantId, phone, messageData) {
 // ===============================
 // Update Campaign Progress for Replies
 // ===============================
+// A reply no longer ends the contact's campaigns: branch conditions and
+// wait-for-reply steps (services/campaignJourneys.js) act on it instead.
+// Returns the contact, or null when it was just created.
 async function updateCampaignProgressForReply(tenantId, contactPhone) {
   try {
     // Find contact by phone
@@ -167,6 +269,7 @@ async function updateCampaignProgressForReply(tenantId, contactPhone) {
       // Create contact if not exists
       const newContact = await Contact.create({
         tenantId,
+        name: `Contact ${contactPhone}`,
         phone: contactPhone,
         hasWhatsApp: true,
         lastInteraction: new Date(),
@@ -174,7 +277,8 @@ async function updateCampaignProgressForReply(tenantId, contactPhone) {
       });
       
       console.log(`✅ Created new contact for ${contactPhone}`);
-      return;
+      await campaignTriggers.onContactCreated(newContact, "inbound");
+      return null;
     }
 
     // Update all active campaigns for this contact
@@ -182,21 +286,13 @@ async function updateCampaignProgressForReply(tenantId, contactPhone) {
       {
         tenantId,
         contactId: contact._id,
-        status: { $in: ['active', 'pending'] },
-        hasReplied: false
+        status: 'active'
       },
       {
         $set: {
           hasReplied: true,
-          lastInteraction: new Date(),
-          repliedAt: new Date(),
-          status: 'replied'
-        },
-        $push: {
-          interactions: {
-            type: 'reply',
-            timestamp: new Date()
-          }
+          lastReplyAt: new Date(),
+          lastInteraction: new Date()
         }
       }
     );
@@ -205,21 +301,93 @@ async function updateCampaignProgressForReply(tenantId, contactPhone) {
       console.log(`✅ Updated ${result.modifiedCount} campaign(s) for contact: ${contactPhone}`);
     }
 
+    return contact;
+
   } catch (error) {
     console.error("❌ Error updating campaign progress:", error);
+    return null;
   }
 }
 
 // ===============================
 // Process Inbound Message
 // ===============================
-async function processInboundMessage(msg, tenantId, businessPhone, value) {
+
+/**
+ * Everything a saved inbound message sets off, in order. Each step is
+ * recorded in log.inboundEffects once done, so when one throws, the retried
+ * webhook event runs only the steps still missing.
+ */
+async function runInboundEffects(log, msg, messageContent) {
+  const tenantId = log.tenantId;
+  const from = log.from;
+  const done = new Set(log.inboundEffects || []);
+  let consentChanged = !!log.consentChanged;
+  let contact = null;
+
+  const step = async (name, effect) => {
+    if (done.has(name)) return;
+    await effect();
+    await MessageLog.updateOne({ _id: log._id }, { $addToSet: { inboundEffects: name } });
+  };
+
+  // Update Chat Session
+  await step("session", () => updateChatSession(tenantId, from, {
+    message: messageContent,
+    type: msg.type || 'text',
+    direction: 'inbound',
+    status: 'received',
+    payload: msg
+  }));
+
+  // STOP / START keywords, then welcome / offline auto-reply
+  await step("consent", async () => {
+    consentChanged = !!(await optOutService.handleInbound({ tenantId, phone: from, msg }));
+    if (consentChanged) {
+      await MessageLog.updateOne({ _id: log._id }, { $set: { consentChanged } });
+    }
+  });
+  await step("autoReply", () => autoReplyService.handleInbound({ tenantId, phone: from, consentEvent: consentChanged }));
+
+  // Update campaign progress if contact replied
+  await step("progress", async () => {
+    contact = await updateCampaignProgressForReply(tenantId, from);
+  });
+
+  // The 24-hour window is open again: resend steps that missed it
+  await step("reengage", () => retryPolicy.onContactReengaged(tenantId, from));
+
+  // Button / list choices on campaign steps
+  await step("responses", () => campaignResponses.recordResponse(tenantId, msg));
+
+  // Replies and reply goals of A/B tested steps
+  await step("variants", () => stepVariants.recordReply({ tenantId, phone: from, msg }));
+
+  // Steps waiting for this reply can run now that it is recorded
+  await step("wake", async () => {
+    if (!contact && done.has("progress")) {
+      contact = await Contact.findOne({ tenantId, phone: from }).select("_id").lean();
+    }
+    if (contact) {
+      await JobQueue.wakeWaitingJobs(contact._id);
+    }
+  });
+
+  // Keywords that enroll the sender in triggered campaigns
+  await step("triggers", () => campaignTriggers.onInboundMessage({ tenantId, phone: from, msg }));
+
+  await MessageLog.updateOne({ _id: log._id }, { $set: { inboundProcessedAt: new Date() } });
+}
+async function processInboundMessage(msg, tenantId, businessPhone, value, provider = "meta") {
   try {
     if (!msg?.from || !msg?.id) {
       console.warn("❌ Invalid message: missing from or id");
       return null;
     }
 
+    // wa_id always carries the country code; store it in our normalized form
+    const from = normalizePhone(msg.from, undefined, { stored: true }) || String(msg.from).replace(/\D/g, "");
+
     // Skip ephemeral, system, reaction messages
     if (["ephemeral", "system", "reaction"].includes(msg.type)) {
       console.log(`⏭️  Skipping ${msg.type} message`);
@@ -227,7 +395,6 @@ async function processInboundMessage(msg, tenantId, businessPhone, value) {
     }
 
     let messageContent = "";
-    let mediaUrl = "";
     
     switch (msg.type) {
       case "text":
@@ -235,19 +402,18 @@ async function processInboundMessage(msg, tenantId, businessPhone, value) {
         break;
       case "image":
         messageContent = msg.image?.caption || `[IMAGE]`;
-        mediaUrl = msg.image?.id || "";
         break;
       case "video":
         messageContent = msg.video?.caption || `[VIDEO]`;
-        mediaUrl = msg.video?.id || "";
         break;
       case "audio":
         messageContent = `[AUDIO - ${Math.round(msg.audio?._seconds || 0)}s]`;
-        mediaUrl = msg.audio?.id || "";
         break;
       case "document":
         messageContent = msg.document?.caption || `[DOCUMENT: ${msg.document?.filename || 'file'}]`;
-        mediaUrl = msg.document?.id || "";
+        break;
+      case "sticker":
+        messageContent = `[STICKER]`;
         break;
       case "location":
         messageContent = `📍 Location: ${msg.location?.latitude}, ${msg.location?.longitude}`;
@@ -273,11 +439,17 @@ async function processInboundMessage(msg, tenantId, businessPhone, value) {
 
     // Prevent duplicates
     const exists = await MessageLog.findOne({
-      provider: "meta",
+      provider,
       provider_message_id: msg.id,
     }).lean();
     
     if (exists) {
+      // Saved by an attempt that failed part-way: finish its side effects
+      if (Array.isArray(exists.inboundEffects) && !exists.inboundProcessedAt) {
+        console.log(`🔁 Resuming message ${msg.id} after a failed attempt`);
+        await runInboundEffects(exists, msg, messageContent);
+        return exists;
+      }
       console.log(`⏭️  Duplicate message ${msg.id}, skipping`);
       return null;
     }
@@ -287,10 +459,10 @@ async function processInboundMessage(msg, tenantId, businessPhone, value) {
 
     // Prepare payload for MessageLog
     const messagePayload = {
-      provider: "meta",
+      provider,
       provider_message_id: msg.id,
       tenantId,
-      from: msg.from,
+      from,
       to: businessPhone,
       direction: "inbound",
       type: msg.type || "text",
@@ -298,42 +470,38 @@ async function processInboundMessage(msg, tenantId, businessPhone, value) {
       message: messageContent,
       payload: msg,
       timestamp: timestamp,
+      inboundEffects: [],
     };
 
-    // Add media URL if available
-    if (mediaUrl) {
-      messagePayload.mediaUrl = mediaUrl;
+    // Media is downloaded and archived after the message is saved
+    const media = inboundMedia.mediaOf(msg);
+    if (media) {
+      messagePayload.media = media;
     }
 
     // Save to MessageLog
     const savedMessage = await MessageLog.create(messagePayload);
+    if (media) {
+      inboundMedia.archiveLater(savedMessage._id);
+    }
 
-    // Update Chat Session
-    await updateChatSession(tenantId, msg.from, {
-      message: messageContent,
-      type: msg.type || 'text',
-      direction: 'inbound',
-      status: 'received',
-      payload: msg
-    });
-
-    // Update campaign progress if contact replied
-    await updateCampaignProgressForReply(tenantId, msg.from);
+    await runInboundEffects(savedMessage, msg, messageContent);
 
-    console.log(`✅ Inbound message saved from ${msg.from}: ${messageContent.substring(0, 50)}...`);
+    console.log(`✅ Inbound message saved from ${from}: ${messageContent.substring(0, 50)}...`);
     
     return savedMessage;
 
   } catch (error) {
+    // Rethrown so processWebhookEvent records the event as failed and retries it
     console.error("❌ Error processing inbound message:", error);
-    return null;
+    throw error;
   }
 }
 
 // ===============================
 // Process Status Update
 // ===============================
-async function processStatusUpdate(st, io) {
+async function processStatusUpdate(st, tenantId = null, provider = "meta") {
   try {
     const messageId = st?.id;
     const newStatus = st?.status;
@@ -344,30 +512,18 @@ async function processStatusUpdate(st, io) {
       return null;
     }
 
-    // Find the message
-    const message = await MessageLog.findOne({
-      provider: "meta",
-      provider_message_id: messageId,
-      direction: "outbound"
-    });
+    // Monotonic update (scoped to the tenant that owns the number)
+    const { message, changed } = await applyStatusUpdate(st, tenantId, provider);
 
     if (!message) {
       console.log(`⚠️  Message not found for status update: ${messageId}`);
       return null;
     }
 
-    // Update message status
-    const updatedMessage = await MessageLog.findOneAndUpdate(
-      { provider: "meta", provider_message_id: messageId, direction: "outbound" },
-      { 
-        $set: { 
-          status: newStatus, 
-          updatedAt: new Date(),
-          payload: st 
-        } 
-      },
-      { new: true }
-    );
+    if (!changed) {
+      console.log(`⏭️  Ignoring ${newStatus} for ${messageId}, already ${message.status}`);
+      return message;
+    }
 
     // Update Chat Session status
     if (message.to && message.tenantId) {
@@ -385,12 +541,12 @@ async function processStatusUpdate(st, io) {
     console.log(`✅ Status updated for ${messageId}: ${newStatus}`);
     
     // Emit socket event
-    if (io && updatedMessage && updatedMessage.tenantId) {
-      io.to(`tenant_${updatedMessage.tenantId}`).emit("message:status_updated", updatedMessage);
+    if (message && message.tenantId) {
+      await realtime.emitChatEvent(message.tenantId, message.to, realtime.EVENTS.MESSAGE_STATUS, message);
       
       // Also emit session update
       if (message.to) {
-        io.to(`tenant_${updatedMessage.tenantId}`).emit("session:updated", {
+        await realtime.emitChatEvent(message.tenantId, message.to, realtime.EVENTS.SESSION_UPDATED, {
           phone: message.to,
           lastStatus: newStatus,
           updatedAt: new Date()
@@ -398,11 +554,12 @@ async function processStatusUpdate(st, io) {
       }
     }
 
-    return updatedMessage;
+    return message;
 
   } catch (error) {
+    // Same as inbound messages: the event fails and is retried
     console.error("❌ Error processing status update:", error);
-    return null;
+    throw error;
   }
 }
 
@@ -414,14 +571,20 @@ const verifyGET = (req, res) => {
   const token = req.query["hub.verify_token"];
   const challenge = req.query["hub.challenge"];
 
+  // Older deployments configured the token under different names
+  const expectedTokens = [
+    process.env.META_WEBHOOK_VERIFY_TOKEN,
+    process.env.META_VERIFY_TOKEN,
+    process.env.META_WA_VERIFY_TOKEN
+  ].filter(Boolean);
+
   console.log("🔍 Webhook verification attempt:", {
     mode,
-    token,
     challengeLength: challenge?.length,
-    expectedToken: process.env.META_WEBHOOK_VERIFY_TOKEN
+    path: req.originalUrl
   });
 
-  if (mode === "subscribe" && token === process.env.META_WEBHOOK_VERIFY_TOKEN) {
+  if (mode === "subscribe" && token && expectedTokens.includes(token)) {
     console.log("✅ Webhook Verified Successfully!");
     return res.status(200).send(challenge);
   }
@@ -431,165 +594,479 @@ const verifyGET = (req, res) => {
 };
 
 // ===============================
-// POST webhook receiver (MAIN FUNCTION)
+// Process a single entry change
 // ===============================
-const handlePOST = async (req, res) => {
-  const io = req.app.get("io");
-  let rawBody = null;
-  
-  try {
-    // Get raw body and signature
-    rawBody = req.rawBody;
-    const sig = req.headers["x-hub-signature-256"];
+async function processChange(ch, entryId = null, options = {}) {
+  const value = ch.value || {};
+  const waPhoneId = value?.metadata?.phone_number_id;
+  const field = ch.field;
 
-    // Send immediate response to Meta
-    res.sendStatus(200);
+  console.log(`🔄 Processing field: ${field}, phone_id: ${waPhoneId}`);
 
-    // Verify signature
-    if (!verifySignature(rawBody, sig)) {
-      console.warn("❌ Invalid webhook signature, skipping processing");
-      return;
+  // Skip if not messages field
+  if (field !== "messages") {
+    console.log(`⏭️  Skipping non-messages field: ${field}`);
+    return { skipped: true };
+  }
+
+  // Tenant lookup - never fall back to a default tenant
+  if (!waPhoneId) {
+    console.warn("⚠️ No phone_number_id in webhook");
+    const deadLetter = await quarantineChange(ch, entryId, "missing_phone_number_id");
+    return { quarantined: true, deadLetterId: deadLetter?._id };
+  }
+
+  const tenantInfo = await findTenantByWaPhoneId(waPhoneId);
+  if (!tenantInfo) {
+    console.warn(`⚠️ Tenant not found for WA phone_number_id: ${waPhoneId}`);
+    if (options.quarantine === false) {
+      return { quarantined: false, unresolved: true };
     }
+    const deadLetter = await quarantineChange(ch, entryId, "unknown_phone_number_id");
+    return { quarantined: true, deadLetterId: deadLetter?._id };
+  }
 
-    // Parse the event
-    let event;
-    try {
-      event = JSON.parse(rawBody.toString("utf8"));
-    } catch (e) {
-      console.error("❌ Failed to parse webhook JSON:", e.message);
-      return;
+  const tenantId = tenantInfo.tenantId;
+  const businessPhone = tenantInfo.businessPhone || value?.metadata?.display_phone_number;
+
+  console.log(`🏢 Tenant: ${tenantId}, Business: ${businessPhone}`);
+
+  // ------------------------
+  // A) Incoming messages
+  // ------------------------
+  if (Array.isArray(value.messages)) {
+    console.log(`📥 Processing ${value.messages.length} incoming message(s)`);
+
+    for (const msg of value.messages) {
+      const savedMessage = await processInboundMessage(msg, tenantId, businessPhone, value, tenantInfo.provider);
+
+      // Emit socket event if message was saved
+      if (savedMessage) {
+        await realtime.emitChatEvent(tenantId, savedMessage.from, realtime.EVENTS.MESSAGE_NEW, savedMessage);
+
+        // Legacy event of the old bare /webhook/meta receiver
+        await realtime.emitChatEvent(tenantId, savedMessage.from, realtime.EVENTS.WHATSAPP_MESSAGE, {
+          from: msg.from,
+          text: msg.text?.body || 'Media/Other message',
+          timestamp: new Date().toISOString()
+        });
+
+        // Also emit session update
+        await realtime.emitChatEvent(tenantId, savedMessage.from, realtime.EVENTS.SESSION_UPDATED, {
+          phone: savedMessage.from,
+          lastMessage: savedMessage.message,
+          lastDirection: 'inbound',
+          lastStatus: 'received',
+          lastInteraction: new Date(),
+          updatedAt: new Date(),
+          unreadCount: 1,
+          hasReplied: true
+        });
+      }
     }
+  }
 
-    console.log("📨 Webhook received:", {
-      object: event.object,
-      entryCount: event.entry?.length || 0
-    });
+  // ------------------------
+  // B) Status updates
+  // ------------------------
+  if (Array.isArray(value.statuses)) {
+    console.log(`📊 Processing ${value.statuses.length} status update(s)`);
 
-    // Process each entry
-    const entries = Array.isArray(event.entry) ? event.entry : [];
-    
-    for (const entry of entries) {
-      const changes = Array.isArray(entry.changes) ? entry.changes : [];
-      
-      for (const ch of changes) {
-        const value = ch.value || {};
-        const waPhoneId = value?.metadata?.phone_number_id;
-        const field = ch.field;
+    for (const st of value.statuses) {
+      await processStatusUpdate(st, tenantId, tenantInfo.provider);
+    }
+  }
 
-        console.log(`🔄 Processing field: ${field}, phone_id: ${waPhoneId}`);
+  // ------------------------
+  // C) Message errors
+  // ------------------------
+  if (Array.isArray(value.errors)) {
+    console.warn(`❌ ${value.errors.length} error(s) in webhook:`);
+
+    for (const err of value.errors) {
+      console.error("Webhook error:", {
+        code: err.code,
+        title: err.error_data?.details,
+        message: err.message
+      });
 
-        // Skip if not messages field
-        if (field !== "messages") {
-          console.log(`⏭️  Skipping non-messages field: ${field}`);
-          continue;
-        }
+      // Update message status to failed if we have the message ID
+      if (err.error_data?.details?.includes("message-id")) {
+        const messageIdMatch = err.error_data.details.match(/message-id:([^,]+)/);
+        if (messageIdMatch && messageIdMatch[1]) {
+          const failedMessageId = messageIdMatch[1].trim();
 
-        // Tenant lookup
-        let tenantInfo = null;
-        if (waPhoneId) {
-          tenantInfo = await findTenantByWaPhoneId(waPhoneId);
-          if (!tenantInfo) {
-            console.warn(`⚠️ Tenant not found for WA phone_number_id: ${waPhoneId}`);
-            continue;
-          }
-        } else {
-          console.warn("⚠️ No phone_number_id in webhook");
-          continue;
-        }
+          await MessageLog.findOneAndUpdate(
+            { tenantId, provider_message_id: failedMessageId },
+            { $set: { status: 'failed', error: err.message } }
+          );
 
-        const tenantId = tenantInfo.tenantId;
-        const businessPhone = tenantInfo.businessPhone;
-
-        console.log(`🏢 Tenant: ${tenantId}, Business: ${businessPhone}`);
-
-        // ------------------------
-        // A) Incoming messages
-        // ------------------------
-        if (Array.isArray(value.messages)) {
-          console.log(`📥 Processing ${value.messages.length} incoming message(s)`);
-          
-          for (const msg of value.messages) {
-            const savedMessage = await processInboundMessage(msg, tenantId, businessPhone, value);
-            
-            // Emit socket event if message was saved
-            if (savedMessage && io) {
-              io.to(`tenant_${tenantId}`).emit("message:new", savedMessage);
-              
-              // Also emit session update
-              io.to(`tenant_${tenantId}`).emit("session:updated", {
-                phone: msg.from,
-                lastMessage: savedMessage.message,
-                lastDirection: 'inbound',
-                lastStatus: 'received',
-                lastInteraction: new Date(),
-                updatedAt: new Date(),
-                unreadCount: 1,
-                hasReplied: true
-              });
-            }
-          }
+          console.log(`✅ Marked message ${failedMessageId} as failed`);
         }
+      }
+    }
+  }
 
-        // ------------------------
-        // B) Status updates
-        // ------------------------
-        if (Array.isArray(value.statuses)) {
-          console.log(`📊 Processing ${value.statuses.length} status update(s)`);
-          
-          for (const st of value.statuses) {
-            await processStatusUpdate(st, io);
-          }
+  return { tenantId };
+}
+
+// ===============================
+// Ingestion pipeline
+// ===============================
+// Every Meta receiver (/webhook/meta, /api/webhooks/meta, /api/whatsapp/webhook)
+// goes through receiveWebhook: verify the signature, store the raw payload
+// as a WebhookEvent, acknowledge, then process the stored event.
+
+const EVENT_LOCK_MS = 5 * 60 * 1000;
+const EVENT_MAX_ATTEMPTS = 3;
+const EVENT_SWEEP_MS = parseInt(process.env.WEBHOOK_EVENT_SWEEP_MS || "30000", 10);
+let eventSweepInterval = null;
+
+const messageKey = (msg) => `message:${msg.id}`;
+const statusKey = (st) => `status:${st.id}:${st.status}`;
+
+/**
+ * Message / status ids and receiving numbers of a payload
+ */
+function describePayload(payload) {
+  const keys = new Set();
+  const phoneNumberIds = new Set();
+
+  for (const entry of Array.isArray(payload?.entry) ? payload.entry : []) {
+    for (const ch of Array.isArray(entry.changes) ? entry.changes : []) {
+      const value = ch.value || {};
+      if (value.metadata?.phone_number_id) phoneNumberIds.add(value.metadata.phone_number_id);
+      for (const msg of Array.isArray(value.messages) ? value.messages : []) {
+        if (msg.id) keys.add(messageKey(msg));
+      }
+      for (const st of Array.isArray(value.statuses) ? value.statuses : []) {
+        if (st.id && st.status) keys.add(statusKey(st));
+      }
+    }
+  }
+
+  return { keys: [...keys], phoneNumberIds: [...phoneNumberIds] };
+}
+
+/**
+ * Persist a verified payload. Ids already owned by an earlier event are
+ * moved to duplicateKeys; an event left with none is stored as a duplicate.
+ */
+async function storeWebhookEvent({ rawBody, payload, signature, source, provider = "meta" }) {
+  const { keys, phoneNumberIds } = describePayload(payload);
+
+  const tenants = await Promise.all(phoneNumberIds.map(id => findTenantByWaPhoneId(id)));
+  const tenantIds = [...new Set(tenants.filter(Boolean).map(t => String(t.tenantId)))];
+
+  let dedupeKeys = keys;
+  let duplicateOf;
+
+  // Retry when a concurrent redelivery claims some of the same ids
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const duplicate = keys.length > 0 && dedupeKeys.length === 0;
+    try {
+      return await WebhookEvent.create({
+        provider,
+        source,
+        object: payload?.object,
+        rawBody,
+        signature,
+        phoneNumberIds,
+        tenantIds,
+        dedupeKeys,
+        duplicateKeys: keys.filter(k => !dedupeKeys.includes(k)),
+        duplicateOf,
+        status: duplicate ? "duplicate" : "received"
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const owners = await WebhookEvent.find({ dedupeKeys: { $in: dedupeKeys } })
+        .select("dedupeKeys")
+        .lean();
+      const taken = new Set(owners.flatMap(o => o.dedupeKeys));
+      dedupeKeys = dedupeKeys.filter(k => !taken.has(k));
+      duplicateOf = duplicateOf || owners[0]?._id;
+    }
+  }
+
+  throw new Error("Could not store webhook event after repeated duplicate key conflicts");
+}
+
+/**
+ * The part of a change this event owns: messages and statuses delivered
+ * earlier by another event are dropped. Returns null when nothing is left.
+ */
+function ownedChange(ch, owned) {
+  const value = ch.value || {};
+  if (!Array.isArray(value.messages) && !Array.isArray(value.statuses)) return ch;
+
+  const messages = (value.messages || []).filter(msg => owned.has(messageKey(msg)));
+  const statuses = (value.statuses || []).filter(st => owned.has(statusKey(st)));
+  if (!messages.length && !statuses.length && !value.errors) return null;
+
+  return {
+    ...ch,
+    value: {
+      ...value,
+      ...(value.messages && { messages }),
+      ...(value.statuses && { statuses })
+    }
+  };
+}
+
+/**
+ * Process a stored event. A replay processes every change again, whatever
+ * the event's status, limited to `tenantId`'s numbers when given.
+ */
+async function processWebhookEvent(eventId, options = {}) {
+  const now = new Date();
+  const claimable = options.replay
+    ? [{ status: { $ne: "processing" } }, { lockedUntil: { $lt: now } }]
+    : [
+        { status: "received" },
+        { status: "failed", attempts: { $lt: EVENT_MAX_ATTEMPTS } },
+        { status: "processing", lockedUntil: { $lt: now } }
+      ];
+
+  const event = await WebhookEvent.findOneAndUpdate(
+    { _id: eventId, $or: claimable },
+    {
+      $set: { status: "processing", lockedUntil: new Date(now.getTime() + EVENT_LOCK_MS) },
+      $inc: { attempts: 1, ...(options.replay && { replayCount: 1 }) },
+      ...(options.replay && { $currentDate: { lastReplayedAt: true } })
+    },
+    { new: true }
+  );
+  if (!event) return null;
+
+  try {
+    const payload = JSON.parse(event.rawBody);
+    const owned = new Set(event.dedupeKeys);
+    const summary = { changes: 0, skipped: 0, quarantined: 0 };
+
+    for (const entry of Array.isArray(payload.entry) ? payload.entry : []) {
+      for (const ch of Array.isArray(entry.changes) ? entry.changes : []) {
+        if (options.tenantId) {
+          const tenantInfo = await findTenantByWaPhoneId(ch.value?.metadata?.phone_number_id);
+          if (!tenantInfo || String(tenantInfo.tenantId) !== String(options.tenantId)) continue;
         }
 
-        // ------------------------
-        // C) Message errors
-        // ------------------------
-        if (Array.isArray(value.errors)) {
-          console.warn(`❌ ${value.errors.length} error(s) in webhook:`);
-          
-          for (const err of value.errors) {
-            console.error("Webhook error:", {
-              code: err.code,
-              title: err.error_data?.details,
-              message: err.message
-            });
-            
-            // Update message status to failed if we have the message ID
-            if (err.error_data?.details?.includes("message-id")) {
-              const messageIdMatch = err.error_data.details.match(/message-id:([^,]+)/);
-              if (messageIdMatch && messageIdMatch[1]) {
-                const failedMessageId = messageIdMatch[1].trim();
-                
-                await MessageLog.findOneAndUpdate(
-                  { provider_message_id: failedMessageId },
-                  { $set: { status: 'failed', error: err.message } }
-                );
-                
-                console.log(`✅ Marked message ${failedMessageId} as failed`);
-              }
-            }
-          }
+        const change = options.replay ? ch : ownedChange(ch, owned);
+        if (!change) {
+          summary.skipped += 1;
+          continue;
         }
+
+        const result = await processChange(change, entry.id);
+        summary.changes += 1;
+        if (result.quarantined) summary.quarantined += 1;
       }
     }
 
-    console.log("✅ Webhook processing completed successfully");
+    event.status = "processed";
+    event.result = summary;
+    event.processedAt = new Date();
+    event.lastError = undefined;
+    event.lockedUntil = undefined;
+    await event.save();
 
-  } catch (err) {
-    console.error("❌ Webhook processing error:", err.message);
-    console.error(err.stack);
-    
-    // Try to send 200 even on error (Meta expects it)
-    try { 
-      if (!res.headersSent) {
-        res.sendStatus(200); 
-      }
-    } catch (e) {
-      console.error("Failed to send error response:", e);
+    console.log(`✅ Webhook event ${event._id} processed`, summary);
+    return event;
+  } catch (error) {
+    console.error(`❌ Webhook event ${event._id} failed:`, error.message);
+    event.status = "failed";
+    event.lastError = error.message;
+    event.lockedUntil = undefined;
+    await event.save();
+    return event;
+  }
+}
+
+/**
+ * POST receiver shared by every Meta webhook URL
+ */
+const receiveWebhook = async (req, res) => {
+  // express.json keeps the raw bytes for the signature check (see server.js)
+  const rawBody = req.rawBody || (Buffer.isBuffer(req.body) ? req.body : null);
+  const signature = req.headers["x-hub-signature-256"];
+
+  if (!verifySignature(rawBody, signature)) {
+    return res.sendStatus(401);
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString("utf8"));
+  } catch (e) {
+    console.error("❌ Failed to parse webhook JSON:", e.message);
+    return res.sendStatus(400);
+  }
+
+  let event;
+  try {
+    event = await storeWebhookEvent({
+      rawBody: rawBody.toString("utf8"),
+      payload,
+      signature,
+      source: req.originalUrl
+    });
+  } catch (error) {
+    // Not stored, so not acknowledged: Meta will deliver it again
+    console.error("❌ Failed to store webhook event:", error.message);
+    return res.sendStatus(500);
+  }
+
+  res.sendStatus(200);
+
+  console.log("📨 Webhook received:", {
+    id: String(event._id),
+    object: payload.object,
+    entryCount: payload.entry?.length || 0,
+    status: event.status
+  });
+
+  processEventLater(event);
+};
+
+/**
+ * Process a freshly stored event once the callback has been acknowledged
+ */
+function processEventLater(event) {
+  if (event.status !== "received") return;
+  setImmediate(() => {
+    processWebhookEvent(event._id).catch(error => {
+      console.error(`❌ Webhook event ${event._id} processing error:`, error.message);
+    });
+  });
+}
+
+// ===============================
+// Twilio and simulator callbacks
+// ===============================
+// Twilio posts form fields and the simulator emits events. Both are
+// translated into Cloud API payloads (see services/providers) and stored as
+// WebhookEvents, so they are deduplicated, processed and replayed like Meta's.
+
+/**
+ * Store a translated provider callback and process it
+ */
+async function ingestProviderCallback({ provider, phoneNumberId, displayPhoneNumber, messages = [], statuses = [], signature, source }) {
+  if (!messages.length && !statuses.length) return null;
+
+  const payload = providers.toWebhookPayload(phoneNumberId, { messages, statuses, displayPhoneNumber });
+  const event = await storeWebhookEvent({
+    rawBody: JSON.stringify(payload),
+    payload,
+    signature,
+    source,
+    provider
+  });
+  processEventLater(event);
+  return event;
+}
+
+/**
+ * POST receiver for tenants on Twilio: incoming messages and status callbacks
+ */
+const receiveTwilioWebhook = async (req, res) => {
+  const twilio = providers.get("twilio");
+  const body = req.body || {};
+  const messages = twilio.parseInbound(body);
+  const statuses = twilio.parseStatus(body);
+
+  // Our number is To on incoming messages and From on status callbacks
+  const ourNumber = String((messages.length ? body.To : body.From) || "").replace(/^whatsapp:/, "");
+  const phoneNumberId = `twilio:${ourNumber}`;
+
+  const tenantInfo = ourNumber ? await findTenantByWaPhoneId(phoneNumberId) : null;
+  if (!tenantInfo) {
+    console.warn(`⚠️ No tenant uses Twilio number ${ourNumber || "n/a"}`);
+    return res.sendStatus(404);
+  }
+
+  let event;
+  try {
+    const client = await getTenantClient(tenantInfo.tenantId);
+    const url = `${process.env.SERVER_URL || `${req.protocol}://${req.get("host")}`}${req.originalUrl}`;
+    const signature = req.headers["x-twilio-signature"];
+    if (client.provider !== "twilio" || !twilio.verifySignature(client, signature, url, body)) {
+      return res.sendStatus(401);
     }
+
+    event = await ingestProviderCallback({
+      provider: "twilio",
+      phoneNumberId,
+      displayPhoneNumber: ourNumber,
+      messages,
+      statuses,
+      signature,
+      source: req.originalUrl
+    });
+  } catch (error) {
+    // Not stored, so not acknowledged: Twilio will retry
+    console.error("❌ Failed to store Twilio callback:", error.message);
+    return res.sendStatus(500);
   }
+
+  console.log("📨 Twilio callback received:", {
+    id: event ? String(event._id) : null,
+    messageStatus: body.MessageStatus || body.SmsStatus,
+    status: event?.status || "ignored"
+  });
+
+  // Empty TwiML: no automatic reply to incoming messages
+  res.type("text/xml").send("<Response></Response>");
 };
 
+providers.get("simulator").on("callback", (callback) => {
+  ingestProviderCallback({ provider: "simulator", source: "simulator", ...callback }).catch(error => {
+    console.error("❌ Failed to store simulator callback:", error.message);
+  });
+});
+
+/**
+ * Pick up events that were stored but never finished (crash, restart,
+ * transient failure)
+ */
+async function sweepWebhookEvents() {
+  if (mongoose.connection.readyState !== 1) return;
+
+  const now = new Date();
+  const events = await WebhookEvent.find({
+    $or: [
+      { status: "received", receivedAt: { $lt: new Date(now.getTime() - EVENT_SWEEP_MS) } },
+      { status: "failed", attempts: { $lt: EVENT_MAX_ATTEMPTS } },
+      { status: "processing", lockedUntil: { $lt: now } }
+    ]
+  })
+    .sort({ receivedAt: 1 })
+    .limit(100)
+    .select("_id")
+    .lean();
+
+  for (const { _id } of events) {
+    await processWebhookEvent(_id);
+  }
+}
+
+function startWebhookEventWorker() {
+  if (eventSweepInterval) return;
+  eventSweepInterval = setInterval(() => {
+    sweepWebhookEvents().catch(error => {
+      console.error("❌ Webhook event sweep error:", error.message);
+    });
+  }, EVENT_SWEEP_MS);
+  console.log("📨 Webhook event worker started");
+}
+
+function stopWebhookEventWorker() {
+  if (eventSweepInterval) {
+    clearInterval(eventSweepInterval);
+    eventSweepInterval = null;
+  }
+}
+
 // ===============================
 // Utility Functions
 // ===============================
@@ -599,12 +1076,9 @@ const handlePOST = async (req, res) => {
  */
 const getWebhookLogs = async (req, res) => {
   try {
-    const { limit = 100, tenantId } = req.query;
+    const { limit = 100 } = req.query;
     
-    const query = {};
-    if (tenantId) {
-      query.tenantId = tenantId;
-    }
+    const query = { tenantId: new mongoose.Types.ObjectId(String(req.tenantId)) };
     
     const logs = await MessageLog.find(query)
       .sort({ timestamp: -1 })
@@ -642,42 +1116,61 @@ const getWebhookLogs = async (req, res) => {
 };
 
 /**
- * Resend failed messages
+ * Resend failed campaign messages. Each one is classified first: permanent
+ * failures and those out of retries are skipped unless `force` is set.
  */
 const retryFailedMessages = async (req, res) => {
   try {
-    const { tenantId, messageIds } = req.body;
-    
-    if (!tenantId) {
-      return res.status(400).json({ 
-        success: false, 
-        error: "tenantId is required" 
-      });
-    }
+    const { messageIds, force = false } = req.body;
+    const tenantId = req.tenantId;
     
     const query = {
       tenantId,
       status: 'failed',
-      direction: 'outbound'
+      direction: 'outbound',
+      retriedAt: { $exists: false }
     };
     
     if (messageIds && Array.isArray(messageIds)) {
       query._id = { $in: messageIds };
     }
     
-    const failedMessages = await MessageLog.find(query).lean();
+    const failedMessages = await MessageLog.find(query).sort({ timestamp: -1 }).limit(500).lean();
     
-    // Here you would implement your retry logic
-    // For now, just mark them as pending
-    const result = await MessageLog.updateMany(
-      query,
-      { $set: { status: 'pending', retryCount: { $inc: 1 } } }
-    );
+    const scheduled = [];
+    const skipped = [];
+    const now = new Date();
+    
+    for (const message of failedMessages) {
+      const category = message.errorCategory || retryPolicy.classify(message).category;
+      let reason = null;
+      
+      if (!message.campaignId || !message.stepId || !message.contactId) {
+        reason = 'not_a_campaign_message';
+      } else if (!force && category === 'permanent') {
+        reason = 'permanent';
+      } else if (!force && (message.retryCount || 0) >= retryPolicy.MAX_ATTEMPTS) {
+        reason = 'max_attempts';
+      }
+      
+      if (reason) {
+        skipped.push({ id: message._id, to: message.to, errorCode: message.errorCode, category, reason });
+        continue;
+      }
+      
+      const jobId = await retryPolicy.scheduleRetry(message, now);
+      if (jobId) {
+        scheduled.push({ id: message._id, to: message.to, category, jobId });
+      } else {
+        skipped.push({ id: message._id, to: message.to, category, reason: 'campaign_not_found' });
+      }
+    }
     
     res.json({
       success: true,
-      message: `${result.modifiedCount} messages marked for retry`,
-      modifiedCount: result.modifiedCount,
+      message: `${scheduled.length} messages scheduled for retry, ${skipped.length} skipped`,
+      scheduled,
+      skipped,
       failedMessages: failedMessages.length
     });
     
@@ -695,45 +1188,35 @@ const retryFailedMessages = async (req, res) => {
  */
 const testWebhook = async (req, res) => {
   try {
-    const testPayload = {
-      entry: [{
-        changes: [{
-          value: {
-            metadata: {
-              phone_number_id: process.env.META_WA_PHONE_ID
-            },
-            messages: [{
-              from: "919876543210", // Test phone number
-              id: "test_" + Date.now(),
-              timestamp: Math.floor(Date.now() / 1000),
-              type: "text",
-              text: { body: "This is a test message from webhook debug" }
-            }]
-          },
-          field: "messages"
+    const tenant = await Tenant.findById(req.tenantId).select('whatsappPhoneId').lean();
+    const phoneNumberId = tenant?.whatsappPhoneId || process.env.META_WA_PHONE_ID;
+
+    const testChange = {
+      value: {
+        metadata: {
+          phone_number_id: phoneNumberId
+        },
+        messages: [{
+          from: "919876543210", // Test phone number
+          id: "test_" + Date.now(),
+          timestamp: Math.floor(Date.now() / 1000),
+          type: "text",
+          text: { body: "This is a test message from webhook debug" }
         }]
-      }]
+      },
+      field: "messages"
     };
     
-    // Simulate webhook processing
-    req.rawBody = Buffer.from(JSON.stringify(testPayload));
-    req.headers = { "x-hub-signature-256": "test_signature" };
-    
-    const io = req.app.get("io");
-    
-    // Bypass signature verification for test
-    const originalVerify = verifySignature;
-    verifySignature = () => true;
-    
-    await handlePOST(req, res);
-    
-    // Restore original function
-    verifySignature = originalVerify;
+    // Run the change through the same routing as a real webhook
+    const result = await processChange(testChange, "test", { quarantine: false });
     
     res.json({
-      success: true,
-      message: "Test webhook processed",
-      testPayload
+      success: !result.unresolved,
+      message: result.unresolved
+        ? `No tenant is connected to phone_number_id ${phoneNumberId}`
+        : "Test webhook processed",
+      result,
+      testPayload: { entry: [{ id: "test", changes: [testChange] }] }
     });
     
   } catch (error) {
@@ -745,31 +1228,361 @@ const testWebhook = async (req, res) => {
   }
 };
 
+/**
+ * Make a contact write to the tenant's simulated number
+ * Body: { from, text, contextId?, button?: { id, title } }
+ */
+const simulateInbound = async (req, res) => {
+  try {
+    const { text, contextId, button } = req.body || {};
+    const client = await getTenantClient(req.tenantId);
+    if (client.provider !== "simulator") {
+      return res.status(409).json({ success: false, error: "This tenant does not use the simulator provider" });
+    }
+
+    const from = await normalizeTenantPhone(req.body?.from, req.tenantId);
+    if (!from) {
+      return res.status(400).json({ success: false, error: "from must be a valid phone number" });
+    }
+    if (!text && !button?.id) {
+      return res.status(400).json({ success: false, error: "text or button.id is required" });
+    }
+
+    const message = providers.get("simulator").simulateInbound(client, { from, text, contextId, button });
+    res.json({ success: true, message });
+
+  } catch (error) {
+    console.error("Simulate inbound error:", error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+};
+
+// ===============================
+// Dead-letter inspection & replay
+// ===============================
+
+/**
+ * Replay one dead letter; it stays pending if the number is still unknown
+ */
+async function replayDeadLetter(deadLetter) {
+  deadLetter.attempts += 1;
+  deadLetter.lastAttemptAt = new Date();
+
+  try {
+    const result = await processChange(
+      { field: deadLetter.field, value: deadLetter.value },
+      deadLetter.entryId,
+      { quarantine: false }
+    );
+
+    if (result.unresolved) {
+      deadLetter.lastError = `No tenant connected to phone_number_id ${deadLetter.phoneNumberId}`;
+      await deadLetter.save();
+      return { id: deadLetter._id, replayed: false, error: deadLetter.lastError };
+    }
+
+    deadLetter.status = 'replayed';
+    deadLetter.replayedAt = new Date();
+    deadLetter.replayedTenantId = result.tenantId;
+    deadLetter.lastError = undefined;
+    await deadLetter.save();
+
+    console.log(`♻️ Replayed dead letter ${deadLetter._id} into tenant ${result.tenantId}`);
+    return { id: deadLetter._id, replayed: true, tenantId: result.tenantId };
+  } catch (error) {
+    deadLetter.lastError = error.message;
+    await deadLetter.save();
+    return { id: deadLetter._id, replayed: false, error: error.message };
+  }
+}
+
+const listDeadLetters = async (req, res) => {
+  try {
+    const { status = 'pending', phoneNumberId, limit = 50, page = 1 } = req.query;
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (phoneNumberId) query.phoneNumberId = phoneNumberId;
+
+    const [deadLetters, total, byPhoneNumber] = await Promise.all([
+      WebhookDeadLetter.find(query)
+        .sort({ receivedAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .lean(),
+      WebhookDeadLetter.countDocuments(query),
+      WebhookDeadLetter.aggregate([
+        { $match: { status: 'pending' } },
+        {
+          $group: {
+            _id: "$phoneNumberId",
+            displayPhoneNumber: { $last: "$displayPhoneNumber" },
+            count: { $sum: 1 },
+            lastReceivedAt: { $max: "$receivedAt" }
+          }
+        },
+        { $sort: { lastReceivedAt: -1 } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      deadLetters,
+      byPhoneNumber,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error("Error listing dead letters:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+const replayDeadLetterById = async (req, res) => {
+  try {
+    const deadLetter = await WebhookDeadLetter.findById(req.params.id);
+    if (!deadLetter) {
+      return res.status(404).json({ success: false, error: "Dead letter not found" });
+    }
+    if (deadLetter.status !== 'pending') {
+      return res.status(409).json({ success: false, error: `Dead letter is already ${deadLetter.status}` });
+    }
+
+    const result = await replayDeadLetter(deadLetter);
+    res.status(result.replayed ? 200 : 409).json({ success: result.replayed, ...result });
+  } catch (error) {
+    console.error("Error replaying dead letter:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+const replayPendingDeadLetters = async (req, res) => {
+  try {
+    const { phoneNumberId, limit = 500 } = req.body || {};
+
+    const query = { status: 'pending' };
+    if (phoneNumberId) query.phoneNumberId = phoneNumberId;
+
+    const deadLetters = await WebhookDeadLetter.find(query)
+      .sort({ receivedAt: 1 })
+      .limit(parseInt(limit));
+
+    const results = [];
+    for (const deadLetter of deadLetters) {
+      results.push(await replayDeadLetter(deadLetter));
+    }
+
+    res.json({
+      success: true,
+      total: results.length,
+      replayed: results.filter(r => r.replayed).length,
+      stillPending: results.filter(r => !r.replayed).length,
+      results
+    });
+  } catch (error) {
+    console.error("Error replaying dead letters:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+const discardDeadLetter = async (req, res) => {
+  try {
+    const deadLetter = await WebhookDeadLetter.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      { $set: { status: 'discarded' } },
+      { new: true }
+    );
+    if (!deadLetter) {
+      return res.status(404).json({ success: false, error: "Pending dead letter not found" });
+    }
+    res.json({ success: true, deadLetter });
+  } catch (error) {
+    console.error("Error discarding dead letter:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// ===============================
+// Stored webhook events
+// ===============================
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+const listWebhookEvents = async (req, res) => {
+  try {
+    const { status, from, to, limit = 50, page = 1 } = req.query;
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to);
+    if (fromDate === undefined || toDate === undefined) {
+      return res.status(400).json({ success: false, error: "from and to must be valid dates" });
+    }
+
+    const query = { tenantIds: req.tenantId };
+    if (status) query.status = status;
+    if (fromDate || toDate) {
+      query.receivedAt = {};
+      if (fromDate) query.receivedAt.$gte = fromDate;
+      if (toDate) query.receivedAt.$lte = toDate;
+    }
+
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(query)
+        .select("-rawBody -signature -tenantIds")
+        .sort({ receivedAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .lean(),
+      WebhookEvent.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      events,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error("Error listing webhook events:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+const getWebhookEvent = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, error: "Webhook event not found" });
+    }
+    const event = await WebhookEvent.findOne({ _id: req.params.id, tenantIds: req.tenantId })
+      .select("-signature -tenantIds")
+      .lean();
+    if (!event) {
+      return res.status(404).json({ success: false, error: "Webhook event not found" });
+    }
+
+    let payload = null;
+    try {
+      payload = JSON.parse(event.rawBody);
+    } catch (e) {
+      // rawBody is returned as stored
+    }
+
+    res.json({ success: true, event: { ...event, payload } });
+  } catch (error) {
+    console.error("Error fetching webhook event:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Replay stored events by id or by receivedAt range. Only the changes for
+ * the caller's own numbers are processed again.
+ */
+const replayWebhookEvents = async (req, res) => {
+  try {
+    const { ids, from, to, status, limit = 500 } = req.body || {};
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to);
+
+    if (fromDate === undefined || toDate === undefined) {
+      return res.status(400).json({ success: false, error: "from and to must be valid dates" });
+    }
+    if (!(Array.isArray(ids) && ids.length) && !fromDate && !toDate) {
+      return res.status(400).json({ success: false, error: "Provide ids or a from/to range" });
+    }
+
+    const query = { tenantIds: req.tenantId };
+    if (Array.isArray(ids) && ids.length) {
+      query._id = { $in: ids.filter(id => mongoose.isValidObjectId(id)) };
+    }
+    if (fromDate || toDate) {
+      query.receivedAt = {};
+      if (fromDate) query.receivedAt.$gte = fromDate;
+      if (toDate) query.receivedAt.$lte = toDate;
+    }
+    if (status) query.status = status;
+
+    const events = await WebhookEvent.find(query)
+      .sort({ receivedAt: 1 })
+      .limit(Math.min(parseInt(limit) || 500, 1000))
+      .select("_id")
+      .lean();
+
+    const results = [];
+    for (const { _id } of events) {
+      const event = await processWebhookEvent(_id, { replay: true, tenantId: req.tenantId });
+      results.push(event
+        ? { id: _id, replayed: event.status === "processed", status: event.status, result: event.result, error: event.lastError }
+        : { id: _id, replayed: false, error: "Event is being processed" });
+    }
+
+    console.log(`♻️ Replayed ${results.filter(r => r.replayed).length}/${results.length} webhook event(s) for tenant ${req.tenantId}`);
+
+    res.json({
+      success: true,
+      total: results.length,
+      replayed: results.filter(r => r.replayed).length,
+      failed: results.filter(r => !r.replayed).length,
+      results
+    });
+  } catch (error) {
+    console.error("Error replaying webhook events:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
 // ===============================
 // ROUTES
 // ===============================
 
 // Webhook endpoints
 router.get("/meta", verifyGET);
-router.post("/meta", 
-  express.raw({ type: "application/json" }),
-  (req, res, next) => {
-    req.rawBody = req.body;
-    next();
-  },
-  handlePOST
-);
+router.post("/meta", receiveWebhook);
+router.post("/twilio", receiveTwilioWebhook);
 
 // Debug endpoints
-router.get("/logs", getWebhookLogs);
-router.post("/retry-failed", retryFailedMessages);
-router.post("/test", testWebhook);
+router.get("/logs", requireAuth, getWebhookLogs);
+router.post("/retry-failed", requireAuth, retryFailedMessages);
+router.post("/test", requireAuth, testWebhook);
+router.post("/simulator/inbound", requireAuth, simulateInbound);
+
+// Dead letters belong to no tenant yet: platform operators only, mounted at
+// /api/webhooks/dead-letters behind requirePlatformOperator (server.js)
+const deadLetterRouter = express.Router();
+deadLetterRouter.get("/", listDeadLetters);
+deadLetterRouter.post("/replay", replayPendingDeadLetters);
+deadLetterRouter.post("/:id/replay", replayDeadLetterById);
+deadLetterRouter.delete("/:id", discardDeadLetter);
+
+// Stored webhook events
+router.get("/events", requireAuth, requirePermission('webhooks:manage'), listWebhookEvents);
+router.post("/events/replay", requireAuth, requirePermission('webhooks:manage'), replayWebhookEvents);
+router.get("/events/:id", requireAuth, requirePermission('webhooks:manage'), getWebhookEvent);
 
 // Export helper functions for use in other files
 module.exports = {
   router,
+  deadLetterRouter,
   verifyGET,
-  handlePOST,
+  receiveWebhook,
+  receiveTwilioWebhook,
+  processWebhookEvent,
+  startWebhookEventWorker,
+  stopWebhookEventWorker,
+  verifySignature,
+  findTenantByWaPhoneId,
+  invalidateTenantPhoneCache,
+  quarantineChange,
+  processChange,
   updateChatSession,
   updateCampaignProgressForReply,
   processInboundMessage,
@@ -1,13 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const crypto = require('crypto');
 const requireAuth = require('../middleware/auth');
+const { requirePermission, chatScope, requireChatAccess } = require('../middleware/permissions');
 
 // Import models
 const MessageLog = require('../models/MessageLog');
 const ChatSession = require('../models/ChatSession');
-const Contact = require('../models/Contact');
-const CampaignProgress = require('../models/CampaignProgress');
 
 // Import WhatsApp services
 const {
@@ -20,435 +18,20 @@ const {
     sendFile,
     sendLocation,
     sendContact,
-    sendTemplate,
-    sendDocument
+    sendTemplate
 } = require('../services/whatsapp');
-
-// ===============================
-// WEBHOOK HELPER FUNCTIONS
-// ===============================
-
-// Verify webhook signature
-function verifySignature(rawBody, signatureHeader) {
-    try {
-        // Dev mode - skip verification if no secret
-        if (!process.env.META_APP_SECRET) {
-            console.log('⚠️ Dev mode: Skipping signature verification');
-            return true;
-        }
-
-        if (!signatureHeader || !rawBody) {
-            console.warn('❌ Missing signature or body');
-            return false;
-        }
-
-        const parts = signatureHeader.split('=');
-        if (parts.length !== 2) return false;
-
-        const sigHash = parts[1];
-        const expected = crypto
-            .createHmac('sha256', process.env.META_APP_SECRET)
-            .update(rawBody)
-            .digest('hex');
-
-        const isValid = crypto.timingSafeEqual(
-            Buffer.from(sigHash, 'hex'),
-            Buffer.from(expected, 'hex')
-        );
-
-        if (!isValid) {
-            console.warn('❌ Signature verification failed');
-        }
-
-        return isValid;
-    } catch (error) {
-        console.error('Signature verification error:', error);
-        return false;
-    }
-}
-
-// Update chat session for webhook
-async function updateChatSessionForWebhook(tenantId, phone, messageData) {
-    try {
-        const cleanedPhone = phone.replace('+', '').trim();
-
-        // Find or create contact
-        let contact = await Contact.findOne({
-            tenantId,
-            phone: cleanedPhone
-        });
-
-        if (!contact) {
-            contact = await Contact.create({
-                tenantId,
-                phone: cleanedPhone,
-                name: `Contact ${cleanedPhone}`,
-                hasWhatsApp: true,
-                lastInteraction: new Date(),
-                createdAt: new Date()
-            });
-            console.log(`✅ Created new contact: ${cleanedPhone}`);
-        } else {
-            contact.lastInteraction = new Date();
-            contact.hasWhatsApp = true;
-            await contact.save();
-        }
-
-        // Prepare session data
-        const updateData = {
-            tenantId,
-            phone: cleanedPhone,
-            contactId: contact._id,
-            lastMessage: messageData.body?.substring(0, 200) || '[Media]',
-            lastMessageType: messageData.type || 'text',
-            lastDirection: messageData.direction,
-            lastStatus: messageData.status || 'received',
-            lastInteraction: new Date(),
-            updatedAt: new Date(),
-            $inc: { messageCount: 1 }
-        };
-
-        if (messageData.direction === 'inbound') {
-            updateData.$inc.unreadCount = 1;
-            updateData.hasReplied = true;
-        } else {
-            updateData.unreadCount = 0;
-        }
-
-        // Update or create chat session
-        const session = await ChatSession.findOneAndUpdate(
-            { tenantId, phone: cleanedPhone },
-            updateData,
-            {
-                upsert: true,
-                new: true,
-                setDefaultsOnInsert: true
-            }
-        );
-
-        console.log(`✅ Updated chat session for ${cleanedPhone}`);
-        return { session, contact };
-    } catch (error) {
-        console.error('❌ Error updating chat session:', error);
-        return null;
-    }
-}
-
-// Process inbound message from webhook
-async function processInboundMessage(msg, tenantId, businessPhone) {
-    try {
-        const from = msg.from;
-        const messageId = msg.id;
-
-        // Check duplicate
-        const existing = await MessageLog.findOne({
-            provider: 'meta',
-            whatsappMessageId: messageId
-        });
-
-        if (existing) {
-            console.log(`⏭️ Duplicate message ${messageId}, skipping`);
-            return null;
-        }
-
-        // Extract message content
-        let messageContent = '';
-        let messageType = msg.type || 'text';
-        let mediaUrl = '';
-
-        switch (msg.type) {
-            case 'text':
-                messageContent = msg.text?.body || '';
-                break;
-            case 'image':
-                messageContent = msg.image?.caption || '[Image]';
-                mediaUrl = msg.image?.id || '';
-                break;
-            case 'video':
-                messageContent = msg.video?.caption || '[Video]';
-                mediaUrl = msg.video?.id || '';
-                break;
-            case 'audio':
-                messageContent = '[Audio Message]';
-                mediaUrl = msg.audio?.id || '';
-                break;
-            case 'document':
-                messageContent = msg.document?.caption || `[Document: ${msg.document?.filename || 'file'}]`;
-                mediaUrl = msg.document?.id || '';
-                break;
-            case 'location':
-                messageContent = `📍 Location: ${msg.location?.latitude}, ${msg.location?.longitude}`;
-                break;
-            case 'contacts':
-                messageContent = '[Contacts Shared]';
-                break;
-            case 'interactive':
-                if (msg.interactive?.type === 'button_reply') {
-                    messageContent = `[Button: ${msg.interactive.button_reply?.title}]`;
-                } else if (msg.interactive?.type === 'list_reply') {
-                    messageContent = `[List: ${msg.interactive.list_reply?.title}]`;
-                } else {
-                    messageContent = '[Interactive Message]';
-                }
-                break;
-            default:
-                messageContent = `[${msg.type || 'Unknown Message'}]`;
-        }
-
-        // Create timestamp
-        const timestamp = msg.timestamp ?
-            new Date(parseInt(msg.timestamp) * 1000) : new Date();
-
-        // Save message log
-        const messageLog = await MessageLog.create({
-            tenantId,
-            from: from,
-            to: businessPhone,
-            body: messageContent,
-            type: messageType,
-            direction: 'inbound',
-            status: 'received',
-            provider: 'meta',
-            whatsappMessageId: messageId,
-            provider_message_id: messageId,
-            mediaUrl: mediaUrl,
-            timestamp: timestamp,
-            payload: msg
-        });
-
-        // Update chat session
-        await updateChatSessionForWebhook(tenantId, from, {
-            body: messageContent,
-            type: messageType,
-            direction: 'inbound',
-            status: 'received'
-        });
-
-        // Update campaign progress if contact replied
-        const contact = await Contact.findOne({ tenantId, phone: from });
-        if (contact) {
-            await CampaignProgress.updateMany(
-                {
-                    tenantId,
-                    contactId: contact._id,
-                    hasReplied: false,
-                    status: { $in: ['active', 'pending'] }
-                },
-                {
-                    $set: {
-                        hasReplied: true,
-                        repliedAt: timestamp,
-                        status: 'replied'
-                    }
-                }
-            );
-            console.log(`✅ Updated campaign progress for ${from}`);
-        }
-
-        console.log(`✅ Inbound message saved: ${from} - ${messageContent.substring(0, 50)}`);
-        return messageLog;
-    } catch (error) {
-        console.error('❌ Process inbound error:', error);
-        return null;
-    }
-}
-
-// Process status update from webhook
-async function processStatusUpdate(statusUpdate, tenantId) {
-    try {
-        const { id: messageId, status, recipient_id } = statusUpdate;
-
-        if (!messageId || !status) {
-            console.warn('❌ Invalid status update');
-            return;
-        }
-
-        // Find the message
-        const message = await MessageLog.findOne({
-            provider: 'meta',
-            whatsappMessageId: messageId
-        });
-
-        if (!message) {
-            console.log(`⚠️ Message not found: ${messageId}`);
-            return;
-        }
-
-        // Update message status
-        const updatedMessage = await MessageLog.findOneAndUpdate(
-            { whatsappMessageId: messageId },
-            {
-                $set: {
-                    status: status,
-                    updatedAt: new Date(),
-                    payload: statusUpdate
-                }
-            },
-            { new: true }
-        );
-
-        // Update chat session
-        if (message.to) {
-            await ChatSession.findOneAndUpdate(
-                { tenantId, phone: message.to },
-                {
-                    $set: {
-                        lastStatus: status,
-                        updatedAt: new Date()
-                    }
-                }
-            );
-        }
-
-        console.log(`✅ Status updated: ${messageId} -> ${status}`);
-        return updatedMessage;
-    } catch (error) {
-        console.error('❌ Process status error:', error);
-    }
-}
+const { verifyGET, receiveWebhook } = require('./webhooks');
+const optOutService = require('../services/optOutService');
+const conversationWindow = require('../services/conversationWindow');
+const { normalizeTenantPhone } = require('../utils/phone');
 
 // ===============================
 // WEBHOOK ROUTES
 // ===============================
 
-// GET - Webhook verification
-router.get('/webhook', (req, res) => {
-    try {
-        const mode = req.query['hub.mode'];
-        const token = req.query['hub.verify_token'];
-        const challenge = req.query['hub.challenge'];
-
-        console.log('\n' + '='.repeat(50));
-        console.log('🔐 WEBHOOK VERIFICATION REQUEST');
-        console.log('='.repeat(50));
-        console.log('Mode:', mode);
-        console.log('Token received:', token);
-        console.log('Expected token:', process.env.META_VERIFY_TOKEN);
-        console.log('Challenge:', challenge);
-        console.log('Full URL:', req.originalUrl);
-        console.log('='.repeat(50));
-
-        // Hardcoded tokens for testing
-        const expectedTokens = [
-            process.env.META_VERIFY_TOKEN,
-            'whatsapp_test_token_2024',
-            'test_token_123',
-            'my_test_webhook_token_123',
-            'whatsapp_webhook_token'
-        ];
-
-        let tokenMatched = false;
-        let matchedToken = '';
-
-        for (const expectedToken of expectedTokens) {
-            if (token === expectedToken) {
-                tokenMatched = true;
-                matchedToken = expectedToken;
-                break;
-            }
-        }
-
-        if (mode === 'subscribe' && tokenMatched) {
-            console.log('✅ TOKEN MATCHED:', matchedToken);
-            console.log('✅ Sending challenge response:', challenge);
-
-            res.setHeader('Content-Type', 'text/plain');
-            res.status(200).send(challenge);
-        } else {
-            console.log('❌ TOKEN MISMATCH');
-            console.log('Expected one of:', expectedTokens);
-            console.log('Received:', token);
-            res.status(403).send('Forbidden - Token mismatch');
-        }
-    } catch (error) {
-        console.error('❌ Webhook verification error:', error);
-        res.status(500).send('Server error');
-    }
-});
-
-// POST - Webhook handler
-router.post('/webhook',
-    express.raw({ type: 'application/json' }),
-    async (req, res) => {
-        // Send immediate response to Meta
-        res.sendStatus(200);
-
-        let rawBody = null;
-
-        try {
-            rawBody = req.body.toString();
-            const signature = req.headers['x-hub-signature-256'];
-            const io = req.app.get('io');
-
-            // Verify signature
-            if (!verifySignature(rawBody, signature)) {
-                console.warn('❌ Invalid webhook signature');
-                return;
-            }
-
-            // Parse webhook data
-            const data = JSON.parse(rawBody);
-
-            console.log('📨 Webhook received:', {
-                object: data.object,
-                entries: data.entry?.length || 0
-            });
-
-            // Process each entry
-            for (const entry of data.entry || []) {
-                for (const change of entry.changes || []) {
-                    const value = change.value;
-
-                    if (change.field === 'messages') {
-                        // Default tenant
-                        const tenantId = process.env.DEFAULT_TENANT_ID || 'default';
-                        const businessPhone = process.env.BUSINESS_PHONE_NUMBER || '919876543210';
-
-                        // Process messages
-                        for (const message of value.messages || []) {
-                            const savedMessage = await processInboundMessage(
-                                message,
-                                tenantId,
-                                businessPhone
-                            );
-
-                            // Emit socket event
-                            if (savedMessage && io) {
-                                io.to(`tenant_${tenantId}`).emit('message:new', savedMessage);
-
-                                io.to(`tenant_${tenantId}`).emit('session:updated', {
-                                    phone: message.from,
-                                    lastMessage: savedMessage.body,
-                                    lastDirection: 'inbound',
-                                    lastStatus: 'received',
-                                    unreadCount: 1,
-                                    hasReplied: true,
-                                    updatedAt: new Date()
-                                });
-
-                                console.log(`📡 Socket event emitted for ${message.from}`);
-                            }
-                        }
-
-                        // Process status updates
-                        for (const status of value.statuses || []) {
-                            const updatedMessage = await processStatusUpdate(status, tenantId);
-
-                            if (updatedMessage && io) {
-                                io.to(`tenant_${tenantId}`).emit('message:status_updated', updatedMessage);
-                            }
-                        }
-                    }
-                }
-            }
-
-            console.log('✅ Webhook processing completed');
-        } catch (error) {
-            console.error('❌ Webhook processing error:', error.message);
-            console.error(error.stack);
-        }
-    }
-);
+// Meta webhooks share the ingestion pipeline in routes/webhooks.js
+router.get('/webhook', verifyGET);
+router.post('/webhook', receiveWebhook);
 
 // ===============================
 // TEMPLATE MANAGEMENT APIs (AUTH REQUIRED)
@@ -652,8 +235,28 @@ router.post('/templates/search', requireAuth, async (req, res) => {
 // MESSAGING APIs (AUTH REQUIRED)
 // ===============================
 
+// Direct sends skip opted-out numbers, like campaign sends do. `to` is read
+// against the tenant's country here and sent in the stored form.
+const refuseOptedOut = async (req, res, next) => {
+    try {
+        const phone = req.body?.to && await normalizeTenantPhone(req.body.to, req.tenantId);
+        if (phone) req.body.to = phone;
+        if (phone && await optOutService.isOptedOut(req.tenantId, phone)) {
+            console.log(`🔕 [API] Not sending to ${phone}: opted out`);
+            return res.status(409).json({
+                success: false,
+                code: 'OPTED_OUT',
+                error: 'This contact has opted out of WhatsApp messages'
+            });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
 // POST /api/whatsapp/send/text - Send text message
-router.post('/send/text', requireAuth, async (req, res) => {
+router.post('/send/text', requireAuth, refuseOptedOut, async (req, res) => {
     try {
         const { to, body } = req.body;
 
@@ -666,7 +269,7 @@ router.post('/send/text', requireAuth, async (req, res) => {
 
         console.log(`📤 [API] Sending text to ${to}`);
 
-        const result = await sendText({ to, body });
+        const result = await sendText({ to, body, tenantId: req.tenantId });
 
         res.json({
             success: true,
@@ -675,15 +278,16 @@ router.post('/send/text', requireAuth, async (req, res) => {
         });
     } catch (error) {
         console.error('❌ [API] POST /whatsapp/send/text error:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
+            code: error.code,
             error: error.message
         });
     }
 });
 
 // POST /api/whatsapp/send/template - Send template message
-router.post('/send/template', requireAuth, async (req, res) => {
+router.post('/send/template', requireAuth, refuseOptedOut, async (req, res) => {
     try {
         const { to, templateName, language = 'en_US', dynamicParams = [] } = req.body;
 
@@ -711,15 +315,16 @@ router.post('/send/template', requireAuth, async (req, res) => {
         });
     } catch (error) {
         console.error('❌ [API] POST /whatsapp/send/template error:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
+            code: error.code,
             error: error.message
         });
     }
 });
 
 // POST /api/whatsapp/send/media - Send media message
-router.post('/send/media', requireAuth, async (req, res) => {
+router.post('/send/media', requireAuth, refuseOptedOut, async (req, res) => {
     try {
         const { to, mediaUrl, caption = '', mediaType } = req.body;
 
@@ -737,11 +342,11 @@ router.post('/send/media', requireAuth, async (req, res) => {
 
         // Determine media type
         if (mediaType === 'image' || url.match(/\.(jpg|jpeg|png|gif|webp)$/i)) {
-            result = await sendImage({ to, imageUrl: mediaUrl, caption });
+            result = await sendImage({ to, imageUrl: mediaUrl, caption, tenantId: req.tenantId });
         } else if (mediaType === 'video' || url.match(/\.(mp4|avi|mov|wmv|mkv)$/i)) {
-            result = await sendVideo({ to, videoUrl: mediaUrl, caption });
+            result = await sendVideo({ to, videoUrl: mediaUrl, caption, tenantId: req.tenantId });
         } else {
-            result = await sendFile({ to, fileUrl: mediaUrl, caption });
+            result = await sendFile({ to, fileUrl: mediaUrl, caption, tenantId: req.tenantId });
         }
 
         res.json({
@@ -751,15 +356,16 @@ router.post('/send/media', requireAuth, async (req, res) => {
         });
     } catch (error) {
         console.error('❌ [API] POST /whatsapp/send/media error:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
+            code: error.code,
             error: error.message
         });
     }
 });
 
 // POST /api/whatsapp/send/batch - Send batch messages
-router.post('/send/batch', requireAuth, async (req, res) => {
+router.post('/send/batch', requireAuth, requirePermission('messages:bulk'), async (req, res) => {
     try {
         const { messages } = req.body;
 
@@ -816,7 +422,7 @@ router.get('/health', requireAuth, async (req, res) => {
     try {
         console.log('🏥 [API] Checking WhatsApp health');
 
-        const result = await checkWhatsAppHealth();
+        const result = await checkWhatsAppHealth(req.tenantId);
 
         res.json({
             success: true,
@@ -839,7 +445,7 @@ router.get('/status', requireAuth, async (req, res) => {
     try {
         console.log('📊 [API] Getting WhatsApp status');
 
-        const healthResult = await checkWhatsAppHealth();
+        const healthResult = await checkWhatsAppHealth(req.tenantId);
 
         // Try to get templates count
         let templateCount = 0;
@@ -979,16 +585,20 @@ router.post('/validate-template', requireAuth, async (req, res) => {
 // CHAT SESSION APIs (FOR CHAT COMPONENT)
 // ===============================
 
+// Users without chats:all only reach conversations assigned to them
+router.param('phone', requireChatAccess);
+
 // GET /api/whatsapp/chat/sessions - Get all chat sessions
-router.get('/chat/sessions', requireAuth, async (req, res) => {
+router.get('/chat/sessions', requireAuth, requirePermission('chats:read'), async (req, res) => {
     try {
         const { page = 1, limit = 50, search = '', filter = 'all', archived = 'false' } = req.query;
         const tenantId = req.tenantId || process.env.DEFAULT_TENANT_ID || 'default';
+        const scope = { tenantId, ...chatScope(req) };
 
         const skip = (page - 1) * limit;
 
         // Build query
-        const query = { tenantId };
+        const query = { ...scope };
 
         if (search) {
             query.$or = [
@@ -1017,17 +627,17 @@ router.get('/chat/sessions', requireAuth, async (req, res) => {
             .limit(parseInt(limit));
 
         // Get counts for stats
-        const totalSessions = await ChatSession.countDocuments({ tenantId });
+        const totalSessions = await ChatSession.countDocuments(scope);
         const totalUnread = await ChatSession.countDocuments({
-            tenantId,
+            ...scope,
             unreadCount: { $gt: 0 }
         });
         const repliedSessions = await ChatSession.countDocuments({
-            tenantId,
+            ...scope,
             hasReplied: true
         });
         const archivedSessions = await ChatSession.countDocuments({
-            tenantId,
+            ...scope,
             isArchived: true
         });
 
@@ -1054,7 +664,7 @@ router.get('/chat/sessions', requireAuth, async (req, res) => {
 });
 
 // GET /api/whatsapp/chat/sessions/:phone - Get session messages
-router.get('/chat/sessions/:phone', requireAuth, async (req, res) => {
+router.get('/chat/sessions/:phone', requireAuth, requirePermission('chats:read'), async (req, res) => {
     try {
         const { phone } = req.params;
         const tenantId = req.tenantId || process.env.DEFAULT_TENANT_ID || 'default';
@@ -1094,11 +704,18 @@ router.get('/chat/sessions/:phone', requireAuth, async (req, res) => {
 });
 
 // POST /api/whatsapp/chat/sessions/:phone/messages - Send message
-router.post('/chat/sessions/:phone/messages', requireAuth, async (req, res) => {
+router.post('/chat/sessions/:phone/messages', requireAuth, requirePermission('chats:write'), async (req, res) => {
     try {
-        const { phone } = req.params;
         const { message, type = 'text', mediaUrl, caption } = req.body;
         const tenantId = req.tenantId || process.env.DEFAULT_TENANT_ID || 'default';
+        const phone = await normalizeTenantPhone(req.params.phone, tenantId, { stored: true });
+
+        if (!phone) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid phone number'
+            });
+        }
 
         if (!message && !mediaUrl) {
             return res.status(400).json({
@@ -1107,19 +724,25 @@ router.post('/chat/sessions/:phone/messages', requireAuth, async (req, res) => {
             });
         }
 
+        // Free-form messages need an open 24-hour window, as in routes/chat.js
+        const window = await conversationWindow.getWindow(tenantId, phone);
+        if (!window.windowOpen) {
+            return res.status(409).json(await conversationWindow.buildClosedError(tenantId, window));
+        }
+
         let result;
         switch (type) {
             case 'text':
-                result = await sendText({ to: phone, body: message });
+                result = await sendText({ to: phone, body: message, tenantId, lane: 'inbox' });
                 break;
             case 'image':
-                result = await sendImage({ to: phone, imageUrl: mediaUrl, caption });
+                result = await sendImage({ to: phone, imageUrl: mediaUrl, caption, tenantId, lane: 'inbox' });
                 break;
             case 'video':
-                result = await sendVideo({ to: phone, videoUrl: mediaUrl, caption });
+                result = await sendVideo({ to: phone, videoUrl: mediaUrl, caption, tenantId, lane: 'inbox' });
                 break;
             case 'document':
-                result = await sendDocument({ to: phone, fileUrl: mediaUrl, caption });
+                result = await sendFile({ to: phone, fileUrl: mediaUrl, caption, tenantId, lane: 'inbox' });
                 break;
             default:
                 return res.status(400).json({
@@ -1128,53 +751,50 @@ router.post('/chat/sessions/:phone/messages', requireAuth, async (req, res) => {
                 });
         }
 
-        if (result.success) {
-            // Save message log
-            const messageLog = await MessageLog.create({
-                tenantId,
-                from: process.env.BUSINESS_PHONE_NUMBER,
-                to: phone,
-                body: message || `[${type} Message]`,
-                type,
-                direction: 'outbound',
-                status: result.status || 'sent',
-                provider: 'meta',
-                whatsappMessageId: result.messageId,
-                provider_message_id: result.messageId,
-                mediaUrl,
-                timestamp: new Date()
-            });
+        // sendRaw resolves with the provider response or throws
+        const providerMessageId = result?.messages?.[0]?.id;
+
+        // Save message log
+        const messageLog = await MessageLog.create({
+            tenantId,
+            from: process.env.BUSINESS_PHONE_NUMBER,
+            to: phone,
+            body: message || `[${type} Message]`,
+            type,
+            direction: 'outbound',
+            status: 'sent',
+            provider: result?.provider || 'meta',
+            whatsappMessageId: providerMessageId,
+            provider_message_id: providerMessageId,
+            mediaUrl,
+            timestamp: new Date(),
+            sentAt: new Date()
+        });
 
-            // Update chat session
-            await ChatSession.findOneAndUpdate(
-                { tenantId, phone },
-                {
-                    $set: {
-                        lastMessage: message || `[${type} Message]`,
-                        lastMessageType: type,
-                        lastDirection: 'outbound',
-                        lastStatus: result.status || 'sent',
-                        lastInteraction: new Date(),
-                        updatedAt: new Date(),
-                        hasReplied: true,
-                        unreadCount: 0
-                    },
-                    $inc: { messageCount: 1 }
+        // Update chat session
+        await ChatSession.findOneAndUpdate(
+            { tenantId, phone },
+            {
+                $set: {
+                    lastMessage: message || `[${type} Message]`,
+                    lastMessageType: type,
+                    lastDirection: 'outbound',
+                    lastStatus: 'sent',
+                    lastInteraction: new Date(),
+                    updatedAt: new Date(),
+                    hasReplied: true,
+                    unreadCount: 0
                 },
-                { upsert: true, new: true }
-            );
+                $inc: { messageCount: 1 }
+            },
+            { upsert: true, new: true }
+        );
 
-            res.json({
-                success: true,
-                message: 'Message sent successfully',
-                data: messageLog
-            });
-        } else {
-            res.status(500).json({
-                success: false,
-                error: result.error || 'Failed to send message'
-            });
-        }
+        res.json({
+            success: true,
+            message: 'Message sent successfully',
+            data: messageLog
+        });
     } catch (error) {
         console.error('❌ Send message error:', error);
         res.status(500).json({
@@ -1185,21 +805,22 @@ router.post('/chat/sessions/:phone/messages', requireAuth, async (req, res) => {
 });
 
 // GET /api/whatsapp/chat/stats - Get chat statistics
-router.get('/chat/stats', requireAuth, async (req, res) => {
+router.get('/chat/stats', requireAuth, requirePermission('chats:read'), async (req, res) => {
     try {
         const tenantId = req.tenantId || process.env.DEFAULT_TENANT_ID || 'default';
+        const scope = { tenantId, ...chatScope(req) };
 
-        const totalSessions = await ChatSession.countDocuments({ tenantId });
+        const totalSessions = await ChatSession.countDocuments(scope);
         const totalUnread = await ChatSession.countDocuments({
-            tenantId,
+            ...scope,
             unreadCount: { $gt: 0 }
         });
         const repliedSessions = await ChatSession.countDocuments({
-            tenantId,
+            ...scope,
             hasReplied: true
         });
         const archivedSessions = await ChatSession.countDocuments({
-            tenantId,
+            ...scope,
             isArchived: true
         });
 
@@ -1222,7 +843,7 @@ router.get('/chat/stats', requireAuth, async (req, res) => {
 });
 
 // PATCH /api/whatsapp/chat/sessions/:phone - Update session
-router.patch('/chat/sessions/:phone', requireAuth, async (req, res) => {
+router.patch('/chat/sessions/:phone', requireAuth, requirePermission('chats:write'), async (req, res) => {
     try {
         const { phone } = req.params;
         const { isArchived } = req.body;
@@ -1256,7 +877,7 @@ router.patch('/chat/sessions/:phone', requireAuth, async (req, res) => {
 });
 
 // DELETE /api/whatsapp/chat/sessions/:phone - Delete session
-router.delete('/chat/sessions/:phone', requireAuth, async (req, res) => {
+router.delete('/chat/sessions/:phone', requireAuth, requirePermission('chats:delete'), async (req, res) => {
     try {
         const { phone } = req.params;
         const tenantId = req.tenantId;
@@ -1292,12 +913,12 @@ router.delete('/chat/sessions/:phone', requireAuth, async (req, res) => {
 });
 
 // POST /api/whatsapp/chat/sessions/mark-all-read - Mark all as read
-router.post('/chat/sessions/mark-all-read', requireAuth, async (req, res) => {
+router.post('/chat/sessions/mark-all-read', requireAuth, requirePermission('chats:write'), async (req, res) => {
     try {
         const tenantId = req.tenantId;
 
         await ChatSession.updateMany(
-            { tenantId, unreadCount: { $gt: 0 } },
+            { tenantId, ...chatScope(req), unreadCount: { $gt: 0 } },
             { $set: { unreadCount: 0 } }
         );
 
@@ -0,0 +1,55 @@
+// src/scripts/clearUnprovenUnreachable.js
+// Contact.hasWhatsApp used to default to false. Campaigns now leave out
+// hasWhatsApp=false contacts (optOutService.SENDABLE_CONTACT_FILTER), and only
+// a permanent send error proves a number is off WhatsApp, so this clears the
+// old default wherever no send error was recorded. Run it once after
+// upgrading; running it again changes nothing.
+//
+// Usage: node src/scripts/clearUnprovenUnreachable.js [--dry-run] [--tenant=<tenantId>]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Contact = require('../models/Contact');
+
+const args = process.argv.slice(2);
+const DRY_RUN = args.includes('--dry-run');
+const TENANT_ARG = (args.find(a => a.startsWith('--tenant=')) || '').split('=')[1];
+
+async function clearUnprovenUnreachable() {
+  console.log('='.repeat(60));
+  console.log('📇 CLEAR UNPROVEN hasWhatsApp=false');
+  console.log('='.repeat(60));
+  if (DRY_RUN) console.log('🧪 Dry run: nothing will be written');
+
+  const mongoURI = process.env.MONGO_URI || process.env.MONGODB_URI;
+  if (!mongoURI) {
+    console.error('❌ MONGO_URI environment variable not found!');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    console.log('\n🔗 Connecting to MongoDB...');
+    await mongoose.connect(mongoURI);
+    console.log('✅ Connected to MongoDB');
+
+    const query = { hasWhatsApp: false, 'lastSendError.at': { $exists: false } };
+    if (TENANT_ARG) query.tenantId = TENANT_ARG;
+
+    if (DRY_RUN) {
+      console.log(`📊 Contacts to clear: ${await Contact.countDocuments(query)}`);
+      return;
+    }
+
+    const { modifiedCount } = await Contact.updateMany(query, { $unset: { hasWhatsApp: 1 } });
+    console.log(`📊 Contacts cleared: ${modifiedCount}`);
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n🔌 Disconnected from MongoDB');
+  }
+}
+
+clearUnprovenUnreachable();
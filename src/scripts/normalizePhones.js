@@ -0,0 +1,282 @@
+// src/scripts/normalizePhones.js
+// Rewrites Contact.phone and ChatSession.phone to the normalized E.164 form
+// (see utils/phone.js) and merges the duplicates this uncovers. Phones
+// already in that form are read as such and left alone, so running the
+// script again changes nothing.
+//
+// Usage: node src/scripts/normalizePhones.js [--dry-run] [--yes] [--tenant=<tenantId>]
+const readline = require('readline');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Tenant = require('../models/Tenant');
+const Contact = require('../models/Contact');
+const ChatSession = require('../models/ChatSession');
+const MessageLog = require('../models/MessageLog');
+const CampaignProgress = require('../models/CampaignProgress');
+const { normalizePhone, DEFAULT_COUNTRY } = require('../utils/phone');
+
+const args = process.argv.slice(2);
+const DRY_RUN = args.includes('--dry-run');
+const ASSUME_YES = args.includes('--yes');
+const TENANT_ARG = (args.find(a => a.startsWith('--tenant=')) || '').split('=')[1];
+
+const stats = {
+  contactsRewritten: 0,
+  contactsMerged: 0,
+  contactsInvalid: 0,
+  sessionsRewritten: 0,
+  sessionsMerged: 0,
+  sessionsInvalid: 0,
+  messageLogsRewritten: 0
+};
+
+async function askQuestion(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+function groupByNormalizedPhone(docs, country, onInvalid) {
+  const groups = new Map();
+  for (const doc of docs) {
+    const normalized = normalizePhone(doc.phone, country, { stored: true });
+    if (!normalized) {
+      onInvalid(doc);
+      continue;
+    }
+    if (!groups.has(normalized)) groups.set(normalized, []);
+    groups.get(normalized).push(doc);
+  }
+  return groups;
+}
+
+// Keep the oldest record that has a real name, otherwise the oldest one
+function pickKeeper(docs) {
+  const sorted = [...docs].sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+  return sorted.find(d => d.name && !d.name.startsWith('Contact ')) || sorted[0];
+}
+
+function mergeMaps(target = {}, source = {}) {
+  const toObject = (m) => (m instanceof Map ? Object.fromEntries(m) : (m || {}));
+  return { ...toObject(source), ...toObject(target) };
+}
+
+async function rewriteMessageLogs(tenantId, oldPhones, normalized) {
+  const stale = oldPhones.filter(p => p && p !== normalized);
+  if (stale.length === 0) return;
+
+  if (DRY_RUN) {
+    const count = await MessageLog.countDocuments({
+      tenantId,
+      $or: [{ from: { $in: stale } }, { to: { $in: stale } }]
+    });
+    stats.messageLogsRewritten += count;
+    return;
+  }
+
+  const fromResult = await MessageLog.updateMany(
+    { tenantId, from: { $in: stale } },
+    { $set: { from: normalized } }
+  );
+  const toResult = await MessageLog.updateMany(
+    { tenantId, to: { $in: stale } },
+    { $set: { to: normalized } }
+  );
+  stats.messageLogsRewritten += fromResult.modifiedCount + toResult.modifiedCount;
+}
+
+async function mergeContacts(tenantId, normalized, docs) {
+  const keeper = pickKeeper(docs);
+  const duplicates = docs.filter(d => !d._id.equals(keeper._id));
+
+  if (duplicates.length > 0) {
+    console.log(`   🔗 Merging ${duplicates.length} duplicate contact(s) into ${keeper._id} (${normalized})`);
+  }
+
+  if (DRY_RUN) {
+    stats.contactsMerged += duplicates.length;
+    if (keeper.phone !== normalized) stats.contactsRewritten++;
+    return keeper;
+  }
+
+  const update = {
+    phone: normalized,
+    tags: [...new Set(docs.flatMap(d => d.tags || []))],
+    messageCount: docs.reduce((sum, d) => sum + (d.messageCount || 0), 0)
+  };
+
+  for (const dup of duplicates) {
+    update.customFields = mergeMaps(update.customFields || keeper.customFields, dup.customFields);
+    update.metadata = { ...(dup.metadata || {}), ...(update.metadata || keeper.metadata || {}) };
+    update.email = update.email || keeper.email || dup.email;
+    update.section = keeper.section || dup.section;
+
+    const lastInteraction = [keeper.lastInteraction, dup.lastInteraction].filter(Boolean).sort((a, b) => b - a)[0];
+    if (lastInteraction) update.lastInteraction = lastInteraction;
+
+    // An opt-out on any duplicate must survive the merge
+    if (dup.optedIn === false) {
+      update.optedIn = false;
+      update.optedOutAt = dup.optedOutAt || update.optedOutAt;
+      update.optOutReason = dup.optOutReason || update.optOutReason;
+    }
+
+    // Repoint references; progress for the same campaign keeps the keeper's copy
+    const dupProgress = await CampaignProgress.find({ contactId: dup._id }).select('campaignId').lean();
+    for (const progress of dupProgress) {
+      const clash = await CampaignProgress.exists({ campaignId: progress.campaignId, contactId: keeper._id });
+      if (clash) {
+        await CampaignProgress.deleteOne({ _id: progress._id });
+      } else {
+        await CampaignProgress.updateOne({ _id: progress._id }, { $set: { contactId: keeper._id } });
+      }
+    }
+    await MessageLog.updateMany({ tenantId, contactId: dup._id }, { $set: { contactId: keeper._id } });
+    await ChatSession.updateMany({ tenantId, contactId: dup._id }, { $set: { contactId: keeper._id } });
+
+    await Contact.deleteOne({ _id: dup._id });
+    stats.contactsMerged++;
+  }
+
+  if (keeper.phone !== normalized) stats.contactsRewritten++;
+  await Contact.updateOne({ _id: keeper._id }, { $set: update });
+  await rewriteMessageLogs(tenantId, docs.map(d => d.phone), normalized);
+
+  return keeper;
+}
+
+async function mergeSessions(tenantId, normalized, docs) {
+  const sorted = [...docs].sort((a, b) => new Date(b.lastInteraction || 0) - new Date(a.lastInteraction || 0));
+  const latest = sorted[0];
+  const keeper = [...docs].sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0))[0];
+  const duplicates = docs.filter(d => !d._id.equals(keeper._id));
+
+  if (duplicates.length > 0) {
+    console.log(`   🔗 Merging ${duplicates.length} duplicate session(s) into ${keeper._id} (${normalized})`);
+  }
+
+  if (DRY_RUN) {
+    stats.sessionsMerged += duplicates.length;
+    if (keeper.phone !== normalized) stats.sessionsRewritten++;
+    return;
+  }
+
+  const contact = await Contact.findOne({ tenantId, phone: normalized }).select('_id').lean();
+  const update = {
+    phone: normalized,
+    contactId: contact?._id || keeper.contactId,
+    lastMessage: latest.lastMessage,
+    lastMessageType: latest.lastMessageType,
+    lastDirection: latest.lastDirection,
+    lastStatus: latest.lastStatus,
+    lastInteraction: latest.lastInteraction,
+    unreadCount: docs.reduce((sum, d) => sum + (d.unreadCount || 0), 0),
+    messageCount: docs.reduce((sum, d) => sum + (d.messageCount || 0), 0),
+    hasReplied: docs.some(d => d.hasReplied),
+    tags: [...new Set(docs.flatMap(d => d.tags || []))],
+    labels: [...new Set(docs.flatMap(d => d.labels || []))],
+    campaignIds: [...new Set(docs.flatMap(d => (d.campaignIds || []).map(String)))],
+    assignedTo: keeper.assignedTo || duplicates.find(d => d.assignedTo)?.assignedTo,
+    optedOut: docs.some(d => d.optedOut)
+  };
+
+  const optedOutDoc = docs.find(d => d.optedOut);
+  if (optedOutDoc) {
+    update.optOutReason = optedOutDoc.optOutReason;
+    update.optOutAt = optedOutDoc.optOutAt;
+  }
+
+  await ChatSession.deleteMany({ _id: { $in: duplicates.map(d => d._id) } });
+  await ChatSession.updateOne({ _id: keeper._id }, { $set: update });
+
+  stats.sessionsMerged += duplicates.length;
+  if (keeper.phone !== normalized) stats.sessionsRewritten++;
+  await rewriteMessageLogs(tenantId, docs.map(d => d.phone), normalized);
+}
+
+async function migrateTenant(tenant) {
+  const tenantId = tenant._id;
+  const country = tenant.defaultCountry || DEFAULT_COUNTRY;
+  console.log(`\n🏢 Tenant ${tenant.name} (${tenantId}), default country ${country}`);
+
+  // Contacts first so sessions can link to the surviving contact
+  const contacts = await Contact.find({ tenantId }).lean();
+  const contactGroups = groupByNormalizedPhone(contacts, country, (doc) => {
+    stats.contactsInvalid++;
+    console.warn(`   ⚠️ Contact ${doc._id} has an invalid phone "${doc.phone}", left unchanged`);
+  });
+
+  for (const [normalized, docs] of contactGroups) {
+    if (docs.length === 1 && docs[0].phone === normalized) continue;
+    await mergeContacts(tenantId, normalized, docs);
+  }
+
+  const sessions = await ChatSession.find({ tenantId }).lean();
+  const sessionGroups = groupByNormalizedPhone(sessions, country, (doc) => {
+    stats.sessionsInvalid++;
+    console.warn(`   ⚠️ Session ${doc._id} has an invalid phone "${doc.phone}", left unchanged`);
+  });
+
+  for (const [normalized, docs] of sessionGroups) {
+    if (docs.length === 1 && docs[0].phone === normalized) continue;
+    await mergeSessions(tenantId, normalized, docs);
+  }
+}
+
+async function normalizePhones() {
+  console.log('='.repeat(60));
+  console.log('📞 PHONE NUMBER NORMALIZATION');
+  console.log('='.repeat(60));
+  if (DRY_RUN) console.log('🧪 Dry run: nothing will be written');
+
+  if (!DRY_RUN && !ASSUME_YES) {
+    const confirm = await askQuestion('⚠️  This will rewrite and merge contacts and chat sessions. Continue? (yes/no): ');
+    if (confirm.toLowerCase() !== 'yes') {
+      console.log('❌ Migration cancelled by user');
+      return;
+    }
+  }
+
+  const mongoURI = process.env.MONGO_URI || process.env.MONGODB_URI;
+  if (!mongoURI) {
+    console.error('❌ MONGO_URI environment variable not found!');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    console.log('\n🔗 Connecting to MongoDB...');
+    await mongoose.connect(mongoURI);
+    console.log('✅ Connected to MongoDB');
+
+    const tenantQuery = TENANT_ARG ? { _id: TENANT_ARG } : {};
+    const tenants = await Tenant.find(tenantQuery).select('name defaultCountry').lean();
+
+    for (const tenant of tenants) {
+      await migrateTenant(tenant);
+    }
+
+    console.log('\n🎉 NORMALIZATION COMPLETED');
+    console.log('='.repeat(60));
+    console.log(`📊 Contacts rewritten: ${stats.contactsRewritten}`);
+    console.log(`📊 Contacts merged: ${stats.contactsMerged}`);
+    console.log(`📊 Contacts with invalid phone: ${stats.contactsInvalid}`);
+    console.log(`📊 Sessions rewritten: ${stats.sessionsRewritten}`);
+    console.log(`📊 Sessions merged: ${stats.sessionsMerged}`);
+    console.log(`📊 Sessions with invalid phone: ${stats.sessionsInvalid}`);
+    console.log(`📊 Message logs rewritten: ${stats.messageLogsRewritten}`);
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n🔌 Disconnected from MongoDB');
+  }
+}
+
+normalizePhones();
@@ -22,7 +22,13 @@ const fs = require("fs");
 // Import autonomous services
 const campaignScheduler = require('./services/campaignScheduler');
 const campaignProcessor = require('./services/campaignProcessor');
+const JobQueue = require('./services/JobQueue');
+const realtime = require('./services/realtime');
+const conversationWindow = require('./services/conversationWindow');
 const logger = require('./utils/logger');
+const { authorize } = require('./middleware/permissions');
+const { requirePlatformOperator } = require('./middleware/platform');
+const { verifyGET, receiveWebhook, startWebhookEventWorker, stopWebhookEventWorker } = require('./routes/webhooks');
 const app = express();
 const server = http.createServer(app);
 
@@ -41,7 +47,13 @@ app.use(cors({
 
 app.use(compression());
 app.use(morgan("combined", { stream: logger.stream }));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw bytes for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Rate limiting
@@ -67,23 +79,8 @@ const io = new Server(server, {
 
 app.set("io", io);
 
-io.on("connection", (socket) => {
-  logger.info(`Socket connected: ${socket.id}`);
-  
-  socket.on("joinTenant", (tenantId) => {
-    if (!tenantId) return;
-    socket.join(`tenant_${tenantId}`);
-    logger.info(`Socket ${socket.id} joined tenant_${tenantId}`);
-  });
-  
-  socket.on("campaignUpdate", (data) => {
-    io.emit('campaignUpdate', data);
-  });
-  
-  socket.on("disconnect", () => {
-    logger.info(`Socket disconnected: ${socket.id}`);
-  });
-});
+// Handshake auth and tenant rooms; events in config/realtimeEvents.js
+realtime.attach(io);
 
 // =======================
 // DATABASE CONNECTION
@@ -117,79 +114,34 @@ const connectDB = async () => {
 // =======================
 // WEBHOOK ROUTES
 // =======================
-app.get("/webhook/meta", (req, res) => {
-  const mode = req.query['hub.mode'];
-  const token = req.query['hub.verify_token'];
-  const challenge = req.query['hub.challenge'];
-  
-  const verifyToken = process.env.META_WA_VERIFY_TOKEN || 'test_token';
-  
-  if (mode && token) {
-    if (mode === 'subscribe' && token === verifyToken) {
-      logger.info('✅ Webhook verified');
-      res.status(200).send(challenge);
-    } else {
-      logger.warn('❌ Webhook verification failed');
-      res.sendStatus(403);
-    }
-  } else {
-    logger.warn('⚠️ Missing webhook verification parameters');
-    res.sendStatus(400);
-  }
-});
-
-app.post("/webhook/meta", 
-  express.raw({ type: "application/json" }),
-  async (req, res) => {
-    try {
-      const body = JSON.parse(req.body.toString());
-      logger.debug('📩 Meta webhook received', { body: JSON.stringify(body) });
-      
-      if (body.entry && body.entry[0] && body.entry[0].changes) {
-        const changes = body.entry[0].changes[0];
-        
-        if (changes.field === 'messages') {
-          const value = changes.value;
-          
-          if (value.messages && value.messages[0]) {
-            const message = value.messages[0];
-            const from = message.from;
-            const messageText = message.text?.body || 'Media/Other message';
-            
-            logger.info(`📱 WhatsApp Message from ${from}: ${messageText}`);
-            
-            // Emit to Socket.IO
-            io.emit('whatsapp_message', {
-              from: from,
-              text: messageText,
-              timestamp: new Date().toISOString()
-            });
-          }
-        }
-      }
-      
-      res.status(200).send('EVENT_RECEIVED');
-    } catch (error) {
-      logger.error('❌ Webhook error:', error);
-      res.status(500).send('ERROR');
-    }
-  }
-);
+// Same ingestion pipeline as /api/webhooks/meta (see routes/webhooks.js)
+app.get("/webhook/meta", verifyGET);
+app.post("/webhook/meta", receiveWebhook);
 
 // =======================
 // API ROUTES
 // =======================
+// Every router except auth is guarded by a resource permission
+// (see config/permissions.js); provider webhooks stay public. Debug tools
+// and webhook dead letters span tenants and take the platform operator key
+// (middleware/platform.js) instead.
 app.use("/api/auth", require("./routes/auth"));
-app.use("/api/users", require("./routes/users"));
-app.use("/api/contacts", require("./routes/contacts"));
-app.use("/api/templates", require("./routes/templates"));
-app.use("/api/campaigns", require("./routes/campaigns"));
-app.use("/api/media", require("./routes/media"));
-app.use("/api/analytics", require("./routes/analytics"));
-app.use("/api/sections", require("./routes/sections"));
-app.use("/api/whatsapp", require("./routes/whatsappRoutes"));
-app.use("/api/debug", require("./routes/debug"));
-app.use("/api/chat", require("./routes/chat"));
+app.use("/api/users", authorize('users'), require("./routes/users"));
+app.use("/api/roles", authorize('roles'), require("./routes/roles"));
+app.use("/api/api-keys", authorize('api_keys'), require("./routes/apiKeys"));
+app.use("/api/contacts", authorize('contacts'), require("./routes/contacts"));
+app.use("/api/templates", authorize('templates'), require("./routes/templates"));
+app.use("/api/campaigns", authorize('campaigns'), require("./routes/campaigns"));
+app.use("/api/events", authorize('events'), require("./routes/events"));
+app.use("/api/media", authorize('media'), require("./routes/media"));
+app.use("/api/analytics", authorize('analytics'), require("./routes/analytics"));
+app.use("/api/sections", authorize('sections'), require("./routes/sections"));
+app.use("/api/whatsapp", authorize('messages', { publicPaths: ['/webhook'] }), require("./routes/whatsappRoutes"));
+app.use("/api/debug", requirePlatformOperator, require("./routes/debug"));
+app.use("/api/chat", authorize('chats'), require("./routes/chat"));
+app.use("/api/webhooks/dead-letters", requirePlatformOperator, require("./routes/webhooks").deadLetterRouter);
+app.use("/api/webhooks", authorize('webhooks', { publicPaths: ['/meta', '/twilio'] }), require("./routes/webhooks").router);
+app.use("/api/settings", authorize('settings'), require("./routes/settings"));
 // =======================
 // HEALTH & MONITORING
 // =======================
@@ -301,11 +253,18 @@ const initializeServer = async () => {
     // Initialize campaign scheduler (autonomous mode)
     await campaignScheduler.init();
     logger.info('✅ Campaign scheduler initialized in autonomous mode');
+
+    // Warn agents before 24-hour conversation windows close
+    conversationWindow.start();
+
+    // Finish webhook events left unprocessed by a restart or failure
+    startWebhookEventWorker();
     
     // Schedule daily maintenance
     require('node-cron').schedule('0 3 * * *', async () => {
       logger.info('🧹 Running daily maintenance...');
       await campaignProcessor.cleanupOldData();
+      await JobQueue.cleanupExpiredJobs();
     }, {
       scheduled: true,
       timezone: "Asia/Kolkata"
@@ -356,6 +315,8 @@ const gracefulShutdown = async (signal) => {
   
   // Clean up scheduler
   await campaignScheduler.cleanup();
+  conversationWindow.stop();
+  stopWebhookEventWorker();
   logger.info('✅ Campaign scheduler cleaned up');
   
   // Close database connection
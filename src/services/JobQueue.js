@@ -1,35 +1,9 @@
-const mongoose = require('mongoose');
-const moment = require('moment-timezone');
-
-const JobSchema = new mongoose.Schema({
-  jobId: { type: String, required: true, unique: true },
-  campaignId: { type: mongoose.Schema.Types.ObjectId, ref: 'Campaign', required: true },
-  stepId: { type: mongoose.Schema.Types.ObjectId, ref: 'CampaignStep' },
-  contactId: { type: mongoose.Schema.Types.ObjectId, ref: 'Contact' },
-  tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true },
-  jobType: { type: String, enum: ['cron', 'timeout'], required: true },
-  scheduleType: { type: String, enum: ['daily', 'weekly', 'monthly', 'fixed'], required: true },
-  cronPattern: { type: String },
-  executeAt: { type: Date },
-  data: { type: mongoose.Schema.Types.Mixed },
-  status: { type: String, enum: ['scheduled', 'executing', 'completed', 'failed', 'cancelled'], default: 'scheduled' },
-  lastExecution: { type: Date },
-  createdAt: { type: Date, default: Date.now },
-  updatedAt: { type: Date, default: Date.now },
-  expiresAt: { 
-    type: Date, 
-    default: () => new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
-  }
-});
+const Job = require('../models/Job');
 
-JobSchema.index({ campaignId: 1, status: 1 });
-JobSchema.index({ jobId: 1 }, { unique: true });
-JobSchema.index({ executeAt: 1 });
-JobSchema.index({ createdAt: 1 });
-JobSchema.index({ expiresAt: 1 });
-JobSchema.index({ jobType: 1, scheduleType: 1 });
+// Finished jobs are kept this long for inspection, then removed
+const JOB_RETENTION_MS = (parseInt(process.env.JOB_RETENTION_DAYS, 10) || 7) * 24 * 60 * 60 * 1000;
 
-const Job = mongoose.model('Job', JobSchema);
+const TERMINAL_STATUSES = ['completed', 'failed', 'missed', 'cancelled'];
 
 class JobQueue {
   constructor() {
@@ -39,93 +13,250 @@ class JobQueue {
   async init() {
     try {
       console.log('🔄 Initializing Job Queue...');
-      
+
       await Job.createIndexes();
-      
+
       await this.cleanupExpiredJobs();
-      
+
       this.initialized = true;
       console.log('✅ Job Queue initialized');
-      
+
     } catch (error) {
       console.error('❌ Error initializing Job Queue:', error);
       throw error;
     }
   }
 
+  retentionDate() {
+    return new Date(Date.now() + JOB_RETENTION_MS);
+  }
+
+  // Insert the job, or return the existing one when another worker won the race
+  async insertIfMissing(jobId, update) {
+    try {
+      return await Job.findOneAndUpdate({ jobId }, update, { upsert: true, new: true });
+    } catch (error) {
+      if (error.code === 11000) {
+        return await Job.findOne({ jobId });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Upsert a recurring job. The next occurrence is only moved when the job is
+   * new, was stopped, or its pattern changed, so a due occurrence is not lost
+   * when the campaign is set up again.
+   */
   async saveCronJob(jobData) {
     try {
-      const existing = await Job.findOne({
-        campaignId: jobData.campaignId,
-        stepId: jobData.stepId,
-        cronPattern: jobData.cronPattern,
-        status: 'scheduled'
-      });
-      
-      if (existing) {
-        console.log(`⚠️ Duplicate cron job, updating: ${jobData.jobId}`);
-        return await Job.findOneAndUpdate(
-          { _id: existing._id },
-          { 
-            ...jobData,
-            updatedAt: new Date(),
-            expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
-          },
-          { new: true }
-        );
+      const { jobId, executeAt, occurrenceKey, ...definition } = jobData;
+
+      const refreshed = await Job.findOneAndUpdate(
+        {
+          jobId,
+          $or: [
+            { status: { $in: TERMINAL_STATUSES } },
+            { status: 'scheduled', cronPattern: { $ne: definition.cronPattern } }
+          ]
+        },
+        {
+          $set: { ...definition, executeAt, occurrenceKey, status: 'scheduled', attempts: 0 },
+          $unset: { expiresAt: 1, lockedBy: 1, lockedUntil: 1 }
+        },
+        { new: true }
+      );
+
+      if (refreshed) {
+        console.log(`💾 Rescheduled cron job: ${jobId}`);
+        return refreshed;
       }
-      
-      const job = await Job.create({
-        ...jobData,
-        expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+
+      return await this.insertIfMissing(jobId, {
+        $set: definition,
+        $setOnInsert: { jobId, executeAt, occurrenceKey, status: 'scheduled' }
       });
-      
-      console.log(`💾 Saved cron job: ${jobData.jobId}`);
-      return job;
-      
+
     } catch (error) {
       console.error('❌ Error saving cron job:', error);
       throw error;
     }
   }
 
+  /**
+   * Upsert a one-off job. Jobs that already ran (or were missed) are left
+   * untouched so a restart never sends the same step twice.
+   */
   async saveTimeoutJob(jobData) {
     try {
-      const existing = await Job.findOne({
-        campaignId: jobData.campaignId,
-        stepId: jobData.stepId,
-        contactId: jobData.contactId,
-        executeAt: jobData.executeAt,
-        status: 'scheduled'
-      });
-      
-      if (existing) {
-        console.log(`⚠️ Duplicate timeout job, updating: ${jobData.jobId}`);
-        return await Job.findOneAndUpdate(
-          { _id: existing._id },
-          { 
-            ...jobData,
-            updatedAt: new Date(),
-            expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
-          },
-          { new: true }
-        );
-      }
-      
-      const job = await Job.create({
-        ...jobData,
-        expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+      const { jobId, ...definition } = jobData;
+
+      const refreshed = await Job.findOneAndUpdate(
+        { jobId, status: { $in: ['scheduled', 'cancelled'] } },
+        {
+          $set: { ...definition, status: 'scheduled' },
+          $unset: { expiresAt: 1 }
+        },
+        { new: true }
+      );
+
+      if (refreshed) return refreshed;
+
+      return await this.insertIfMissing(jobId, {
+        $setOnInsert: { ...definition, jobId, status: 'scheduled' }
       });
-      
-      console.log(`💾 Saved timeout job: ${jobData.jobId}`);
-      return job;
-      
+
     } catch (error) {
       console.error('❌ Error saving timeout job:', error);
       throw error;
     }
   }
 
+  /**
+   * Atomically claim the oldest due job, or one whose lease has expired
+   * because its worker died.
+   */
+  async claimNextJob(workerId, leaseMs) {
+    const now = new Date();
+
+    return await Job.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'scheduled', executeAt: { $lte: now } },
+          { status: 'executing', lockedUntil: { $lt: now } }
+        ]
+      },
+      {
+        $set: {
+          status: 'executing',
+          lockedBy: workerId,
+          lockedUntil: new Date(now.getTime() + leaseMs),
+          heartbeatAt: now
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { executeAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Extend the lease. Returns false when the lease was lost to another worker.
+   */
+  async heartbeat(job, workerId, leaseMs) {
+    const now = new Date();
+    const result = await Job.updateOne(
+      { _id: job._id, status: 'executing', lockedBy: workerId },
+      { $set: { lockedUntil: new Date(now.getTime() + leaseMs), heartbeatAt: now } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Move a claimed job to a terminal state
+   */
+  async completeJob(job, workerId, status = 'completed', errorMessage = null) {
+    const update = {
+      $set: {
+        status,
+        lastExecution: new Date(),
+        expiresAt: this.retentionDate()
+      },
+      $unset: { lockedBy: 1, lockedUntil: 1 }
+    };
+    if (errorMessage) update.$set.lastError = errorMessage;
+
+    const result = await Job.updateOne({ _id: job._id, lockedBy: workerId }, update);
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Release a claimed recurring job and point it at its next occurrence
+   */
+  async rescheduleJob(job, workerId, executeAt, occurrenceKey, errorMessage = null) {
+    const update = {
+      $set: {
+        status: 'scheduled',
+        executeAt,
+        occurrenceKey,
+        lastExecution: new Date(),
+        attempts: 0
+      },
+      $unset: { lockedBy: 1, lockedUntil: 1 }
+    };
+    if (errorMessage) {
+      update.$set.lastError = errorMessage;
+    } else {
+      update.$unset.lastError = 1;
+    }
+
+    const result = await Job.updateOne({ _id: job._id, lockedBy: workerId }, update);
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Release a claimed fixed job to run again at `until`, unless the contact
+   * replies first (wakeWaitingJobs)
+   */
+  async deferJob(job, workerId, until) {
+    const result = await Job.updateOne(
+      { _id: job._id, lockedBy: workerId },
+      {
+        $set: { status: 'scheduled', executeAt: until, waitingUntil: until, attempts: 0 },
+        $unset: { lockedBy: 1, lockedUntil: 1 }
+      }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Run a contact's waiting jobs now
+   */
+  async wakeWaitingJobs(contactId) {
+    try {
+      const now = new Date();
+      const result = await Job.updateMany(
+        { contactId, status: 'scheduled', waitingUntil: { $gt: now } },
+        { $set: { executeAt: now } }
+      );
+      return result.modifiedCount;
+    } catch (error) {
+      console.error('❌ Error waking waiting jobs:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Cancel the scheduled jobs of a campaign, optionally keeping some job ids
+   */
+  async cancelCampaignJobs(campaignId, keepJobIds = []) {
+    try {
+      const result = await Job.updateMany(
+        { campaignId, status: 'scheduled', jobId: { $nin: keepJobIds } },
+        { $set: { status: 'cancelled', expiresAt: this.retentionDate() } }
+      );
+      return result.modifiedCount;
+    } catch (error) {
+      console.error('❌ Error cancelling campaign jobs:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Cancel one contact's scheduled jobs in a campaign (steps and retries)
+   */
+  async cancelContactJobs(campaignId, contactId) {
+    try {
+      const result = await Job.updateMany(
+        { campaignId, contactId, status: 'scheduled' },
+        { $set: { status: 'cancelled', expiresAt: this.retentionDate() } }
+      );
+      return result.modifiedCount;
+    } catch (error) {
+      console.error('❌ Error cancelling contact jobs:', error);
+      return 0;
+    }
+  }
+
   async deleteJob(jobId) {
     try {
       const result = await Job.deleteOne({ jobId });
@@ -163,17 +294,11 @@ class JobQueue {
 
   async getPendingJobs(campaignId) {
     try {
-      const now = new Date();
-      const jobs = await Job.find({ 
+      const jobs = await Job.find({
         campaignId,
-        status: 'scheduled',
-        expiresAt: { $gt: now },
-        $or: [
-          { executeAt: { $gt: now } },
-          { cronPattern: { $exists: true } }
-        ]
+        status: { $in: ['scheduled', 'executing'] }
       }).sort({ executeAt: 1 });
-      
+
       return jobs;
     } catch (error) {
       console.error('❌ Error getting pending jobs:', error);
@@ -183,11 +308,8 @@ class JobQueue {
 
   async getAllCampaignJobs(campaignId) {
     try {
-      const jobs = await Job.find({ 
-        campaignId,
-        expiresAt: { $gt: new Date() }
-      }).sort({ executeAt: 1 });
-      
+      const jobs = await Job.find({ campaignId }).sort({ executeAt: 1 });
+
       return jobs;
     } catch (error) {
       console.error('❌ Error getting campaign jobs:', error);
@@ -199,18 +321,21 @@ class JobQueue {
     try {
       const job = await Job.findOneAndUpdate(
         { jobId },
-        { 
-          status: success ? 'completed' : 'failed',
-          lastExecution: new Date(),
-          updatedAt: new Date()
+        {
+          $set: {
+            status: success ? 'completed' : 'failed',
+            lastExecution: new Date(),
+            expiresAt: this.retentionDate()
+          },
+          $unset: { lockedBy: 1, lockedUntil: 1 }
         },
         { new: true }
       );
-      
+
       if (job) {
         console.log(`✅ Marked job ${jobId} as ${success ? 'completed' : 'failed'}`);
       }
-      
+
       return job;
     } catch (error) {
       console.error('❌ Error marking job executed:', error);
@@ -220,10 +345,11 @@ class JobQueue {
 
   async cleanupExpiredJobs() {
     try {
-      const result = await Job.deleteMany({ 
+      const result = await Job.deleteMany({
+        status: { $in: TERMINAL_STATUSES },
         expiresAt: { $lt: new Date() }
       });
-      
+
       console.log(`🧹 Cleaned ${result.deletedCount} expired jobs`);
       return result.deletedCount;
     } catch (error) {
@@ -235,11 +361,11 @@ class JobQueue {
   async cleanupOldCompletedJobs(days = 3) {
     try {
       const cutoffDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
-      const result = await Job.deleteMany({ 
-        status: { $in: ['completed', 'failed'] },
+      const result = await Job.deleteMany({
+        status: { $in: ['completed', 'failed', 'missed'] },
         updatedAt: { $lt: cutoffDate }
       });
-      
+
       console.log(`🧹 Cleaned ${result.deletedCount} old completed jobs`);
       return result.deletedCount;
     } catch (error) {
@@ -253,12 +379,15 @@ class JobQueue {
       const counts = {
         total: await Job.countDocuments(),
         scheduled: await Job.countDocuments({ status: 'scheduled' }),
+        executing: await Job.countDocuments({ status: 'executing' }),
         completed: await Job.countDocuments({ status: 'completed' }),
         failed: await Job.countDocuments({ status: 'failed' }),
+        missed: await Job.countDocuments({ status: 'missed' }),
         cron: await Job.countDocuments({ jobType: 'cron' }),
-        timeout: await Job.countDocuments({ jobType: 'timeout' })
+        timeout: await Job.countDocuments({ jobType: 'timeout' }),
+        retry: await Job.countDocuments({ jobType: 'retry' })
       };
-      
+
       return counts;
     } catch (error) {
       console.error('❌ Error getting job counts:', error);
@@ -267,4 +396,4 @@ class JobQueue {
   }
 }
 
-module.exports = new JobQueue();
\ No newline at end of file
+module.exports = new JobQueue();
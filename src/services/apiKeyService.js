@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const { API_KEY_SCOPES, API_KEY_SCOPE_ALIASES } = require('../config/permissions');
+
+const KEY_PREFIX = 'wsk_';
+// Usage (lastUsedAt, usageCount) is written at most this often per key
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+function hashKey(rawKey) {
+  return crypto.createHash('sha256').update(String(rawKey)).digest('hex');
+}
+
+class ApiKeyService {
+  constructor() {
+    // keyId -> { count, flushedAt }: usage not yet written
+    this.usage = new Map();
+    this.KEY_PREFIX = KEY_PREFIX;
+  }
+
+  isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+  }
+
+  /**
+   * Expand aliases and reject anything outside API_KEY_SCOPES.
+   * Returns { scopes, invalid }
+   */
+  resolveScopes(list) {
+    const scopes = new Set();
+    const invalid = [];
+    for (const raw of list || []) {
+      const scope = String(raw).trim();
+      if (API_KEY_SCOPE_ALIASES[scope]) {
+        API_KEY_SCOPE_ALIASES[scope].forEach(s => scopes.add(s));
+      } else if (API_KEY_SCOPES.includes(scope)) {
+        scopes.add(scope);
+      } else {
+        invalid.push(scope);
+      }
+    }
+    return { scopes: [...scopes], invalid };
+  }
+
+  /**
+   * Create a key. The plain key is only returned here.
+   */
+  async create(tenantId, { name, scopes, rateLimitPerMinute, expiresAt }, userId) {
+    const rawKey = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const apiKey = await ApiKey.create({
+      tenantId,
+      name,
+      prefix: rawKey.slice(0, KEY_PREFIX.length + 6),
+      keyHash: hashKey(rawKey),
+      scopes,
+      rateLimitPerMinute,
+      expiresAt,
+      createdBy: userId
+    });
+    return { key: rawKey, apiKey };
+  }
+
+  /**
+   * Look up a presented key. Returns the key document, or null when it is
+   * unknown, revoked or expired. Read from Mongo on every request (not
+   * cached), so a revocation or scope change applies on every worker at once.
+   */
+  async authenticate(rawKey) {
+    if (!this.isApiKey(rawKey)) return null;
+
+    const apiKey = await ApiKey.findOne({ keyHash: hashKey(rawKey) }).lean();
+    if (!apiKey) return null;
+
+    if (apiKey.revokedAt) return null;
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) return null;
+    return apiKey;
+  }
+
+  /**
+   * Count a request; usage is flushed to Mongo once per TOUCH_INTERVAL_MS
+   */
+  touch(apiKey, ip) {
+    const id = String(apiKey._id);
+    const now = Date.now();
+    const usage = this.usage.get(id) || { count: 0, flushedAt: 0 };
+    usage.count++;
+    this.usage.set(id, usage);
+    if (now - usage.flushedAt < TOUCH_INTERVAL_MS) return;
+
+    const update = {
+      $inc: { usageCount: usage.count },
+      $set: { lastUsedAt: new Date(now), lastUsedIp: ip }
+    };
+    usage.count = 0;
+    usage.flushedAt = now;
+
+    ApiKey.updateOne({ _id: apiKey._id }, update).catch(error => {
+      console.error('❌ API key usage update failed:', error.message);
+    });
+  }
+
+  async revoke(tenantId, id, userId) {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: id, tenantId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy: userId } },
+      { new: true }
+    );
+    return apiKey;
+  }
+}
+
+module.exports = new ApiKeyService();
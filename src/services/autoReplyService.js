@@ -0,0 +1,184 @@
+const NodeCache = require('node-cache');
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const Tenant = require('../models/Tenant');
+const ChatSession = require('../models/ChatSession');
+const MessageLog = require('../models/MessageLog');
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+const DEFAULT_COOLDOWN_HOURS = 24;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function toMinutes(time) {
+  const match = TIME_PATTERN.exec(time || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * True when `minutes` falls in [start, end); an end before the start
+ * wraps past midnight (e.g. 22:00 - 02:00)
+ */
+function inRange(minutes, start, end) {
+  if (start === null || end === null || start === end) return false;
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+class AutoReplyService {
+  constructor() {
+    // tenantId -> chatSettings
+    this.settingsCache = new NodeCache({ stdTTL: 300, useClones: false });
+    this.TIME_PATTERN = TIME_PATTERN;
+  }
+
+  async getSettings(tenantId) {
+    const key = String(tenantId);
+    const cached = this.settingsCache.get(key);
+    if (cached) return cached;
+
+    const tenant = mongoose.isValidObjectId(key)
+      ? await Tenant.findById(key).select('chatSettings').lean()
+      : null;
+    const settings = tenant?.chatSettings || {};
+
+    this.settingsCache.set(key, settings);
+    return settings;
+  }
+
+  invalidateSettings(tenantId) {
+    if (tenantId) this.settingsCache.del(String(tenantId));
+  }
+
+  /**
+   * Evaluate business hours at `date` in the tenant's timezone.
+   * Returns { open, holiday, localTime, timezone }
+   */
+  getBusinessHoursState(businessHours = {}, date = new Date()) {
+    const timezone = moment.tz.zone(businessHours.timezone || '') ? businessHours.timezone : DEFAULT_TIMEZONE;
+    const local = moment(date).tz(timezone);
+    const state = { open: true, holiday: null, localTime: local.format(), timezone };
+
+    if (!businessHours.enabled) return state;
+
+    const today = local.format('YYYY-MM-DD');
+    const holiday = (businessHours.holidays || []).find(h => h.date === today);
+    if (holiday) return { ...state, open: false, holiday };
+
+    const minutes = local.hours() * 60 + local.minutes();
+    const weekday = local.day();
+    const weekly = businessHours.weeklyHours || [];
+
+    if (weekly.length) {
+      // Yesterday's overnight hours may still be running
+      const yesterday = (weekday + 6) % 7;
+      const openNow = weekly.some(h => {
+        const start = toMinutes(h.startTime);
+        const end = toMinutes(h.endTime);
+        if (h.closed || start === null || end === null) return false;
+        const overnight = end < start;
+        if (h.day === weekday) return overnight ? minutes >= start : inRange(minutes, start, end);
+        if (h.day === yesterday) return overnight && minutes < end;
+        return false;
+      });
+      return { ...state, open: openNow };
+    }
+
+    return {
+      ...state,
+      open: inRange(minutes, toMinutes(businessHours.startTime || '09:00'), toMinutes(businessHours.endTime || '18:00'))
+    };
+  }
+
+  /**
+   * Pick the reply for an inbound message: the welcome message during
+   * business hours, the offline (or holiday) message outside them
+   */
+  pickReply(settings, date = new Date()) {
+    if (!settings.autoReplyEnabled) return null;
+
+    const businessHours = settings.businessHours || {};
+    const state = this.getBusinessHoursState(businessHours, date);
+
+    if (state.open) {
+      return settings.autoReplyMessage
+        ? { type: 'welcome', body: settings.autoReplyMessage, state }
+        : null;
+    }
+
+    const body = state.holiday?.message || businessHours.offlineMessage;
+    return body ? { type: state.holiday ? 'holiday' : 'offline', body, state } : null;
+  }
+
+  /**
+   * Send the configured auto-reply for an inbound message, at most once per
+   * conversation every `autoReplyCooldownHours`. Returns the MessageLog or null.
+   */
+  async handleInbound({ tenantId, phone, consentEvent }) {
+    try {
+      if (!tenantId || !phone) return null;
+      // STOP / START already got its own confirmation
+      if (consentEvent) return null;
+
+      const settings = await this.getSettings(tenantId);
+      const reply = this.pickReply(settings);
+      if (!reply) return null;
+
+      const session = await ChatSession.findOne({ tenantId, phone }).select('optedOut').lean();
+      if (session?.optedOut) return null;
+
+      // Claim the conversation so concurrent webhooks reply once
+      const now = new Date();
+      const cooldownHours = settings.autoReplyCooldownHours ?? DEFAULT_COOLDOWN_HOURS;
+      const claimed = await ChatSession.findOneAndUpdate(
+        {
+          tenantId,
+          phone,
+          $or: [
+            { autoReplySent: { $ne: true } },
+            { autoReplySentAt: { $lt: new Date(now.getTime() - cooldownHours * 60 * 60 * 1000) } },
+            { autoReplySentAt: { $exists: false } }
+          ]
+        },
+        { $set: { autoReplySent: true, autoReplySentAt: now, autoReplyType: reply.type } },
+        { new: true }
+      );
+      if (!claimed) return null;
+
+      // Loaded lazily: whatsapp.js pulls in services that load this one
+      const { sendText } = require('./whatsapp');
+      let response;
+      try {
+        response = await sendText({ to: phone, body: reply.body, tenantId, lane: 'inbox' });
+      } catch (error) {
+        // Release the claim so the next message can try again
+        await ChatSession.updateOne({ _id: claimed._id }, { $set: { autoReplySent: false }, $unset: { autoReplySentAt: 1 } });
+        throw error;
+      }
+
+      const providerMessageId = response?.messages?.[0]?.id;
+      console.log(`🤖 Sent ${reply.type} auto-reply to ${phone}`);
+
+      return MessageLog.create({
+        tenantId,
+        from: process.env.BUSINESS_PHONE_NUMBER || 'business',
+        to: phone,
+        body: reply.body,
+        type: 'text',
+        direction: 'outbound',
+        status: 'sent',
+        provider: response?.provider || 'meta',
+        ...(providerMessageId && { provider_message_id: providerMessageId }),
+        whatsappMessageId: providerMessageId,
+        timestamp: now,
+        sentAt: now,
+        payload: { autoReply: reply.type, response }
+      });
+    } catch (error) {
+      console.error('❌ Auto-reply error:', error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new AutoReplyService();
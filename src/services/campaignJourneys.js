@@ -0,0 +1,212 @@
+// src/services/campaignJourneys.js
+// Per-contact branching in fixed and triggered campaigns. When a step comes
+// due for a contact, the scheduler asks:
+//   waitState()  - should it hold for a reply first (step.waitForReplyHours,
+//                  or an earlier step of the contact that is still waiting)?
+//   evaluate()   - do its conditions hold? If not, the step is skipped.
+// Sibling steps with opposite conditions (button "yes" / "no", replied /
+// not_replied) and step_sent / step_skipped conditions on later steps turn
+// the day/step timeline into a graph each contact takes its own path through.
+const moment = require('moment-timezone');
+const MessageLog = require('../models/MessageLog');
+const optOutService = require('./optOutService');
+const { buildContext, resolvePath } = require('../utils/variables');
+
+// Step statuses that mean the message went out
+const SENT_STATUSES = ['sent', 'delivered', 'read'];
+
+function sameId(a, b) {
+  return a && b && String(a) === String(b);
+}
+
+function isBefore(entry, step) {
+  const day = entry.day || 1;
+  const stepDay = step.day || 1;
+  return day < stepDay || (day === stepDay && (entry.sequence || 0) < (step.sequence || 0));
+}
+
+/**
+ * The latest history entry of a step for the contact
+ */
+function historyEntry(progress, stepId) {
+  const entries = (progress.completedSteps || []).filter(s => sameId(s.stepId, stepId));
+  return entries[entries.length - 1] || null;
+}
+
+/**
+ * The last step sent to the contact before `step` in the timeline
+ */
+function previousSentEntry(progress, step) {
+  return (progress.completedSteps || [])
+    .filter(s => SENT_STATUSES.includes(s.status) && s.sentAt && isBefore(s, step))
+    .sort((a, b) => (a.day || 1) - (b.day || 1) || (a.sequence || 0) - (b.sequence || 0))
+    .pop() || null;
+}
+
+/**
+ * The step a condition looks at: condition.stepId, else the previous step sent
+ */
+function referenceEntry(progress, step, condition) {
+  return condition.stepId
+    ? historyEntry(progress, condition.stepId)
+    : previousSentEntry(progress, step);
+}
+
+function repliedSince(progress, since) {
+  return !!progress.lastReplyAt && (!since || progress.lastReplyAt > since);
+}
+
+/**
+ * Whether the step has to wait. Returns { until } or null to go ahead.
+ */
+function waitState(step, progress, now = new Date()) {
+  // An earlier step still waiting for a reply holds the steps after it
+  const scheduled = progress.currentDaySteps || [];
+  const own = scheduled.find(s => sameId(s.stepId, step._id));
+  const blocking = scheduled.filter(s =>
+    s.status === 'waiting' && s.waitUntil > now && !sameId(s.stepId, step._id) &&
+    (!own?.scheduledAt || !s.scheduledAt || s.scheduledAt <= own.scheduledAt)
+  );
+  if (blocking.length) {
+    const until = new Date(Math.max(...blocking.map(s => s.waitUntil.getTime())) + (step.sequence || 0) * 1000);
+    return { until, reason: 'Earlier step waiting for a reply' };
+  }
+
+  const hours = step.waitForReplyHours;
+  if (!hours) return null;
+
+  const previous = previousSentEntry(progress, step);
+  if (!previous || repliedSince(progress, previous.sentAt)) return null;
+
+  const until = moment(previous.sentAt).add(hours, 'hours').toDate();
+  if (until <= now) return null;
+
+  return { until, reason: `Waiting up to ${hours}h for a reply` };
+}
+
+/**
+ * Texts the contact sent since `since` (typed text and button / list titles)
+ */
+async function replyTextsSince(progress, contact, since) {
+  const logs = await MessageLog.find({
+    tenantId: progress.tenantId,
+    from: contact.phone,
+    direction: 'inbound',
+    ...(since && { timestamp: { $gte: since } })
+  })
+    .select('message payload')
+    .lean();
+
+  return logs.flatMap(log => {
+    const texts = optOutService.getKeywordTexts(log.payload);
+    return texts.length ? texts : [log.message].filter(Boolean);
+  });
+}
+
+function matchesField(contact, { field, operator = 'equals', value }) {
+  const actual = resolvePath(buildContext({ contact }).contact, field || '');
+  const expected = String(value ?? '').trim().toLowerCase();
+  const current = actual === undefined ? undefined : actual.trim().toLowerCase();
+
+  switch (operator) {
+    case 'exists': return current !== undefined;
+    case 'not_exists': return current === undefined;
+    case 'not_equals': return current !== expected;
+    case 'contains': return current !== undefined && current.includes(expected);
+    default: return current === expected;
+  }
+}
+
+async function checkCondition(condition, { step, contact, progress, replies }) {
+  const values = (condition.values || []).map(v => String(v).toLowerCase());
+  const reference = referenceEntry(progress, step, condition);
+  const since = reference?.sentAt || progress.startedAt;
+
+  switch (condition.type) {
+    case 'replied':
+      return repliedSince(progress, since);
+
+    case 'not_replied':
+      return !repliedSince(progress, since);
+
+    case 'button': {
+      const stepId = condition.stepId || reference?.stepId;
+      const response = (progress.responses || []).filter(r => !stepId || sameId(r.stepId, stepId)).pop();
+      return !!response && [response.optionId, response.title]
+        .some(v => v && values.includes(String(v).toLowerCase()));
+    }
+
+    case 'keyword': {
+      const texts = await replies(since);
+      const match = condition.operator === 'equals' ? 'exact' : 'contains';
+      return !!optOutService.findKeyword(condition.values, texts, match);
+    }
+
+    case 'tag':
+    case 'no_tag': {
+      const has = (contact.tags || []).some(t => values.includes(String(t).toLowerCase()));
+      return condition.type === 'tag' ? has : !has;
+    }
+
+    case 'field':
+      return matchesField(contact, condition);
+
+    case 'read':
+    case 'not_read': {
+      const read = !!reference && (reference.status === 'read' || !!reference.readAt);
+      return condition.type === 'read' ? read : !read;
+    }
+
+    case 'step_sent':
+      return !!reference && SENT_STATUSES.includes(reference.status);
+
+    case 'step_skipped':
+      return reference?.status === 'skipped';
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Whether `step` goes to the contact: { pass: true } or { pass: false, reason }
+ */
+async function evaluate(step, { contact, progress }) {
+  if (step.condition === 'if_replied' && !progress.hasReplied) {
+    return { pass: false, reason: 'Contact has not replied' };
+  }
+  if (step.condition === 'if_not_replied' && progress.hasReplied) {
+    return { pass: false, reason: 'Contact has replied' };
+  }
+
+  const conditions = step.conditions || [];
+  if (!conditions.length) return { pass: true };
+
+  // Inbound texts are only loaded for keyword conditions, once per since
+  const loaded = new Map();
+  const replies = (since) => {
+    const key = since ? new Date(since).getTime() : 0;
+    if (!loaded.has(key)) loaded.set(key, replyTextsSince(progress, contact, since));
+    return loaded.get(key);
+  };
+
+  const failed = [];
+  for (const condition of conditions) {
+    const holds = await checkCondition(condition, { step, contact, progress, replies });
+    if (holds && step.conditionMatch === 'any') return { pass: true };
+    if (!holds) failed.push(condition.type);
+  }
+
+  if (step.conditionMatch === 'any' || failed.length) {
+    return { pass: false, reason: `Conditions not met: ${failed.join(', ')}` };
+  }
+  return { pass: true };
+}
+
+module.exports = {
+  SENT_STATUSES,
+  historyEntry,
+  previousSentEntry,
+  waitState,
+  evaluate
+};
@@ -143,8 +143,8 @@ class CampaignProcessor {
             .seconds(0)
             .milliseconds(0);
         }
-      } else if (campaign.campaignType === 'fixed') {
-        // Fixed campaigns handled differently in scheduler
+      } else if (['fixed', 'triggered'].includes(campaign.campaignType)) {
+        // Fixed and triggered campaigns handled differently in scheduler
         return false;
       }
       
@@ -183,36 +183,6 @@ class CampaignProcessor {
     }
   }
 
-  // Check if message was already sent (24-hour window)
-  async hasMessageBeenSent(campaignId, stepId, contactId, scheduledTime) {
-    try {
-      if (!scheduledTime) {
-        scheduledTime = new Date();
-      }
-      
-      // 24-hour window check
-      const timeWindowStart = new Date(scheduledTime.getTime() - 12 * 60 * 60 * 1000);
-      const timeWindowEnd = new Date(scheduledTime.getTime() + 12 * 60 * 60 * 1000);
-      
-      const existingMessage = await MessageLog.findOne({
-        campaignId: campaignId,
-        contactId: contactId,
-        stepSequence: stepId,
-        status: 'sent',
-        createdAt: {
-          $gte: timeWindowStart,
-          $lte: timeWindowEnd
-        }
-      });
-      
-      return !!existingMessage;
-      
-    } catch (error) {
-      console.error('❌ Error checking sent messages:', error);
-      return false;
-    }
-  }
-
   // Clean up old data (optional)
   async cleanupOldData() {
     try {
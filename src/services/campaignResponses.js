@@ -0,0 +1,94 @@
+// src/services/campaignResponses.js
+// Records which option a contact chose on a button / list campaign step.
+// Replies quote the message they answer (context.id); its MessageLog names
+// the campaign and step, and the choice is kept on CampaignProgress.
+const MessageLog = require('../models/MessageLog');
+const CampaignProgress = require('../models/CampaignProgress');
+
+/**
+ * The chosen option of an inbound reply, or null for other messages
+ */
+function parseReply(msg) {
+  if (msg?.type === 'interactive') {
+    const { type, button_reply: button, list_reply: list } = msg.interactive || {};
+    if (type === 'button_reply' && button) {
+      return { type: 'button', optionId: button.id, title: button.title };
+    }
+    if (type === 'list_reply' && list) {
+      return { type: 'list', optionId: list.id, title: list.title, description: list.description };
+    }
+  }
+
+  // Quick-reply button of a template
+  if (msg?.type === 'button' && msg.button) {
+    return { type: 'template_button', optionId: msg.button.payload, title: msg.button.text };
+  }
+
+  return null;
+}
+
+/**
+ * Store the option an inbound reply chose on the campaign step it answers.
+ * Returns the recorded response (with campaignId / contactId) or null.
+ */
+async function recordResponse(tenantId, msg) {
+  try {
+    const reply = parseReply(msg);
+    const contextId = msg?.context?.id;
+    if (!reply || !contextId) return null;
+
+    const source = await MessageLog.findOne({
+      tenantId,
+      provider_message_id: contextId,
+      direction: 'outbound'
+    })
+      .select('campaignId contactId stepId stepDay stepSequence')
+      .lean();
+    if (!source?.campaignId || !source.contactId) return null;
+
+    const respondedAt = msg.timestamp ? new Date(Number(msg.timestamp) * 1000) : new Date();
+    const response = {
+      stepId: source.stepId,
+      day: source.stepDay,
+      sequence: source.stepSequence,
+      ...reply,
+      messageId: contextId,
+      inboundMessageId: msg.id,
+      respondedAt
+    };
+
+    // The inboundMessageId guard keeps redelivered replies from counting twice
+    await CampaignProgress.updateOne(
+      {
+        tenantId,
+        campaignId: source.campaignId,
+        contactId: source.contactId,
+        'responses.inboundMessageId': { $ne: msg.id }
+      },
+      {
+        $push: { responses: response },
+        $set: {
+          lastResponse: {
+            stepId: source.stepId,
+            type: reply.type,
+            optionId: reply.optionId,
+            title: reply.title,
+            respondedAt
+          },
+          lastInteraction: new Date()
+        }
+      }
+    );
+
+    console.log(`🔘 Recorded ${reply.type} "${reply.optionId}" for campaign ${source.campaignId}`);
+    return { campaignId: source.campaignId, contactId: source.contactId, ...response };
+  } catch (error) {
+    console.error('❌ Error recording campaign response:', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  parseReply,
+  recordResponse
+};
@@ -1,4 +1,5 @@
-const cron = require('node-cron');
+const os = require('os');
+const crypto = require('crypto');
 const moment = require('moment-timezone');
 const mongoose = require('mongoose');
 const Campaign = require('../models/Campaign');
@@ -6,66 +7,111 @@ const CampaignStep = require('../models/CampaignStep');
 const Contact = require('../models/Contact');
 const CampaignProgress = require('../models/CampaignProgress');
 const MessageLog = require('../models/MessageLog');
-const { sendText, sendImage, sendVideo, sendFile, sendTemplate } = require('./whatsapp');
+const { sendStepMessage, stepMessageType, resolveStepContent, describeStepMessage } = require('./whatsapp');
 const campaignProcessor = require('./campaignProcessor');
+const JobQueue = require('./JobQueue');
+const sendLedger = require('./sendLedger');
+const optOutService = require('./optOutService');
+const retryPolicy = require('./retryPolicy');
+const campaignJourneys = require('./campaignJourneys');
+const stepVariants = require('./stepVariants');
+const realtime = require('./realtime');
+const { normalizePhone, normalizeTenantPhone } = require('../utils/phone');
+const { DEFAULT_TIMEZONE, contactTimezone, quietUntil } = require('../utils/timezone');
+
+// Server-side zone; contacts' steps run in their own (utils/timezone.js)
+const TIMEZONE = DEFAULT_TIMEZONE;
+
+// Every worker polls the Job collection; a claimed job is leased and the
+// lease is extended by heartbeats while the job runs. If the worker dies the
+// lease runs out and another worker picks the job up.
+const POLL_INTERVAL_MS = parseInt(process.env.SCHEDULER_POLL_MS, 10) || 15000;
+const LEASE_MS = parseInt(process.env.SCHEDULER_LEASE_MS, 10) || 60000;
+const HEARTBEAT_MS = Math.floor(LEASE_MS / 3);
+// Occurrences picked up later than this are marked missed, never sent late
+const GRACE_MS = (parseInt(process.env.SCHEDULER_GRACE_MINUTES, 10) || 10) * 60 * 1000;
+// A job claimed more often than this keeps crashing its worker
+const MAX_ATTEMPTS = parseInt(process.env.SCHEDULER_MAX_ATTEMPTS, 10) || 3;
+// Contacts in flight at once; the send governor paces the actual sends
+const SEND_CONCURRENCY = parseInt(process.env.SCHEDULER_SEND_CONCURRENCY, 10) || 10;
 
 class CampaignScheduler {
   constructor() {
-    this.scheduledJobs = new Map();
-    this.timeoutJobs = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
     this.activeCampaigns = new Map();
+    this.runningJobs = new Map();
+    this.pollTimer = null;
+    this.monitorTimer = null;
+    this.isPolling = false;
+    this.lastPollAt = null;
     this.isInitialized = false;
-    this.executionHistory = new Map();
-    
+    this.initPromise = null;
+
     console.log('🚀 Campaign Scheduler Initialized - NO DUPLICATES');
-    console.log('🕐 Timezone: Asia/Kolkata');
-    
-    moment.tz.setDefault('Asia/Kolkata');
+    console.log(`🕐 Timezone: ${TIMEZONE}`);
+    console.log(`🆔 Worker: ${this.workerId}`);
+
+    moment.tz.setDefault(TIMEZONE);
   }
 
   async init() {
+    if (this.isInitialized) {
+      console.log('⚠️ Scheduler already initialized');
+      return;
+    }
+
+    // server.js and the auto-init below may both call init()
+    if (!this.initPromise) {
+      this.initPromise = this.bootstrap().finally(() => {
+        this.initPromise = null;
+      });
+    }
+
+    return this.initPromise;
+  }
+
+  async bootstrap() {
     try {
-      if (this.isInitialized) {
-        console.log('⚠️ Scheduler already initialized');
-        return;
-      }
-      
       console.log('\n' + '='.repeat(60));
       console.log('🚀 INITIALIZING CAMPAIGN SCHEDULER');
       console.log('🔒 DUPLICATE PREVENTION: ENABLED');
       console.log('🚫 NO PAST MESSAGES WILL BE SENT');
       console.log('='.repeat(60));
-      
+
       // Wait for MongoDB connection
       await this.waitForMongoConnection();
-      
-      // Initialize campaign processor
+
+      // Initialize campaign processor and job queue
       await campaignProcessor.init();
-      
+      await JobQueue.init();
+
       // Get ALL active campaigns
       const activeCampaigns = await Campaign.find({ status: 'active' });
-      
+
       console.log(`📊 Found ${activeCampaigns.length} active campaigns`);
-      
-      // Setup each campaign (FUTURE SCHEDULES ONLY)
+
+      // Upsert jobs for each campaign (idempotent across restarts and workers)
       for (const campaign of activeCampaigns) {
-        console.log(`\n🔄 Setting up FUTURE schedules: ${campaign.name}`);
+        console.log(`\n🔄 Syncing jobs: ${campaign.name}`);
         await this.setupCampaign(campaign);
       }
-      
+
+      // Start executing due jobs
+      this.startExecutor();
+
       // Start monitoring
       this.startMonitoring();
-      
+
       this.isInitialized = true;
-      
+
       console.log('\n' + '='.repeat(60));
       console.log('✅ SCHEDULER INITIALIZED SUCCESSFULLY');
       console.log('📡 Running in 24/7 autonomous mode');
       console.log('⏰ FUTURE messages will send automatically');
       console.log('🚫 PAST messages will NOT be resent');
-      console.log('💤 Server restart safe - No duplicates');
+      console.log('💤 Server restart safe - Jobs are stored in MongoDB');
       console.log('='.repeat(60));
-      
+
     } catch (error) {
       console.error('❌ Initialization error:', error);
       setTimeout(() => this.init(), 30000);
@@ -74,55 +120,59 @@ class CampaignScheduler {
 
   async waitForMongoConnection() {
     console.log('🔗 Waiting for MongoDB connection...');
-    
+
     let attempts = 0;
     const maxAttempts = 30;
-    
+
     while (attempts < maxAttempts) {
       if (mongoose.connection.readyState === 1) {
         console.log('✅ MongoDB connected');
         return true;
       }
-      
+
       attempts++;
       console.log(`⏳ Waiting for MongoDB (${attempts}/${maxAttempts})...`);
       await new Promise(resolve => setTimeout(resolve, 1000));
     }
-    
+
     throw new Error('MongoDB connection timeout');
   }
 
+  // ===================================================
+  // JOB SETUP
+  // ===================================================
+
   async setupCampaign(campaign) {
     try {
       const campaignId = campaign._id.toString();
-      
-      // Stop existing jobs
-      this.stopCampaign(campaignId);
-      
+
       // Get all steps
       const steps = await CampaignStep.find({ campaignId: campaign._id })
         .sort({ day: 1, sequence: 1 });
-      
+
       if (steps.length === 0) {
         console.log('⚠️ No steps found');
+        await JobQueue.cancelCampaignJobs(campaign._id);
+        this.activeCampaigns.delete(campaignId);
         return;
       }
-      
+
       console.log(`📊 Found ${steps.length} steps`);
-      
+
+      let jobIds = [];
+
       // Setup based on campaign type
       switch (campaign.campaignType) {
         case 'daily':
-          await this.setupDailyCampaign(campaign, steps);
-          break;
         case 'weekly':
-          await this.setupWeeklyCampaign(campaign, steps);
-          break;
         case 'monthly':
-          await this.setupMonthlyCampaign(campaign, steps);
+          jobIds = await this.setupRecurringCampaign(campaign, steps);
           break;
         case 'fixed':
-          await this.setupFixedCampaign(campaign, steps);
+          jobIds = await this.setupFixedCampaign(campaign, steps);
+          break;
+        case 'triggered':
+          jobIds = await this.setupTriggeredCampaign(campaign, steps);
           break;
         case 'content_based':
           console.log('🎯 Content-based campaign - manual only');
@@ -130,429 +180,998 @@ class CampaignScheduler {
         default:
           console.log(`⚠️ Unknown type: ${campaign.campaignType}`);
       }
-      
+
+      // Jobs for removed or re-timed steps are no longer wanted. Setup errors
+      // propagate to the catch below, so a partial jobIds list never gets
+      // here and live jobs it missed are never cancelled.
+      const cancelled = await JobQueue.cancelCampaignJobs(campaign._id, jobIds);
+      if (cancelled > 0) {
+        console.log(`🗑️ Cancelled ${cancelled} stale jobs`);
+      }
+
       // Mark as active
       this.activeCampaigns.set(campaignId, {
         id: campaign._id,
         name: campaign.name,
         type: campaign.campaignType,
         steps: steps.length,
+        jobs: jobIds.length,
         setupAt: new Date(),
-        lastExecution: null
+        lastExecution: this.activeCampaigns.get(campaignId)?.lastExecution || null
       });
-      
-      console.log(`✅ Campaign "${campaign.name}" setup complete`);
-      
+
+      console.log(`✅ Campaign "${campaign.name}" setup complete (${jobIds.length} jobs)`);
+
     } catch (error) {
       console.error(`❌ Setup error for ${campaign.name}:`, error);
     }
   }
 
-  async setupDailyCampaign(campaign, steps) {
-    try {
-      console.log(`📅 Setting up DAILY campaign`);
-      
-      // Group steps by time
-      const stepsByTime = this.groupStepsByTime(steps);
-      
-      // Schedule each time
-      for (const [stepTime, timeSteps] of Object.entries(stepsByTime)) {
-        const [hour, minute] = stepTime.split(':').map(Number);
-        
-        // Cron pattern: minute hour * * *
-        const cronPattern = `${minute} ${hour} * * *`;
-        const jobId = `daily_${campaign._id}_${stepTime.replace(':', '')}`;
-        
-        console.log(`⏰ Daily at ${stepTime}: ${timeSteps.length} steps`);
-        
-        const job = cron.schedule(cronPattern, async () => {
-          await this.executeDailyStep(campaign, timeSteps, stepTime);
-        }, {
-          scheduled: true,
-          timezone: "Asia/Kolkata"
+  /**
+   * Slot a recurring step runs in: time plus weekday / date where relevant
+   */
+  getRecurringSlot(scheduleType, step) {
+    return {
+      stepTime: step.stepTime || '09:00',
+      dayOfWeek: scheduleType === 'weekly' ? (step.dayOfWeek ?? 0) : null,
+      dayOfMonth: scheduleType === 'monthly' ? (step.dayOfMonth ?? 1) : null
+    };
+  }
+
+  getCronPattern(scheduleType, slot) {
+    const [hour, minute] = slot.stepTime.split(':').map(Number);
+
+    if (scheduleType === 'weekly') return `${minute} ${hour} * * ${slot.dayOfWeek}`;
+    if (scheduleType === 'monthly') return `${minute} ${hour} ${slot.dayOfMonth} * *`;
+    return `${minute} ${hour} * * *`;
+  }
+
+  /**
+   * Next time a recurring slot fires strictly after `from`, in the slot's
+   * timezone. Monthly slots on the 29th-31st skip months without that date,
+   * like cron does.
+   */
+  getNextOccurrence(scheduleType, slot, from = new Date()) {
+    const [hour, minute] = slot.stepTime.split(':').map(Number);
+    const start = moment(from).tz(slot.timezone || TIMEZONE);
+
+    for (let i = 0; i <= 366; i++) {
+      const candidate = start.clone().startOf('day').add(i, 'days')
+        .hours(hour)
+        .minutes(minute)
+        .seconds(0)
+        .milliseconds(0);
+
+      if (!candidate.isAfter(start)) continue;
+      if (scheduleType === 'weekly' && candidate.day() !== Number(slot.dayOfWeek)) continue;
+      if (scheduleType === 'monthly' && candidate.date() !== Number(slot.dayOfMonth)) continue;
+
+      return candidate;
+    }
+
+    return null;
+  }
+
+  /**
+   * Timezones of a recurring campaign's audience, the server's first
+   */
+  async getAudienceZones(campaign) {
+    const contacts = await this.getAllCampaignContacts(campaign);
+    const zones = new Set(contacts.map(c => contactTimezone(c)));
+    zones.delete(TIMEZONE);
+    return [TIMEZONE, ...[...zones].sort()];
+  }
+
+  /**
+   * Recurring steps go out at stepTime in each contact's timezone: every slot
+   * gets one job per timezone in the audience. The server zone's job keeps
+   * the plain job id and lists the zones that have their own job.
+   */
+  async setupRecurringCampaign(campaign, steps) {
+    const scheduleType = campaign.campaignType;
+    const jobIds = [];
+
+    console.log(`📅 Setting up ${scheduleType.toUpperCase()} campaign`);
+
+    const zones = await this.getAudienceZones(campaign);
+    if (zones.length > 1) {
+      console.log(`🌍 Contacts in ${zones.length} timezones: ${zones.join(', ')}`);
+    }
+
+    // Group steps by slot
+    const slots = {};
+
+    steps.forEach(step => {
+      const slot = this.getRecurringSlot(scheduleType, step);
+      const key = scheduleType === 'daily'
+        ? slot.stepTime.replace(':', '')
+        : `${scheduleType === 'weekly' ? slot.dayOfWeek : slot.dayOfMonth}_${slot.stepTime}`;
+
+      if (!slots[key]) slots[key] = { slot, steps: [] };
+      slots[key].steps.push(step);
+    });
+
+    for (const [key, { slot, steps: slotSteps }] of Object.entries(slots)) {
+      const cronPattern = this.getCronPattern(scheduleType, slot);
+
+      for (const timezone of zones) {
+        const jobId = `${scheduleType}_${campaign._id}_${key}`
+          + (timezone === TIMEZONE ? '' : `_${timezone.replace(/[^A-Za-z0-9]/g, '_')}`);
+        const next = this.getNextOccurrence(scheduleType, { ...slot, timezone });
+
+        if (!next) {
+          console.log(`⚠️ No upcoming occurrence for ${cronPattern}`);
+          continue;
+        }
+
+        await JobQueue.saveCronJob({
+          jobId,
+          campaignId: campaign._id,
+          tenantId: campaign.tenantId,
+          jobType: 'cron',
+          scheduleType,
+          cronPattern,
+          executeAt: next.toDate(),
+          occurrenceKey: next.format('YYYY-MM-DD'),
+          data: {
+            ...slot,
+            timezone,
+            ...(timezone === TIMEZONE && { zones }),
+            stepIds: slotSteps.map(s => s._id)
+          }
         });
-        
-        this.scheduledJobs.set(jobId, job);
-        console.log(`✅ Scheduled: ${cronPattern}`);
+
+        jobIds.push(jobId);
+        console.log(`⏰ ${cronPattern} (${timezone}): ${slotSteps.length} steps, next ${next.format('DD/MM/YYYY HH:mm')}`);
       }
-      
-    } catch (error) {
-      console.error('❌ Daily setup error:', error);
     }
+
+    return jobIds;
   }
 
-  async executeDailyStep(campaign, steps, stepTime) {
-    const executionKey = `daily_${campaign._id}_${stepTime}_${new Date().toDateString()}`;
-    
-    // Check if already executed today
-    if (this.executionHistory.has(executionKey)) {
-      console.log(`⏭️ Already executed ${campaign.name} at ${stepTime} today`);
-      return;
+  async setupFixedCampaign(campaign, steps) {
+    const jobIds = [];
+
+    console.log(`📅 Setting up FIXED campaign`);
+
+    // Section contacts are pulled in on the first setup, and on every
+    // setup with autoEnroll; contacts enrolled since keep their jobs
+    const pullSections = campaign.autoEnroll || !campaign.audienceSyncedAt;
+    const contacts = pullSections ? await this.getAllCampaignContacts(campaign) : [];
+    const seen = new Set(contacts.map(c => c._id.toString()));
+
+    const enrolled = await CampaignProgress.find({ campaignId: campaign._id, status: 'active' })
+      .select('contactId')
+      .lean();
+    const others = enrolled.filter(p => !seen.has(p.contactId.toString()));
+    if (others.length) {
+      contacts.push(...await Contact.find({
+        _id: { $in: others.map(p => p.contactId) },
+        ...optOutService.SENDABLE_CONTACT_FILTER
+      }));
     }
-    
-    console.log(`\n🚀 DAILY EXECUTION: ${campaign.name} at ${stepTime}`);
-    console.log(`🕐 Time: ${moment().tz('Asia/Kolkata').format('HH:mm:ss')}`);
-    
-    this.executionHistory.set(executionKey, new Date());
-    
-    // Execute all steps for this time
-    for (const step of steps.sort((a, b) => a.sequence - b.sequence)) {
-      await this.executeStepForAllContacts(step, campaign);
-      await this.sleep(1000);
+
+    if (pullSections) {
+      await Campaign.updateOne({ _id: campaign._id }, { $set: { audienceSyncedAt: new Date() } });
     }
-    
-    // Update campaign
-    await Campaign.findByIdAndUpdate(campaign._id, {
-      lastExecutionDate: new Date(),
-      $inc: { executedCount: 1 }
+
+    if (contacts.length === 0) {
+      console.log('❌ No contacts found');
+      return jobIds;
+    }
+
+    console.log(`👥 Found ${contacts.length} contacts`);
+
+    for (const contact of contacts) {
+      jobIds.push(...await this.setupFixedCampaignForContact(campaign, contact, steps));
+    }
+
+    return jobIds;
+  }
+
+  /**
+   * Fixed and triggered campaigns run each contact through the day/step
+   * timeline from their own start
+   */
+  followsTimeline(campaign) {
+    return ['fixed', 'triggered'].includes(campaign.campaignType);
+  }
+
+  /**
+   * Triggered campaigns have no audience up front: contacts are enrolled by
+   * campaignTriggers, so only the enrolled ones are re-synced
+   */
+  async setupTriggeredCampaign(campaign, steps) {
+    const jobIds = [];
+
+    console.log(`⚡ Setting up TRIGGERED campaign (${campaign.trigger?.event || 'no trigger'})`);
+
+    const progresses = await CampaignProgress.find({ campaignId: campaign._id, status: 'active' })
+      .select('contactId')
+      .lean();
+    const contacts = await Contact.find({
+      _id: { $in: progresses.map(p => p.contactId) },
+      ...optOutService.SENDABLE_CONTACT_FILTER
     });
-    
-    // Update active campaigns map
-    const campaignData = this.activeCampaigns.get(campaign._id.toString());
-    if (campaignData) {
-      campaignData.lastExecution = new Date();
-      this.activeCampaigns.set(campaign._id.toString(), campaignData);
+
+    console.log(`👥 ${contacts.length} contacts enrolled`);
+
+    for (const contact of contacts) {
+      jobIds.push(...await this.setupFixedCampaignForContact(campaign, contact, steps));
     }
+
+    return jobIds;
   }
 
-  async setupWeeklyCampaign(campaign, steps) {
+  /**
+   * Start a contact on a triggered campaign's timeline at `trigger.at`. A
+   * contact who was enrolled before goes through the campaign's re-entry
+   * rule; a re-entry archives the previous run in progress.previousRuns.
+   * options: startDay / startDate (YYYY-MM-DD day `startDay` falls on),
+   * reentry (overrides the campaign's rule), steps (already loaded).
+   * Returns { enrolled, reentry, progressId, jobs } or { enrolled: false, reason }.
+   */
+  async enrollContact(campaign, contact, trigger = {}, options = {}) {
+    const at = trigger.at || new Date();
+    const startDay = options.startDay || 1;
+
+    if (campaign.status !== 'active') {
+      return { enrolled: false, reason: 'Campaign is not active' };
+    }
+    if (await optOutService.isOptedOut(campaign.tenantId, contact.phone)) {
+      return { enrolled: false, reason: 'Contact has opted out' };
+    }
+
+    const steps = options.steps || await CampaignStep.find({ campaignId: campaign._id })
+      .sort({ day: 1, sequence: 1 });
+    if (steps.length === 0) {
+      return { enrolled: false, reason: 'Campaign has no steps' };
+    }
+
+    const enrollment = {
+      tenantId: campaign.tenantId,
+      campaignId: campaign._id,
+      contactId: contact._id,
+      currentDay: startDay,
+      status: 'active',
+      startedAt: this.timelineStart(startDay, options.startDate, at, contactTimezone(contact)),
+      completedSteps: [],
+      trigger: { event: trigger.event, detail: trigger.detail, at }
+    };
+
+    let progress;
+    let reentry = false;
     try {
-      console.log(`📅 Setting up WEEKLY campaign`);
-      
-      // Group steps by day and time
-      const stepsByDayAndTime = {};
-      
-      steps.forEach(step => {
-        const dayOfWeek = step.dayOfWeek !== undefined ? step.dayOfWeek : 0;
-        const stepTime = step.stepTime || '09:00';
-        const key = `${dayOfWeek}_${stepTime}`;
-        
-        if (!stepsByDayAndTime[key]) stepsByDayAndTime[key] = [];
-        stepsByDayAndTime[key].push(step);
+      progress = await CampaignProgress.create(enrollment);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const result = await this.reenrollContact(campaign, contact, enrollment, options.reentry);
+      if (!result.progress) return { enrolled: false, reason: result.reason };
+      progress = result.progress;
+      reentry = true;
+    }
+
+    const jobs = await this.setupFixedCampaignForContact(campaign, contact, steps);
+
+    console.log(`⚡ ${contact.phone} ${reentry ? 're-entered' : 'enrolled in'} "${campaign.name}" (${trigger.event || 'manual'})`);
+
+    this.emitEnrollment(campaign, contact._id, reentry ? 'reentered' : 'enrolled', { event: trigger.event });
+
+    return { enrolled: true, reentry, progressId: progress._id, jobs };
+  }
+
+  /**
+   * Restart an existing progress if trigger.reentry allows it. The update is
+   * conditional on the run it replaces, so two triggers racing for the same
+   * contact re-enter once.
+   */
+  async reenrollContact(campaign, contact, enrollment, reentry = null) {
+    const existing = await CampaignProgress.findOne({ campaignId: campaign._id, contactId: contact._id });
+    if (!existing) return { reason: 'Enrollment changed, try again' };
+
+    const rule = reentry || campaign.trigger?.reentry || 'never';
+    const exited = existing.status !== 'active';
+
+    if (rule === 'never') {
+      return { reason: 'Contact was already enrolled' };
+    }
+    if (rule === 'after_exit' && !exited) {
+      return { reason: 'Contact is still in the campaign' };
+    }
+
+    const cooldownMs = (campaign.trigger?.reentryCooldownHours || 0) * 60 * 60 * 1000;
+    const previousAt = existing.trigger?.at || existing.startedAt;
+    if (cooldownMs && previousAt && enrollment.trigger.at - previousAt < cooldownMs) {
+      return { reason: 'Re-entry cooldown has not passed' };
+    }
+
+    const progress = await CampaignProgress.findOneAndUpdate(
+      { _id: existing._id, startedAt: existing.startedAt, status: existing.status },
+      {
+        $set: {
+          currentDay: enrollment.currentDay,
+          status: 'active',
+          startedAt: enrollment.startedAt,
+          trigger: enrollment.trigger,
+          completedSteps: [],
+          currentDaySteps: [],
+          completedStepCount: 0,
+          failedStepCount: 0,
+          missedStepCount: 0,
+          hasReplied: false,
+          completedAt: null,
+          pausedAt: null,
+          stoppedAt: null
+        },
+        $inc: { enrollmentCount: 1 },
+        $push: {
+          previousRuns: {
+            startedAt: existing.startedAt,
+            endedAt: exited ? (existing.completedAt || existing.updatedAt) : new Date(),
+            status: exited ? existing.status : 'restarted',
+            event: existing.trigger?.event,
+            completedStepCount: existing.completedStepCount || 0,
+            failedStepCount: existing.failedStepCount || 0,
+            missedStepCount: existing.missedStepCount || 0
+          }
+        }
+      },
+      { new: true }
+    );
+    if (!progress) return { reason: 'Contact was re-enrolled by another trigger' };
+
+    // Steps still queued from the previous run must not fire
+    await JobQueue.cancelContactJobs(campaign._id, contact._id);
+
+    return { progress };
+  }
+
+  /**
+   * startedAt that puts day `day` of the timeline on `startDate` (YYYY-MM-DD
+   * in `timezone`, default the day of `now`)
+   */
+  timelineStart(day = 1, startDate = null, now = new Date(), timezone = TIMEZONE) {
+    const start = startDate
+      ? moment.tz(startDate, 'YYYY-MM-DD', timezone)
+      : moment(now).tz(timezone);
+    return start.subtract(day - 1, 'days').toDate();
+  }
+
+  // ===================================================
+  // PER-CONTACT ENROLLMENT (routes/campaigns.js enrollment API)
+  // ===================================================
+
+  /**
+   * Take a contact out of the campaign; queued steps are cancelled
+   */
+  async unenrollContact(campaign, contactId) {
+    const progress = await CampaignProgress.findOneAndUpdate(
+      { campaignId: campaign._id, contactId, status: { $in: ['active', 'paused'] } },
+      { $set: { status: 'stopped', stoppedAt: new Date(), currentDaySteps: [] } },
+      { new: true }
+    );
+    if (!progress) return null;
+
+    await JobQueue.cancelContactJobs(campaign._id, contactId);
+    this.emitEnrollment(campaign, contactId, 'unenrolled');
+    return progress;
+  }
+
+  /**
+   * Hold a contact's queued steps until resumeContact()
+   */
+  async pauseContact(campaign, contactId) {
+    const progress = await CampaignProgress.findOneAndUpdate(
+      { campaignId: campaign._id, contactId, status: 'active' },
+      { $set: { status: 'paused', pausedAt: new Date() } },
+      { new: true }
+    );
+    if (!progress) return null;
+
+    await JobQueue.cancelContactJobs(campaign._id, contactId);
+    this.emitEnrollment(campaign, contactId, 'paused');
+    return progress;
+  }
+
+  /**
+   * Reschedule a paused contact's remaining steps on the original timeline;
+   * steps that came due while paused are marked missed
+   */
+  async resumeContact(campaign, contact) {
+    const progress = await CampaignProgress.findOneAndUpdate(
+      { campaignId: campaign._id, contactId: contact._id, status: 'paused' },
+      { $set: { status: 'active', pausedAt: null } },
+      { new: true }
+    );
+    if (!progress) return null;
+
+    const jobs = campaign.status === 'active' ? await this.scheduleContact(campaign, contact) : [];
+    this.emitEnrollment(campaign, contact._id, 'resumed');
+    return { progress, jobs };
+  }
+
+  /**
+   * Put a contact on day `day` of the timeline, falling on `startDate`
+   * (default today). Steps already sent, failed or missed are not repeated.
+   */
+  async moveContact(campaign, contact, day, startDate = null) {
+    const progress = await CampaignProgress.findOneAndUpdate(
+      { campaignId: campaign._id, contactId: contact._id, status: { $in: ['active', 'paused'] } },
+      {
+        $set: {
+          currentDay: day,
+          startedAt: this.timelineStart(day, startDate, new Date(), contactTimezone(contact)),
+          currentDaySteps: []
+        }
+      },
+      { new: true }
+    );
+    if (!progress) return null;
+
+    await JobQueue.cancelContactJobs(campaign._id, contact._id);
+    const jobs = progress.status === 'active' && campaign.status === 'active'
+      ? await this.scheduleContact(campaign, contact)
+      : [];
+
+    this.emitEnrollment(campaign, contact._id, 'moved', { day });
+    return { progress, jobs };
+  }
+
+  async scheduleContact(campaign, contact) {
+    const steps = await CampaignStep.find({ campaignId: campaign._id })
+      .sort({ day: 1, sequence: 1 });
+    return this.setupFixedCampaignForContact(campaign, contact, steps);
+  }
+
+  /**
+   * Re-time a contact's queued steps after their timezone changed
+   */
+  async rescheduleContact(contact) {
+    try {
+      const progresses = await CampaignProgress.find({ contactId: contact._id, status: 'active' })
+        .select('campaignId')
+        .lean();
+      const campaigns = await Campaign.find({
+        _id: { $in: progresses.map(p => p.campaignId) },
+        status: 'active'
       });
-      
-      // Schedule each combination
-      for (const [key, timeSteps] of Object.entries(stepsByDayAndTime)) {
-        const [dayOfWeek, stepTime] = key.split('_');
-        const [hour, minute] = stepTime.split(':').map(Number);
-        
-        // Cron pattern: minute hour * * dayOfWeek
-        const cronPattern = `${minute} ${hour} * * ${dayOfWeek}`;
-        const jobId = `weekly_${campaign._id}_${key}`;
-        
-        console.log(`⏰ Day ${dayOfWeek} at ${stepTime}: ${timeSteps.length} steps`);
-        
-        const job = cron.schedule(cronPattern, async () => {
-          await this.executeWeeklyStep(campaign, timeSteps, dayOfWeek, stepTime);
-        }, {
-          scheduled: true,
-          timezone: "Asia/Kolkata"
-        });
-        
-        this.scheduledJobs.set(jobId, job);
-        console.log(`✅ Scheduled: ${cronPattern}`);
+
+      for (const campaign of campaigns) {
+        if (this.followsTimeline(campaign)) await this.scheduleContact(campaign, contact);
       }
-      
     } catch (error) {
-      console.error('❌ Weekly setup error:', error);
+      console.error(`❌ Error rescheduling ${contact.phone}:`, error);
     }
   }
 
-  async executeWeeklyStep(campaign, steps, dayOfWeek, stepTime) {
-    const weekKey = moment().format('YYYY-WW');
-    const executionKey = `weekly_${campaign._id}_${dayOfWeek}_${stepTime}_${weekKey}`;
-    
-    // Check if already executed this week
-    if (this.executionHistory.has(executionKey)) {
-      console.log(`⏭️ Already executed ${campaign.name} on day ${dayOfWeek} at ${stepTime} this week`);
-      return;
+  emitEnrollment(campaign, contactId, status, extra = {}) {
+    realtime.emitCampaignProgress(campaign.tenantId, {
+      campaignId: campaign._id,
+      contactId,
+      status,
+      ...extra
+    });
+  }
+
+  async setupFixedCampaignForContact(campaign, contact, steps) {
+    const jobIds = [];
+
+    // Get or create progress (upsert so concurrent workers agree on startedAt)
+    const progress = await CampaignProgress.findOneAndUpdate(
+      { campaignId: campaign._id, contactId: contact._id },
+      {
+        $setOnInsert: {
+          tenantId: campaign.tenantId,
+          currentDay: 1,
+          status: 'active',
+          startedAt: new Date(),
+          completedSteps: []
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    if (progress.status === 'completed') {
+      console.log(`✅ ${contact.phone} already completed campaign`);
+      return jobIds;
     }
-    
-    console.log(`\n🚀 WEEKLY EXECUTION: ${campaign.name}`);
-    console.log(`📅 Day: ${dayOfWeek}, Time: ${stepTime}`);
-    
-    this.executionHistory.set(executionKey, new Date());
-    
-    // Execute steps
-    for (const step of steps.sort((a, b) => a.sequence - b.sequence)) {
-      await this.executeStepForAllContacts(step, campaign);
-      await this.sleep(1000);
+    if (progress.status !== 'active') {
+      console.log(`⏸️ ${contact.phone} is ${progress.status} in this campaign`);
+      return jobIds;
     }
-    
-    // Update campaign
-    await Campaign.findByIdAndUpdate(campaign._id, {
-      lastExecutionDate: new Date(),
-      $inc: { executedCount: 1 }
+
+    // Get steps starting from current day
+    const futureSteps = steps.filter(s => s.day >= progress.currentDay);
+
+    for (const step of futureSteps) {
+      if (this.isStepRecorded(progress, step)) continue;
+
+      jobIds.push(await this.scheduleFixedStep(campaign, contact, step, progress));
+    }
+
+    return jobIds;
+  }
+
+  /**
+   * A step already sent, failed or missed for this contact is never rescheduled
+   */
+  isStepRecorded(progress, step) {
+    return progress.completedSteps.some(s =>
+      s.stepId && s.stepId.toString() === step._id.toString()
+    );
+  }
+
+  /**
+   * Day N of a fixed campaign is N-1 days after the contact started, at the
+   * step time in the contact's timezone. A triggered contact's day-1 steps
+   * timed before the trigger go out right after it, in sequence order.
+   */
+  getFixedStepTime(progress, step, campaign = null, timezone = TIMEZONE) {
+    const [hour, minute] = (step.stepTime || '09:00').split(':').map(Number);
+    const startedAt = moment(progress.startedAt || new Date()).tz(timezone);
+
+    const target = startedAt.clone()
+      .startOf('day')
+      .add((step.day || 1) - 1, 'days')
+      .hours(hour)
+      .minutes(minute)
+      .seconds(0)
+      .milliseconds(0);
+
+    if (campaign?.campaignType === 'triggered' && target.isBefore(startedAt)) {
+      return startedAt.clone().add(step.sequence || 0, 'seconds');
+    }
+
+    return target;
+  }
+
+  /**
+   * When a contact's step goes out: { targetDate, occurrenceKey, run,
+   * timezone, deferredFrom }. deferredFrom is the step's own time when
+   * quiet hours push it back; the occurrence key keeps that time's date.
+   */
+  planFixedStep(campaign, contact, step, progress) {
+    const timezone = contactTimezone(contact);
+    const stepTime = this.getFixedStepTime(progress, step, campaign, timezone);
+
+    // A re-entered contact's run gets its own jobs and ledger keys
+    const run = (progress.enrollmentCount || 1) > 1 ? `_r${progress.enrollmentCount}` : '';
+    const occurrenceKey = stepTime.format('YYYY-MM-DD') + (run && `#${progress.enrollmentCount}`);
+
+    // Steps due in quiet hours go out when they end, in sequence order
+    const quietEnd = quietUntil(campaign.quietHours, timezone, stepTime.toDate());
+    const targetDate = quietEnd
+      ? moment(quietEnd).tz(timezone).add(step.sequence || 0, 'seconds')
+      : stepTime;
+
+    return { targetDate, occurrenceKey, run, timezone, deferredFrom: quietEnd ? stepTime : null };
+  }
+
+  async scheduleFixedStep(campaign, contact, step, progress) {
+    const { targetDate, occurrenceKey, run } = this.planFixedStep(campaign, contact, step, progress);
+    const jobId = `fixed_${campaign._id}_${contact._id}_${step._id}${run}`;
+
+    await JobQueue.saveTimeoutJob({
+      jobId,
+      campaignId: campaign._id,
+      stepId: step._id,
+      contactId: contact._id,
+      tenantId: campaign.tenantId,
+      jobType: 'timeout',
+      scheduleType: 'fixed',
+      executeAt: targetDate.toDate(),
+      occurrenceKey,
+      data: {
+        day: step.day,
+        sequence: step.sequence,
+        stepTime: step.stepTime
+      }
     });
+
+    if (this.isMissed(targetDate.toDate())) {
+      console.log(`⏰ TIME PASSED: ${contact.phone}, Step ${step.sequence}, Day ${step.day} (${targetDate.format('DD/MM/YYYY HH:mm')}) - will be marked MISSED`);
+    }
+
+    // Show the step as scheduled on the contact's progress
+    const pushed = await CampaignProgress.updateOne(
+      { _id: progress._id, 'currentDaySteps.stepId': { $ne: step._id } },
+      {
+        $push: {
+          currentDaySteps: {
+            stepId: step._id,
+            sequence: step.sequence,
+            stepTime: step.stepTime,
+            scheduledAt: targetDate.toDate(),
+            status: 'scheduled'
+          }
+        }
+      }
+    );
+
+    // Re-timed (new timezone or quiet hours): keep the shown time in step
+    if (pushed.modifiedCount === 0) {
+      await CampaignProgress.updateOne(
+        { _id: progress._id, currentDaySteps: { $elemMatch: { stepId: step._id, status: 'scheduled' } } },
+        { $set: { 'currentDaySteps.$.scheduledAt': targetDate.toDate() } }
+      );
+    }
+
+    return jobId;
+
+  }
+
+  // ===================================================
+  // JOB EXECUTION
+  // ===================================================
+
+  startExecutor() {
+    if (this.pollTimer) return;
+
+    this.pollTimer = setInterval(() => this.poll(), POLL_INTERVAL_MS);
+    console.log(`⚙️ Job executor started (every ${POLL_INTERVAL_MS / 1000}s, lease ${LEASE_MS / 1000}s)`);
+
+    this.poll();
   }
 
-  async setupMonthlyCampaign(campaign, steps) {
+  async poll() {
+    if (this.isPolling || mongoose.connection.readyState !== 1) return;
+
+    this.isPolling = true;
+    this.lastPollAt = new Date();
+
     try {
-      console.log(`📅 Setting up MONTHLY campaign`);
-      
-      // Group steps by date and time
-      const stepsByDateAndTime = {};
-      
-      steps.forEach(step => {
-        const dayOfMonth = step.dayOfMonth !== undefined ? step.dayOfMonth : 1;
-        const stepTime = step.stepTime || '09:00';
-        const key = `${dayOfMonth}_${stepTime}`;
-        
-        if (!stepsByDateAndTime[key]) stepsByDateAndTime[key] = [];
-        stepsByDateAndTime[key].push(step);
-      });
-      
-      // Schedule each combination
-      for (const [key, timeSteps] of Object.entries(stepsByDateAndTime)) {
-        const [dayOfMonth, stepTime] = key.split('_');
-        const [hour, minute] = stepTime.split(':').map(Number);
-        
-        // Cron pattern: minute hour dayOfMonth * *
-        const cronPattern = `${minute} ${hour} ${dayOfMonth} * *`;
-        const jobId = `monthly_${campaign._id}_${key}`;
-        
-        console.log(`⏰ Date ${dayOfMonth} at ${stepTime}: ${timeSteps.length} steps`);
-        
-        const job = cron.schedule(cronPattern, async () => {
-          await this.executeMonthlyStep(campaign, timeSteps, dayOfMonth, stepTime);
-        }, {
-          scheduled: true,
-          timezone: "Asia/Kolkata"
-        });
-        
-        this.scheduledJobs.set(jobId, job);
-        console.log(`✅ Scheduled: ${cronPattern}`);
+      let job;
+      while (this.pollTimer && (job = await JobQueue.claimNextJob(this.workerId, LEASE_MS))) {
+        await this.runJob(job);
       }
-      
     } catch (error) {
-      console.error('❌ Monthly setup error:', error);
+      console.error('❌ Job poll error:', error);
+    } finally {
+      this.isPolling = false;
     }
   }
 
-  async executeMonthlyStep(campaign, steps, dayOfMonth, stepTime) {
-    const monthKey = moment().format('YYYY-MM');
-    const executionKey = `monthly_${campaign._id}_${dayOfMonth}_${stepTime}_${monthKey}`;
-    
-    // Check if already executed this month
-    if (this.executionHistory.has(executionKey)) {
-      console.log(`⏭️ Already executed ${campaign.name} on date ${dayOfMonth} at ${stepTime} this month`);
-      return;
+  async runJob(job) {
+    this.runningJobs.set(job.jobId, new Date());
+
+    const heartbeat = setInterval(() => {
+      JobQueue.heartbeat(job, this.workerId, LEASE_MS)
+        .then(alive => {
+          if (!alive) console.warn(`⚠️ Lost lease on job ${job.jobId}`);
+        })
+        .catch(error => console.error('❌ Heartbeat error:', error.message));
+    }, HEARTBEAT_MS);
+
+    try {
+      await this.executeJob(job);
+    } catch (error) {
+      console.error(`❌ Job ${job.jobId} failed:`, error);
+      await this.finishJob(job, 'failed', error.message);
+    } finally {
+      clearInterval(heartbeat);
+      this.runningJobs.delete(job.jobId);
     }
-    
-    console.log(`\n🚀 MONTHLY EXECUTION: ${campaign.name}`);
-    console.log(`📅 Date: ${dayOfMonth}, Time: ${stepTime}`);
-    
-    this.executionHistory.set(executionKey, new Date());
-    
-    // Execute steps
-    for (const step of steps.sort((a, b) => a.sequence - b.sequence)) {
-      await this.executeStepForAllContacts(step, campaign);
+  }
+
+  async executeJob(job) {
+    if (job.attempts > MAX_ATTEMPTS) {
+      console.log(`🛑 Job ${job.jobId} claimed ${job.attempts} times, giving up`);
+      return this.finishJob(job, 'failed', `Gave up after ${job.attempts - 1} attempts`);
+    }
+
+    const campaign = await Campaign.findById(job.campaignId);
+    if (!campaign || campaign.status !== 'active') {
+      console.log(`⏭️ Campaign not active, cancelling job ${job.jobId}`);
+      return JobQueue.completeJob(job, this.workerId, 'cancelled');
+    }
+
+    // Retries run whenever they come due, however late
+    if (job.jobType === 'retry') {
+      return this.executeRetryJob(job, campaign);
+    }
+
+    const lateMs = Date.now() - new Date(job.executeAt).getTime();
+    if (this.isMissed(job.executeAt)) {
+      return this.handleMissedJob(job, campaign, lateMs);
+    }
+
+    if (job.scheduleType === 'fixed') {
+      return this.executeFixedJob(job, campaign);
+    }
+
+    return this.executeRecurringJob(job, campaign);
+  }
+
+  /**
+   * Whether a job due at `executeAt` is too late to send at `now`; such
+   * jobs are marked missed
+   */
+  isMissed(executeAt, now = new Date()) {
+    return now.getTime() - new Date(executeAt).getTime() > GRACE_MS;
+  }
+
+  /**
+   * Recurring jobs move on to their next occurrence; one-off jobs end here
+   */
+  async finishJob(job, status, errorMessage = null) {
+    if (job.jobType === 'cron' && status !== 'cancelled' && job.data?.stepTime) {
+      const next = this.getNextOccurrence(job.scheduleType, job.data);
+      if (next) {
+        return JobQueue.rescheduleJob(job, this.workerId, next.toDate(), next.format('YYYY-MM-DD'), errorMessage);
+      }
+    }
+
+    return JobQueue.completeJob(job, this.workerId, status, errorMessage);
+  }
+
+  async handleMissedJob(job, campaign, lateMs) {
+    const scheduled = moment(job.executeAt).tz(TIMEZONE);
+
+    console.log(`⏰ TIME PASSED: ${campaign.name}, job ${job.jobId}`);
+    console.log(`   Scheduled: ${scheduled.format('DD/MM/YYYY HH:mm')} (${Math.round(lateMs / 60000)} minutes ago)`);
+    console.log(`   ❌ Marking as MISSED (not sending)`);
+
+    if (job.scheduleType === 'fixed') {
+      const progress = await CampaignProgress.findOne({
+        campaignId: campaign._id,
+        contactId: job.contactId
+      });
+
+      if (progress && !progress.completedSteps.some(s => s.stepId && s.stepId.toString() === String(job.stepId))) {
+        await this.markStepAsMissedInProgress(progress, job.stepId, job.data?.sequence, job.data?.day, job.data?.stepTime);
+        await this.updateCurrentDayStep(progress, job.stepId, { status: 'missed' });
+      }
+    }
+
+    return this.finishJob(job, 'missed', `Missed occurrence ${job.occurrenceKey || scheduled.format('YYYY-MM-DD')}`);
+  }
+
+  async executeRecurringJob(job, campaign) {
+    const steps = await CampaignStep.find({
+      _id: { $in: job.data?.stepIds || [] },
+      campaignId: campaign._id
+    }).sort({ sequence: 1 });
+
+    if (steps.length === 0) {
+      console.log(`⚠️ Job ${job.jobId} has no steps left, cancelling`);
+      return JobQueue.completeJob(job, this.workerId, 'cancelled');
+    }
+
+    const timezone = job.data?.timezone || TIMEZONE;
+
+    // This occurrence waits for the end of the quiet hours
+    const quietEnd = quietUntil(campaign.quietHours, timezone);
+    if (quietEnd) {
+      console.log(`🌙 ${campaign.name}: quiet hours in ${timezone}, deferring to ${moment(quietEnd).tz(timezone).format('DD/MM/YYYY HH:mm')}`);
+      return JobQueue.rescheduleJob(job, this.workerId, quietEnd, job.occurrenceKey);
+    }
+
+    console.log(`\n🚀 ${job.scheduleType.toUpperCase()} EXECUTION: ${campaign.name} at ${job.data.stepTime} (${timezone})`);
+    console.log(`🕐 Time: ${moment().tz(timezone).format('HH:mm:ss')}`);
+
+    // A job taken over from a dead worker reuses the same ledger keys, so
+    // contacts it already reached are skipped
+    const occurrenceDate = job.occurrenceKey || sendLedger.occurrenceDateFor(job.executeAt);
+
+    // Contacts in timezones that have no job of their own yet
+    const contacts = await this.getAllCampaignContacts(campaign);
+    const covered = job.data?.zones || [TIMEZONE];
+    const uncovered = timezone === TIMEZONE && contacts.some(c => !covered.includes(contactTimezone(c)));
+
+    for (const step of steps) {
+      await this.executeStepForAllContacts(step, campaign, { occurrenceDate, timezone, contacts });
       await this.sleep(1000);
     }
-    
+
+    // Give them one, so they get the next occurrence at their local time
+    if (uncovered) {
+      console.log(`🌍 ${campaign.name}: new contact timezones, re-syncing jobs`);
+      try {
+        await this.setupRecurringCampaign(campaign, await CampaignStep.find({ campaignId: campaign._id }));
+      } catch (error) {
+        console.error(`❌ ${campaign.name}: timezone re-sync error:`, error);
+      }
+    }
+
     // Update campaign
     await Campaign.findByIdAndUpdate(campaign._id, {
       lastExecutionDate: new Date(),
       $inc: { executedCount: 1 }
     });
+
+    // Update active campaigns map
+    const campaignData = this.activeCampaigns.get(campaign._id.toString());
+    if (campaignData) {
+      campaignData.lastExecution = new Date();
+    }
+
+    return this.finishJob(job, 'completed');
   }
 
-  async setupFixedCampaign(campaign, steps) {
-    try {
-      console.log(`📅 Setting up FIXED campaign (FUTURE ONLY)`);
-      
-      // Get all contacts
-      const contacts = await this.getAllCampaignContacts(campaign);
-      
-      if (contacts.length === 0) {
-        console.log('❌ No contacts found');
-        return;
-      }
-      
-      console.log(`👥 Found ${contacts.length} contacts`);
-      
-      // Schedule FUTURE steps only
-      for (const contact of contacts) {
-        await this.setupFixedCampaignForContact(campaign, contact, steps);
-      }
-      
-    } catch (error) {
-      console.error('❌ Fixed campaign setup error:', error);
+  async executeFixedJob(job, campaign) {
+    const [step, contact, progress] = await Promise.all([
+      CampaignStep.findById(job.stepId),
+      Contact.findById(job.contactId),
+      CampaignProgress.findOne({ campaignId: campaign._id, contactId: job.contactId })
+    ]);
+
+    if (!step || !contact || !progress || progress.status !== 'active') {
+      console.log(`⏭️ Nothing to send for job ${job.jobId}, cancelling`);
+      return JobQueue.completeJob(job, this.workerId, 'cancelled');
+    }
+
+    if (this.isStepRecorded(progress, step)) {
+      console.log(`⏭️ Already sent to ${contact.phone}, skipping`);
+      return JobQueue.completeJob(job, this.workerId, 'completed');
+    }
+
+    // Wait-for-reply nodes hold the step until the contact replies (which
+    // wakes the job) or the wait runs out
+    const wait = campaignJourneys.waitState(step, progress);
+    if (wait) {
+      console.log(`⏳ ${contact.phone}, Step ${step.sequence}: ${wait.reason} (until ${moment(wait.until).tz(TIMEZONE).format('DD/MM/YYYY HH:mm')})`);
+      await this.updateCurrentDayStep(progress, step._id, { status: 'waiting', waitUntil: wait.until });
+      return JobQueue.deferJob(job, this.workerId, wait.until);
+    }
+
+    if (await this.deferForQuietHours(job, campaign, contact, progress)) return;
+
+    const branch = await campaignJourneys.evaluate(step, { contact, progress });
+    if (!branch.pass) {
+      console.log(`🔀 ${contact.phone}, Step ${step.sequence} skipped: ${branch.reason}`);
+      await this.markStepAsSkippedInProgress(progress, step, contact, campaign, branch.reason);
+      await this.updateCurrentDayStep(progress, step._id, { status: 'skipped' });
+      if (job.waitingUntil) await JobQueue.wakeWaitingJobs(contact._id);
+
+      realtime.emitCampaignProgress(campaign.tenantId, {
+        campaignId: campaign._id,
+        stepId: step._id,
+        contactId: contact._id,
+        status: 'skipped',
+        reason: branch.reason
+      });
+      return JobQueue.completeJob(job, this.workerId, 'completed', `Skipped: ${branch.reason}`);
+    }
+
+    console.log(`\n🚀 EXECUTING SCHEDULED STEP for ${contact.phone}`);
+    console.log(`📅 Day ${step.day}, Time: ${step.stepTime}`);
+
+    const result = await this.executeStepForContact(step, contact, campaign, progress, {
+      occurrenceDate: job.occurrenceKey
+    });
+
+    realtime.emitCampaignProgress(campaign.tenantId, {
+      campaignId: campaign._id,
+      stepId: step._id,
+      contactId: contact._id,
+      status: result.skipped ? 'skipped' : (result.success ? 'sent' : 'failed')
+    });
+
+    if (result.skipped) {
+      return JobQueue.completeJob(job, this.workerId, 'completed', `Skipped: ${result.reason}`);
+    }
+
+    // Steps held behind this one can go now
+    if (job.waitingUntil) await JobQueue.wakeWaitingJobs(contact._id);
+
+    if (result.success) {
+      await this.updateCurrentDayStep(progress, step._id, {
+        status: 'sent',
+        sentAt: new Date(),
+        messageId: result.messageId
+      });
+      return JobQueue.completeJob(job, this.workerId, 'completed');
     }
+
+    await this.updateCurrentDayStep(progress, step._id, {
+      status: 'failed',
+      error: result.error
+    });
+    return JobQueue.completeJob(job, this.workerId, 'failed', result.error);
   }
 
-  async setupFixedCampaignForContact(campaign, contact, steps) {
-    try {
-      // Get or create progress
-      let progress = await CampaignProgress.findOne({
-        campaignId: campaign._id,
-        contactId: contact._id
-      });
-      
-      if (!progress) {
-        progress = new CampaignProgress({
-          campaignId: campaign._id,
-          contactId: contact._id,
-          tenantId: campaign.tenantId,
-          currentDay: 1,
-          status: 'active',
-          startedAt: new Date(),
-          completedSteps: []
-        });
-        await progress.save();
+  /**
+   * Resend the step of a failed message (scheduled by retryPolicy). The job
+   * reuses the original occurrence, so the send ledger still prevents doubles.
+   */
+  async executeRetryJob(job, campaign) {
+    const [step, contact, failedLog] = await Promise.all([
+      CampaignStep.findById(job.stepId),
+      Contact.findById(job.contactId),
+      MessageLog.findById(job.data?.messageLogId).lean()
+    ]);
+
+    if (!step || !contact || !failedLog || failedLog.retriedAt) {
+      console.log(`⏭️ Nothing to retry for job ${job.jobId}, cancelling`);
+      return JobQueue.completeJob(job, this.workerId, 'cancelled');
+    }
+
+    let progress = null;
+    if (this.followsTimeline(campaign)) {
+      progress = await CampaignProgress.findOne({ campaignId: campaign._id, contactId: contact._id });
+      if (!progress || progress.status !== 'active') {
+        console.log(`⏭️ Contact no longer active in campaign, cancelling retry ${job.jobId}`);
+        return JobQueue.completeJob(job, this.workerId, 'cancelled');
       }
-      
-      if (progress.status === 'completed') {
-        console.log(`✅ ${contact.phone} already completed campaign`);
-        return;
+      // Failed in a run the contact has since re-entered
+      if (progress.startedAt && new Date(failedLog.timestamp) < progress.startedAt) {
+        console.log(`⏭️ Retry ${job.jobId} belongs to an earlier run, cancelling`);
+        return JobQueue.completeJob(job, this.workerId, 'cancelled');
       }
-      
-      // Get steps starting from current day
-      const futureSteps = steps.filter(s => s.day >= progress.currentDay);
-      
-      // Schedule FUTURE steps only
-      for (const step of futureSteps) {
-        await this.scheduleFixedStep(campaign, contact, step, progress);
+    }
+
+    if (await this.deferForQuietHours(job, campaign, contact)) return;
+
+    // Claimed once: a crashed worker's retry is not picked up again
+    await MessageLog.updateOne({ _id: failedLog._id }, { $set: { retriedAt: new Date(), nextRetryAt: null } });
+
+    console.log(`\n🔁 RETRY ${job.data.retryCount} of step ${step.sequence} for ${contact.phone}`);
+
+    const options = {
+      occurrenceDate: job.occurrenceKey,
+      retryCount: job.data.retryCount,
+      retryOf: failedLog._id
+    };
+    const result = progress
+      ? await this.executeStepForContact(step, contact, campaign, progress, options)
+      : await this.sendToSingleContact(step, contact, campaign, options).catch(error => ({ success: false, error: error.message }));
+
+    realtime.emitCampaignProgress(campaign.tenantId, {
+      campaignId: campaign._id,
+      stepId: step._id,
+      contactId: contact._id,
+      retryCount: job.data.retryCount,
+      status: result.skipped ? 'skipped' : (result.success ? 'sent' : 'failed')
+    });
+
+    if (result.skipped) {
+      return JobQueue.completeJob(job, this.workerId, 'completed', `Skipped: ${result.reason}`);
+    }
+
+    if (result.success) {
+      if (progress) {
+        await this.updateCurrentDayStep(progress, step._id, {
+          status: 'sent',
+          sentAt: new Date(),
+          messageId: result.messageId
+        });
       }
-      
-    } catch (error) {
-      console.error(`❌ Setup error for ${contact.phone}:`, error);
+      return JobQueue.completeJob(job, this.workerId, 'completed');
     }
+
+    return JobQueue.completeJob(job, this.workerId, 'failed', result.error);
   }
 
-  async scheduleFixedStep(campaign, contact, step, progress) {
-    try {
-      const [hour, minute] = step.stepTime.split(':').map(Number);
-      
-      // Calculate target datetime
-      const daysToAdd = step.day - progress.currentDay;
-      const targetDate = moment().tz('Asia/Kolkata').add(daysToAdd, 'days');
-      targetDate.hours(hour);
-      targetDate.minutes(minute);
-      targetDate.seconds(0);
-      
-      const now = moment().tz('Asia/Kolkata');
-      const delayMs = targetDate.valueOf() - now.valueOf();
-      
-      // Check if step was already sent (using model method)
-      const alreadySent = progress.hasStepBeenSent && typeof progress.hasStepBeenSent === 'function' 
-        ? progress.hasStepBeenSent(step._id, step.sequence, step.day)
-        : await this.checkIfStepSent(campaign._id, step._id, contact._id, step.day);
-      
-      if (alreadySent) {
-        console.log(`⏭️ Already sent to ${contact.phone}, step ${step.sequence}, day ${step.day}`);
-        return;
-      }
-      
-      // If time has passed, mark as missed (DO NOT SEND)
-      if (delayMs <= 0) {
-        console.log(`⏰ TIME PASSED: ${contact.phone}, Step ${step.sequence}, Day ${step.day}`);
-        console.log(`   Scheduled: ${targetDate.format('DD/MM/YYYY HH:mm')}`);
-        console.log(`   Current: ${now.format('DD/MM/YYYY HH:mm')}`);
-        console.log(`   ❌ Marking as MISSED (not sending)`);
-        
-        // Mark as missed in progress
-        if (progress.markStepAsMissed && typeof progress.markStepAsMissed === 'function') {
-          await progress.markStepAsMissed(
-            step._id,
-            step.sequence,
-            step.day,
-            step.stepTime
-          );
-        } else {
-          await this.markStepAsMissedInProgress(progress, step._id, step.sequence, step.day, step.stepTime);
-        }
-        
-        return;
-      }
-      
-      const jobId = `fixed_${campaign._id}_${contact._id}_${step._id}`;
-      
-      console.log(`⏰ Scheduling FUTURE step ${step.sequence} for ${contact.phone}`);
-      console.log(`   Day ${step.day} at ${step.stepTime}`);
-      console.log(`   Will execute in ${Math.round(delayMs/1000/60)} minutes`);
-      
-      // Add to currentDaySteps as scheduled
-      progress.currentDaySteps.push({
-        stepId: step._id,
-        sequence: step.sequence,
-        stepTime: step.stepTime,
-        scheduledAt: new Date(),
-        status: 'scheduled'
-      });
-      await progress.save();
-      
-      const timeoutId = setTimeout(async () => {
-        console.log(`\n🚀 EXECUTING SCHEDULED STEP for ${contact.phone}`);
-        console.log(`📅 Day ${step.day}, Time: ${step.stepTime}`);
-        
-        try {
-          // Double check if already sent
-          const stillNotSent = progress.hasStepBeenSent && typeof progress.hasStepBeenSent === 'function'
-            ? !progress.hasStepBeenSent(step._id, step.sequence, step.day)
-            : !(await this.checkIfStepSent(campaign._id, step._id, contact._id, step.day));
-          
-          if (stillNotSent) {
-            const result = await this.executeStepForContact(step, contact, campaign, progress);
-            
-            if (result.success) {
-              // Update currentDaySteps status
-              const stepIndex = progress.currentDaySteps.findIndex(s => 
-                s.stepId && s.stepId.toString() === step._id.toString()
-              );
-              
-              if (stepIndex !== -1) {
-                progress.currentDaySteps[stepIndex].status = 'sent';
-                progress.currentDaySteps[stepIndex].sentAt = new Date();
-                progress.currentDaySteps[stepIndex].messageId = result.messageId;
-                await progress.save();
-              }
-            }
-          } else {
-            console.log(`⏭️ Already sent to ${contact.phone}, skipping`);
-          }
-          
-          this.timeoutJobs.delete(jobId);
-        } catch (error) {
-          console.error(`❌ Execution error:`, error);
-          
-          // Mark as failed in progress
-          const stepIndex = progress.currentDaySteps.findIndex(s => 
-            s.stepId && s.stepId.toString() === step._id.toString()
-          );
-          
-          if (stepIndex !== -1) {
-            progress.currentDaySteps[stepIndex].status = 'failed';
-            progress.currentDaySteps[stepIndex].error = error.message;
-            await progress.save();
-          }
-        }
-      }, delayMs);
-      
-      this.timeoutJobs.set(jobId, timeoutId);
-      
-    } catch (error) {
-      console.error('❌ Error scheduling fixed step:', error);
+  /**
+   * Push a contact's job that came due in the campaign's quiet hours (after a
+   * wait for a reply, or a retry) to the end of them. Returns true if deferred.
+   */
+  async deferForQuietHours(job, campaign, contact, progress = null) {
+    const timezone = contactTimezone(contact);
+    const quietEnd = quietUntil(campaign.quietHours, timezone);
+    if (!quietEnd) return false;
+
+    const until = new Date(quietEnd.getTime() + (job.data?.sequence || 0) * 1000);
+    console.log(`🌙 ${contact.phone}: quiet hours in ${timezone}, deferring job ${job.jobId} to ${moment(until).tz(timezone).format('DD/MM/YYYY HH:mm')}`);
+
+    if (progress && job.stepId) {
+      await this.updateCurrentDayStep(progress, job.stepId, { status: 'scheduled', scheduledAt: until });
     }
+    await JobQueue.rescheduleJob(job, this.workerId, until, job.occurrenceKey);
+    return true;
   }
 
-  async checkIfStepSent(campaignId, stepId, contactId, day) {
-    try {
-      const existingMessage = await MessageLog.findOne({
-        campaignId: campaignId,
-        contactId: contactId,
-        stepDay: day,
-        status: 'sent',
-        createdAt: {
-          $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) // Check last 24 hours
-        }
-      });
-      
-      return !!existingMessage;
-    } catch (error) {
-      console.error('❌ Error checking if step sent:', error);
-      return false;
+  async updateCurrentDayStep(progress, stepId, fields) {
+    const update = {};
+    for (const [key, value] of Object.entries(fields)) {
+      update[`currentDaySteps.$.${key}`] = value;
     }
+
+    await CampaignProgress.updateOne(
+      { _id: progress._id, 'currentDaySteps.stepId': stepId },
+      { $set: update }
+    );
   }
 
   async markStepAsMissedInProgress(progress, stepId, sequence, day, stepTime) {
@@ -580,11 +1199,18 @@ class CampaignScheduler {
     }
   }
 
-  async executeStepForAllContacts(step, campaign) {
+  /**
+   * options.timezone limits the send to the contacts in that timezone;
+   * options.contacts is the audience when already loaded
+   */
+  async executeStepForAllContacts(step, campaign, options = {}) {
     try {
       console.log(`\n🎯 EXECUTING STEP ${step.sequence} FOR ALL CONTACTS`);
       
-      const contacts = await this.getAllCampaignContacts(campaign);
+      let contacts = options.contacts || await this.getAllCampaignContacts(campaign);
+      if (options.timezone) {
+        contacts = contacts.filter(c => contactTimezone(c) === options.timezone);
+      }
       
       if (contacts.length === 0) {
         console.log('⚠️ No contacts found');
@@ -593,9 +1219,11 @@ class CampaignScheduler {
       
       console.log(`📞 Total contacts: ${contacts.length}`);
       
-      // Process in batches
-      const batchSize = 5;
+      // Process in batches; sendGovernor keeps sends within the number's rate
+      const batchSize = SEND_CONCURRENCY;
       let successCount = 0;
+      let skippedCount = 0;
+      let processedCount = 0;
       
       for (let i = 0; i < contacts.length; i += batchSize) {
         const batch = contacts.slice(i, i + batchSize);
@@ -603,7 +1231,7 @@ class CampaignScheduler {
         console.log(`📦 Batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(contacts.length/batchSize)}`);
         
         const promises = batch.map(contact => 
-          this.sendToSingleContact(step, contact, campaign).catch(error => {
+          this.sendToSingleContact(step, contact, campaign, options).catch(error => {
             console.error(`❌ Error for ${contact.phone}:`, error.message);
             return { success: false };
           })
@@ -612,46 +1240,41 @@ class CampaignScheduler {
         const results = await Promise.allSettled(promises);
         
         results.forEach(result => {
-          if (result.status === 'fulfilled' && result.value && result.value.success) {
+          if (result.status === 'fulfilled' && result.value && result.value.skipped) {
+            skippedCount++;
+          } else if (result.status === 'fulfilled' && result.value && result.value.success) {
             successCount++;
           }
         });
+        processedCount += batch.length;
         
-        // Small delay between batches
-        if (i + batchSize < contacts.length) {
-          await this.sleep(2000);
-        }
+        realtime.emitCampaignProgress(campaign.tenantId, {
+          campaignId: campaign._id,
+          stepId: step._id,
+          sent: successCount,
+          skipped: skippedCount,
+          failed: processedCount - successCount - skippedCount,
+          total: contacts.length,
+          done: processedCount === contacts.length
+        });
       }
       
-      console.log(`✅ Execution complete: ${successCount} sent`);
+      console.log(`✅ Execution complete: ${successCount} sent, ${skippedCount} skipped`);
+      await stepVariants.maybePromote(step);
       
     } catch (error) {
       console.error('❌ Error executing step:', error);
     }
   }
 
-  async executeStepForContact(step, contact, campaign, progress) {
+  async executeStepForContact(step, contact, campaign, progress, options = {}) {
     try {
-      // Check if already sent using campaign processor
-      const alreadySent = campaignProcessor.hasMessageBeenSent
-        ? await campaignProcessor.hasMessageBeenSent(
-            campaign._id,
-            step._id,
-            contact._id,
-            new Date()
-          )
-        : await this.checkIfStepSent(campaign._id, step._id, contact._id, step.day);
-      
-      if (alreadySent) {
-        console.log(`🚫 DUPLICATE PREVENTED: Already sent to ${contact.phone}`);
-        return { success: true, skipped: true, reason: 'already_sent' };
-      }
+      const result = await this.sendToSingleContact(step, contact, campaign, options);
       
-      const result = await this.sendToSingleContact(step, contact, campaign);
-      
-      if (result.success && campaign.campaignType === 'fixed' && progress) {
-        await this.updateFixedProgress(step, contact, campaign, progress, result.messageId);
+      if (result.success && !result.skipped && this.followsTimeline(campaign) && progress) {
+        await this.updateFixedProgress(step, contact, campaign, progress, result.messageId, result.variant);
       }
+      if (result.variant) await stepVariants.maybePromote(step);
       
       return result;
       
@@ -659,164 +1282,264 @@ class CampaignScheduler {
       console.error(`❌ Error executing for ${contact.phone}:`, error);
       
       // Mark as failed in progress
-      if (campaign.campaignType === 'fixed' && progress) {
-        await this.markStepAsFailedInProgress(progress, step._id, step.sequence, step.day, step.stepTime, error.message);
+      if (this.followsTimeline(campaign) && progress) {
+        await this.markStepAsFailedInProgress(progress, step._id, step.sequence, step.day, step.stepTime, error.message, error.retry, error.variant);
       }
       
       return { success: false, error: error.message };
     }
   }
 
-  async sendToSingleContact(step, contact, campaign) {
+  /**
+   * Whether a campaign may message the contact at all. Returns { to, reason }:
+   * `to` is the normalized phone, `reason` is null when the contact can be
+   * sent to, else 'invalid_phone', 'opted_out' or 'no_whatsapp'. Used by
+   * sendToSingleContact and previewSend alike.
+   */
+  async checkEligibility(contact, campaign) {
+    const to = await normalizeTenantPhone(contact.phone, campaign.tenantId, { stored: true });
+    if (!to) {
+      return { to: null, reason: 'invalid_phone' };
+    }
+    // Re-checked at send time: a STOP may arrive while a batch is running
+    if (await optOutService.isOptedOut(campaign.tenantId, to)) {
+      return { to, reason: 'opted_out' };
+    }
+    // A permanent send error showed the number is not on WhatsApp
+    if (contact.hasWhatsApp === false) {
+      return { to, reason: 'no_whatsapp' };
+    }
+    return { to, reason: null };
+  }
+
+  /**
+   * Send one step to one contact. The send is reserved in the ledger under
+   * campaign:step:contact:occurrenceDate first; a key that is already taken
+   * returns { success: true, skipped: true } without calling the provider.
+   * A failure is classified by retryPolicy, which may schedule a retry; its
+   * decision is attached to the thrown error as error.retry.
+   */
+  async sendToSingleContact(step, contact, campaign, options = {}) {
+    let reservation = null;
+    let sent = false;
+    // A/B tested steps send the contact's variant
+    const variant = stepVariants.pickVariant(step, contact._id);
+    const content = stepVariants.applyVariant(step, variant);
+    
     try {
-      const to = contact.phone.replace(/\+/g, '');
-      
-      console.log(`📨 Sending ${step.type} to ${to}`);
+      const tenantId = campaign.tenantId;
+      const { to, reason } = await this.checkEligibility(contact, campaign);
+      if (reason === 'invalid_phone') {
+        const error = new Error(`Invalid phone number: ${contact.phone}`);
+        error.code = 'INVALID_PHONE';
+        throw error;
+      }
+      if (reason) {
+        console.log(`🔕 Skipping ${to}: ${reason}`);
+        return {
+          success: true,
+          skipped: true,
+          reason,
+          contact: contact.phone
+        };
+      }
       
-      let response = null;
-      let messageType = step.type;
-      let messageId = null;
+      reservation = await sendLedger.reserve({
+        tenantId,
+        campaignId: campaign._id,
+        stepId: step._id,
+        contactId: contact._id,
+        occurrenceDate: options.occurrenceDate,
+        to
+      });
       
-      // Send based on type
-      if (step.type === 'text') {
-        response = await sendText({ to, body: step.body });
-      } else if (step.type === 'media') {
-        const mediaUrl = step.mediaUrl;
-        if (mediaUrl.match(/\.(jpg|jpeg|png|gif|webp)$/i)) {
-          messageType = 'image';
-          response = await sendImage({ 
-            to, 
-            imageUrl: mediaUrl, 
-            caption: step.caption || '' 
-          });
-        } else if (mediaUrl.match(/\.(mp4|avi|mov|wmv)$/i)) {
-          messageType = 'video';
-          response = await sendVideo({ 
-            to, 
-            videoUrl: mediaUrl, 
-            caption: step.caption || '' 
-          });
-        } else {
-          messageType = 'document';
-          response = await sendFile({ 
-            to, 
-            fileUrl: mediaUrl, 
-            caption: step.caption || '' 
-          });
-        }
-      } else if (step.type === 'template') {
-        if (!step.templateName) {
-          throw new Error('Template name is required');
-        }
-        
-        response = await sendTemplate({
-          to,
-          templateName: step.templateName,
-          language: step.language || 'en_US',
-          tenantId: campaign.tenantId
-        });
+      if (!reservation.reserved) {
+        console.log(`🚫 DUPLICATE PREVENTED: ${contact.phone}, step ${step.sequence} (${reservation.reason})`);
+        return {
+          success: true,
+          skipped: true,
+          reason: reservation.reason,
+          contact: contact.phone
+        };
       }
       
+      console.log(`📨 Sending ${content.type}${variant ? ` (variant ${variant.key})` : ''} to ${to}`);
+      
+      let messageId = null;
+      const { response, messageType } = await sendStepMessage(content, to, tenantId, {
+        contact,
+        campaign,
+        timezone: contactTimezone(contact)
+      });
+      
       // Extract message ID from response
       if (response && response.messages && response.messages[0]) {
         messageId = response.messages[0].id;
       }
       
+      sent = true;
+      await sendLedger.commit(reservation.entry, messageId);
+      
       // Log success
       await MessageLog.create({
         tenantId: campaign.tenantId,
         campaignId: campaign._id,
         contactId: contact._id,
-        provider: 'meta',
-        to: contact.phone,
+        provider: response?.provider || 'meta',
+        to,
         direction: 'outbound',
         type: messageType,
         status: 'sent',
         stepTime: step.stepTime,
         stepSequence: step.sequence,
         stepDay: step.day,
+        stepId: step._id,
+        occurrenceDate: reservation.entry.occurrenceDate,
+        retryCount: options.retryCount || 0,
+        retryOf: options.retryOf,
+        variant: variant?.key,
         timestamp: new Date(),
-        templateName: step.type === 'template' ? step.templateName : null,
+        templateName: content.type === 'template' ? content.templateName : null,
         sentAt: new Date(),
         messageId: messageId,
-        whatsappMessageId: messageId
+        whatsappMessageId: messageId,
+        // Lets status webhooks find this log
+        ...(messageId && { provider_message_id: messageId })
       });
       
       console.log(`✅ Sent ${step.type} to ${contact.phone}`);
       return { 
         success: true, 
         contact: contact.phone,
-        messageId: messageId 
+        messageId: messageId,
+        variant: variant?.key
       };
       
     } catch (error) {
+      if (sent) {
+        // The provider accepted the message; only the bookkeeping failed
+        console.error(`❌ Sent to ${contact.phone} but could not record it:`, error.message);
+        throw error;
+      }
+      
       console.error(`❌ Send failed for ${contact.phone}:`, error.message);
       
+      if (reservation && reservation.reserved) {
+        await sendLedger.fail(reservation.entry, error.message);
+      }
+      
       // Log failure
-      await MessageLog.create({
+      const failedLog = await MessageLog.create({
         tenantId: campaign.tenantId,
         campaignId: campaign._id,
         contactId: contact._id,
-        provider: 'meta',
-        to: contact.phone,
+        provider: error.provider || 'meta',
+        to: normalizePhone(contact.phone, undefined, { stored: true }) || contact.phone,
         direction: 'outbound',
-        type: step.type,
+        type: stepMessageType(content),
         status: 'failed',
+        stepId: step._id,
+        stepSequence: step.sequence,
+        stepDay: step.day,
+        occurrenceDate: reservation?.entry?.occurrenceDate || options.occurrenceDate,
+        retryCount: options.retryCount || 0,
+        retryOf: options.retryOf,
+        variant: variant?.key,
         error: error.message,
         timestamp: new Date(),
-        templateName: step.type === 'template' ? step.templateName : null
+        templateName: content.type === 'template' ? content.templateName : null
+      });
+      
+      error.retry = await retryPolicy.handleFailure(failedLog, error, {
+        occurrenceDate: failedLog.occurrenceDate
       });
+      error.variant = variant?.key;
       
       throw error;
     }
   }
 
-  async updateFixedProgress(step, contact, campaign, progress, messageId) {
+  /**
+   * What sendToSingleContact would do with the step, without sending,
+   * reserving or logging anything (campaignSimulator). Returns { status:
+   * 'send' | 'skip' | 'fail', reason, variant, message, missing }.
+   * options: occurrenceDate (ledger key), sendAt (when it would go out).
+   */
+  async previewSend(step, contact, campaign, options = {}) {
+    const tenantId = campaign.tenantId;
+    const { reason } = await this.checkEligibility(contact, campaign);
+    if (reason) {
+      // sendToSingleContact throws on an invalid phone and skips the others
+      return { status: reason === 'invalid_phone' ? 'fail' : 'skip', reason };
+    }
+    if (options.occurrenceDate && await sendLedger.hasBeenSent({
+      campaignId: campaign._id,
+      stepId: step._id,
+      contactId: contact._id,
+      occurrenceDate: options.occurrenceDate
+    })) {
+      return { status: 'skip', reason: 'duplicate' };
+    }
+
+    const variant = stepVariants.pickVariant(step, contact._id);
+    const resolved = await resolveStepContent(stepVariants.applyVariant(step, variant), {
+      contact,
+      campaign,
+      now: options.sendAt,
+      timezone: contactTimezone(contact)
+    }, tenantId, { preview: true });
+
+    const result = {
+      variant: variant?.key || null,
+      message: describeStepMessage(resolved),
+      missing: resolved.missing
+    };
+
+    // sendStepMessage refuses to send with unresolved variables
+    if (resolved.missing.length) {
+      return { status: 'fail', reason: 'missing_variables', ...result };
+    }
+    return { status: 'send', ...result };
+  }
+
+  async updateFixedProgress(step, contact, campaign, progress, messageId, variant = null) {
     try {
-      // Mark step as completed
-      progress.completedSteps.push({
-        day: step.day,
-        stepId: step._id,
-        sequence: step.sequence,
-        stepTime: step.stepTime,
-        sentAt: new Date(),
-        status: 'sent',
-        messageId: messageId
-      });
+      const failed = this.findFailedStep(progress, step._id);
+      
+      if (failed) {
+        // A retry went through: the failed entry becomes the sent one
+        failed.set({
+          sentAt: new Date(),
+          status: 'sent',
+          messageId: messageId,
+          variant: variant || undefined,
+          error: undefined,
+          errorCode: undefined,
+          errorCategory: undefined,
+          nextRetryAt: undefined,
+          failedAt: undefined
+        });
+        progress.failedStepCount = Math.max(0, (progress.failedStepCount || 0) - 1);
+      } else {
+        // Mark step as completed
+        progress.completedSteps.push({
+          day: step.day,
+          stepId: step._id,
+          sequence: step.sequence,
+          stepTime: step.stepTime,
+          sentAt: new Date(),
+          status: 'sent',
+          messageId: messageId,
+          variant: variant || undefined
+        });
+      }
       
       // Update completed step count
       progress.completedStepCount = (progress.completedStepCount || 0) + 1;
       progress.lastInteraction = new Date();
       progress.lastMessageSentAt = new Date();
       
-      // Check if all steps for current day are done
-      const totalStepsForDay = await CampaignStep.countDocuments({
-        campaignId: campaign._id,
-        day: step.day
-      });
-      
-      const completedStepsForDay = progress.completedSteps.filter(
-        s => s.day === step.day && s.status === 'sent'
-      ).length;
-      
-      if (completedStepsForDay >= totalStepsForDay) {
-        console.log(`🎉 Day ${step.day} completed for ${contact.phone}`);
-        
-        // Move to next day
-        progress.currentDay = step.day + 1;
-        
-        // Clear current day steps
-        progress.currentDaySteps = progress.currentDaySteps.filter(s => 
-          !s.stepId || s.stepId.toString() !== step._id.toString()
-        );
-        
-        if (progress.currentDay > campaign.totalDays) {
-          progress.status = 'completed';
-          progress.completedAt = new Date();
-          console.log(`🏁 Campaign completed for ${contact.phone}`);
-        }
-      }
-      
+      await this.advanceDayIfDone(step, contact, campaign, progress);
       await progress.save();
       
     } catch (error) {
@@ -824,63 +1547,139 @@ class CampaignScheduler {
     }
   }
 
-  async markStepAsFailedInProgress(progress, stepId, sequence, day, stepTime, errorMessage) {
+  /**
+   * Move the contact to the next day once every step of the step's day was
+   * sent or skipped by a branch; past the last day the campaign is completed
+   */
+  async advanceDayIfDone(step, contact, campaign, progress) {
+    const totalStepsForDay = await CampaignStep.countDocuments({
+      campaignId: campaign._id,
+      day: step.day
+    });
+    
+    const completedStepsForDay = progress.completedSteps.filter(
+      s => s.day === step.day && ['sent', 'delivered', 'read', 'skipped'].includes(s.status)
+    ).length;
+    
+    // A late retry never moves a contact back to an earlier day
+    if (completedStepsForDay >= totalStepsForDay && (progress.currentDay || 1) <= step.day) {
+      console.log(`🎉 Day ${step.day} completed for ${contact.phone}`);
+      
+      // Move to next day
+      progress.currentDay = step.day + 1;
+      
+      // Clear current day steps
+      progress.currentDaySteps = progress.currentDaySteps.filter(s => 
+        !s.stepId || s.stepId.toString() !== step._id.toString()
+      );
+      
+      if (progress.currentDay > campaign.totalDays) {
+        progress.status = 'completed';
+        progress.completedAt = new Date();
+        console.log(`🏁 Campaign completed for ${contact.phone}`);
+      }
+    }
+  }
+
+  /**
+   * Record a step the contact's branch conditions ruled out
+   */
+  async markStepAsSkippedInProgress(progress, step, contact, campaign, reason) {
     try {
-      // Add to completed steps as failed
       progress.completedSteps.push({
-        day: day,
-        stepId: stepId,
-        sequence: sequence,
-        stepTime: stepTime,
-        sentAt: new Date(),
-        status: 'failed',
-        error: errorMessage
+        day: step.day,
+        stepId: step._id,
+        sequence: step.sequence,
+        stepTime: step.stepTime,
+        status: 'skipped',
+        skipReason: reason
       });
-      
-      // Update failed count
-      progress.failedStepCount = (progress.failedStepCount || 0) + 1;
       progress.lastInteraction = new Date();
       
+      await this.advanceDayIfDone(step, contact, campaign, progress);
       await progress.save();
-      
-      console.log(`❌ Marked step ${sequence}, day ${day} as failed`);
     } catch (error) {
-      console.error('❌ Error marking step as failed:', error);
+      console.error('❌ Error marking step as skipped:', error);
     }
   }
 
-  async getAllCampaignContacts(campaign) {
+  /**
+   * The failed history entry of a step, if any (retries update it in place)
+   */
+  findFailedStep(progress, stepId) {
+    return progress.completedSteps.find(s =>
+      s.stepId && s.stepId.toString() === stepId.toString() && s.status === 'failed'
+    );
+  }
+
+  async markStepAsFailedInProgress(progress, stepId, sequence, day, stepTime, errorMessage, retry = null, variant = null) {
     try {
-      let allContacts = [];
-      
-      if (campaign.sectionIds && campaign.sectionIds.length > 0) {
-        for (const sectionId of campaign.sectionIds) {
-          const sectionContacts = await Contact.find({ 
-            tenantId: campaign.tenantId,
-            section: sectionId 
-          });
-          allContacts = allContacts.concat(sectionContacts);
-        }
-      }
-      
-      // Remove duplicates
-      const uniqueContacts = [];
-      const seen = new Set();
+      const fields = {
+        status: 'failed',
+        variant: variant || undefined,
+        failedAt: new Date(),
+        error: errorMessage,
+        errorCode: typeof retry?.code === 'number' ? retry.code : undefined,
+        errorCategory: retry?.category,
+        nextRetryAt: retry?.nextRetryAt || undefined,
+        retryCount: retry?.retryCount || 0
+      };
       
-      for (const contact of allContacts) {
-        const phone = contact.phone;
-        if (!seen.has(phone)) {
-          seen.add(phone);
-          uniqueContacts.push(contact);
-        }
+      const failed = this.findFailedStep(progress, stepId);
+      if (failed) {
+        // Another retry failed
+        failed.set(fields);
+      } else {
+        // Add to completed steps as failed
+        progress.completedSteps.push({
+          day: day,
+          stepId: stepId,
+          sequence: sequence,
+          stepTime: stepTime,
+          sentAt: new Date(),
+          ...fields
+        });
+        
+        // Update failed count
+        progress.failedStepCount = (progress.failedStepCount || 0) + 1;
       }
+      progress.lastInteraction = new Date();
       
-      return uniqueContacts;
+      await progress.save();
       
+      console.log(`❌ Marked step ${sequence}, day ${day} as failed${retry?.nextRetryAt ? ` (retry at ${retry.nextRetryAt.toISOString()})` : ''}`);
     } catch (error) {
-      console.error('❌ Error getting contacts:', error);
-      return [];
+      console.error('❌ Error marking step as failed:', error);
+    }
+  }
+
+  async getAllCampaignContacts(campaign) {
+    let allContacts = [];
+    
+    if (campaign.sectionIds && campaign.sectionIds.length > 0) {
+      for (const sectionId of campaign.sectionIds) {
+        const sectionContacts = await Contact.find({ 
+          tenantId: campaign.tenantId,
+          section: sectionId,
+          ...optOutService.SENDABLE_CONTACT_FILTER
+        });
+        allContacts = allContacts.concat(sectionContacts);
+      }
+    }
+    
+    // Remove duplicates
+    const uniqueContacts = [];
+    const seen = new Set();
+    
+    for (const contact of allContacts) {
+      const phone = normalizePhone(contact.phone, undefined, { stored: true }) || contact.phone;
+      if (!seen.has(phone)) {
+        seen.add(phone);
+        uniqueContacts.push(contact);
+      }
     }
+    
+    return uniqueContacts;
   }
 
   groupStepsByTime(steps) {
@@ -897,82 +1696,63 @@ class CampaignScheduler {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
-  stopCampaign(campaignId) {
+  async stopCampaign(campaignId) {
     console.log(`\n🛑 STOPPING CAMPAIGN: ${campaignId}`);
-    
-    let stoppedCount = 0;
-    
-    // Stop cron jobs
-    this.scheduledJobs.forEach((job, key) => {
-      if (key.includes(campaignId.toString())) {
-        job.stop();
-        this.scheduledJobs.delete(key);
-        stoppedCount++;
-      }
-    });
-    
-    // Clear timeouts
-    this.timeoutJobs.forEach((timeout, key) => {
-      if (key.includes(campaignId.toString())) {
-        clearTimeout(timeout);
-        this.timeoutJobs.delete(key);
-        stoppedCount++;
-      }
-    });
-    
+
+    const stoppedCount = await JobQueue.cancelCampaignJobs(campaignId);
+
     // Remove from active
     this.activeCampaigns.delete(campaignId.toString());
-    
+
     console.log(`✅ Stopped ${stoppedCount} jobs`);
   }
 
-  pauseCampaign(campaignId) {
+  async pauseCampaign(campaignId) {
     console.log(`\n⏸️ PAUSING CAMPAIGN: ${campaignId}`);
-    
-    this.scheduledJobs.forEach((job, key) => {
-      if (key.includes(campaignId.toString())) {
-        job.stop();
-      }
-    });
-    
-    this.timeoutJobs.forEach((timeout, key) => {
-      if (key.includes(campaignId.toString())) {
-        clearTimeout(timeout);
-        this.timeoutJobs.delete(key);
-      }
-    });
-    
+
+    // Resuming runs setupCampaign, which reactivates the cancelled jobs
+    await JobQueue.cancelCampaignJobs(campaignId);
+
     console.log(`✅ Campaign paused`);
   }
 
   startMonitoring() {
+    if (this.monitorTimer) return;
+
     // Log status every 5 minutes
-    setInterval(() => {
-      this.printStatus();
+    this.monitorTimer = setInterval(() => {
+      this.printStatus().catch(console.error);
     }, 300000);
-    
+
     console.log('📊 Monitoring started (every 5 minutes)');
   }
 
-  printStatus() {
-    const now = moment().tz('Asia/Kolkata');
+  async printStatus() {
+    const now = moment().tz(TIMEZONE);
+    const counts = await JobQueue.getJobCounts();
+
     console.log('\n📋 SCHEDULER STATUS');
     console.log('='.repeat(50));
     console.log(`🕐 Time: ${now.format('YYYY-MM-DD HH:mm:ss')}`);
+    console.log(`🆔 Worker: ${this.workerId}`);
     console.log(`🏃 Active Campaigns: ${this.activeCampaigns.size}`);
-    console.log(`⏰ Cron Jobs: ${this.scheduledJobs.size}`);
-    console.log(`⏳ Timeout Jobs: ${this.timeoutJobs.size}`);
-    console.log(`📊 Execution History: ${this.executionHistory.size}`);
+    console.log(`⏰ Scheduled Jobs: ${counts.scheduled || 0}`);
+    console.log(`⚙️ Executing Jobs: ${counts.executing || 0} (${this.runningJobs.size} on this worker)`);
+    console.log(`⏭️ Missed Jobs: ${counts.missed || 0}`);
     console.log('='.repeat(50));
   }
 
   getStatus() {
     return {
       initialized: this.isInitialized,
+      workerId: this.workerId,
       activeCampaigns: this.activeCampaigns.size,
-      cronJobs: this.scheduledJobs.size,
-      timeoutJobs: this.timeoutJobs.size,
-      executionHistory: this.executionHistory.size,
+      executorRunning: !!this.pollTimer,
+      runningJobs: [...this.runningJobs.keys()],
+      lastPollAt: this.lastPollAt,
+      pollIntervalMs: POLL_INTERVAL_MS,
+      leaseMs: LEASE_MS,
+      graceMinutes: GRACE_MS / 60000,
       timestamp: new Date().toISOString(),
       mode: 'NO_DUPLICATES'
     };
@@ -980,27 +1760,24 @@ class CampaignScheduler {
 
   async cleanup() {
     console.log('\n🧹 CLEANING UP SCHEDULER');
-    
-    // Stop all cron jobs
-    this.scheduledJobs.forEach((job, key) => {
-      job.stop();
-    });
-    this.scheduledJobs.clear();
-    
-    // Clear all timeouts
-    this.timeoutJobs.forEach((timeout, key) => {
-      clearTimeout(timeout);
-    });
-    this.timeoutJobs.clear();
-    
+
+    // Stop claiming new jobs; a running job keeps its lease until it ends
+    // or the lease runs out and another worker takes it over
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+
+    if (this.monitorTimer) {
+      clearInterval(this.monitorTimer);
+      this.monitorTimer = null;
+    }
+
     // Clear active campaigns
     this.activeCampaigns.clear();
-    
-    // Clear execution history
-    this.executionHistory.clear();
-    
+
     this.isInitialized = false;
-    
+
     console.log('✅ Scheduler cleaned up');
   }
 
@@ -1009,15 +1786,50 @@ class CampaignScheduler {
       console.log('⚠️ Campaign not active, skipping');
       return;
     }
-    
+
     if (this.isInitialized) {
       console.log(`\n➕ ADDING STEP TO ACTIVE CAMPAIGN`);
       console.log(`📋 Campaign: ${campaign.name}, Step: ${step.sequence}`);
-      
-      // Re-setup the entire campaign
+
+      // Re-sync the campaign's jobs
       await this.setupCampaign(campaign);
     }
   }
+
+  /**
+   * Send a step to the campaign's first sendable contact right away (debug
+   * routes). Test sends get their own ledger key, so they never block the
+   * real occurrence.
+   */
+  async testStep(campaignId, stepId) {
+    if (!mongoose.isValidObjectId(campaignId) || !mongoose.isValidObjectId(stepId)) {
+      return { success: false, error: 'Campaign or step not found' };
+    }
+
+    const [campaign, step] = await Promise.all([
+      Campaign.findById(campaignId),
+      CampaignStep.findOne({ _id: stepId, campaignId })
+    ]);
+    if (!campaign || !step) {
+      return { success: false, error: 'Campaign or step not found' };
+    }
+
+    const [contact] = await this.getAllCampaignContacts(campaign);
+    if (!contact) {
+      return { success: false, error: 'No contacts found' };
+    }
+
+    console.log(`🧪 Test sending step ${step.sequence} of "${campaign.name}" to ${contact.phone}`);
+
+    try {
+      const result = await this.sendToSingleContact(step, contact, campaign, {
+        occurrenceDate: `test-${Date.now()}`
+      });
+      return { ...result, campaignId: campaign._id, stepId: step._id };
+    } catch (error) {
+      return { success: false, error: error.message, contact: contact.phone };
+    }
+  }
 }
 
 // Create and export singleton
@@ -1032,4 +1844,4 @@ setTimeout(() => {
 process.on('SIGTERM', () => scheduler.cleanup());
 process.on('SIGINT', () => scheduler.cleanup());
 
-module.exports = scheduler;
\ No newline at end of file
+module.exports = scheduler;
@@ -0,0 +1,434 @@
+// src/services/campaignSimulator.js
+// Dry runs of a campaign: which contacts would get which step between two
+// dates, at what local time, rendered for them, and why a send would be
+// skipped or fail (opted out, duplicate, no WhatsApp, conditions, ...).
+// Times and checks come from campaignScheduler itself (getNextOccurrence,
+// planFixedStep, previewSend) and campaignJourneys. A run only reads: it
+// never sends, reserves, queues a job or writes progress.
+//
+// Fixed and triggered contacts are walked through the timeline on a copy of
+// their progress, so simulated sends, skips and waits feed the conditions
+// and wait-for-reply nodes of later steps, as if no one replied.
+const moment = require('moment-timezone');
+const CampaignStep = require('../models/CampaignStep');
+const CampaignProgress = require('../models/CampaignProgress');
+const Contact = require('../models/Contact');
+const campaignScheduler = require('./campaignScheduler');
+const campaignJourneys = require('./campaignJourneys');
+const { contactTimezone, quietUntil } = require('../utils/timezone');
+
+const DEFAULT_DAYS = 7;
+const MAX_DAYS = 31;
+const DEFAULT_CONTACTS = 50;
+const MAX_CONTACTS = 500;
+// Sends listed per run; longer plans come back truncated
+const MAX_SENDS = 5000;
+// Waits a step can be held by before it is taken as sent at the last one
+const MAX_WAITS = 10;
+
+const RECURRING_TYPES = ['daily', 'weekly', 'monthly'];
+
+function sameId(a, b) {
+  return a && b && String(a) === String(b);
+}
+
+// Why the scheduler does not load a contact
+// (optOutService.SENDABLE_CONTACT_FILTER), null when it does
+function unsendableReason(contact) {
+  if (contact.optedIn === false) return 'opted_out';
+  if (contact.hasWhatsApp === false) return 'no_whatsapp';
+  return null;
+}
+
+function localTime(time, timezone) {
+  return time ? moment(time).tz(timezone).format('YYYY-MM-DD HH:mm') : null;
+}
+
+function isConditional(step) {
+  return !!(step.conditions?.length || step.waitForReplyHours ||
+    ['if_replied', 'if_not_replied'].includes(step.condition));
+}
+
+class CampaignSimulator {
+  constructor() {
+    this.DEFAULT_DAYS = DEFAULT_DAYS;
+    this.MAX_DAYS = MAX_DAYS;
+    this.MAX_CONTACTS = MAX_CONTACTS;
+  }
+
+  /**
+   * The send plan of `campaign` between options.from and options.to (from
+   * is never before now). options.contactIds simulates those contacts
+   * instead of the audience; options.limit caps the contacts simulated.
+   */
+  async simulate(campaign, options = {}) {
+    const now = new Date();
+    const from = options.from && options.from > now ? options.from : now;
+    const to = options.to || moment(from).add(DEFAULT_DAYS, 'days').toDate();
+    const limit = Math.min(options.limit || DEFAULT_CONTACTS, MAX_CONTACTS);
+
+    const steps = await CampaignStep.find({ campaignId: campaign._id })
+      .sort({ day: 1, sequence: 1 });
+    const run = { campaign, steps, from, to, now, sends: 0, truncated: false };
+    const notes = this.notesFor(campaign, steps, options);
+
+    const contacts = steps.length > 0 && campaign.campaignType !== 'content_based'
+      ? await this.audience(campaign, options.contactIds)
+      : [];
+    const simulated = contacts.slice(0, limit);
+
+    const progresses = new Map();
+    if (campaignScheduler.followsTimeline(campaign) && simulated.length) {
+      const found = await CampaignProgress.find({
+        campaignId: campaign._id,
+        contactId: { $in: simulated.map(c => c._id) }
+      }).lean();
+      found.forEach(p => progresses.set(String(p.contactId), p));
+    }
+
+    const plan = [];
+    for (const contact of simulated) {
+      if (run.sends >= MAX_SENDS) {
+        run.truncated = true;
+        break;
+      }
+      plan.push(await this.simulateContact(run, contact, progresses.get(String(contact._id))));
+    }
+
+    return {
+      campaign: {
+        id: campaign._id,
+        name: campaign.name,
+        campaignType: campaign.campaignType,
+        status: campaign.status
+      },
+      range: { from, to },
+      contacts: { total: contacts.length, simulated: plan.length },
+      summary: this.summarize(plan),
+      plan,
+      notes,
+      truncated: run.truncated
+    };
+  }
+
+  notesFor(campaign, steps, options) {
+    const notes = [];
+
+    if (campaign.status !== 'active') {
+      notes.push(`Campaign is ${campaign.status}: nothing is sent until it is started`);
+    }
+    if (!steps.length) {
+      notes.push('Campaign has no steps');
+    }
+    if (campaign.campaignType === 'content_based') {
+      notes.push('Content-based campaigns only send when run by hand');
+    }
+    if (campaign.campaignType === 'triggered' && !options.contactIds) {
+      notes.push('Only contacts already enrolled are simulated; pass contactIds to see contacts as if triggered at the start of the range');
+    }
+    if (campaignScheduler.followsTimeline(campaign) && steps.some(isConditional)) {
+      notes.push('Conditions and reply waits are evaluated as if no contact replies from now on');
+    }
+
+    return notes;
+  }
+
+  /**
+   * Contacts the scheduler would send to, plus the section contacts it
+   * leaves out as opted out or off WhatsApp (reported as such)
+   */
+  async audience(campaign, contactIds = null) {
+    if (contactIds) {
+      return Contact.find({ _id: { $in: contactIds }, tenantId: campaign.tenantId });
+    }
+
+    if (RECURRING_TYPES.includes(campaign.campaignType)) {
+      return [
+        ...await campaignScheduler.getAllCampaignContacts(campaign),
+        ...await this.unsendableSectionContacts(campaign)
+      ];
+    }
+
+    // As setupFixedCampaign: section contacts on the first setup (every
+    // setup with autoEnroll), and the contacts enrolled since
+    const pullSections = campaign.campaignType === 'fixed' &&
+      (campaign.autoEnroll || !campaign.audienceSyncedAt);
+    const contacts = pullSections
+      ? [
+          ...await campaignScheduler.getAllCampaignContacts(campaign),
+          ...await this.unsendableSectionContacts(campaign)
+        ]
+      : [];
+    const seen = new Set(contacts.map(c => String(c._id)));
+
+    const enrolled = await CampaignProgress.find({ campaignId: campaign._id, status: 'active' })
+      .select('contactId')
+      .lean();
+    const others = enrolled.filter(p => !seen.has(String(p.contactId)));
+    if (others.length) {
+      contacts.push(...await Contact.find({
+        _id: { $in: others.map(p => p.contactId) },
+        tenantId: campaign.tenantId
+      }));
+    }
+
+    return contacts;
+  }
+
+  async unsendableSectionContacts(campaign) {
+    if (!campaign.sectionIds?.length) return [];
+    return Contact.find({
+      tenantId: campaign.tenantId,
+      section: { $in: campaign.sectionIds },
+      $or: [{ optedIn: false }, { hasWhatsApp: false }]
+    });
+  }
+
+  /**
+   * { contact, reason, sends }; reason is set when the contact gets nothing
+   * at all (opted_out, no_whatsapp, or the status of a progress that is
+   * not active)
+   */
+  async simulateContact(run, contact, progress) {
+    const timezone = contactTimezone(contact);
+    const entry = {
+      contact: { id: contact._id, name: contact.name, phone: contact.phone, timezone },
+      reason: null,
+      sends: []
+    };
+
+    const unsendable = unsendableReason(contact);
+    if (unsendable) {
+      return { ...entry, reason: unsendable };
+    }
+    if (progress && progress.status !== 'active') {
+      return { ...entry, reason: progress.status };
+    }
+
+    entry.sends = RECURRING_TYPES.includes(run.campaign.campaignType)
+      ? await this.simulateRecurring(run, contact, timezone)
+      : await this.simulateTimeline(run, contact, progress, timezone);
+    return entry;
+  }
+
+  /**
+   * Every occurrence of every slot in the range, at stepTime in the
+   * contact's timezone; occurrences in quiet hours go out when they end
+   * (executeRecurringJob)
+   */
+  async simulateRecurring(run, contact, timezone) {
+    const { campaign } = run;
+    const sends = [];
+
+    for (const step of run.steps) {
+      const slot = { ...campaignScheduler.getRecurringSlot(campaign.campaignType, step), timezone };
+      let next = campaignScheduler.getNextOccurrence(campaign.campaignType, slot, new Date(run.from.getTime() - 1));
+
+      while (next && !next.isAfter(run.to)) {
+        if (run.sends >= MAX_SENDS) {
+          run.truncated = true;
+          break;
+        }
+
+        const quietEnd = quietUntil(campaign.quietHours, timezone, next.toDate());
+        const sendAt = quietEnd ? moment(quietEnd).tz(timezone) : next;
+        const occurrenceDate = next.format('YYYY-MM-DD');
+
+        sends.push(await this.plannedSend(run, step, contact, {
+          sendAt,
+          timezone,
+          occurrenceDate,
+          deferredFrom: quietEnd ? next : null
+        }));
+
+        next = campaignScheduler.getNextOccurrence(campaign.campaignType, slot, next.toDate());
+      }
+    }
+
+    return sends.sort((a, b) => a.scheduledAt - b.scheduledAt);
+  }
+
+  /**
+   * The contact's remaining timeline steps in the order their jobs come due.
+   * A contact not enrolled yet starts at the beginning of the range.
+   */
+  async simulateTimeline(run, contact, progress, timezone) {
+    const { campaign } = run;
+    const state = progress
+      ? {
+          ...progress,
+          completedSteps: [...(progress.completedSteps || [])],
+          currentDaySteps: (progress.currentDaySteps || []).map(s => ({ ...s }))
+        }
+      : {
+          tenantId: campaign.tenantId,
+          campaignId: campaign._id,
+          contactId: contact._id,
+          currentDay: 1,
+          status: 'active',
+          startedAt: run.from,
+          completedSteps: [],
+          currentDaySteps: [],
+          responses: [],
+          hasReplied: false
+        };
+
+    const due = run.steps
+      .filter(step => step.day >= state.currentDay && !campaignScheduler.isStepRecorded(state, step))
+      .map(step => ({ step, ...campaignScheduler.planFixedStep(campaign, contact, step, state) }));
+
+    // Shown as scheduled on the progress, as scheduleFixedStep does
+    for (const { step, targetDate } of due) {
+      const shown = state.currentDaySteps.find(s => sameId(s.stepId, step._id));
+      if (!shown) {
+        state.currentDaySteps.push({
+          stepId: step._id,
+          sequence: step.sequence,
+          stepTime: step.stepTime,
+          scheduledAt: targetDate.toDate(),
+          status: 'scheduled'
+        });
+      } else if (shown.status === 'scheduled') {
+        shown.scheduledAt = targetDate.toDate();
+      }
+    }
+
+    const sends = [];
+    due.sort((a, b) => a.targetDate - b.targetDate);
+
+    for (const planned of due) {
+      // Waits and quiet hours only move steps later
+      if (planned.targetDate.isAfter(run.to)) break;
+      if (run.sends >= MAX_SENDS) {
+        run.truncated = true;
+        break;
+      }
+
+      const send = await this.walkStep(run, contact, state, planned);
+      if (send) sends.push(send);
+    }
+
+    return sends.sort((a, b) => a.scheduledAt - b.scheduledAt);
+  }
+
+  /**
+   * What executeFixedJob does with one step: missed, held by a reply wait,
+   * deferred out of quiet hours, skipped by its conditions, or sent. The
+   * outcome is recorded on `state` for the steps after it. Returns the
+   * plan entry, or null when the step falls outside the range.
+   */
+  async walkStep(run, contact, state, planned) {
+    const { campaign, now } = run;
+    const { step, occurrenceKey, timezone } = planned;
+    const shown = state.currentDaySteps.find(s => sameId(s.stepId, step._id));
+    let sendAt = planned.targetDate;
+    let deferredFrom = planned.deferredFrom;
+    let waitedFrom = null;
+
+    const record = (status) => {
+      state.completedSteps.push({
+        stepId: step._id,
+        day: step.day,
+        sequence: step.sequence,
+        stepTime: step.stepTime,
+        status,
+        ...(status === 'sent' && { sentAt: sendAt.toDate() })
+      });
+      // A step that waited keeps holding the steps timed before its wait ended
+      if (shown && shown.status !== 'waiting') shown.status = status;
+    };
+
+    // Jobs picked up too late are marked missed, never sent
+    if (campaignScheduler.isMissed(sendAt.toDate(), now)) {
+      record('missed');
+      return null;
+    }
+    if (sendAt.isBefore(now)) sendAt = moment(now).tz(timezone);
+
+    for (let i = 0; i < MAX_WAITS; i++) {
+      const wait = campaignJourneys.waitState(step, state, sendAt.toDate());
+      if (!wait) break;
+
+      waitedFrom = waitedFrom || sendAt;
+      sendAt = moment(wait.until).tz(timezone);
+      if (shown) Object.assign(shown, { status: 'waiting', waitUntil: wait.until });
+    }
+
+    const quietEnd = quietUntil(campaign.quietHours, timezone, sendAt.toDate());
+    if (quietEnd) {
+      deferredFrom = deferredFrom || sendAt;
+      sendAt = moment(quietEnd.getTime() + (step.sequence || 0) * 1000).tz(timezone);
+    }
+
+    const inRange = !sendAt.isBefore(run.from) && !sendAt.isAfter(run.to);
+    const branch = await campaignJourneys.evaluate(step, { contact, progress: state });
+
+    let result;
+    if (!branch.pass) {
+      result = { status: 'skip', reason: 'conditions_not_met', detail: branch.reason };
+      record('skipped');
+    } else if (inRange) {
+      run.sends++;
+      result = await campaignScheduler.previewSend(step, contact, campaign, {
+        occurrenceDate: occurrenceKey,
+        sendAt: sendAt.toDate()
+      });
+      if (result.status === 'send') record('sent');
+      if (result.status === 'fail') record('failed');
+    } else {
+      record('sent');
+    }
+
+    if (!inRange) return null;
+
+    return this.sendEntry(step, sendAt, timezone, {
+      occurrenceDate: occurrenceKey,
+      deferredFrom,
+      waitedFrom,
+      conditional: isConditional(step),
+      ...result
+    });
+  }
+
+  async plannedSend(run, step, contact, { sendAt, timezone, occurrenceDate, deferredFrom }) {
+    run.sends++;
+    const result = await campaignScheduler.previewSend(step, contact, run.campaign, {
+      occurrenceDate,
+      sendAt: sendAt.toDate()
+    });
+    return this.sendEntry(step, sendAt, timezone, { occurrenceDate, deferredFrom, ...result });
+  }
+
+  sendEntry(step, sendAt, timezone, details) {
+    const { deferredFrom, waitedFrom, status, reason, ...rest } = details;
+    return {
+      stepId: step._id,
+      day: step.day,
+      sequence: step.sequence,
+      scheduledAt: sendAt.toDate(),
+      localTime: localTime(sendAt, timezone),
+      deferredFrom: localTime(deferredFrom, timezone),
+      ...(waitedFrom && { waitedFrom: localTime(waitedFrom, timezone) }),
+      status,
+      reason: reason || null,
+      ...rest
+    };
+  }
+
+  summarize(plan) {
+    const summary = { send: 0, skip: 0, fail: 0, reasons: {}, contactsSkipped: {} };
+
+    for (const { reason, sends } of plan) {
+      if (reason) summary.contactsSkipped[reason] = (summary.contactsSkipped[reason] || 0) + 1;
+
+      for (const send of sends) {
+        summary[send.status]++;
+        if (send.reason) summary.reasons[send.reason] = (summary.reasons[send.reason] || 0) + 1;
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new CampaignSimulator();
@@ -0,0 +1,182 @@
+// src/services/campaignTriggers.js
+// Enrolls contacts in triggered campaigns when something happens to them:
+//   contact_created  - added by hand, over the API or by an import
+//   tag_added        - got one of trigger.tags (any tag when empty)
+//   section_joined   - moved into a section (limited to campaign.sectionIds)
+//   keyword          - wrote one of trigger.keywords
+//   api_event        - our backend posted trigger.eventName to /api/events
+// The campaign's day/step timeline then starts at the moment of the event
+// (campaignScheduler.enrollContact). campaign.sectionIds, when set, limits
+// every trigger to contacts in those sections.
+// Joining a section also enrolls the contact in the section's active fixed
+// campaigns that have autoEnroll set.
+const Campaign = require('../models/Campaign');
+const Contact = require('../models/Contact');
+const campaignScheduler = require('./campaignScheduler');
+const optOutService = require('./optOutService');
+
+const EVENTS = ['contact_created', 'tag_added', 'section_joined', 'keyword', 'api_event'];
+
+class CampaignTriggers {
+  constructor() {
+    this.EVENTS = EVENTS;
+  }
+
+  async findCampaigns(tenantId, event) {
+    return Campaign.find({
+      tenantId,
+      campaignType: 'triggered',
+      status: 'active',
+      'trigger.event': event
+    });
+  }
+
+  inAudience(campaign, contact) {
+    if (!campaign.sectionIds?.length) return true;
+    return campaign.sectionIds.some(id => String(id) === String(contact.section));
+  }
+
+  /**
+   * What about the event enrolls the contact in `campaign` (stored as
+   * progress.trigger.detail), or null when it does not
+   */
+  match(campaign, event, context = {}) {
+    const trigger = campaign.trigger || {};
+
+    switch (event) {
+      case 'contact_created':
+        return { source: context.source };
+
+      case 'tag_added': {
+        const wanted = (trigger.tags || []).map(t => t.toLowerCase());
+        const tags = (context.tags || []).filter(t => !wanted.length || wanted.includes(String(t).toLowerCase()));
+        return tags.length ? { tags } : null;
+      }
+
+      case 'section_joined':
+        return context.sectionId ? { sectionId: context.sectionId } : null;
+
+      case 'keyword':
+        return optOutService.findKeyword(trigger.keywords, context.texts || [], trigger.keywordMatch);
+
+      case 'api_event':
+        return trigger.eventName === context.eventName
+          ? { eventName: context.eventName, data: context.data }
+          : null;
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Enroll `contact` in every active campaign triggered by `event`.
+   * Returns one { campaignId, name, enrolled, ... } entry per matching campaign.
+   */
+  async fire(event, contact, context = {}) {
+    const enrollments = [];
+
+    try {
+      const campaigns = await this.findCampaigns(contact.tenantId, event);
+
+      for (const campaign of campaigns) {
+        if (!this.inAudience(campaign, contact)) continue;
+
+        const detail = this.match(campaign, event, context);
+        if (!detail) continue;
+
+        try {
+          const result = await campaignScheduler.enrollContact(campaign, contact, {
+            event,
+            detail,
+            at: context.at || new Date()
+          });
+          enrollments.push({ campaignId: campaign._id, name: campaign.name, ...result });
+        } catch (error) {
+          console.error(`❌ Enrollment error for ${contact.phone} in "${campaign.name}":`, error);
+          enrollments.push({ campaignId: campaign._id, name: campaign.name, enrolled: false, reason: 'Server error' });
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Trigger ${event} error:`, error);
+    }
+
+    return enrollments;
+  }
+
+  /**
+   * A new contact also counts as having its tags added and joined its section
+   */
+  async onContactCreated(contact, source = 'manual') {
+    const enrollments = await this.fire('contact_created', contact, { source });
+
+    if (contact.tags?.length) {
+      enrollments.push(...await this.onTagsAdded(contact, contact.tags));
+    }
+    if (contact.section) {
+      enrollments.push(...await this.onSectionJoined(contact, contact.section));
+    }
+
+    return enrollments;
+  }
+
+  async onTagsAdded(contact, tags) {
+    if (!tags?.length) return [];
+    return this.fire('tag_added', contact, { tags });
+  }
+
+  async onSectionJoined(contact, sectionId) {
+    if (!sectionId) return [];
+    const enrollments = await this.fire('section_joined', contact, { sectionId: String(sectionId) });
+    enrollments.push(...await this.autoEnroll(contact, sectionId));
+    return enrollments;
+  }
+
+  /**
+   * Fixed campaigns with autoEnroll take contacts joining their sections
+   */
+  async autoEnroll(contact, sectionId) {
+    const enrollments = [];
+
+    try {
+      const campaigns = await Campaign.find({
+        tenantId: contact.tenantId,
+        campaignType: 'fixed',
+        status: 'active',
+        autoEnroll: true,
+        sectionIds: sectionId
+      });
+
+      for (const campaign of campaigns) {
+        const result = await campaignScheduler.enrollContact(campaign, contact, {
+          event: 'section_joined',
+          detail: { sectionId: String(sectionId), autoEnroll: true }
+        });
+        enrollments.push({ campaignId: campaign._id, name: campaign.name, ...result });
+      }
+    } catch (error) {
+      console.error(`❌ Auto-enroll error for ${contact.phone}:`, error);
+    }
+
+    return enrollments;
+  }
+
+  /**
+   * Inbound WhatsApp message; `phone` must already be normalized
+   */
+  async onInboundMessage({ tenantId, phone, msg }) {
+    const texts = optOutService.getKeywordTexts(msg);
+    if (!texts.length) return [];
+
+    const contact = await Contact.findOne({ tenantId, phone });
+    if (!contact) return [];
+
+    return this.fire('keyword', contact, { texts });
+  }
+
+  async onApiEvent(contact, eventName, data) {
+    return this.fire('api_event', contact, { eventName, data });
+  }
+}
+
+module.exports = new CampaignTriggers();
@@ -0,0 +1,168 @@
+// src/services/conversationWindow.js
+// WhatsApp's 24-hour customer-service window: free-form messages are only
+// allowed within 24 hours of the customer's last inbound message.
+// Outside it, only approved templates can be sent.
+const NodeCache = require('node-cache');
+const mongoose = require('mongoose');
+const MessageLog = require('../models/MessageLog');
+const Template = require('../models/Template');
+const realtime = require('./realtime');
+
+const WINDOW_MS = 24 * 60 * 60 * 1000;
+const WARNING_MINUTES = parseInt(process.env.WINDOW_WARNING_MINUTES || '60', 10);
+const MONITOR_MS = parseInt(process.env.WINDOW_MONITOR_MS || '60000', 10);
+
+class ConversationWindowService {
+  constructor() {
+    // tenantId:phone:expiresAt of windows already warned about
+    this.warned = new NodeCache({ stdTTL: WARNING_MINUTES * 60 + 300, useClones: false });
+    this.monitorInterval = null;
+    this.WINDOW_MS = WINDOW_MS;
+  }
+
+  /**
+   * Window state for a given last inbound time
+   */
+  buildWindow(lastInboundAt, now = new Date()) {
+    if (!lastInboundAt) {
+      return { windowOpen: false, windowExpiresAt: null, lastInboundAt: null };
+    }
+    const windowExpiresAt = new Date(new Date(lastInboundAt).getTime() + WINDOW_MS);
+    return {
+      windowOpen: windowExpiresAt > now,
+      windowExpiresAt,
+      lastInboundAt: new Date(lastInboundAt)
+    };
+  }
+
+  async getLastInboundAt(tenantId, phone) {
+    const last = await MessageLog.findOne({ tenantId, from: phone, direction: 'inbound' })
+      .sort({ timestamp: -1 })
+      .select('timestamp createdAt')
+      .lean();
+    return last ? (last.timestamp || last.createdAt) : null;
+  }
+
+  async getWindow(tenantId, phone) {
+    return this.buildWindow(await this.getLastInboundAt(tenantId, phone));
+  }
+
+  /**
+   * Window state for many phones at once. Returns Map(phone -> window)
+   */
+  async getWindows(tenantId, phones) {
+    const windows = new Map();
+    if (!phones.length) return windows;
+
+    const rows = await MessageLog.aggregate([
+      {
+        $match: {
+          tenantId: new mongoose.Types.ObjectId(String(tenantId)),
+          direction: 'inbound',
+          from: { $in: phones }
+        }
+      },
+      { $group: { _id: '$from', lastInboundAt: { $max: '$timestamp' } } }
+    ]);
+
+    const now = new Date();
+    for (const phone of phones) {
+      windows.set(phone, this.buildWindow(null, now));
+    }
+    for (const row of rows) {
+      windows.set(row._id, this.buildWindow(row.lastInboundAt, now));
+    }
+    return windows;
+  }
+
+  /**
+   * Approved templates to offer when the window is closed
+   */
+  async getSuggestedTemplates(tenantId, limit = 10) {
+    return Template.find({ tenantId, status: 'APPROVED' })
+      .select('name language category')
+      .sort({ updatedAt: -1 })
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Structured WINDOW_CLOSED error body for the API
+   */
+  async buildClosedError(tenantId, window) {
+    const templates = await this.getSuggestedTemplates(tenantId);
+    return {
+      success: false,
+      code: 'WINDOW_CLOSED',
+      error: window.lastInboundAt
+        ? 'The 24-hour customer service window has closed. Send an approved template instead.'
+        : 'This contact has not messaged you yet. Send an approved template to start the conversation.',
+      windowOpen: false,
+      windowExpiresAt: window.windowExpiresAt,
+      lastInboundAt: window.lastInboundAt,
+      suggestedTemplates: templates.map(t => ({
+        name: t.name,
+        language: t.language,
+        category: t.category
+      }))
+    };
+  }
+
+  // ===============================
+  // CLOSING-WINDOW MONITOR
+  // ===============================
+
+  start() {
+    if (this.monitorInterval) return;
+    this.monitorInterval = setInterval(() => {
+      this.checkClosingWindows().catch(error => {
+        console.error('❌ Conversation window monitor error:', error.message);
+      });
+    }, MONITOR_MS);
+    console.log(`⏳ Conversation window monitor started (warning ${WARNING_MINUTES} min before close)`);
+  }
+
+  stop() {
+    if (this.monitorInterval) {
+      clearInterval(this.monitorInterval);
+      this.monitorInterval = null;
+    }
+  }
+
+  /**
+   * Emit conversation:window_closing for windows that close within
+   * WARNING_MINUTES. Each window is announced once.
+   */
+  async checkClosingWindows() {
+    if (mongoose.connection.readyState !== 1) return;
+
+    const now = Date.now();
+    const openSince = new Date(now - WINDOW_MS);
+    const closingBefore = new Date(now - WINDOW_MS + WARNING_MINUTES * 60 * 1000);
+
+    // Latest inbound per conversation, kept only if it falls in the warning band
+    const rows = await MessageLog.aggregate([
+      { $match: { direction: 'inbound', timestamp: { $gt: openSince } } },
+      { $group: { _id: { tenantId: '$tenantId', phone: '$from' }, lastInboundAt: { $max: '$timestamp' } } },
+      { $match: { lastInboundAt: { $lte: closingBefore } } }
+    ]);
+
+    for (const row of rows) {
+      const { tenantId, phone } = row._id;
+      if (!tenantId || !phone) continue;
+
+      const window = this.buildWindow(row.lastInboundAt);
+      const key = `${tenantId}:${phone}:${window.windowExpiresAt.getTime()}`;
+      if (this.warned.get(key)) continue;
+      this.warned.set(key, true);
+
+      await realtime.emitChatEvent(tenantId, phone, realtime.EVENTS.CONVERSATION_WINDOW_CLOSING, {
+        phone,
+        windowExpiresAt: window.windowExpiresAt,
+        minutesLeft: Math.max(0, Math.round((window.windowExpiresAt.getTime() - now) / 60000))
+      });
+    }
+  }
+}
+
+module.exports = new ConversationWindowService();
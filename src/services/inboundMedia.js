@@ -0,0 +1,135 @@
+// src/services/inboundMedia.js
+// Archives the media of inbound messages. Webhooks only carry a media id, so
+// the bytes are fetched through the tenant's provider, checked against the
+// provider's sha256 and stored through mediaStorage. MessageLog.media then describes the copy and
+// MessageLog.mediaUrl links to it.
+const crypto = require('crypto');
+const MessageLog = require('../models/MessageLog');
+const realtime = require('./realtime');
+const mediaStorage = require('./mediaStorage');
+const { downloadMedia } = require('./whatsapp');
+
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+const MAX_BYTES = (parseInt(process.env.MEDIA_MAX_MB, 10) || 100) * 1024 * 1024;
+// A download claimed longer ago than this crashed and may be taken over
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Media descriptor of an inbound message, or null when it has none
+ */
+function mediaOf(msg) {
+  if (!MEDIA_TYPES.includes(msg?.type)) return null;
+  const media = msg[msg.type];
+  if (!media?.id) return null;
+
+  return {
+    id: media.id,
+    mimeType: media.mime_type,
+    sha256: media.sha256,
+    filename: media.filename,
+    status: 'pending'
+  };
+}
+
+/**
+ * Link the inbox uses for a stored message's media
+ */
+function proxyPath(messageLogId) {
+  return `/api/chat/media/${messageLogId}`;
+}
+
+function matchesSha256(buffer, expected) {
+  if (!expected) return true;
+  const digest = crypto.createHash('sha256').update(buffer).digest();
+  return expected === digest.toString('hex') || expected === digest.toString('base64');
+}
+
+/**
+ * Download and store the media of one inbound MessageLog. Only one worker
+ * downloads a message at a time; resolves to the updated MessageLog, or
+ * null when there is nothing to do.
+ */
+async function archive(messageLogId) {
+  const log = await MessageLog.findOneAndUpdate(
+    {
+      _id: messageLogId,
+      'media.id': { $exists: true },
+      $or: [
+        { 'media.status': { $in: ['pending', 'failed'] } },
+        { 'media.status': 'downloading', 'media.claimedAt': { $lt: new Date(Date.now() - CLAIM_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { 'media.status': 'downloading', 'media.claimedAt': new Date() }, $inc: { 'media.attempts': 1 } },
+    { new: true }
+  );
+  if (!log) return null;
+
+  try {
+    const downloaded = await downloadMedia(log.media.id, log.tenantId, { maxBytes: MAX_BYTES });
+    const { buffer } = downloaded;
+
+    const expectedSha256 = downloaded.sha256 || log.media.sha256;
+    if (!matchesSha256(buffer, expectedSha256)) {
+      throw new Error('Downloaded media does not match its sha256');
+    }
+
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    const mimeType = downloaded.mimeType || log.media.mimeType || 'application/octet-stream';
+    const stored = await mediaStorage.save({ tenantId: log.tenantId, buffer, mimeType, sha256 });
+
+    const updated = await MessageLog.findByIdAndUpdate(
+      log._id,
+      {
+        $set: {
+          mediaUrl: proxyPath(log._id),
+          'media.status': 'stored',
+          'media.mimeType': mimeType,
+          'media.size': buffer.length,
+          'media.sha256': sha256,
+          'media.driver': stored.driver,
+          'media.key': stored.key,
+          'media.url': stored.url,
+          'media.storedAt': new Date()
+        },
+        $unset: { 'media.error': 1, 'media.claimedAt': 1 }
+      },
+      { new: true }
+    );
+
+    console.log(`🖼️ Archived ${log.type} ${log.media.id} (${buffer.length} bytes, ${stored.driver})`);
+    await realtime.emitChatEvent(log.tenantId, log.from, realtime.EVENTS.MESSAGE_MEDIA, {
+      messageId: log._id,
+      phone: log.from,
+      mediaUrl: updated.mediaUrl,
+      media: updated.media
+    });
+    return updated;
+
+  } catch (error) {
+    const reason = error.response?.data?.error?.message || error.message;
+    console.error(`❌ Media archive failed for ${log.media.id}:`, reason);
+    await MessageLog.updateOne(
+      { _id: log._id },
+      { $set: { 'media.status': 'failed', 'media.error': reason }, $unset: { 'media.claimedAt': 1 } }
+    );
+    throw error;
+  }
+}
+
+/**
+ * Archive after the webhook has been handled; failures are retried when
+ * an agent opens the media
+ */
+function archiveLater(messageLogId) {
+  setImmediate(() => {
+    archive(messageLogId).catch(() => {});
+  });
+}
+
+module.exports = {
+  MEDIA_TYPES,
+  mediaOf,
+  proxyPath,
+  archive,
+  archiveLater
+};
@@ -0,0 +1,114 @@
+// src/services/mediaStorage.js
+// Where archived media lives. MEDIA_STORAGE_DRIVER picks the driver:
+//   cloudinary - the account in config/cloudinary.js, folder tenant_<id>/inbound
+//   local      - files under MEDIA_LOCAL_DIR/<tenantId>/ (default uploads/media)
+// Without the variable, Cloudinary is used when it is configured.
+// Files are named by their sha256, so storing the same bytes twice is a no-op.
+// Neither driver hands out a public link: media is read through open() and
+// served by the authenticated proxy (GET /api/chat/media/:id).
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const mime = require('mime-types');
+const cloudinary = require('../config/cloudinary');
+
+const LOCAL_DIR = path.resolve(process.env.MEDIA_LOCAL_DIR || 'uploads/media');
+
+function driverName() {
+  const configured = (process.env.MEDIA_STORAGE_DRIVER || '').toLowerCase();
+  if (configured === 'cloudinary' || configured === 'local') return configured;
+  return process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local';
+}
+
+function cloudinaryResourceType(mimeType = '') {
+  if (mimeType.startsWith('image/')) return 'image';
+  // Cloudinary keeps audio under "video"
+  if (mimeType.startsWith('video/') || mimeType.startsWith('audio/')) return 'video';
+  return 'raw';
+}
+
+const drivers = {
+  cloudinary: {
+    save({ tenantId, buffer, mimeType, sha256 }) {
+      const extension = mime.extension(mimeType);
+      const resourceType = cloudinaryResourceType(mimeType);
+      return new Promise((resolve, reject) => {
+        cloudinary.uploader.upload_stream(
+          {
+            folder: `tenant_${tenantId}/inbound`,
+            // Raw files keep their extension in the public id
+            public_id: resourceType === 'raw' && extension ? `${sha256}.${extension}` : sha256,
+            resource_type: resourceType,
+            // Only delivered through signed URLs
+            type: 'authenticated',
+            overwrite: false
+          },
+          (error, result) => {
+            if (error) return reject(error);
+            resolve({ key: result.public_id, url: null, bytes: result.bytes });
+          }
+        ).end(buffer);
+      });
+    },
+
+    async open(media) {
+      // media.url is only set on media archived publicly before uploads
+      // became authenticated
+      const url = media.url || cloudinary.url(media.key, {
+        resource_type: cloudinaryResourceType(media.mimeType),
+        type: 'authenticated',
+        sign_url: true,
+        secure: true
+      });
+      const response = await axios.get(url, { responseType: 'stream' });
+      return response.data;
+    }
+  },
+
+  local: {
+    async save({ tenantId, buffer, mimeType, sha256 }) {
+      const extension = mime.extension(mimeType);
+      const key = `${tenantId}/${sha256}${extension ? `.${extension}` : ''}`;
+      const filePath = path.join(LOCAL_DIR, key);
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer, { flag: 'w' });
+      return { key, url: null, bytes: buffer.length };
+    },
+
+    async open(media) {
+      const filePath = path.join(LOCAL_DIR, media.key);
+      // Keys are written by save(); never follow one outside the media dir
+      if (!filePath.startsWith(LOCAL_DIR + path.sep)) {
+        throw new Error('Invalid media key');
+      }
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    }
+  }
+};
+
+/**
+ * Store bytes for a tenant. Resolves { driver, key, url, bytes }; url is
+ * always null (media is served only through the media proxy).
+ */
+async function save({ tenantId, buffer, mimeType, sha256 }) {
+  const driver = driverName();
+  const stored = await drivers[driver].save({ tenantId: String(tenantId), buffer, mimeType, sha256 });
+  return { driver, ...stored };
+}
+
+/**
+ * Readable stream of stored media ({ driver, key, url } as saved)
+ */
+async function open(media) {
+  const driver = drivers[media?.driver];
+  if (!driver) throw new Error(`Unknown media storage driver: ${media?.driver}`);
+  return driver.open(media);
+}
+
+module.exports = {
+  driverName,
+  save,
+  open
+};
@@ -0,0 +1,118 @@
+// src/services/messageStatus.js
+// Applies WhatsApp status webhooks (sent / delivered / read / failed) to
+// MessageLog and, for campaign messages, to the contact's CampaignProgress.
+const MessageLog = require('../models/MessageLog');
+const CampaignProgress = require('../models/CampaignProgress');
+const realtime = require('./realtime');
+const retryPolicy = require('./retryPolicy');
+
+const { STATUS_RANK } = MessageLog;
+
+// Progress step statuses a webhook status may replace
+const PROGRESS_FROM = {
+  delivered: ['sent'],
+  read: ['sent', 'delivered'],
+  failed: ['sent']
+};
+
+const PROGRESS_TIMESTAMP = {
+  delivered: 'deliveredAt',
+  read: 'readAt',
+  failed: 'failedAt'
+};
+
+function rankOf(status) {
+  return STATUS_RANK[status] ?? -1;
+}
+
+/**
+ * Move the campaign step that produced this message along with it
+ */
+async function updateCampaignProgress(message, previousStatus) {
+  const status = message.status;
+  const from = PROGRESS_FROM[status];
+  const messageId = message.messageId || message.provider_message_id || message.whatsappMessageId;
+  if (!from || !messageId || !message.campaignId || !message.contactId) return;
+
+  const at = message[PROGRESS_TIMESTAMP[status]] || new Date();
+  const inc = {};
+
+  if (status === 'failed') {
+    inc.failedStepCount = 1;
+    inc.completedStepCount = -1;
+  } else {
+    if (rankOf(previousStatus) < STATUS_RANK.delivered) inc.deliveredStepCount = 1;
+    if (status === 'read') inc.readStepCount = 1;
+  }
+
+  const base = { campaignId: message.campaignId, contactId: message.contactId };
+
+  for (const field of ['completedSteps', 'currentDaySteps']) {
+    const set = {
+      [`${field}.$.status`]: status,
+      [`${field}.$.${PROGRESS_TIMESTAMP[status]}`]: at
+    };
+    if (status === 'read') set[`${field}.$.deliveredAt`] = message.deliveredAt || at;
+    if (status === 'failed' && message.error) set[`${field}.$.error`] = message.error;
+
+    const update = { $set: set };
+    // Counters live on the document, so only count the history entry
+    if (field === 'completedSteps') update.$inc = inc;
+
+    await CampaignProgress.updateOne(
+      { ...base, [field]: { $elemMatch: { messageId, status: { $in: from } } } },
+      update
+    );
+  }
+
+  realtime.emitCampaignProgress(message.tenantId, {
+    campaignId: message.campaignId,
+    contactId: message.contactId,
+    messageId,
+    status
+  });
+}
+
+/**
+ * Apply one entry of value.statuses[] from a webhook of `provider`.
+ * Resolves to { message, previousStatus, changed }; message is null when
+ * the id is unknown.
+ */
+async function applyStatusUpdate(st, tenantId = null, provider = 'meta') {
+  const messageId = st?.id;
+  const status = st?.status;
+  if (!messageId || !status) {
+    return { message: null, previousStatus: null, changed: false };
+  }
+
+  const filter = {
+    provider,
+    direction: 'outbound',
+    $or: [{ provider_message_id: messageId }, { whatsappMessageId: messageId }]
+  };
+  if (tenantId) filter.tenantId = tenantId;
+
+  const timestamp = st.timestamp ? new Date(Number(st.timestamp) * 1000) : new Date();
+
+  const result = await MessageLog.applyStatus(filter, status, {
+    timestamp,
+    error: st.errors?.[0] || null,
+    payload: st
+  });
+
+  if (result.changed) {
+    await updateCampaignProgress(result.message, result.previousStatus);
+
+    // Campaign messages Meta could not deliver may be retried
+    if (status === 'failed') {
+      await retryPolicy.handleDeliveryFailure(result.message, st.errors?.[0]);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  applyStatusUpdate,
+  updateCampaignProgress
+};
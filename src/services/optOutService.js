@@ -0,0 +1,251 @@
+const NodeCache = require('node-cache');
+const mongoose = require('mongoose');
+const Tenant = require('../models/Tenant');
+const Contact = require('../models/Contact');
+const ChatSession = require('../models/ChatSession');
+const ConsentEvent = require('../models/ConsentEvent');
+const {
+  DEFAULT_OPT_OUT_KEYWORDS,
+  DEFAULT_OPT_IN_KEYWORDS,
+  DEFAULT_OPT_OUT_CONFIRMATION,
+  DEFAULT_OPT_IN_CONFIRMATION
+} = require('../config/optOut');
+
+// Contacts campaigns and bulk sends may message: not opted out, and not
+// known to be off WhatsApp (retryPolicy.markContactUnreachable)
+const SENDABLE_CONTACT_FILTER = { optedIn: { $ne: false }, hasWhatsApp: { $ne: false } };
+
+/**
+ * Upper-case, drop punctuation / symbols and collapse spaces, so
+ * "Stop!", " stop " and "STOP." all compare equal to "STOP"
+ */
+function normalizeKeyword(text) {
+  return String(text || '')
+    .normalize('NFC')
+    .replace(/[\p{P}\p{S}]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toUpperCase();
+}
+
+class OptOutService {
+  constructor() {
+    // tenantId -> resolved settings
+    this.settingsCache = new NodeCache({ stdTTL: 300, useClones: false });
+    this.SENDABLE_CONTACT_FILTER = SENDABLE_CONTACT_FILTER;
+    this.normalizeKeyword = normalizeKeyword;
+  }
+
+  async getSettings(tenantId) {
+    const key = String(tenantId);
+    const cached = this.settingsCache.get(key);
+    if (cached) return cached;
+
+    const tenant = mongoose.isValidObjectId(key)
+      ? await Tenant.findById(key).select('optOutSettings').lean()
+      : null;
+    const stored = tenant?.optOutSettings || {};
+
+    const settings = {
+      enabled: stored.enabled !== false,
+      optOutKeywords: stored.optOutKeywords?.length ? stored.optOutKeywords : DEFAULT_OPT_OUT_KEYWORDS,
+      optInKeywords: stored.optInKeywords?.length ? stored.optInKeywords : DEFAULT_OPT_IN_KEYWORDS,
+      sendConfirmation: stored.sendConfirmation !== false,
+      optOutConfirmation: stored.optOutConfirmation || DEFAULT_OPT_OUT_CONFIRMATION,
+      optInConfirmation: stored.optInConfirmation || DEFAULT_OPT_IN_CONFIRMATION
+    };
+    settings.optOutSet = new Set(settings.optOutKeywords.map(normalizeKeyword));
+    settings.optInSet = new Set(settings.optInKeywords.map(normalizeKeyword));
+
+    this.settingsCache.set(key, settings);
+    return settings;
+  }
+
+  invalidateSettings(tenantId) {
+    if (tenantId) this.settingsCache.del(String(tenantId));
+  }
+
+  /**
+   * Texts of an inbound WhatsApp message that may carry a keyword
+   * (typed text, quick-reply buttons, interactive replies)
+   */
+  getKeywordTexts(msg) {
+    return [
+      msg?.text?.body,
+      msg?.button?.text,
+      msg?.button?.payload,
+      msg?.interactive?.button_reply?.title,
+      msg?.interactive?.list_reply?.title
+    ].filter(Boolean);
+  }
+
+  /**
+   * First of `keywords` found in `texts` as { keyword, text }, or null.
+   * 'exact' compares whole texts, 'contains' looks for whole words.
+   */
+  findKeyword(keywords, texts, match = 'exact') {
+    const wanted = (keywords || []).map(normalizeKeyword).filter(Boolean);
+
+    for (const text of texts) {
+      const normalized = normalizeKeyword(text);
+      if (!normalized) continue;
+
+      const keyword = match === 'contains'
+        ? wanted.find(k => ` ${normalized} `.includes(` ${k} `))
+        : wanted.find(k => k === normalized);
+      if (keyword) return { keyword, text };
+    }
+    return null;
+  }
+
+  /**
+   * Returns { action: 'opt_out' | 'opt_in', keyword } or null
+   */
+  matchKeyword(texts, settings) {
+    for (const text of texts) {
+      const keyword = normalizeKeyword(text);
+      if (!keyword) continue;
+      if (settings.optOutSet.has(keyword)) return { action: 'opt_out', keyword };
+      if (settings.optInSet.has(keyword)) return { action: 'opt_in', keyword };
+    }
+    return null;
+  }
+
+  /**
+   * Check an inbound message for STOP / START keywords and apply them.
+   * `phone` must already be normalized. Returns the consent event or null;
+   * throws when the change could not be stored.
+   */
+  async handleInbound({ tenantId, phone, msg }) {
+    try {
+      if (!tenantId || !phone) return null;
+
+      const settings = await this.getSettings(tenantId);
+      if (!settings.enabled) return null;
+
+      const texts = this.getKeywordTexts(msg);
+      const match = this.matchKeyword(texts, settings);
+      if (!match) return null;
+
+      console.log(`🔕 Keyword "${match.keyword}" from ${phone}: ${match.action}`);
+
+      const change = {
+        tenantId,
+        phone,
+        source: 'keyword',
+        keyword: match.keyword,
+        messageText: texts[0],
+        providerMessageId: msg?.id,
+        reason: `Keyword: ${match.keyword}`
+      };
+
+      const event = match.action === 'opt_out'
+        ? await this.optOut(change)
+        : await this.optIn(change);
+
+      if (settings.sendConfirmation) {
+        await this.sendConfirmation(event, settings);
+      }
+
+      return event;
+    } catch (error) {
+      // A lost STOP keeps the contact on campaigns: fail the webhook event
+      // so it is retried (routes/webhooks.js)
+      console.error('❌ Opt-out keyword handling error:', error);
+      throw error;
+    }
+  }
+
+  async optOut({ tenantId, phone, source, keyword, messageText, providerMessageId, reason, userId }) {
+    const now = new Date();
+    const contact = await Contact.findOneAndUpdate(
+      { tenantId, phone },
+      { $set: { optedIn: false, optedOutAt: now, optOutReason: reason || source } },
+      { new: false }
+    ).select('_id optedIn').lean();
+
+    await ChatSession.updateOne(
+      { tenantId, phone },
+      { $set: { optedOut: true, optOutReason: reason || source, optOutAt: now } }
+    );
+
+    return ConsentEvent.create({
+      tenantId,
+      contactId: contact?._id,
+      phone,
+      action: 'opt_out',
+      source,
+      keyword,
+      messageText,
+      providerMessageId,
+      reason,
+      previousOptedIn: contact ? contact.optedIn !== false : undefined,
+      userId
+    });
+  }
+
+  async optIn({ tenantId, phone, source, keyword, messageText, providerMessageId, reason, userId }) {
+    const now = new Date();
+    const contact = await Contact.findOneAndUpdate(
+      { tenantId, phone },
+      {
+        $set: { optedIn: true, optedInAt: now },
+        $unset: { optedOutAt: 1, optOutReason: 1 }
+      },
+      { new: false }
+    ).select('_id optedIn').lean();
+
+    await ChatSession.updateOne(
+      { tenantId, phone },
+      {
+        $set: { optedOut: false },
+        $unset: { optOutReason: 1, optOutAt: 1 }
+      }
+    );
+
+    return ConsentEvent.create({
+      tenantId,
+      contactId: contact?._id,
+      phone,
+      action: 'opt_in',
+      source,
+      keyword,
+      messageText,
+      providerMessageId,
+      reason,
+      previousOptedIn: contact ? contact.optedIn !== false : undefined,
+      userId
+    });
+  }
+
+  async sendConfirmation(event, settings) {
+    const body = event.action === 'opt_out' ? settings.optOutConfirmation : settings.optInConfirmation;
+    if (!body) return;
+
+    try {
+      // Loaded lazily: whatsapp.js requires this service
+      const { sendText } = require('./whatsapp');
+      await sendText({ to: event.phone, body, tenantId: event.tenantId, lane: 'inbox' });
+      await ConsentEvent.updateOne({ _id: event._id }, { $set: { confirmationSent: true } });
+    } catch (error) {
+      console.error(`❌ Could not send ${event.action} confirmation to ${event.phone}:`, error.message);
+      await ConsentEvent.updateOne({ _id: event._id }, { $set: { confirmationError: error.message } });
+    }
+  }
+
+  /**
+   * True when the contact or chat session for this number has opted out
+   */
+  async isOptedOut(tenantId, phone) {
+    if (!tenantId || !phone) return false;
+
+    const [contact, session] = await Promise.all([
+      Contact.findOne({ tenantId, phone }).select('optedIn').lean(),
+      ChatSession.findOne({ tenantId, phone }).select('optedOut').lean()
+    ]);
+
+    return contact?.optedIn === false || session?.optedOut === true;
+  }
+}
+
+module.exports = new OptOutService();
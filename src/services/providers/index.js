@@ -0,0 +1,55 @@
+// src/services/providers/index.js
+// Messaging providers carrying a tenant's WhatsApp traffic, chosen by
+// Tenant.messagingProvider. The rest of the app speaks the Cloud API: senders
+// build Cloud API message payloads and webhooks process Cloud API changes, so
+// each provider translates at the edges. A provider implements:
+//
+//   name
+//   send(client, payload)        -> { messages: [{ id }] } for a Cloud API
+//                                   payload; failures throw errors shaped like
+//                                   axios Graph API errors (error.response.data
+//                                   .error.code holds a Cloud API code, see
+//                                   config/sendErrors.js)
+//   parseInbound(body)           -> callback as value.messages[] entries
+//   parseStatus(body)            -> callback as value.statuses[] entries
+//   downloadMedia(client, mediaId, { maxBytes })
+//                                -> { buffer, mimeType, sha256 } of inbound media
+//
+// `client` is the tenant client from whatsapp.getTenantClient().
+const meta = require('./meta');
+const twilio = require('./twilio');
+const simulator = require('./simulator');
+
+const PROVIDERS = { meta, twilio, simulator };
+const NAMES = Object.keys(PROVIDERS);
+
+function get(name = 'meta') {
+  const provider = PROVIDERS[name];
+  if (!provider) throw new Error(`Unknown messaging provider: ${name}`);
+  return provider;
+}
+
+/**
+ * Wrap parsed messages / statuses in a Cloud API webhook payload, so any
+ * provider's callback goes through the webhook pipeline unchanged.
+ * `phoneNumberId` is the client's phoneId.
+ */
+function toWebhookPayload(phoneNumberId, { messages = [], statuses = [], displayPhoneNumber } = {}) {
+  const value = {
+    messaging_product: 'whatsapp',
+    metadata: { phone_number_id: phoneNumberId, display_phone_number: displayPhoneNumber }
+  };
+  if (messages.length) value.messages = messages;
+  if (statuses.length) value.statuses = statuses;
+
+  return {
+    object: 'whatsapp_business_account',
+    entry: [{ id: phoneNumberId, changes: [{ field: 'messages', value }] }]
+  };
+}
+
+module.exports = {
+  NAMES,
+  get,
+  toWebhookPayload
+};
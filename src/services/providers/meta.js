@@ -0,0 +1,58 @@
+// src/services/providers/meta.js
+// WhatsApp Cloud API. Payloads and webhooks are already in Cloud API form.
+const axios = require('axios');
+
+function changeValues(body) {
+  const values = [];
+  for (const entry of Array.isArray(body?.entry) ? body.entry : []) {
+    for (const ch of Array.isArray(entry.changes) ? entry.changes : []) {
+      if (ch.value) values.push(ch.value);
+    }
+  }
+  return values;
+}
+
+module.exports = {
+  name: 'meta',
+
+  async send(client, payload) {
+    const res = await axios.post(client.messagesUrl, payload, {
+      headers: {
+        ...client.headers,
+        'Content-Type': 'application/json',
+      },
+    });
+    return res.data;
+  },
+
+  parseInbound(body) {
+    return changeValues(body).flatMap(value => value.messages || []);
+  },
+
+  parseStatus(body) {
+    return changeValues(body).flatMap(value => value.statuses || []);
+  },
+
+  /**
+   * Look the media id up ({ url, mime_type, sha256 }) and fetch the bytes.
+   * The url is short-lived and needs the tenant's token.
+   */
+  async downloadMedia(client, mediaId, { maxBytes } = {}) {
+    const { data: info } = await axios.get(`${client.graphUrl}/${mediaId}`, {
+      headers: client.headers,
+      params: client.phoneId ? { phone_number_id: client.phoneId } : undefined
+    });
+
+    const { data, headers } = await axios.get(info.url, {
+      headers: client.headers,
+      responseType: 'arraybuffer',
+      ...(maxBytes && { maxContentLength: maxBytes })
+    });
+
+    return {
+      buffer: Buffer.from(data),
+      mimeType: info.mime_type || headers['content-type'],
+      sha256: info.sha256
+    };
+  }
+};
@@ -0,0 +1,216 @@
+// src/services/providers/simulator.js
+// Offline stand-in for WhatsApp, for testing campaigns end to end. Every send
+// is accepted with a "sim_" id; Tenant.simulator.delayMs apart, the simulator
+// then reports what a real number would: sent, then delivered and read, or a
+// failed status with a Cloud API error code (131047 for free-form messages
+// outside the 24-hour window), and sometimes an inbound reply - a button or
+// row choice for interactive messages, otherwise one of simulator.replies.
+// Callbacks are emitted as "callback" events ({ phoneNumberId, messages,
+// statuses }) that routes/webhooks.js feeds into the webhook pipeline.
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const conversationWindow = require('../conversationWindow');
+
+const DEFAULTS = {
+  deliveredRate: 0.95,
+  readRate: 0.7,
+  replyRate: 0.2,
+  // Replies go through opt-out handling like real ones; add "STOP" to
+  // Tenant.simulator.replies to test opt-outs
+  replies: ['Thanks!', 'Tell me more'],
+  delayMs: 2000
+};
+
+// Delivery failures picked at random when a message is not delivered
+const FAILURES = [
+  { code: 131026, title: 'Message undeliverable' },
+  { code: 131000, title: 'Something went wrong' },
+  { code: 131049, title: 'This message was not delivered to maintain healthy ecosystem engagement.' }
+];
+
+const WINDOW_CLOSED = {
+  code: 131047,
+  title: 'Re-engagement message',
+  message: 'More than 24 hours have passed since the recipient last replied to the sender number.'
+};
+
+function pick(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+function timestampNow() {
+  return String(Math.floor(Date.now() / 1000));
+}
+
+/**
+ * What a contact could tap in reply to `payload`, as the inbound message
+ * fields WhatsApp would send; null for messages without choices
+ */
+function choiceReply(payload) {
+  if (payload.type === 'interactive') {
+    const action = payload.interactive?.action || {};
+    if (Array.isArray(action.buttons) && action.buttons.length) {
+      const { reply } = pick(action.buttons);
+      return { type: 'interactive', interactive: { type: 'button_reply', button_reply: { id: reply.id, title: reply.title } } };
+    }
+    const rows = (action.sections || []).flatMap(section => section.rows || []);
+    if (rows.length) {
+      const row = pick(rows);
+      return {
+        type: 'interactive',
+        interactive: {
+          type: 'list_reply',
+          list_reply: { id: row.id, title: row.title, ...(row.description && { description: row.description }) }
+        }
+      };
+    }
+  }
+
+  if (payload.type === 'template') {
+    const quickReplies = (payload.template?.components || [])
+      .filter(c => c.type === 'button' && c.sub_type === 'quick_reply');
+    if (quickReplies.length) {
+      const button = pick(quickReplies);
+      const text = button.parameters?.[0]?.payload || `Button ${Number(button.index || 0) + 1}`;
+      return { type: 'button', button: { payload: text, text } };
+    }
+  }
+
+  return null;
+}
+
+class SimulatorProvider extends EventEmitter {
+  constructor() {
+    super();
+    this.name = 'simulator';
+  }
+
+  settings(client) {
+    const configured = client.simulator || {};
+    const settings = { ...DEFAULTS };
+    for (const key of Object.keys(DEFAULTS)) {
+      if (configured[key] !== undefined && configured[key] !== null) settings[key] = configured[key];
+    }
+    if (!settings.replies.length) settings.replies = DEFAULTS.replies;
+    return settings;
+  }
+
+  async send(client, payload) {
+    const id = `sim_${crypto.randomUUID()}`;
+
+    // Like the Cloud API, a closed window is reported by the status callback
+    let windowOpen = true;
+    if (payload.type !== 'template') {
+      ({ windowOpen } = await conversationWindow.getWindow(client.tenantId, payload.to));
+    }
+
+    this.playOutcome(client, payload, id, { windowOpen });
+    console.log(`🧪 Simulator accepted ${payload.type} to ${payload.to} (${id})`);
+
+    return {
+      messaging_product: 'whatsapp',
+      contacts: [{ input: payload.to, wa_id: payload.to }],
+      messages: [{ id }]
+    };
+  }
+
+  /**
+   * Schedule the status callbacks (and maybe a reply) for one send
+   */
+  playOutcome(client, payload, id, { windowOpen }) {
+    const { deliveredRate, readRate, replyRate, replies, delayMs } = this.settings(client);
+    const status = (value, extra = {}) => ({
+      id,
+      status: value,
+      timestamp: timestampNow(),
+      recipient_id: payload.to,
+      ...extra
+    });
+
+    let step = 1;
+    const later = (fn) => this.later(client, delayMs * step++, fn);
+
+    if (!windowOpen) {
+      later(() => ({ statuses: [status('failed', { errors: [WINDOW_CLOSED] })] }));
+      return;
+    }
+
+    later(() => ({ statuses: [status('sent')] }));
+
+    if (Math.random() >= deliveredRate) {
+      const failure = pick(FAILURES);
+      later(() => ({ statuses: [status('failed', { errors: [{ ...failure, message: failure.title }] })] }));
+      return;
+    }
+    later(() => ({ statuses: [status('delivered')] }));
+
+    if (Math.random() < readRate) {
+      later(() => ({ statuses: [status('read')] }));
+    }
+
+    if (Math.random() < replyRate) {
+      const reply = choiceReply(payload);
+      later(() => ({
+        messages: [reply
+          ? this.inboundMessage(payload.to, { ...reply, context: { from: client.phoneNumber, id } })
+          : this.inboundMessage(payload.to, { type: 'text', text: { body: pick(replies) } })]
+      }));
+    }
+  }
+
+  inboundMessage(from, fields) {
+    return {
+      from,
+      id: `sim_${crypto.randomUUID()}`,
+      timestamp: timestampNow(),
+      ...fields
+    };
+  }
+
+  later(client, delayMs, build) {
+    const timer = setTimeout(() => this.emitCallback(client, build()), delayMs);
+    timer.unref();
+  }
+
+  emitCallback(client, { messages = [], statuses = [] }) {
+    this.emit('callback', {
+      phoneNumberId: client.phoneId,
+      displayPhoneNumber: client.phoneNumber,
+      messages,
+      statuses
+    });
+  }
+
+  /**
+   * Make a contact write to the tenant's simulated number now. `contextId`
+   * replies to an earlier message; `button` taps one of its buttons.
+   */
+  simulateInbound(client, { from, text, contextId, button }) {
+    let fields;
+    if (button) {
+      fields = { type: 'interactive', interactive: { type: 'button_reply', button_reply: { id: button.id, title: button.title || text } } };
+    } else {
+      fields = { type: 'text', text: { body: text || '' } };
+    }
+    if (contextId) fields.context = { from: client.phoneNumber, id: contextId };
+
+    const msg = this.inboundMessage(from, fields);
+    this.emitCallback(client, { messages: [msg] });
+    return msg;
+  }
+
+  // Callbacks are already in Cloud API form
+  parseInbound(body) {
+    return body?.messages || [];
+  }
+
+  parseStatus(body) {
+    return body?.statuses || [];
+  }
+
+  async downloadMedia() {
+    throw new Error('The simulator does not send inbound media');
+  }
+}
+
+module.exports = new SimulatorProvider();
@@ -0,0 +1,305 @@
+// src/services/providers/twilio.js
+// WhatsApp through Twilio's Messages API. Cloud API payloads are translated:
+//   text, media        -> Body / MediaUrl
+//   template           -> Content template from Tenant.twilio.contentSids,
+//                         body parameters as ContentVariables {"1": ...}
+//   interactive        -> numbered text (Twilio only sends buttons and lists
+//                         as Content templates)
+//   location, contacts -> geo persistent action / text
+// Twilio error codes are mapped to the Cloud API codes retryPolicy knows.
+const crypto = require('crypto');
+const axios = require('axios');
+const twilio = require('twilio');
+
+// Twilio error code -> Cloud API error code (config/sendErrors.js)
+const ERROR_CODES = {
+  20429: 130429,  // Too many requests
+  21211: 131026,  // Invalid 'To' number
+  21408: 131031,  // Region not enabled for the account
+  21610: 131050,  // Recipient unsubscribed
+  30003: 131026,  // Unreachable handset
+  30005: 131026,  // Unknown destination
+  30006: 131026,  // Landline or unreachable carrier
+  30008: 131000,  // Unknown error
+  63003: 131026,  // Channel could not find the recipient
+  63016: 131047,  // Free-form message outside the 24-hour window
+  63018: 130429,  // Rate limit exceeded
+  63024: 131026,  // Invalid message recipient
+  63032: 131050,  // User's marketing preference
+  63049: 131050   // Meta chose not to deliver a marketing message
+};
+
+// Twilio MessageStatus -> Cloud API status; the rest are not reported
+const STATUSES = {
+  sent: 'sent',
+  delivered: 'delivered',
+  read: 'read',
+  failed: 'failed',
+  undelivered: 'failed'
+};
+
+const clients = new Map();
+
+function restClient({ accountSid, authToken }) {
+  const key = `${accountSid}:${authToken}`;
+  if (!clients.has(key)) clients.set(key, twilio(accountSid, authToken));
+  return clients.get(key);
+}
+
+function whatsappAddress(phone) {
+  const digits = String(phone || '').replace(/^whatsapp:/, '').replace(/\D/g, '');
+  return `whatsapp:+${digits}`;
+}
+
+function digitsOf(address) {
+  return String(address || '').replace(/^whatsapp:/, '').replace(/\D/g, '');
+}
+
+function mapErrorCode(code) {
+  return ERROR_CODES[code] || code;
+}
+
+/**
+ * A Twilio RestException as a Graph API style error
+ */
+function providerError(error) {
+  if (error.response || !error.status) return error;
+
+  const wrapped = new Error(error.message);
+  wrapped.response = {
+    status: error.status,
+    data: {
+      error: {
+        code: mapErrorCode(error.code),
+        message: error.message,
+        twilio_code: error.code,
+        error_data: { details: error.moreInfo }
+      }
+    }
+  };
+  return wrapped;
+}
+
+function unsupported(message) {
+  return providerError({ status: 400, code: 131051, message });
+}
+
+function interactiveText(interactive) {
+  const action = interactive.action || {};
+  const lines = [];
+  if (interactive.header?.text) lines.push(`*${interactive.header.text}*`);
+  if (interactive.body?.text) lines.push(interactive.body.text);
+
+  let options = [];
+  if (Array.isArray(action.buttons)) {
+    options = action.buttons.map(btn => btn.reply?.title);
+  } else if (Array.isArray(action.sections)) {
+    options = action.sections.flatMap(section => section.rows.map(row => row.title));
+  }
+  if (options.length) {
+    lines.push('', ...options.map((title, index) => `${index + 1}. ${title}`));
+  }
+  if (action.name === 'cta_url' && action.parameters?.url) {
+    lines.push('', `${action.parameters.display_text || 'Open'}: ${action.parameters.url}`);
+  }
+
+  if (interactive.footer?.text) lines.push('', `_${interactive.footer.text}_`);
+  return lines.join('\n');
+}
+
+/**
+ * Twilio messages.create() options for a Cloud API payload
+ */
+function toTwilioMessage(client, payload) {
+  const message = {
+    from: whatsappAddress(client.twilio.whatsappFrom),
+    to: whatsappAddress(payload.to)
+  };
+  if (process.env.SERVER_URL) {
+    message.statusCallback = `${process.env.SERVER_URL}/api/webhooks/twilio`;
+  }
+
+  switch (payload.type) {
+    case 'text':
+      message.body = payload.text.body;
+      break;
+
+    case 'image':
+    case 'video':
+    case 'audio':
+    case 'document': {
+      const media = payload[payload.type];
+      message.mediaUrl = [media.link];
+      if (media.caption) message.body = media.caption;
+      break;
+    }
+
+    case 'template': {
+      const { name, components = [] } = payload.template;
+      const contentSid = client.twilio.contentSids?.[name];
+      if (!contentSid) {
+        throw providerError({
+          status: 404,
+          code: 132001,
+          message: `No Twilio Content template is mapped to WhatsApp template "${name}"`
+        });
+      }
+      message.contentSid = contentSid;
+
+      const params = components.find(c => c.type === 'body')?.parameters || [];
+      if (params.length) {
+        const variables = {};
+        params.forEach((param, index) => { variables[String(index + 1)] = param.text ?? ''; });
+        message.contentVariables = JSON.stringify(variables);
+      }
+      break;
+    }
+
+    case 'interactive':
+      message.body = interactiveText(payload.interactive);
+      break;
+
+    case 'location': {
+      const { latitude, longitude, name, address } = payload.location;
+      message.persistentAction = [`geo:${latitude},${longitude}${name ? `|${name}` : ''}`];
+      message.body = [name, address].filter(Boolean).join('\n') || 'Location';
+      break;
+    }
+
+    case 'contacts':
+      message.body = payload.contacts.map(contact => {
+        const phones = (contact.phones || []).map(p => p.phone).filter(Boolean).join(', ');
+        return [contact.name?.formatted_name, phones].filter(Boolean).join(': ');
+      }).join('\n');
+      break;
+
+    default:
+      throw unsupported(`Twilio cannot send ${payload.type} messages`);
+  }
+
+  return message;
+}
+
+function mediaType(mimeType = '') {
+  if (mimeType.startsWith('image/')) return 'image';
+  if (mimeType.startsWith('video/')) return 'video';
+  if (mimeType.startsWith('audio/')) return 'audio';
+  return 'document';
+}
+
+function timestampNow() {
+  return String(Math.floor(Date.now() / 1000));
+}
+
+module.exports = {
+  name: 'twilio',
+  ERROR_CODES,
+  toTwilioMessage,
+
+  async send(client, payload) {
+    const message = toTwilioMessage(client, payload);
+    try {
+      const created = await restClient(client.twilio).messages.create(message);
+      return {
+        messaging_product: 'whatsapp',
+        contacts: [{ input: payload.to, wa_id: payload.to }],
+        messages: [{ id: created.sid }]
+      };
+    } catch (error) {
+      throw providerError(error);
+    }
+  },
+
+  /**
+   * Incoming message webhook (form fields) as a value.messages[] entry
+   */
+  parseInbound(body) {
+    const status = body?.SmsStatus || body?.MessageStatus;
+    if (!body?.MessageSid || status !== 'received') return [];
+
+    const msg = {
+      id: body.MessageSid,
+      from: body.WaId || digitsOf(body.From),
+      timestamp: timestampNow()
+    };
+    if (body.OriginalRepliedMessageSid) {
+      msg.context = { id: body.OriginalRepliedMessageSid };
+    }
+
+    if (body.ButtonPayload) {
+      msg.type = 'button';
+      msg.button = { payload: body.ButtonPayload, text: body.ButtonText || body.Body };
+    } else if (Number(body.NumMedia) > 0) {
+      const mimeType = body.MediaContentType0;
+      msg.type = mediaType(mimeType);
+      msg[msg.type] = {
+        id: body.MediaUrl0,
+        mime_type: mimeType,
+        ...(body.Body && { caption: body.Body })
+      };
+    } else if (body.Latitude && body.Longitude) {
+      msg.type = 'location';
+      msg.location = {
+        latitude: Number(body.Latitude),
+        longitude: Number(body.Longitude),
+        ...(body.Label && { name: body.Label }),
+        ...(body.Address && { address: body.Address })
+      };
+    } else {
+      msg.type = 'text';
+      msg.text = { body: body.Body || '' };
+    }
+
+    return [msg];
+  },
+
+  /**
+   * Status callback (form fields) as a value.statuses[] entry
+   */
+  parseStatus(body) {
+    const status = STATUSES[body?.MessageStatus];
+    if (!body?.MessageSid || !status) return [];
+
+    const st = {
+      id: body.MessageSid,
+      status,
+      timestamp: timestampNow(),
+      recipient_id: digitsOf(body.To)
+    };
+    if (status === 'failed' && body.ErrorCode) {
+      st.errors = [{
+        code: mapErrorCode(Number(body.ErrorCode)),
+        title: body.ErrorMessage || `Twilio error ${body.ErrorCode}`,
+        error_data: { details: `Twilio error ${body.ErrorCode}` }
+      }];
+    }
+    return [st];
+  },
+
+  /**
+   * Inbound media ids are Twilio media URLs, fetched with the account's
+   * credentials
+   */
+  async downloadMedia(client, mediaUrl, { maxBytes } = {}) {
+    const { data, headers } = await axios.get(mediaUrl, {
+      auth: { username: client.twilio.accountSid, password: client.twilio.authToken },
+      responseType: 'arraybuffer',
+      ...(maxBytes && { maxContentLength: maxBytes })
+    });
+
+    const buffer = Buffer.from(data);
+    return {
+      buffer,
+      mimeType: headers['content-type'],
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+    };
+  },
+
+  /**
+   * Check X-Twilio-Signature against the URL Twilio called and the form fields
+   */
+  verifySignature(client, signature, url, params) {
+    if (!signature) return false;
+    return twilio.validateRequest(client.twilio.authToken, signature, url, params || {});
+  }
+};
@@ -0,0 +1,57 @@
+// src/services/rateLimitStore.js
+// express-rate-limit store that counts hits in Mongo (RateLimitWindow), so a
+// limit holds across every worker instead of per process. Windows are fixed
+// and aligned to the clock.
+const RateLimitWindow = require('../models/RateLimitWindow');
+
+class MongoRateLimitStore {
+  constructor() {
+    this.localKeys = false;
+    this.prefix = 'mongo:';
+    this.windowMs = 60 * 1000;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  currentWindow() {
+    const start = Math.floor(Date.now() / this.windowMs) * this.windowMs;
+    return { windowStart: new Date(start), resetTime: new Date(start + this.windowMs) };
+  }
+
+  async get(key) {
+    const { windowStart, resetTime } = this.currentWindow();
+    const window = await RateLimitWindow.findOne({ key, windowStart }).lean();
+    return window ? { totalHits: window.count, resetTime } : undefined;
+  }
+
+  async increment(key) {
+    const { windowStart, resetTime } = this.currentWindow();
+    // Two workers opening the same window: the second upsert collides, and
+    // its retry finds the window
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        const window = await RateLimitWindow.findOneAndUpdate(
+          { key, windowStart },
+          { $inc: { count: 1 }, $setOnInsert: { expiresAt: resetTime } },
+          { upsert: true, new: true }
+        ).lean();
+        return { totalHits: window.count, resetTime };
+      } catch (error) {
+        if (error.code !== 11000 || attempt > 0) throw error;
+      }
+    }
+  }
+
+  async decrement(key) {
+    const { windowStart } = this.currentWindow();
+    await RateLimitWindow.updateOne({ key, windowStart, count: { $gt: 0 } }, { $inc: { count: -1 } });
+  }
+
+  async resetKey(key) {
+    await RateLimitWindow.deleteMany({ key });
+  }
+}
+
+module.exports = MongoRateLimitStore;
@@ -0,0 +1,104 @@
+// src/services/realtime.js
+// Authenticated, tenant-isolated Socket.IO. Sockets authenticate with the
+// same JWT / API key as REST and are placed in rooms derived from it:
+//   tenant_<id>          every socket of the tenant
+//   tenant_<id>:chats    sockets allowed to see every conversation (chats:all)
+//   tenant_<id>:campaigns sockets with campaigns:read
+//   user_<id>            one user's sockets (assigned conversations)
+// Event names and payloads are listed in config/realtimeEvents.js.
+const ChatSession = require('../models/ChatSession');
+const roleService = require('./roleService');
+const { resolveCredentials } = require('../middleware/auth');
+const { EVENTS } = require('../config/realtimeEvents');
+
+function tenantRoom(tenantId) {
+  return `tenant_${tenantId}`;
+}
+
+function handshakeToken(socket) {
+  const { auth = {}, headers = {}, query = {} } = socket.handshake;
+  if (auth.token) return auth.token;
+  if (headers['x-api-key']) return headers['x-api-key'];
+  if (headers.authorization) return headers.authorization.split(' ')[1];
+  return query.token || null;
+}
+
+class RealtimeService {
+  constructor() {
+    this.io = null;
+    this.EVENTS = EVENTS;
+  }
+
+  /**
+   * Install the handshake guard and room assignment on a Socket.IO server
+   */
+  attach(io) {
+    this.io = io;
+
+    io.use(async (socket, next) => {
+      try {
+        const credentials = await resolveCredentials(handshakeToken(socket));
+        if (!credentials) return next(new Error('Unauthorized'));
+        socket.data.tenantId = String(credentials.tenantId);
+        socket.data.user = credentials.user;
+        next();
+      } catch (error) {
+        next(new Error('Unauthorized'));
+      }
+    });
+
+    io.on('connection', (socket) => {
+      const { tenantId, user } = socket.data;
+      const rooms = this.roomsFor(tenantId, user);
+      socket.join(rooms);
+      console.log(`🔌 Socket ${socket.id} joined ${rooms.join(', ')}`);
+
+      // Older clients still ask to join a tenant; the id they send is ignored
+      socket.on('joinTenant', (ignored, ack) => {
+        if (typeof ack === 'function') ack({ tenantId, rooms });
+      });
+
+      socket.on('disconnect', () => {
+        console.log(`🔌 Socket disconnected: ${socket.id}`);
+      });
+    });
+  }
+
+  roomsFor(tenantId, user) {
+    const permissions = user?.permissions;
+    const rooms = [tenantRoom(tenantId)];
+    if (roleService.hasPermission(permissions, 'chats:all')) rooms.push(`${tenantRoom(tenantId)}:chats`);
+    if (roleService.hasPermission(permissions, 'campaigns:read')) rooms.push(`${tenantRoom(tenantId)}:campaigns`);
+    if (user?.id) rooms.push(`user_${user.id}`);
+    return rooms;
+  }
+
+  /**
+   * Emit a conversation event to users who see all chats and to the user
+   * the conversation is assigned to. Pass `assignedTo` when already known.
+   */
+  async emitChatEvent(tenantId, phone, event, payload, assignedTo) {
+    if (!this.io || !tenantId) return;
+    try {
+      if (assignedTo === undefined && phone) {
+        const session = await ChatSession.findOne({ tenantId, phone }).select('assignedTo').lean();
+        assignedTo = session?.assignedTo;
+      }
+      let target = this.io.to(`${tenantRoom(tenantId)}:chats`);
+      if (assignedTo) target = target.to(`user_${assignedTo}`);
+      target.emit(event, payload);
+    } catch (error) {
+      console.error(`❌ Socket emit ${event} failed:`, error.message);
+    }
+  }
+
+  /**
+   * Emit a campaign:progress event to users who can read campaigns
+   */
+  emitCampaignProgress(tenantId, payload) {
+    if (!this.io || !tenantId) return;
+    this.io.to(`${tenantRoom(tenantId)}:campaigns`).emit(EVENTS.CAMPAIGN_PROGRESS, { ...payload, at: new Date() });
+  }
+}
+
+module.exports = new RealtimeService();
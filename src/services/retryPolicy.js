@@ -0,0 +1,254 @@
+// src/services/retryPolicy.js
+// Decides what happens after a campaign send fails, from the Meta error code
+// (tables in config/sendErrors.js):
+//   retryable  - rate limits and temporary errors; retried as a "retry" job
+//                with exponential backoff and jitter, up to MAX_ATTEMPTS
+//   reengage   - free-form message outside the 24-hour window; retried when
+//                the contact next writes to us
+//   permanent  - never retried; errors about the number itself also mark the
+//                contact as not reachable on WhatsApp
+const MessageLog = require('../models/MessageLog');
+const CampaignProgress = require('../models/CampaignProgress');
+const Campaign = require('../models/Campaign');
+const Contact = require('../models/Contact');
+const JobQueue = require('./JobQueue');
+const sendLedger = require('./sendLedger');
+const {
+  RETRYABLE_CODES,
+  REENGAGE_CODES,
+  PERMANENT_CODES,
+  RETRYABLE_NETWORK_ERRORS
+} = require('../config/sendErrors');
+
+const MAX_ATTEMPTS = parseInt(process.env.SEND_RETRY_MAX_ATTEMPTS, 10) || 5;
+const BASE_DELAY_MS = parseInt(process.env.SEND_RETRY_BASE_DELAY_MS, 10) || 60 * 1000;
+const MAX_DELAY_MS = parseInt(process.env.SEND_RETRY_MAX_DELAY_MS, 10) || 60 * 60 * 1000;
+// Re-engageable failures older than this are not resent when the contact returns
+const REENGAGE_WINDOW_MS = (parseInt(process.env.SEND_RETRY_REENGAGE_DAYS, 10) || 7) * 24 * 60 * 60 * 1000;
+
+const CATEGORIES = ['retryable', 'reengage', 'permanent'];
+
+class RetryPolicy {
+  constructor() {
+    this.CATEGORIES = CATEGORIES;
+    this.MAX_ATTEMPTS = MAX_ATTEMPTS;
+  }
+
+  /**
+   * Code, title and HTTP status of an axios error, one of our own errors, a
+   * webhook status error ({ code, title }) or a stored MessageLog
+   */
+  describe(error) {
+    if (!error) return { code: null, title: null, httpStatus: null, network: false };
+
+    const metaError = error.response?.data?.error;
+    if (metaError) {
+      return {
+        code: metaError.code ?? null,
+        title: metaError.error_data?.details || metaError.message || null,
+        httpStatus: error.response.status,
+        network: false
+      };
+    }
+
+    if (error.errorCode !== undefined || error.errorTitle !== undefined) {
+      return { code: error.errorCode ?? null, title: error.errorTitle || error.error || null, httpStatus: null, network: false };
+    }
+
+    return {
+      code: error.code ?? null,
+      title: error.title || error.message || null,
+      httpStatus: error.response?.status || error.status || null,
+      network: !error.response && RETRYABLE_NETWORK_ERRORS.includes(error.code)
+    };
+  }
+
+  /**
+   * Sort a failure into retryable / reengage / permanent.
+   * Returns { category, code, title, updatesContact }.
+   */
+  classify(error) {
+    const { code, title, httpStatus, network } = this.describe(error);
+
+    if (code !== null && RETRYABLE_CODES[code]) {
+      return { category: 'retryable', code, title: title || RETRYABLE_CODES[code], updatesContact: false };
+    }
+    if (code !== null && REENGAGE_CODES[code]) {
+      return { category: 'reengage', code, title: title || REENGAGE_CODES[code], updatesContact: false };
+    }
+    if (code !== null && PERMANENT_CODES[code]) {
+      const known = PERMANENT_CODES[code];
+      return { category: 'permanent', code, title: title || known.title, updatesContact: !!known.contact };
+    }
+
+    if (network || httpStatus >= 500) {
+      return { category: 'retryable', code, title, updatesContact: false };
+    }
+    return { category: 'permanent', code, title, updatesContact: false };
+  }
+
+  /**
+   * Delay before retry number `retryCount` (1-based): exponential, capped at
+   * MAX_DELAY_MS, with the upper half randomised so retries spread out
+   */
+  backoffDelay(retryCount) {
+    const delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** Math.max(0, retryCount - 1));
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+  }
+
+  /**
+   * Classify a failed campaign send and act on it: schedule the next retry,
+   * or update the contact for permanent number errors. `log` is the
+   * MessageLog of the failed attempt. Returns the decision, which callers
+   * store on the contact's progress.
+   */
+  async handleFailure(log, error, { occurrenceDate } = {}) {
+    const decision = {
+      ...this.classify(error),
+      retryCount: log.retryCount || 0,
+      nextRetryAt: null
+    };
+
+    if (decision.category === 'retryable') {
+      if (decision.retryCount < MAX_ATTEMPTS) {
+        decision.nextRetryAt = new Date(Date.now() + this.backoffDelay(decision.retryCount + 1));
+      } else {
+        console.log(`🛑 Giving up on ${log.to} after ${decision.retryCount} retries (${decision.code || decision.title})`);
+      }
+    }
+
+    await MessageLog.updateOne(
+      { _id: log._id },
+      {
+        $set: {
+          errorCategory: decision.category,
+          // Our own codes (DAILY_RECIPIENT_CAP, ...) only live in the error text
+          ...(typeof decision.code === 'number' && { errorCode: decision.code }),
+          nextRetryAt: decision.nextRetryAt
+        }
+      }
+    );
+
+    if (decision.nextRetryAt && log.campaignId && log.stepId && log.contactId) {
+      await this.scheduleRetry(log, decision.nextRetryAt, { occurrenceDate });
+    }
+
+    if (decision.updatesContact && log.contactId) {
+      await this.markContactUnreachable(log.tenantId, log.contactId, decision);
+    }
+
+    return decision;
+  }
+
+  /**
+   * A status webhook reported an accepted campaign message as failed
+   */
+  async handleDeliveryFailure(message, error) {
+    if (!message.campaignId || !message.contactId) return null;
+
+    const decision = await this.handleFailure(message, error, {
+      occurrenceDate: message.occurrenceDate
+    });
+
+    const messageId = message.messageId || message.provider_message_id || message.whatsappMessageId;
+    await CampaignProgress.updateOne(
+      {
+        campaignId: message.campaignId,
+        contactId: message.contactId,
+        completedSteps: { $elemMatch: { messageId, status: 'failed' } }
+      },
+      {
+        $set: {
+          'completedSteps.$.errorCode': typeof decision.code === 'number' ? decision.code : null,
+          'completedSteps.$.errorCategory': decision.category,
+          'completedSteps.$.nextRetryAt': decision.nextRetryAt
+        }
+      }
+    );
+
+    return decision;
+  }
+
+  /**
+   * Queue a "retry" job that resends the step of a failed log at `at`.
+   * One job per failed log, so scheduling twice is harmless.
+   */
+  async scheduleRetry(log, at, { occurrenceDate } = {}) {
+    const messageId = log.messageId || log.provider_message_id;
+    if (messageId) {
+      // Accepted by Meta, failed later: free the ledger key for the resend
+      const entry = await sendLedger.reopen(messageId, log.error || 'Delivery failed');
+      occurrenceDate = occurrenceDate || entry?.occurrenceDate;
+    }
+
+    if (!(await Campaign.exists({ _id: log.campaignId }))) return null;
+
+    const jobId = `retry_${log._id}`;
+    await JobQueue.saveTimeoutJob({
+      jobId,
+      campaignId: log.campaignId,
+      stepId: log.stepId,
+      contactId: log.contactId,
+      tenantId: log.tenantId,
+      jobType: 'retry',
+      executeAt: at,
+      occurrenceKey: occurrenceDate || sendLedger.occurrenceDateFor(log.timestamp),
+      data: {
+        messageLogId: log._id,
+        retryCount: (log.retryCount || 0) + 1
+      }
+    });
+
+    await MessageLog.updateOne({ _id: log._id }, { $set: { nextRetryAt: at } });
+
+    console.log(`🔁 Retry ${(log.retryCount || 0) + 1} for ${log.to} scheduled at ${at.toISOString()}`);
+    return jobId;
+  }
+
+  /**
+   * The contact wrote to us, so the 24-hour window is open again: resend
+   * campaign messages that failed only because it was closed
+   */
+  async onContactReengaged(tenantId, phone) {
+    try {
+      const failed = await MessageLog.find({
+        tenantId,
+        to: phone,
+        direction: 'outbound',
+        status: 'failed',
+        errorCategory: 'reengage',
+        campaignId: { $exists: true },
+        retriedAt: { $exists: false },
+        nextRetryAt: null,
+        timestamp: { $gte: new Date(Date.now() - REENGAGE_WINDOW_MS) }
+      }).lean();
+
+      for (const log of failed) {
+        await this.scheduleRetry(log, new Date());
+      }
+      return failed.length;
+    } catch (error) {
+      console.error('❌ Error scheduling re-engagement retries:', error.message);
+      return 0;
+    }
+  }
+
+  async markContactUnreachable(tenantId, contactId, decision) {
+    await Contact.updateOne(
+      { _id: contactId, tenantId },
+      {
+        $set: {
+          hasWhatsApp: false,
+          lastSendError: {
+            code: decision.code,
+            title: decision.title,
+            at: new Date()
+          }
+        }
+      }
+    );
+    console.log(`📵 Contact ${contactId} marked unreachable on WhatsApp (${decision.code || decision.title})`);
+  }
+}
+
+module.exports = new RetryPolicy();
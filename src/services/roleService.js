@@ -0,0 +1,98 @@
+const NodeCache = require('node-cache');
+const mongoose = require('mongoose');
+const Role = require('../models/Role');
+const {
+  PERMISSIONS,
+  BUILT_IN_ROLES,
+  LEGACY_ROLE_ALIASES
+} = require('../config/permissions');
+
+class RoleService {
+  constructor() {
+    // tenantId:roleKey -> resolved role
+    this.cache = new NodeCache({ stdTTL: 60, useClones: false });
+  }
+
+  /**
+   * Resolve a User.role value to { key, name, permissions: Set, builtIn }.
+   * Unknown roles resolve to no permissions.
+   */
+  async resolveRole(tenantId, roleKey) {
+    const key = LEGACY_ROLE_ALIASES[roleKey] || roleKey;
+    const cacheKey = `${tenantId}:${key}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    let resolved;
+    if (BUILT_IN_ROLES[key]) {
+      const role = BUILT_IN_ROLES[key];
+      resolved = { key, name: role.name, permissions: new Set(role.permissions), builtIn: true };
+    } else {
+      const role = key && mongoose.isValidObjectId(String(tenantId))
+        ? await Role.findOne({ tenantId, key }).lean()
+        : null;
+      resolved = {
+        key,
+        name: role?.name || key,
+        // Permissions dropped from the catalog (e.g. the old debug:*) no longer apply
+        permissions: new Set((role?.permissions || []).filter(p => PERMISSIONS[p])),
+        builtIn: false
+      };
+    }
+
+    this.cache.set(cacheKey, resolved);
+    return resolved;
+  }
+
+  invalidate(tenantId, roleKey) {
+    this.cache.del(`${tenantId}:${roleKey}`);
+  }
+
+  hasPermission(permissions, permission) {
+    return !!permissions && (permissions.has('*') || permissions.has(permission));
+  }
+
+  /**
+   * The permissions of `list` that `held` (a resolved permission Set) does
+   * not cover; nobody may grant more than they hold
+   */
+  beyondHeld(held, list) {
+    if (held?.has('*')) return [];
+    return [...list].filter(p => !held?.has(p));
+  }
+
+  isBuiltIn(roleKey) {
+    return !!BUILT_IN_ROLES[roleKey] || !!LEGACY_ROLE_ALIASES[roleKey];
+  }
+
+  async roleExists(tenantId, roleKey) {
+    if (this.isBuiltIn(roleKey)) return true;
+    return !!(await Role.exists({ tenantId, key: roleKey }));
+  }
+
+  /**
+   * Drop unknown permissions; returns { permissions, unknown }
+   */
+  cleanPermissions(list) {
+    const permissions = [...new Set((list || []).map(p => String(p).trim()))];
+    return {
+      permissions: permissions.filter(p => PERMISSIONS[p]),
+      unknown: permissions.filter(p => !PERMISSIONS[p])
+    };
+  }
+
+  async listRoles(tenantId) {
+    const builtIn = Object.entries(BUILT_IN_ROLES).map(([key, role]) => ({
+      key,
+      ...role,
+      builtIn: true
+    }));
+    const custom = await Role.find({ tenantId }).sort({ name: 1 }).lean();
+    return [
+      ...builtIn,
+      ...custom.map(role => ({ ...role, builtIn: false }))
+    ];
+  }
+}
+
+module.exports = new RoleService();
@@ -0,0 +1,382 @@
+// src/services/sendGovernor.js
+// Paces every outbound message per WhatsApp number (see whatsapp.sendRaw).
+// Each number gets its messages/second as send slots in per-second
+// SendWindow documents, shared by every worker. Sends are served by lane:
+// inbox replies first, then transactional sends, then marketing (campaigns,
+// batch sends). Within a process the waiting sends are ordered by lane; across
+// workers each lane may only fill its share of a window (LANE_SHARES), so the
+// rest of every second stays free for replies. Business-initiated lanes also
+// count unique recipients over the last 24 hours (SendRecipient) against the
+// number's messaging tier.
+const axios = require('axios');
+const mongoose = require('mongoose');
+const NodeCache = require('node-cache');
+const Tenant = require('../models/Tenant');
+const SendWindow = require('../models/SendWindow');
+const SendRecipient = require('../models/SendRecipient');
+
+const LANES = ['inbox', 'transactional', 'marketing'];
+const DEFAULT_LANE = 'transactional';
+// Part of each window's slots a lane may fill, whoever else is sending
+const LANE_SHARES = {
+  inbox: 1,
+  transactional: parseFloat(process.env.SEND_TRANSACTIONAL_SHARE || '0.9'),
+  marketing: parseFloat(process.env.SEND_MARKETING_SHARE || '0.7')
+};
+const DEFAULT_MPS = parseFloat(process.env.SEND_MESSAGES_PER_SECOND || '20');
+const RECIPIENT_WINDOW_MS = 24 * 60 * 60 * 1000;
+const TIER_SYNC_MS = 6 * 60 * 60 * 1000;
+const MAX_BACKOFF_MS = 60 * 1000;
+// Windows are only read while current; the TTL index removes them after this
+const WINDOW_RETENTION_MS = 60 * 1000;
+
+// Unique business-initiated recipients per rolling 24 hours
+const TIER_CAPS = {
+  TIER_50: 50,
+  TIER_250: 250,
+  TIER_1K: 1000,
+  TIER_2K: 2000,
+  TIER_10K: 10000,
+  TIER_100K: 100000,
+  TIER_UNLIMITED: null
+};
+
+// Meta error codes that mean "slow down"
+const THROTTLE_CODES = [130429, 131056, 80007];
+
+function isDuplicateKey(error) {
+  return error?.code === 11000;
+}
+
+function recipientCapError(phoneId, cap) {
+  const err = new Error(`Daily recipient limit of ${cap} reached for WhatsApp number ${phoneId}`);
+  err.code = 'DAILY_RECIPIENT_CAP';
+  err.status = 429;
+  return err;
+}
+
+class SendGovernor {
+  constructor() {
+    // phoneId -> bucket
+    this.buckets = new Map();
+    // tenantId -> sendLimits
+    this.limitsCache = new NodeCache({ stdTTL: 300, useClones: false });
+    this.LANES = LANES;
+    this.TIER_CAPS = TIER_CAPS;
+  }
+
+  async getLimits(tenantId) {
+    const key = String(tenantId);
+    const cached = this.limitsCache.get(key);
+    if (cached) return cached;
+
+    const tenant = mongoose.isValidObjectId(key)
+      ? await Tenant.findById(key).select('sendLimits').lean()
+      : null;
+    const sendLimits = tenant?.sendLimits || {};
+    const tierCap = sendLimits.messagingTier ? TIER_CAPS[sendLimits.messagingTier] : null;
+
+    const limits = {
+      messagesPerSecond: sendLimits.messagesPerSecond > 0 ? sendLimits.messagesPerSecond : DEFAULT_MPS,
+      dailyRecipientCap: sendLimits.dailyRecipientCap > 0 ? sendLimits.dailyRecipientCap : tierCap,
+      messagingTier: sendLimits.messagingTier || null,
+      tierSyncedAt: sendLimits.tierSyncedAt || null
+    };
+
+    this.limitsCache.set(key, limits);
+    return limits;
+  }
+
+  invalidate(tenantId) {
+    if (tenantId) this.limitsCache.del(String(tenantId));
+  }
+
+  bucketFor(client, limits) {
+    let bucket = this.buckets.get(client.phoneId);
+    if (!bucket) {
+      bucket = {
+        phoneId: client.phoneId,
+        tenantId: client.tenantId,
+        queues: Object.fromEntries(LANES.map(lane => [lane, []])),
+        timer: null,
+        draining: false,
+        pausedUntil: 0,
+        strikes: 0,
+        sent: 0
+      };
+      this.buckets.set(client.phoneId, bucket);
+    }
+    bucket.rate = limits.messagesPerSecond;
+    bucket.dailyRecipientCap = limits.dailyRecipientCap;
+    return bucket;
+  }
+
+  /**
+   * Wait for a send slot on the client's number. Rejects with
+   * DAILY_RECIPIENT_CAP when a business-initiated send would exceed the tier.
+   * Resolves { newRecipient } (true when `to` was added to today's count).
+   */
+  async acquire(client, { to, lane = DEFAULT_LANE } = {}) {
+    if (!LANES.includes(lane)) lane = DEFAULT_LANE;
+
+    const limits = await this.getLimits(client.tenantId);
+    const bucket = this.bucketFor(client, limits);
+    this.maybeSyncTier(client, limits);
+
+    const newRecipient = lane !== 'inbox' && to
+      ? await this.reserveRecipient(bucket, to)
+      : false;
+
+    try {
+      await new Promise((resolve, reject) => {
+        bucket.queues[lane].push({ resolve, reject, queuedAt: Date.now() });
+        this.drain(bucket);
+      });
+    } catch (error) {
+      if (newRecipient) await this.releaseRecipient(client, to);
+      throw error;
+    }
+    return { newRecipient };
+  }
+
+  nextLane(bucket) {
+    return LANES.find(lane => bucket.queues[lane].length) || null;
+  }
+
+  nextWaiter(bucket) {
+    const lane = this.nextLane(bucket);
+    return lane ? bucket.queues[lane].shift() : null;
+  }
+
+  waiting(bucket) {
+    return LANES.reduce((sum, lane) => sum + bucket.queues[lane].length, 0);
+  }
+
+  /**
+   * Hand out send slots to this process's waiters until the number's
+   * current window is full, then wake up for the next one
+   */
+  async drain(bucket) {
+    if (bucket.timer) {
+      clearTimeout(bucket.timer);
+      bucket.timer = null;
+    }
+    // The running drain picks up waiters queued meanwhile
+    if (bucket.draining) return;
+    bucket.draining = true;
+
+    let delay = null;
+    try {
+      while (this.waiting(bucket)) {
+        const now = Date.now();
+        if (bucket.pausedUntil > now) {
+          delay = bucket.pausedUntil - now;
+          break;
+        }
+
+        const wait = await this.claimSlot(bucket, this.nextLane(bucket));
+        if (wait > 0) {
+          delay = wait;
+          break;
+        }
+        bucket.sent += 1;
+        this.nextWaiter(bucket).resolve();
+      }
+    } catch (error) {
+      console.error(`❌ Send window error on ${bucket.phoneId}:`, error.message);
+      let waiter;
+      while ((waiter = this.nextWaiter(bucket))) waiter.reject(error);
+    } finally {
+      bucket.draining = false;
+    }
+
+    if (delay !== null && this.waiting(bucket)) {
+      bucket.timer = setTimeout(() => this.drain(bucket), Math.max(delay, 5));
+    }
+  }
+
+  /**
+   * Take one send slot for `lane` in the number's current window. Resolves 0
+   * when taken, otherwise the milliseconds until the next window opens.
+   */
+  async claimSlot(bucket, lane) {
+    // Below one message per second a window lasts long enough for one send
+    const windowMs = bucket.rate >= 1 ? 1000 : Math.ceil(1000 / bucket.rate);
+    const slots = Math.max(1, Math.floor((bucket.rate * windowMs) / 1000));
+    const laneSlots = Math.max(1, Math.floor(slots * (LANE_SHARES[lane] ?? 1)));
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+
+    // A window full for the lane does not match, so the upsert collides with it instead.
+    // The first collision may also be another worker creating the window.
+    for (let attempt = 0; attempt < 2; attempt += 1) {
+      try {
+        await SendWindow.findOneAndUpdate(
+          { phoneId: bucket.phoneId, windowStart: new Date(windowStart), count: { $lt: laneSlots } },
+          {
+            $inc: { count: 1 },
+            $setOnInsert: { expiresAt: new Date(windowStart + windowMs + WINDOW_RETENTION_MS) }
+          },
+          { upsert: true }
+        );
+        return 0;
+      } catch (error) {
+        if (!isDuplicateKey(error)) throw error;
+      }
+    }
+    return Math.max(windowStart + windowMs - Date.now(), 1);
+  }
+
+  // ===============================
+  // DAILY RECIPIENT CAP
+  // ===============================
+
+  /**
+   * Count `to` against the number's 24-hour recipients. Resolves true when
+   * `to` is a new recipient. Workers adding the last free recipient at the
+   * same time may all back off; none goes over the cap.
+   */
+  async reserveRecipient(bucket, to) {
+    if (!bucket.dailyRecipientCap) return false;
+
+    const firstAt = new Date();
+    const since = new Date(firstAt.getTime() - RECIPIENT_WINDOW_MS);
+    // Pipeline updates are not cast by Mongoose
+    const owner = mongoose.isValidObjectId(String(bucket.tenantId))
+      ? { tenantId: new mongoose.Types.ObjectId(String(bucket.tenantId)) }
+      : {};
+
+    // Keeps a first send inside the window, restarts an older one
+    let previous;
+    for (let attempt = 0; attempt < 2; attempt += 1) {
+      try {
+        previous = await SendRecipient.findOneAndUpdate(
+          { phoneId: bucket.phoneId, to },
+          [{
+            $set: {
+              ...owner,
+              firstAt: { $cond: [{ $gte: ['$firstAt', since] }, '$firstAt', firstAt] }
+            }
+          }],
+          { upsert: true, new: false }
+        ).lean();
+        break;
+      } catch (error) {
+        // Another worker inserted `to` first: it is no longer new
+        if (!isDuplicateKey(error) || attempt > 0) throw error;
+      }
+    }
+    if (previous && previous.firstAt >= since) return false;
+
+    const count = await SendRecipient.countDocuments({
+      phoneId: bucket.phoneId,
+      firstAt: { $gte: since }
+    });
+    if (count > bucket.dailyRecipientCap) {
+      await SendRecipient.deleteOne({ phoneId: bucket.phoneId, to, firstAt });
+      throw recipientCapError(bucket.phoneId, bucket.dailyRecipientCap);
+    }
+    return true;
+  }
+
+  /**
+   * Give back a recipient whose first send failed
+   */
+  async releaseRecipient(client, to) {
+    try {
+      await SendRecipient.deleteOne({ phoneId: client.phoneId, to });
+    } catch (error) {
+      console.warn(`⚠️ Could not release recipient ${to} on ${client.phoneId}:`, error.message);
+    }
+  }
+
+  // ===============================
+  // PROVIDER FEEDBACK
+  // ===============================
+
+  isThrottleError(err) {
+    return THROTTLE_CODES.includes(err?.response?.data?.error?.code);
+  }
+
+  /**
+   * Meta said "too many messages": stop the number for a growing pause
+   */
+  throttled(client) {
+    const bucket = this.buckets.get(client.phoneId);
+    if (!bucket) return;
+    bucket.strikes += 1;
+    const pause = Math.min(MAX_BACKOFF_MS, 1000 * 2 ** (bucket.strikes - 1));
+    bucket.pausedUntil = Date.now() + pause;
+    console.warn(`🐢 Throttled by Meta on ${client.phoneId}, pausing sends for ${pause}ms`);
+    this.drain(bucket);
+  }
+
+  succeeded(client) {
+    const bucket = this.buckets.get(client.phoneId);
+    if (bucket) bucket.strikes = 0;
+  }
+
+  // ===============================
+  // TIER SYNC
+  // ===============================
+
+  maybeSyncTier(client, limits) {
+    if (!client.phoneUrl) return;
+    const syncedAt = limits.tierSyncedAt ? new Date(limits.tierSyncedAt).getTime() : 0;
+    if (Date.now() - syncedAt < TIER_SYNC_MS) return;
+
+    // Stamp first so concurrent sends don't all fetch
+    limits.tierSyncedAt = new Date();
+    this.syncTier(client).catch(error => {
+      console.warn(`⚠️ Messaging tier sync failed for ${client.phoneId}:`, error.response?.data?.error?.message || error.message);
+    });
+  }
+
+  /**
+   * Read messaging_limit_tier and throughput from the Graph API and store
+   * them on the tenant
+   */
+  async syncTier(client) {
+    const { data } = await axios.get(client.phoneUrl, {
+      headers: client.headers,
+      params: { fields: 'messaging_limit_tier,throughput' }
+    });
+
+    const set = { 'sendLimits.tierSyncedAt': new Date() };
+    if (TIER_CAPS[data.messaging_limit_tier] !== undefined) {
+      set['sendLimits.messagingTier'] = data.messaging_limit_tier;
+    }
+    if (data.throughput?.level) {
+      set['sendLimits.throughputLevel'] = data.throughput.level;
+    }
+
+    await Tenant.updateOne({ _id: client.tenantId }, { $set: set });
+    this.invalidate(client.tenantId);
+    console.log(`📶 ${client.phoneId}: tier ${data.messaging_limit_tier || 'unknown'}, throughput ${data.throughput?.level || 'unknown'}`);
+    return data;
+  }
+
+  /**
+   * Live state of a tenant's number for the settings API
+   */
+  async getStatus(tenantId, phoneId) {
+    const limits = await this.getLimits(tenantId);
+    const bucket = phoneId ? this.buckets.get(phoneId) : null;
+    const recipientsLast24h = phoneId
+      ? await SendRecipient.countDocuments({
+          phoneId,
+          firstAt: { $gte: new Date(Date.now() - RECIPIENT_WINDOW_MS) }
+        })
+      : null;
+
+    return {
+      ...limits,
+      phoneId: phoneId || null,
+      recipientsLast24h,
+      queued: bucket ? Object.fromEntries(LANES.map(lane => [lane, bucket.queues[lane].length])) : null,
+      pausedUntil: bucket && bucket.pausedUntil > Date.now() ? new Date(bucket.pausedUntil) : null,
+      sentSinceStart: bucket ? bucket.sent : 0
+    };
+  }
+}
+
+module.exports = new SendGovernor();
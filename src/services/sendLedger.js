@@ -0,0 +1,139 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const SendLedger = require('../models/SendLedger');
+
+// A reservation older than this that never got committed most likely
+// crashed mid-send; it is reported, never retried automatically
+const UNCONFIRMED_AFTER_MS = 10 * 60 * 1000;
+
+class SendLedgerService {
+  constructor() {
+    this.owner = `${os.hostname()}:${process.pid}`;
+  }
+
+  /**
+   * Occurrence date for a send at `date`, e.g. "2026-10-19"
+   */
+  occurrenceDateFor(date = new Date()) {
+    return moment(date).tz('Asia/Kolkata').format('YYYY-MM-DD');
+  }
+
+  buildKey({ campaignId, stepId, contactId, occurrenceDate }) {
+    return `${campaignId}:${stepId}:${contactId}:${occurrenceDate}`;
+  }
+
+  /**
+   * Reserve the idempotency key before sending.
+   * Returns { reserved: true, entry } when the caller may send, otherwise
+   * { reserved: false, entry, reason } with reason "already_sent" or "in_flight".
+   * A failed entry can be reserved again, since nothing reached the contact.
+   */
+  async reserve({ tenantId, campaignId, stepId, contactId, occurrenceDate, to }) {
+    occurrenceDate = occurrenceDate || this.occurrenceDateFor();
+    const key = this.buildKey({ campaignId, stepId, contactId, occurrenceDate });
+
+    try {
+      const entry = await SendLedger.create({
+        key,
+        tenantId,
+        campaignId,
+        stepId,
+        contactId,
+        occurrenceDate,
+        to,
+        reservedBy: this.owner
+      });
+      return { reserved: true, entry };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+
+    const retried = await SendLedger.findOneAndUpdate(
+      { key, status: 'failed' },
+      {
+        $set: { status: 'reserved', to, reservedBy: this.owner, reservedAt: new Date() },
+        $unset: { error: 1, failedAt: 1 },
+        $inc: { attempts: 1 }
+      },
+      { new: true }
+    );
+    if (retried) return { reserved: true, entry: retried };
+
+    const entry = await SendLedger.findOne({ key });
+    return {
+      reserved: false,
+      entry,
+      reason: entry && entry.status === 'sent' ? 'already_sent' : 'in_flight'
+    };
+  }
+
+  /**
+   * The provider accepted the message
+   */
+  async commit(entry, messageId) {
+    await SendLedger.updateOne(
+      { _id: entry._id, status: 'reserved' },
+      { $set: { status: 'sent', messageId, sentAt: new Date() } }
+    );
+  }
+
+  /**
+   * The provider rejected the message; the key may be reserved again
+   */
+  async fail(entry, errorMessage) {
+    await SendLedger.updateOne(
+      { _id: entry._id, status: 'reserved' },
+      { $set: { status: 'failed', error: errorMessage, failedAt: new Date() } }
+    );
+  }
+
+  /**
+   * The provider accepted the message but later reported it failed, so
+   * nothing reached the contact and the key may be reserved again
+   */
+  async reopen(messageId, errorMessage) {
+    return SendLedger.findOneAndUpdate(
+      { messageId, status: 'sent' },
+      { $set: { status: 'failed', error: errorMessage, failedAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  async hasBeenSent({ campaignId, stepId, contactId, occurrenceDate }) {
+    const key = this.buildKey({ campaignId, stepId, contactId, occurrenceDate });
+    return !!(await SendLedger.exists({ key, status: { $in: ['reserved', 'sent'] } }));
+  }
+
+  /**
+   * Entry counts by status for a campaign
+   */
+  async getSummary(campaignId) {
+    const rows = await SendLedger.aggregate([
+      { $match: { campaignId: new mongoose.Types.ObjectId(campaignId) } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const summary = { reserved: 0, sent: 0, failed: 0 };
+    rows.forEach(row => { summary[row._id] = row.count; });
+    return summary;
+  }
+
+  /**
+   * Reservations that were never committed or failed (send outcome unknown)
+   */
+  async getUnconfirmed(campaignId) {
+    return SendLedger.find({
+      campaignId,
+      status: 'reserved',
+      reservedAt: { $lt: new Date(Date.now() - UNCONFIRMED_AFTER_MS) }
+    }).sort({ reservedAt: -1 }).limit(500).lean();
+  }
+
+  async deleteCampaignEntries(campaignId) {
+    const result = await SendLedger.deleteMany({ campaignId });
+    return result.deletedCount;
+  }
+}
+
+module.exports = new SendLedgerService();
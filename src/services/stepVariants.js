@@ -0,0 +1,306 @@
+// src/services/stepVariants.js
+// A/B tests of campaign steps. A step with `variants` sends each contact one
+// of them, picked by weight from a hash of step and contact, so retries and
+// re-syncs always send a contact the same one. The variant key is kept on
+// the MessageLog and the progress entry. Replies and the test's goal are
+// marked on the MessageLog (repliedAt / goalAt), and results() compares the
+// variants' delivery, read, reply and goal rates from those logs.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const NodeCache = require('node-cache');
+const CampaignStep = require('../models/CampaignStep');
+const MessageLog = require('../models/MessageLog');
+const optOutService = require('./optOutService');
+const { parseReply } = require('./campaignResponses');
+
+// Content fields a variant may replace
+const CONTENT_FIELDS = [
+  'type', 'body', 'templateName', 'language', 'mediaUrl', 'caption',
+  'interactive', 'location', 'contacts', 'placeholders', 'headerParams', 'buttonParams'
+];
+const METRICS = ['delivered', 'read', 'replied', 'goal'];
+const SENT_STATUSES = ['sent', 'delivered', 'read'];
+const DEFAULT_WINDOW_HOURS = 72;
+// Sends older than this are never looked at for replies and goals
+const MAX_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Auto-promotion is checked at most once a minute per step
+const promotionChecks = new NodeCache({ stdTTL: 60 });
+
+function hasVariants(step) {
+  return Array.isArray(step?.variants) && step.variants.length > 0;
+}
+
+function weightOf(variant) {
+  return variant.weight ?? 1;
+}
+
+/**
+ * The variant `contactId` gets, or null for steps without variants
+ */
+function pickVariant(step, contactId) {
+  if (!hasVariants(step)) return null;
+
+  const promoted = step.abTest?.promotedVariant;
+  const winner = promoted && step.variants.find(v => v.key === promoted);
+  if (winner) return winner;
+
+  const weighted = step.variants.filter(v => weightOf(v) > 0);
+  if (!weighted.length) return step.variants[0];
+
+  // The same step and contact always land on the same point of [0, total)
+  const total = weighted.reduce((sum, v) => sum + weightOf(v), 0);
+  const hash = crypto.createHash('sha1').update(`${step._id}:${contactId}`).digest();
+  let point = (hash.readUInt32BE(0) / 0x100000000) * total;
+
+  for (const variant of weighted) {
+    point -= weightOf(variant);
+    if (point < 0) return variant;
+  }
+  return weighted[weighted.length - 1];
+}
+
+/**
+ * The step as sent with `variant`: the variant's content over the step's own
+ */
+function applyVariant(step, variant) {
+  const source = typeof step.toObject === 'function' ? step.toObject() : { ...step };
+  if (!variant) return source;
+
+  const fields = typeof variant.toObject === 'function' ? variant.toObject() : variant;
+  for (const field of CONTENT_FIELDS) {
+    if (fields[field] !== undefined && fields[field] !== null) source[field] = fields[field];
+  }
+  return source;
+}
+
+function windowMs(step) {
+  return (step.abTest?.windowHours || DEFAULT_WINDOW_HOURS) * 60 * 60 * 1000;
+}
+
+function lowered(values) {
+  return (values || []).map(v => String(v).toLowerCase());
+}
+
+/**
+ * Whether `event` reaches the step's goal. Events are { type: 'reply', msg },
+ * { type: 'event', eventName } and { type: 'tag', tags }.
+ */
+function reachesGoal(step, event) {
+  const goal = step.abTest?.goal;
+  if (!goal?.type) return false;
+
+  switch (goal.type) {
+    case 'reply':
+      return event.type === 'reply';
+
+    case 'button': {
+      const reply = event.type === 'reply' && parseReply(event.msg);
+      const values = lowered(goal.values);
+      return !!reply && [reply.optionId, reply.title].some(v => v && values.includes(String(v).toLowerCase()));
+    }
+
+    case 'keyword':
+      return event.type === 'reply' &&
+        !!optOutService.findKeyword(goal.values, optOutService.getKeywordTexts(event.msg), 'contains');
+
+    case 'event':
+      return event.type === 'event' && goal.eventName === event.eventName;
+
+    case 'tag': {
+      if (event.type !== 'tag') return false;
+      const values = lowered(goal.values);
+      return (event.tags || []).some(t => !values.length || values.includes(String(t).toLowerCase()));
+    }
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Mark the contact's recent A/B test sends that `event` counts for.
+ * `filter` picks the contact's logs ({ tenantId, to } or { contactId }).
+ */
+async function markSends(filter, event, at = new Date()) {
+  const logs = await MessageLog.find({
+    ...filter,
+    direction: 'outbound',
+    variant: { $exists: true },
+    status: { $in: SENT_STATUSES },
+    sentAt: { $gte: new Date(at.getTime() - MAX_WINDOW_MS), $lte: at },
+    $or: [{ repliedAt: null }, { goalAt: null }]
+  })
+    .select('stepId sentAt repliedAt goalAt')
+    .lean();
+  if (!logs.length) return 0;
+
+  const steps = await CampaignStep.find({ _id: { $in: [...new Set(logs.map(l => String(l.stepId)))] } })
+    .select('variants abTest')
+    .lean();
+  const stepsById = new Map(steps.map(s => [String(s._id), s]));
+
+  const touched = new Set();
+  let marked = 0;
+
+  for (const log of logs) {
+    const step = stepsById.get(String(log.stepId));
+    if (!step || at - log.sentAt > windowMs(step)) continue;
+
+    const set = {};
+    if (event.type === 'reply' && !log.repliedAt) set.repliedAt = at;
+    if (!log.goalAt && reachesGoal(step, event)) set.goalAt = at;
+    if (!Object.keys(set).length) continue;
+
+    await MessageLog.updateOne({ _id: log._id }, { $set: set });
+    touched.add(step);
+    marked++;
+  }
+
+  for (const step of touched) {
+    await maybePromote(step);
+  }
+  return marked;
+}
+
+/**
+ * Inbound message from `phone` (normalized): a reply to the sends before it
+ */
+async function recordReply({ tenantId, phone, msg }) {
+  try {
+    const at = msg?.timestamp ? new Date(Number(msg.timestamp) * 1000) : new Date();
+    return await markSends({ tenantId, to: phone }, { type: 'reply', msg }, at);
+  } catch (error) {
+    console.error('❌ Error recording A/B test reply:', error.message);
+    return 0;
+  }
+}
+
+/**
+ * An event posted for the contact (/api/events) or tags added to them:
+ * { type: 'event', eventName } or { type: 'tag', tags }
+ */
+async function recordGoal(contact, event) {
+  try {
+    return await markSends({ tenantId: contact.tenantId, contactId: contact._id }, event);
+  } catch (error) {
+    console.error('❌ Error recording A/B test goal:', error.message);
+    return 0;
+  }
+}
+
+function rate(count, total) {
+  return total ? Math.round((count / total) * 10000) / 100 : 0;
+}
+
+/**
+ * Per-variant counts and rates (percent of contacts sent to). A contact
+ * counts once per variant, however many attempts the send took.
+ */
+async function results(step) {
+  const rows = await MessageLog.aggregate([
+    {
+      $match: {
+        stepId: new mongoose.Types.ObjectId(String(step._id)),
+        direction: 'outbound',
+        variant: { $exists: true }
+      }
+    },
+    {
+      $group: {
+        _id: { variant: '$variant', contactId: '$contactId' },
+        sent: { $max: { $cond: [{ $in: ['$status', SENT_STATUSES] }, 1, 0] } },
+        delivered: { $max: { $cond: [{ $or: [{ $in: ['$status', ['delivered', 'read']] }, { $gt: ['$deliveredAt', null] }] }, 1, 0] } },
+        read: { $max: { $cond: [{ $or: [{ $eq: ['$status', 'read'] }, { $gt: ['$readAt', null] }] }, 1, 0] } },
+        replied: { $max: { $cond: [{ $gt: ['$repliedAt', null] }, 1, 0] } },
+        goal: { $max: { $cond: [{ $gt: ['$goalAt', null] }, 1, 0] } }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.variant',
+        contacts: { $sum: 1 },
+        sent: { $sum: '$sent' },
+        delivered: { $sum: '$delivered' },
+        read: { $sum: '$read' },
+        replied: { $sum: '$replied' },
+        goal: { $sum: '$goal' }
+      }
+    }
+  ]);
+  const byKey = new Map(rows.map(r => [r._id, r]));
+
+  const variants = (step.variants || []).map(variant => {
+    const row = byKey.get(variant.key) || {};
+    const sent = row.sent || 0;
+    return {
+      key: variant.key,
+      name: variant.name,
+      weight: weightOf(variant),
+      contacts: row.contacts || 0,
+      sent,
+      failed: (row.contacts || 0) - sent,
+      ...Object.fromEntries(METRICS.map(metric => [metric, row[metric] || 0])),
+      rates: Object.fromEntries(METRICS.map(metric => [metric, rate(row[metric] || 0, sent)]))
+    };
+  });
+
+  const metric = step.abTest?.metric || 'replied';
+  const ranked = variants.filter(v => v.sent > 0).sort((a, b) => b.rates[metric] - a.rates[metric]);
+  const minSample = step.abTest?.minSample || 100;
+
+  // No leader while the best two are tied
+  const leader = ranked.length && (ranked.length === 1 || ranked[0].rates[metric] > ranked[1].rates[metric])
+    ? ranked[0].key
+    : null;
+
+  return {
+    metric,
+    minSample,
+    variants,
+    leader,
+    sampleReached: variants.length > 1 && variants.every(v => v.sent >= minSample)
+  };
+}
+
+/**
+ * With abTest.autoPromote, send the leading variant to everyone once every
+ * variant reached minSample sends. Returns the promoted key or null.
+ */
+async function maybePromote(step) {
+  try {
+    if (!hasVariants(step) || !step.abTest?.autoPromote || step.abTest.promotedVariant) return null;
+
+    const key = String(step._id);
+    if (promotionChecks.get(key)) return null;
+    promotionChecks.set(key, true);
+
+    const current = await CampaignStep.findById(step._id).select('variants abTest').lean();
+    if (!current || !current.abTest?.autoPromote || current.abTest.promotedVariant) return null;
+
+    const { leader, sampleReached, metric } = await results(current);
+    if (!sampleReached || !leader) return null;
+
+    const promoted = await CampaignStep.updateOne(
+      { _id: step._id, 'abTest.promotedVariant': { $in: [null, ''] } },
+      { $set: { 'abTest.promotedVariant': leader, 'abTest.promotedAt': new Date() } }
+    );
+    if (!promoted.modifiedCount) return null;
+
+    console.log(`🏆 Step ${step._id}: variant "${leader}" promoted (best ${metric} rate)`);
+    return leader;
+  } catch (error) {
+    console.error('❌ Error promoting A/B test winner:', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  METRICS,
+  pickVariant,
+  applyVariant,
+  recordReply,
+  recordGoal,
+  results,
+  maybePromote
+};
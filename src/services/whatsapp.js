@@ -1,20 +1,147 @@
 const axios = require('axios');
 const crypto = require("crypto");
+const mongoose = require('mongoose');
+const NodeCache = require('node-cache');
 const MessageLog = require("../models/MessageLog");
 const Template = require("../models/Template"); // Add Template model
+const Tenant = require("../models/Tenant");
+const { normalizeTenantPhone } = require("../utils/phone");
+const { buildContext, render } = require("../utils/variables");
+const sendGovernor = require("./sendGovernor");
+const providers = require("./providers");
 
-// Environment variables should be set here, but for this example, they are placeholders
 const GRAPH_VERSION = process.env.META_WA_GRAPH_VERSION || 'v17.0';
-const WABA_ID = process.env.META_WA_BUSINESS_ID;     // Your WhatsApp Business Account ID
-const PHONE_ID = process.env.META_WA_PHONE_ID;       // Your Phone number ID for sending
-const TOKEN = process.env.META_WA_TOKEN;            // Your Access Token
+const GRAPH_BASE_URL = `https://graph.facebook.com/${GRAPH_VERSION}`;
 
-if (!WABA_ID || !PHONE_ID || !TOKEN) {
-  console.warn('Warning: Missing Meta WA config (WABA_ID, PHONE_ID, TOKEN). Please set them.');
+// Env credentials are only used for the DEFAULT_TENANT_ID tenant (single-brand installs)
+const ENV_WABA_ID = process.env.META_WA_BUSINESS_ID;
+const ENV_PHONE_ID = process.env.META_WA_PHONE_ID;
+const ENV_TOKEN = process.env.META_WA_TOKEN;
+
+// Per-tenant Graph API clients, keyed by tenantId
+const clientCache = new NodeCache({
+  stdTTL: parseInt(process.env.WA_CLIENT_CACHE_TTL || '300', 10),
+  useClones: false
+});
+
+function buildClient(tenantId, { wabaId, phoneId, token, phoneNumber }) {
+  return {
+    tenantId,
+    provider: 'meta',
+    wabaId,
+    phoneId,
+    token,
+    phoneNumber,
+    graphUrl: GRAPH_BASE_URL,
+    phoneUrl: `${GRAPH_BASE_URL}/${phoneId}`,
+    messagesUrl: `${GRAPH_BASE_URL}/${phoneId}/messages`,
+    templatesUrl: `${GRAPH_BASE_URL}/${wabaId}/message_templates`,
+    headers: { Authorization: `Bearer ${token}` }
+  };
+}
+
+// Twilio and simulator clients carry no Graph API urls; their phoneId
+// ("twilio:+14155238886", "simulator:<tenantId>") identifies the number in
+// the send governor and in webhook events
+function buildTwilioClient(tenantId, tenant) {
+  const { accountSid, authToken, whatsappFrom } = tenant.twilio;
+  return {
+    tenantId,
+    provider: 'twilio',
+    phoneId: `twilio:${whatsappFrom}`,
+    phoneNumber: whatsappFrom.replace(/\D/g, ''),
+    twilio: { accountSid, authToken, whatsappFrom, contentSids: tenant.twilio.contentSids || {} }
+  };
+}
+
+function buildSimulatorClient(tenantId, tenant) {
+  return {
+    tenantId,
+    provider: 'simulator',
+    phoneId: `simulator:${tenantId}`,
+    phoneNumber: tenant.whatsappPhoneNumber || '15550000000',
+    simulator: tenant.simulator || {}
+  };
+}
+
+function whatsappNotConnectedError(tenantId, reason, hint) {
+  const err = new Error(
+    `WhatsApp is not connected for tenant ${tenantId}: ${reason}. ` +
+    (hint || 'Set whatsappPhoneId, whatsappBusinessId and whatsappAccessToken on the tenant.')
+  );
+  err.code = 'WHATSAPP_NOT_CONNECTED';
+  err.status = 409;
+  err.tenantId = tenantId ? String(tenantId) : null;
+  return err;
 }
 
-const TEMPLATE_LIST_URL = `https://graph.facebook.com/${GRAPH_VERSION}/${WABA_ID}/message_templates`;
-const MESSAGE_SEND_URL = `https://graph.facebook.com/${GRAPH_VERSION}/${PHONE_ID}/messages`;
+/**
+ * Resolve (and cache) the messaging client for a tenant; `provider` names
+ * the services/providers adapter that sends for it
+ */
+async function getTenantClient(tenantId) {
+  if (!tenantId) {
+    throw whatsappNotConnectedError(tenantId, 'no tenant specified for this send');
+  }
+
+  const key = String(tenantId);
+  const cached = clientCache.get(key);
+  if (cached) return cached;
+
+  let tenant = null;
+  if (mongoose.isValidObjectId(key)) {
+    tenant = await Tenant.findById(key)
+      .select('whatsappBusinessId whatsappPhoneId whatsappAccessToken whatsappPhoneNumber status messagingProvider twilio simulator')
+      .lean();
+  }
+
+  if (tenant && tenant.status && tenant.status !== 'active') {
+    throw whatsappNotConnectedError(key, `tenant is ${tenant.status}`);
+  }
+
+  if (tenant?.messagingProvider === 'twilio') {
+    const { accountSid, authToken, whatsappFrom } = tenant.twilio || {};
+    if (!accountSid || !authToken || !whatsappFrom) {
+      throw whatsappNotConnectedError(key, 'Twilio is not configured',
+        'Set twilio.accountSid, twilio.authToken and twilio.whatsappFrom on the tenant.');
+    }
+    const client = buildTwilioClient(key, tenant);
+    clientCache.set(key, client);
+    return client;
+  }
+
+  if (tenant?.messagingProvider === 'simulator') {
+    const client = buildSimulatorClient(key, tenant);
+    clientCache.set(key, client);
+    return client;
+  }
+
+  let creds = {
+    wabaId: tenant?.whatsappBusinessId,
+    phoneId: tenant?.whatsappPhoneId,
+    token: tenant?.whatsappAccessToken,
+    phoneNumber: tenant?.whatsappPhoneNumber
+  };
+
+  if ((!creds.phoneId || !creds.token) && key === String(process.env.DEFAULT_TENANT_ID)) {
+    creds = { wabaId: ENV_WABA_ID, phoneId: ENV_PHONE_ID, token: ENV_TOKEN };
+  }
+
+  if (!creds.phoneId || !creds.token) {
+    throw whatsappNotConnectedError(key, 'no WhatsApp number connected');
+  }
+
+  const client = buildClient(key, creds);
+  clientCache.set(key, client);
+  return client;
+}
+
+/**
+ * Drop a cached client, e.g. after the tenant's WhatsApp settings change
+ */
+function invalidateTenantClient(tenantId) {
+  if (tenantId) clientCache.del(String(tenantId));
+}
 
 // Utility function to clean text (remove newlines, tabs, consecutive spaces)
 function cleanText(text) {
@@ -22,32 +149,46 @@ function cleanText(text) {
   return text.replace(/[\n\t]+/g, ' ').replace(/ {5,}/g, '    ');
 }
 
-// Function to send raw payload to WhatsApp
-async function sendRaw(payload) {
-  console.log('📤 WhatsApp send payload:', JSON.stringify(payload, null, 2));
+// Function to send raw payload to WhatsApp from the tenant's number, through
+// the tenant's provider. The response names the provider that sent it.
+// options.lane picks the send governor lane: 'inbox' (replies to customers),
+// 'transactional' (default) or 'marketing' (campaigns, batch sends).
+async function sendRaw(payload, tenantId, options = {}) {
+  const client = await getTenantClient(tenantId);
+
+  // Every outbound path ends here, so normalize the recipient once
+  const to = await normalizeTenantPhone(payload.to, tenantId, { stored: true });
+  if (!to) {
+    const err = new Error(`Invalid recipient phone number: ${payload.to}`);
+    err.code = 'INVALID_PHONE';
+    err.status = 400;
+    throw err;
+  }
+  payload.to = to;
+
+  // Wait for this number's rate limit and daily recipient cap
+  const { newRecipient } = await sendGovernor.acquire(client, { to, lane: options.lane });
+
+  console.log(`📤 WhatsApp send payload (tenant ${client.tenantId}, ${client.provider}):`, JSON.stringify(payload, null, 2));
   try {
-    const res = await axios.post(MESSAGE_SEND_URL, payload, {
-      headers: {
-        Authorization: `Bearer ${TOKEN}`,
-        'Content-Type': 'application/json',
-      },
-    });
-    console.log('✅ WhatsApp send response:', res.data);
-    return res.data;
+    const data = await providers.get(client.provider).send(client, payload);
+    sendGovernor.succeeded(client);
+    console.log('✅ WhatsApp send response:', data);
+    return { ...data, provider: client.provider };
   } catch (err) {
+    if (sendGovernor.isThrottleError(err)) sendGovernor.throttled(client);
+    if (newRecipient) await sendGovernor.releaseRecipient(client, to);
+    err.provider = client.provider;
     console.error('❌ WhatsApp send error:', err.response?.data || err.message);
     throw err;
   }
 }
 
 // Fetch template details from WhatsApp API
-async function fetchTemplateDetail(templateName, language = 'en_US') {
-  const url = `${TEMPLATE_LIST_URL}?name=${templateName}&fields=name,components,language,status`;
-  const resp = await axios.get(url, {
-    headers: {
-      Authorization: `Bearer ${TOKEN}`,
-    },
-  });
+async function fetchTemplateDetail(templateName, language = 'en_US', tenantId) {
+  const client = await getTenantClient(tenantId);
+  const url = `${client.templatesUrl}?name=${templateName}&fields=name,components,language,status`;
+  const resp = await axios.get(url, { headers: client.headers });
 
   const data = resp.data;
   if (!data.data || data.data.length === 0) {
@@ -191,7 +332,8 @@ async function sendTemplate({
   language = 'en_US',
   dynamicParams = [], // Array of strings for variables
   components = [],     // Optional: Pre-built components
-  tenantId = null     // Optional: Tenant ID for DB lookup
+  tenantId = null,    // Tenant whose number sends the message
+  lane                // Send governor lane (see services/sendGovernor.js)
 }) {
   if (!to || !templateName) {
     throw new Error('to and templateName required for template message');
@@ -227,15 +369,28 @@ async function sendTemplate({
       }
     }
 
-    // 2. Fetch template details from Meta
-    const tplDetail = await fetchTemplateDetail(actualTemplateName, language);
-    console.log('✅ Fetched template detail from Meta:', tplDetail.name);
+    // 2. Fetch template details from Meta; other providers use the synced copy
+    const client = await getTenantClient(tenantId);
+    let tplDetail;
+    if (client.provider === 'meta') {
+      tplDetail = await fetchTemplateDetail(actualTemplateName, language, tenantId);
+      console.log('✅ Fetched template detail from Meta:', tplDetail.name);
+    } else {
+      tplDetail = { name: actualTemplateName, components: localTemplate?.components || [] };
+    }
 
     let validComponents = [];
 
     // 3. If dynamicParams provided, map them to components
     if (dynamicParams && dynamicParams.length > 0) {
       validComponents = mapTemplateComponents(tplDetail.components || [], dynamicParams);
+      if (validComponents.length === 0 && client.provider !== 'meta') {
+        // Template unknown locally: pass the values as body variables
+        validComponents = [{
+          type: 'body',
+          parameters: dynamicParams.map(text => ({ type: 'text', text: cleanText(String(text)) }))
+        }];
+      }
     } 
     // 4. Else if components provided directly, use them
     else if (components && components.length > 0) {
@@ -263,7 +418,7 @@ async function sendTemplate({
     }
 
     console.log('📤 Final template payload:', JSON.stringify(payload, null, 2));
-    return sendRaw(payload);
+    return sendRaw(payload, tenantId, { lane });
     
   } catch (error) {
     console.error('❌ Error in sendTemplate:', error.message);
@@ -276,7 +431,7 @@ async function sendTemplate({
 // =======================
 
 // Send Text Message
-async function sendText({ to, body }) {
+async function sendText({ to, body, tenantId, lane }) {
   if (!to || !body) throw new Error('to and body required');
   const payload = { 
     messaging_product: 'whatsapp', 
@@ -285,11 +440,11 @@ async function sendText({ to, body }) {
     type: 'text', 
     text: { body } 
   };
-  return sendRaw(payload);
+  return sendRaw(payload, tenantId, { lane });
 }
 
 // Send Image
-async function sendImage({ to, imageUrl, caption = '' }) {
+async function sendImage({ to, imageUrl, caption = '', tenantId, lane }) {
   if (!to || !imageUrl) throw new Error('to and imageUrl required');
   const payload = { 
     messaging_product: 'whatsapp', 
@@ -298,11 +453,11 @@ async function sendImage({ to, imageUrl, caption = '' }) {
     type: 'image', 
     image: { link: imageUrl, caption } 
   };
-  return sendRaw(payload);
+  return sendRaw(payload, tenantId, { lane });
 }
 
 // Send Video
-async function sendVideo({ to, videoUrl, caption = '' }) {
+async function sendVideo({ to, videoUrl, caption = '', tenantId, lane }) {
   if (!to || !videoUrl) throw new Error('to and videoUrl required');
   const payload = { 
     messaging_product: 'whatsapp', 
@@ -311,11 +466,11 @@ async function sendVideo({ to, videoUrl, caption = '' }) {
     type: 'video', 
     video: { link: videoUrl, caption } 
   };
-  return sendRaw(payload);
+  return sendRaw(payload, tenantId, { lane });
 }
 
 // Send File
-async function sendFile({ to, fileUrl, caption = '' }) {
+async function sendFile({ to, fileUrl, caption = '', tenantId, lane }) {
   if (!to || !fileUrl) throw new Error('to and fileUrl required');
   const payload = { 
     messaging_product: 'whatsapp', 
@@ -324,11 +479,11 @@ async function sendFile({ to, fileUrl, caption = '' }) {
     type: 'document', 
     document: { link: fileUrl, caption } 
   };
-  return sendRaw(payload);
+  return sendRaw(payload, tenantId, { lane });
 }
 
 // Send Location
-async function sendLocation({ to, latitude, longitude, name = '', address = '' }) {
+async function sendLocation({ to, latitude, longitude, name = '', address = '', tenantId, lane }) {
   if (!to || !latitude || !longitude) throw new Error('to, latitude, and longitude are required');
   const payload = {
     messaging_product: 'whatsapp',
@@ -342,11 +497,11 @@ async function sendLocation({ to, latitude, longitude, name = '', address = '' }
       address,
     },
   };
-  return sendRaw(payload);
+  return sendRaw(payload, tenantId, { lane });
 }
 
 // Send Contact
-async function sendContact({ to, contacts }) {
+async function sendContact({ to, contacts, tenantId, lane }) {
   if (!to || !Array.isArray(contacts)) throw new Error('to and contacts array are required');
   const payload = {
     messaging_product: 'whatsapp',
@@ -358,7 +513,7 @@ async function sendContact({ to, contacts }) {
       phones: [{ phone: contact.phone }],
     })),
   };
-  return sendRaw(payload);
+  return sendRaw(payload, tenantId, { lane });
 }
 
 // =======================
@@ -366,112 +521,268 @@ async function sendContact({ to, contacts }) {
 // =======================
 
 /**
- * Process campaign step for a contact
+ * Template parameters of a step: `placeholders` fill the body ({{1}}, {{2}}, ...),
+ * `headerParams` the header (text variables or one media link) and
+ * `buttonParams` the URL suffix of the button at `index`
  */
-async function processCampaignStep(step, contact, campaign, tenantId = null) {
-  try {
-    const to = contact.phone.replace(/\+/g, '');
-    console.log(`🎯 Processing campaign step ${step.sequence} for ${to}`);
+async function buildTemplateComponents(step, renderText, tenantId) {
+  const header = (step.headerParams || []).map(renderText);
+  const body = (step.placeholders || []).map(renderText);
+  const buttons = (step.buttonParams || []).map(param => ({
+    index: param.index,
+    text: renderText(param.value)
+  }));
+  const components = [];
 
-    let response = null;
+  if (header.length) {
+    const template = await findTemplateInDB(step.templateName, tenantId);
+    const format = (template?.header?.format || 'TEXT').toLowerCase();
+    components.push({
+      type: 'header',
+      parameters: ['image', 'video', 'document'].includes(format)
+        ? [{ type: format, [format]: { link: header[0] } }]
+        : header.map(text => ({ type: 'text', text: cleanText(text) }))
+    });
+  }
 
-    switch (step.type) {
-      case 'text':
-        response = await sendText({ to, body: step.body });
-        break;
-        
-      case 'media':
-        const mediaUrl = step.mediaUrl;
-        if (mediaUrl.match(/\.(jpg|jpeg|png|gif|webp)$/i)) {
-          response = await sendImage({ 
-            to, 
-            imageUrl: mediaUrl, 
-            caption: step.caption || '' 
-          });
-        } else if (mediaUrl.match(/\.(mp4|avi|mov|wmv)$/i)) {
-          response = await sendVideo({ 
-            to, 
-            videoUrl: mediaUrl, 
-            caption: step.caption || '' 
-          });
-        } else {
-          response = await sendFile({ 
-            to, 
-            fileUrl: mediaUrl, 
-            caption: step.caption || '' 
-          });
-        }
-        break;
-        
-      case 'template':
-        if (!step.templateName) {
-          throw new Error('Template name is required for template messages');
-        }
-        
-        // Extract dynamic parameters from step if available
-        let dynamicParams = [];
-        if (step.dynamicParams && Array.isArray(step.dynamicParams)) {
-          dynamicParams = step.dynamicParams;
-        }
-        
-        response = await sendTemplate({
-          to,
-          templateName: step.templateName,
-          language: step.language || 'en_US',
-          dynamicParams: dynamicParams,
-          tenantId: tenantId || campaign.tenantId
-        });
-        break;
-        
-      default:
-        throw new Error(`Unknown step type: ${step.type}`);
-    }
+  if (body.length) {
+    components.push({
+      type: 'body',
+      parameters: body.map(text => ({ type: 'text', text: cleanText(text) }))
+    });
+  }
 
-    return {
-      success: true,
-      data: response,
-      contactId: contact._id,
-      stepId: step._id
-    };
-  } catch (error) {
-    console.error(`❌ Error processing step for ${contact.phone}:`, error);
-    return {
-      success: false,
-      error: error.message,
-      contactId: contact._id,
-      stepId: step._id
-    };
+  for (const button of buttons) {
+    components.push({
+      type: 'button',
+      sub_type: 'url',
+      index: String(button.index),
+      parameters: [{ type: 'text', text: button.text }]
+    });
   }
+
+  return components;
 }
 
 /**
- * Send batch messages
+ * Fill {{n}} placeholders of a template text with parameter values
  */
-async function sendBatchMessages(messages) {
-  try {
-    const results = await Promise.all(
-      messages.map(async (msg) => {
-        try {
-          const result = await processCampaignStep(msg.step, msg.contact, msg.campaign, msg.tenantId);
-          return result;
-        } catch (error) {
-          return {
-            success: false,
-            error: error.message,
-            contactId: msg.contact._id,
-            stepId: msg.step._id
-          };
+function fillPositional(text, values) {
+  if (!text) return text;
+  return text.replace(/{{(\d+)}}/g, (match, n) => values[Number(n) - 1] ?? match);
+}
+
+/**
+ * Render a campaign step for one contact.
+ * `vars` is { contact, campaign, day, now, timezone } (see utils/variables).
+ * Returns { step, components, missing, preview? }: the step with its text
+ * rendered, the template components, and expressions that had no value and
+ * no fallback. With options.preview the final template text is included.
+ */
+async function resolveStepContent(step, vars = {}, tenantId = null, options = {}) {
+  const context = buildContext({ ...vars, step });
+  const missing = new Set();
+  const renderText = (text) => {
+    const result = render(text, context);
+    result.missing.forEach(path => missing.add(path));
+    return result.text;
+  };
+
+  const source = typeof step.toObject === 'function' ? step.toObject() : step;
+  const resolved = {
+    ...source,
+    body: renderText(source.body),
+    caption: renderText(source.caption)
+  };
+
+  if (source.interactive) {
+    resolved.interactive = {
+      ...source.interactive,
+      header: renderText(source.interactive.header),
+      footer: renderText(source.interactive.footer),
+      url: renderText(source.interactive.url)
+    };
+  }
+
+  const components = source.type === 'template'
+    ? await buildTemplateComponents(source, renderText, tenantId)
+    : [];
+
+  const result = { step: resolved, components, missing: [...missing] };
+
+  if (options.preview && source.type === 'template') {
+    const template = await findTemplateInDB(source.templateName, tenantId);
+    const paramsOf = (type) => (components.find(c => c.type === type)?.parameters || []).map(p => p.text);
+    result.preview = template
+      ? {
+          templateName: template.name,
+          language: template.language,
+          header: template.header?.format === 'TEXT'
+            ? fillPositional(template.header.text, paramsOf('header'))
+            : (paramsOf('header')[0] ?? template.header?.mediaUrl ?? null),
+          body: fillPositional(template.body, paramsOf('body')),
+          footer: template.footer || null
         }
-      })
-    );
+      : null;
+  }
 
-    return results;
-  } catch (error) {
-    console.error('❌ Error sending batch messages:', error);
-    throw error;
+  return result;
+}
+
+/**
+ * What a rendered step shows the contact, for previews and dry runs.
+ * Takes the { step, components, preview } of resolveStepContent.
+ */
+function describeStepMessage({ step, components, preview }) {
+  const message = { type: step.type };
+  switch (step.type) {
+    case 'text':
+      message.body = step.body;
+      break;
+    case 'media':
+      message.mediaUrl = step.mediaUrl;
+      message.caption = step.caption;
+      break;
+    case 'template':
+      message.template = preview || { templateName: step.templateName, language: step.language };
+      message.components = components;
+      break;
+    case 'location':
+      message.location = step.location;
+      break;
+    case 'contacts':
+      message.contacts = step.contacts;
+      break;
+    default:
+      message.body = step.body;
+      message.interactive = step.interactive;
+  }
+  return message;
+}
+
+/**
+ * MessageLog type of the message a campaign step sends
+ */
+function stepMessageType(step) {
+  switch (step.type) {
+    case 'media': {
+      const mediaUrl = step.mediaUrl || '';
+      if (/\.(jpg|jpeg|png|gif|webp)$/i.test(mediaUrl)) return 'image';
+      if (/\.(mp4|avi|mov|wmv)$/i.test(mediaUrl)) return 'video';
+      return 'document';
+    }
+    case 'buttons':
+    case 'list':
+    case 'cta_url':
+      return 'interactive';
+    default:
+      return step.type;
   }
 }
 
+/**
+ * Send the message described by a campaign step, rendered for `vars.contact`.
+ * Returns { response, messageType }
+ */
+async function sendStepMessage(step, to, tenantId, vars = {}) {
+  const messageType = stepMessageType(step);
+  const { step: content, components, missing } = await resolveStepContent(step, vars, tenantId);
+  if (missing.length) {
+    throw new Error(`No value or fallback for ${missing.map(path => `{{${path}}}`).join(', ')}`);
+  }
+  step = content;
+  const interactive = step.interactive || {};
+  // Campaign sends queue behind inbox replies
+  const lane = 'marketing';
+  let response = null;
+
+  switch (step.type) {
+    case 'text':
+      response = await sendText({ to, body: step.body, tenantId, lane });
+      break;
+
+    case 'media': {
+      const caption = step.caption || '';
+      if (messageType === 'image') {
+        response = await sendImage({ to, imageUrl: step.mediaUrl, caption, tenantId, lane });
+      } else if (messageType === 'video') {
+        response = await sendVideo({ to, videoUrl: step.mediaUrl, caption, tenantId, lane });
+      } else {
+        response = await sendFile({ to, fileUrl: step.mediaUrl, caption, tenantId, lane });
+      }
+      break;
+    }
+
+    case 'template':
+      if (!step.templateName) {
+        throw new Error('Template name is required for template messages');
+      }
+      response = await sendTemplate({
+        to,
+        templateName: step.templateName,
+        language: step.language || 'en_US',
+        components,
+        tenantId,
+        lane
+      });
+      break;
+
+    case 'buttons':
+      response = await sendInteractive({
+        to,
+        type: 'button',
+        body: step.body,
+        buttons: interactive.buttons,
+        header: interactive.header,
+        footer: interactive.footer,
+        tenantId,
+        lane
+      });
+      break;
+
+    case 'list':
+      response = await sendInteractive({
+        to,
+        type: 'list',
+        body: step.body,
+        sections: interactive.sections,
+        buttonText: interactive.buttonText,
+        header: interactive.header,
+        footer: interactive.footer,
+        tenantId,
+        lane
+      });
+      break;
+
+    case 'cta_url':
+      response = await sendInteractive({
+        to,
+        type: 'cta_url',
+        body: step.body,
+        url: interactive.url,
+        displayText: interactive.displayText,
+        header: interactive.header,
+        footer: interactive.footer,
+        tenantId,
+        lane
+      });
+      break;
+
+    case 'location':
+      response = await sendLocationMessage({ to, ...(step.location || {}), tenantId, lane });
+      break;
+
+    case 'contacts':
+      response = await sendContactMessage({ to, contacts: step.contacts || [], tenantId, lane });
+      break;
+
+    default:
+      throw new Error(`Unknown step type: ${step.type}`);
+  }
+
+  return { response, messageType };
+}
+
 // =======================
 // TEMPLATE MANAGEMENT
 // =======================
@@ -483,18 +794,15 @@ async function getAllTemplates(tenantId = null) {
   try {
     console.log('📞 Fetching templates from Meta...');
     
-    if (!WABA_ID || !TOKEN) {
-      throw new Error('WhatsApp API credentials not configured');
+    const client = await getTenantClient(tenantId);
+    if (!client.wabaId) {
+      throw whatsappNotConnectedError(tenantId, 'no WhatsApp Business Account ID configured');
     }
     
-    const url = `https://graph.facebook.com/${GRAPH_VERSION}/${WABA_ID}/message_templates`;
-    
-    console.log('🌐 API URL:', url);
+    console.log('🌐 API URL:', client.templatesUrl);
     
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': `Bearer ${TOKEN}`
-      },
+    const response = await axios.get(client.templatesUrl, {
+      headers: client.headers,
       params: {
         fields: 'name,language,status,category,components'
       }
@@ -558,12 +866,10 @@ async function getTemplateByName(templateName, language = 'en_US', tenantId = nu
       localTemplate = await findTemplateInDB(templateName, tenantId);
     }
     
-    const url = `https://graph.facebook.com/${GRAPH_VERSION}/${WABA_ID}/message_templates`;
+    const client = await getTenantClient(tenantId);
     
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': `Bearer ${TOKEN}`
-      },
+    const response = await axios.get(client.templatesUrl, {
+      headers: client.headers,
       params: {
         name: localTemplate ? localTemplate.name : templateName,
         fields: 'name,language,status,category,components'
@@ -604,13 +910,10 @@ async function getTemplateByName(templateName, language = 'en_US', tenantId = nu
 /**
  * Get templates from Meta (Simple version)
  */
-async function getTemplates() {
+async function getTemplates(tenantId) {
   try {
-    const response = await axios.get(TEMPLATE_LIST_URL, {
-      headers: {
-        Authorization: `Bearer ${TOKEN}`,
-      },
-    });
+    const client = await getTenantClient(tenantId);
+    const response = await axios.get(client.templatesUrl, { headers: client.headers });
     return response.data;
   } catch (error) {
     console.error('❌ WhatsApp API Error (getTemplates):', error.response?.data || error.message);
@@ -619,16 +922,19 @@ async function getTemplates() {
 }
 
 // WhatsApp Health Check
-async function checkWhatsAppHealth() {
+async function checkWhatsAppHealth(tenantId) {
   try {
-    const response = await axios.get(
-      `https://graph.facebook.com/${GRAPH_VERSION}/${PHONE_ID}/phone_numbers`,
-      {
-        headers: {
-          Authorization: `Bearer ${TOKEN}`,
-        },
+    const client = await getTenantClient(tenantId);
+    if (client.provider !== 'meta') {
+      // Configured is all we can tell without sending
+      return { healthy: true, provider: client.provider, data: { display_phone_number: client.phoneNumber } };
+    }
+    const response = await axios.get(`${GRAPH_BASE_URL}/${client.phoneId}`, {
+      headers: client.headers,
+      params: {
+        fields: 'display_phone_number,verified_name,quality_rating,messaging_limit_tier'
       }
-    );
+    });
     return {
       healthy: true,
       data: response.data,
@@ -636,6 +942,7 @@ async function checkWhatsAppHealth() {
   } catch (error) {
     return {
       healthy: false,
+      code: error.code,
       error: error.response?.data || error.message,
     };
   }
@@ -650,7 +957,7 @@ async function checkWhatsAppHealth() {
 /**
  * Send chat message with all media support
  */
-async function sendChatMessage({ to, body, type = 'text', mediaUrl = null, caption = '', filename = null }) {
+async function sendChatMessage({ to, body, type = 'text', mediaUrl = null, caption = '', filename = null, tenantId, lane }) {
   try {
     let payload;
     const cleanedTo = to.replace('+', '');
@@ -728,7 +1035,7 @@ async function sendChatMessage({ to, body, type = 'text', mediaUrl = null, capti
     }
     
     console.log(`📤 Sending ${type} message to ${cleanedTo}`);
-    const response = await sendRaw(payload);
+    const response = await sendRaw(payload, tenantId, { lane });
     return response;
     
   } catch (error) {
@@ -740,7 +1047,7 @@ async function sendChatMessage({ to, body, type = 'text', mediaUrl = null, capti
 /**
  * Send quick reply template
  */
-async function sendQuickReply({ to, templateName, parameters = [] }) {
+async function sendQuickReply({ to, templateName, parameters = [], tenantId, lane }) {
   try {
     const cleanedTo = to.replace('+', '');
     
@@ -770,7 +1077,7 @@ async function sendQuickReply({ to, templateName, parameters = [] }) {
     }
     
     console.log(`📤 Sending quick reply template ${templateName} to ${cleanedTo}`);
-    const response = await sendRaw(payload);
+    const response = await sendRaw(payload, tenantId, { lane });
     return response;
     
   } catch (error) {
@@ -780,9 +1087,11 @@ async function sendQuickReply({ to, templateName, parameters = [] }) {
 }
 
 /**
- * Send interactive message (buttons/list)
+ * Send interactive message (reply buttons, list or CTA URL button).
+ * Lists take `sections` ({ title, rows: [{ id, title, description }] });
+ * plain `buttons` still become a single "Options" section.
  */
-async function sendInteractive({ to, type = 'button', body, buttons, header, footer }) {
+async function sendInteractive({ to, type = 'button', body, buttons, sections, buttonText, url, displayText, header, footer, tenantId, lane }) {
   try {
     const cleanedTo = to.replace('+', '');
     
@@ -817,11 +1126,31 @@ async function sendInteractive({ to, type = 'button', body, buttons, header, foo
         buttons: buttons.map((btn, index) => ({
           type: 'reply',
           reply: {
-            id: `btn_${index + 1}`,
+            id: btn.id || `btn_${index + 1}`,
             title: btn.title.substring(0, 20) // WhatsApp limit
           }
         }))
       };
+    } else if (type === 'list' && sections) {
+      payload.interactive.action = {
+        button: (buttonText || 'Options').substring(0, 20),
+        sections: sections.map((section, sectionIndex) => ({
+          ...(section.title && { title: section.title.substring(0, 24) }),
+          rows: section.rows.map((row, index) => ({
+            id: row.id || `row_${sectionIndex + 1}_${index + 1}`,
+            title: row.title.substring(0, 24),
+            ...(row.description && { description: row.description.substring(0, 72) })
+          }))
+        }))
+      };
+    } else if (type === 'cta_url') {
+      payload.interactive.action = {
+        name: 'cta_url',
+        parameters: {
+          display_text: (displayText || '').substring(0, 20),
+          url
+        }
+      };
     } else if (type === 'list' && buttons) {
       payload.interactive.action = {
         button: 'Options',
@@ -839,7 +1168,7 @@ async function sendInteractive({ to, type = 'button', body, buttons, header, foo
     }
     
     console.log(`📤 Sending interactive ${type} message to ${cleanedTo}`);
-    const response = await sendRaw(payload);
+    const response = await sendRaw(payload, tenantId, { lane });
     return response;
     
   } catch (error) {
@@ -851,7 +1180,7 @@ async function sendInteractive({ to, type = 'button', body, buttons, header, foo
 /**
  * Send location message
  */
-async function sendLocationMessage({ to, latitude, longitude, name = '', address = '' }) {
+async function sendLocationMessage({ to, latitude, longitude, name = '', address = '', tenantId, lane }) {
   try {
     const cleanedTo = to.replace('+', '');
     
@@ -869,7 +1198,7 @@ async function sendLocationMessage({ to, latitude, longitude, name = '', address
     };
     
     console.log(`📍 Sending location to ${cleanedTo}`);
-    const response = await sendRaw(payload);
+    const response = await sendRaw(payload, tenantId, { lane });
     return response;
     
   } catch (error) {
@@ -881,7 +1210,7 @@ async function sendLocationMessage({ to, latitude, longitude, name = '', address
 /**
  * Send contact message
  */
-async function sendContactMessage({ to, contacts }) {
+async function sendContactMessage({ to, contacts, tenantId, lane }) {
   try {
     const cleanedTo = to.replace('+', '');
     
@@ -909,7 +1238,7 @@ async function sendContactMessage({ to, contacts }) {
     };
     
     console.log(`👤 Sending contact to ${cleanedTo}`);
-    const response = await sendRaw(payload);
+    const response = await sendRaw(payload, tenantId, { lane });
     return response;
     
   } catch (error) {
@@ -918,6 +1247,27 @@ async function sendContactMessage({ to, contacts }) {
   }
 }
 
+// =======================
+// INBOUND MEDIA
+// =======================
+
+/**
+ * Download the media of an inbound message through the tenant's provider:
+ * { buffer, mimeType, sha256 }. `mediaId` is the id the webhook carried.
+ */
+async function downloadMedia(mediaId, tenantId, { maxBytes } = {}) {
+  const client = await getTenantClient(tenantId);
+  return providers.get(client.provider).downloadMedia(client, mediaId, { maxBytes });
+}
+
+/**
+ * Name of the provider sending for a tenant ('meta', 'twilio' or 'simulator')
+ */
+async function getProviderName(tenantId) {
+  const client = await getTenantClient(tenantId);
+  return client.provider;
+}
+
 // =======================
 // EXPORT ALL FUNCTIONS
 // =======================
@@ -931,13 +1281,19 @@ module.exports = {
   sendLocation,
   sendContact,
   sendRaw,
-  processCampaignStep,
-  sendBatchMessages,
+  sendStepMessage,
+  stepMessageType,
+  resolveStepContent,
+  describeStepMessage,
   checkWhatsAppHealth,
   getTemplates,
   getAllTemplates,
   getTemplateByName,
   findTemplateInDB,
+  getTenantClient,
+  invalidateTenantClient,
+  downloadMedia,
+  getProviderName,
   
   // New chat functions
   sendChatMessage,
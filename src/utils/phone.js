@@ -0,0 +1,106 @@
+// src/utils/phone.js
+const mongoose = require('mongoose');
+const NodeCache = require('node-cache');
+const { parsePhoneNumberFromString } = require('libphonenumber-js');
+const Tenant = require('../models/Tenant');
+
+const DEFAULT_COUNTRY = (process.env.DEFAULT_PHONE_COUNTRY || 'IN').toUpperCase();
+
+// tenantId -> ISO country code
+const countryCache = new NodeCache({ stdTTL: 300 });
+
+// options.stored: the input is normally in the stored form already (a
+// Contact / ChatSession phone, a wa_id, a :phone route param). Its digits
+// are read as international first, so a stored number maps to itself
+// whatever the default country; a national reading is the fallback.
+function parsePhone(input, defaultCountry = DEFAULT_COUNTRY, { stored = false } = {}) {
+  if (input === undefined || input === null) return null;
+
+  let raw = String(input).trim();
+  if (!raw) return null;
+
+  // Keep digits and a leading "+", turn the "00" international prefix into "+"
+  const hasPlus = raw.startsWith('+');
+  raw = raw.replace(/\D/g, '');
+  if (!raw) return null;
+  if (!hasPlus && raw.startsWith('00')) {
+    raw = raw.slice(2);
+  } else if (!hasPlus) {
+    if (stored) {
+      const international = parsePhoneNumberFromString(`+${raw}`);
+      if (international && international.isValid()) return international;
+    }
+    const national = parsePhoneNumberFromString(raw, defaultCountry || DEFAULT_COUNTRY);
+    if (national && national.isValid()) return national;
+  }
+
+  // Already carries a country code (e.g. Meta's wa_id "919876543210")
+  const international = parsePhoneNumberFromString(`+${raw}`);
+  return international && international.isValid() ? international : null;
+}
+
+/**
+ * Normalize a phone number to E.164 digits without the leading "+".
+ * This is the stored form for Contact.phone, ChatSession.phone and MessageLog
+ * from/to, and matches the wa_id Meta sends in webhooks. Pass { stored: true }
+ * when re-normalizing a number in that form (see parsePhone).
+ * Returns null when the input is not a valid number.
+ */
+function normalizePhone(input, defaultCountry = DEFAULT_COUNTRY, options = {}) {
+  const parsed = parsePhone(input, defaultCountry, options);
+  return parsed ? parsed.number.slice(1) : null;
+}
+
+/**
+ * Same as normalizePhone but with the "+" (display / validatePhone form)
+ */
+function toE164(input, defaultCountry = DEFAULT_COUNTRY) {
+  const parsed = parsePhone(input, defaultCountry);
+  return parsed ? parsed.number : null;
+}
+
+/**
+ * ISO country of a phone number, e.g. "IN" for 919876543210
+ */
+function getPhoneCountry(input, defaultCountry = DEFAULT_COUNTRY, options = {}) {
+  const parsed = parsePhone(input, defaultCountry, options);
+  return parsed ? parsed.country || null : null;
+}
+
+/**
+ * Default country used to read national numbers for a tenant
+ */
+async function getTenantDefaultCountry(tenantId) {
+  if (!tenantId || !mongoose.isValidObjectId(String(tenantId))) return DEFAULT_COUNTRY;
+
+  const key = String(tenantId);
+  const cached = countryCache.get(key);
+  if (cached) return cached;
+
+  const tenant = await Tenant.findById(key).select('defaultCountry').lean();
+  const country = (tenant?.defaultCountry || DEFAULT_COUNTRY).toUpperCase();
+
+  countryCache.set(key, country);
+  return country;
+}
+
+function invalidateTenantCountry(tenantId) {
+  if (tenantId) countryCache.del(String(tenantId));
+}
+
+/**
+ * normalizePhone using the tenant's default country
+ */
+async function normalizeTenantPhone(input, tenantId, options = {}) {
+  return normalizePhone(input, await getTenantDefaultCountry(tenantId), options);
+}
+
+module.exports = {
+  DEFAULT_COUNTRY,
+  normalizePhone,
+  toE164,
+  getPhoneCountry,
+  getTenantDefaultCountry,
+  invalidateTenantCountry,
+  normalizeTenantPhone
+};
@@ -0,0 +1,91 @@
+// src/utils/timezone.js
+// Contacts' local time for campaign delivery. A contact's zone is
+// Contact.timezone, else the main zone of their phone number's country,
+// else DEFAULT_TIMEZONE. Campaign quiet hours are read in that zone.
+const moment = require('moment-timezone');
+const { getPhoneCountry } = require('./phone');
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+// Countries spanning several zones whose first zone (alphabetical) is not
+// the one most of their numbers use
+const PRIMARY_ZONES = {
+  US: 'America/New_York',
+  CA: 'America/Toronto',
+  MX: 'America/Mexico_City',
+  BR: 'America/Sao_Paulo',
+  CL: 'America/Santiago',
+  GL: 'America/Nuuk',
+  AU: 'Australia/Sydney',
+  RU: 'Europe/Moscow',
+  ES: 'Europe/Madrid',
+  PT: 'Europe/Lisbon',
+  CY: 'Asia/Nicosia',
+  MN: 'Asia/Ulaanbaatar',
+  PG: 'Pacific/Port_Moresby',
+  KI: 'Pacific/Tarawa',
+  PF: 'Pacific/Tahiti',
+  FM: 'Pacific/Pohnpei'
+};
+
+function isValidTimezone(timezone) {
+  return typeof timezone === 'string' && !!moment.tz.zone(timezone);
+}
+
+/**
+ * Main zone of an ISO country, or null
+ */
+function timezoneForCountry(country) {
+  if (!country) return null;
+  const code = String(country).toUpperCase();
+  if (PRIMARY_ZONES[code]) return PRIMARY_ZONES[code];
+
+  const zones = moment.tz.zonesForCountry(code) || [];
+  return zones[0] || null;
+}
+
+function timezoneForPhone(phone) {
+  return timezoneForCountry(getPhoneCountry(phone, null, { stored: true }));
+}
+
+function contactTimezone(contact, fallback = DEFAULT_TIMEZONE) {
+  if (isValidTimezone(contact?.timezone)) return contact.timezone;
+  return timezoneForPhone(contact?.phone) || fallback;
+}
+
+function minutesOf(time) {
+  const [hour, minute] = String(time).split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+/**
+ * When quiet hours ({ enabled, startTime, endTime }, local to `timezone`)
+ * that contain `at` end, or null when `at` is outside them. A window whose
+ * endTime is before its startTime runs past midnight.
+ */
+function quietUntil(quietHours, timezone, at = new Date()) {
+  if (!quietHours?.enabled || !quietHours.startTime || !quietHours.endTime) return null;
+
+  const local = moment(at).tz(isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE);
+  const now = local.hours() * 60 + local.minutes();
+  const start = minutesOf(quietHours.startTime);
+  const end = minutesOf(quietHours.endTime);
+  if (start === end) return null;
+
+  const overnight = end < start;
+  const quiet = overnight ? (now >= start || now < end) : (now >= start && now < end);
+  if (!quiet) return null;
+
+  const until = local.clone().startOf('day').add(end, 'minutes');
+  if (overnight && now >= start) until.add(1, 'day');
+  return until.toDate();
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  timezoneForCountry,
+  timezoneForPhone,
+  contactTimezone,
+  quietUntil
+};
@@ -1,7 +1,10 @@
 const mime = require('mime-types');
+const { normalizePhone } = require('./phone');
+const { findUnknownVariables } = require('./variables');
 
-function validatePhone(phone) {
-  return /^\+[1-9]\d{1,14}$/.test(phone);
+// Valid when it can be normalized to E.164 (national numbers use defaultCountry)
+function validatePhone(phone, defaultCountry) {
+  return normalizePhone(phone, defaultCountry) !== null;
 }
 
 function validateTextMessage(text) {
@@ -24,7 +27,7 @@ function isHttpsUrl(url) {
 // ===============================
 
 function isValidCampaignType(type) {
-  const validTypes = ['daily', 'weekly', 'monthly', 'fixed', 'content_based'];
+  const validTypes = ['daily', 'weekly', 'monthly', 'fixed', 'content_based', 'triggered'];
   return validTypes.includes(type);
 }
 
@@ -52,7 +55,7 @@ function isValidStepCondition(condition) {
 }
 
 function isValidMediaType(type) {
-  const validTypes = ['text', 'media', 'template'];
+  const validTypes = ['text', 'media', 'template', 'buttons', 'list', 'cta_url', 'location', 'contacts'];
   return validTypes.includes(type);
 }
 
@@ -118,6 +121,371 @@ function validateCampaignData(data) {
   return errors;
 }
 
+// Trigger of a triggered campaign (Campaign.trigger)
+function validateCampaignTrigger(trigger) {
+  const errors = [];
+  const events = ['contact_created', 'tag_added', 'section_joined', 'keyword', 'api_event'];
+
+  if (!trigger || !events.includes(trigger.event)) {
+    errors.push(`Trigger event must be one of: ${events.join(', ')}`);
+    return errors;
+  }
+
+  for (const field of ['tags', 'keywords']) {
+    const values = trigger[field];
+    if (values === undefined || values === null) continue;
+    if (!Array.isArray(values) || values.some(v => typeof v !== 'string' || !v.trim())) {
+      errors.push(`Trigger ${field} must be an array of non-empty strings`);
+    }
+  }
+
+  if (trigger.event === 'keyword' && !(Array.isArray(trigger.keywords) && trigger.keywords.length)) {
+    errors.push('Keyword triggers need at least one keyword');
+  }
+  if (trigger.keywordMatch && !['exact', 'contains'].includes(trigger.keywordMatch)) {
+    errors.push('Trigger keywordMatch must be exact or contains');
+  }
+  if (trigger.event === 'api_event' && isBlank(trigger.eventName)) {
+    errors.push('API event triggers need an eventName');
+  }
+  if (trigger.reentry && !['never', 'after_exit', 'always'].includes(trigger.reentry)) {
+    errors.push('Trigger reentry must be never, after_exit or always');
+  }
+  if (trigger.reentryCooldownHours !== undefined &&
+      !(typeof trigger.reentryCooldownHours === 'number' && trigger.reentryCooldownHours >= 0)) {
+    errors.push('Trigger reentryCooldownHours must be a number of hours, 0 or more');
+  }
+
+  return errors;
+}
+
+// Campaign.quietHours: { enabled, startTime, endTime }
+function validateQuietHours(quietHours) {
+  const errors = [];
+
+  if (!quietHours || typeof quietHours !== 'object' || Array.isArray(quietHours)) {
+    errors.push('quietHours must be an object');
+    return errors;
+  }
+  if (quietHours.enabled !== undefined && typeof quietHours.enabled !== 'boolean') {
+    errors.push('quietHours.enabled must be true or false');
+  }
+  for (const field of ['startTime', 'endTime']) {
+    if (quietHours[field] !== undefined && !isValidTime(quietHours[field])) {
+      errors.push(`quietHours.${field} must be in HH:MM format (24-hour)`);
+    }
+  }
+  if (quietHours.startTime && quietHours.startTime === quietHours.endTime) {
+    errors.push('quietHours.startTime and endTime must differ');
+  }
+
+  return errors;
+}
+
+// ===============================
+// STEP TYPE VALIDATORS (WhatsApp limits)
+// ===============================
+
+const isBlank = (value) => typeof value !== 'string' || value.trim().length === 0;
+
+function validateInteractiveText(interactive, errors) {
+  if (interactive.header !== undefined && interactive.header !== null && String(interactive.header).length > 60) {
+    errors.push('Header must be at most 60 characters');
+  }
+  if (interactive.footer !== undefined && interactive.footer !== null && String(interactive.footer).length > 60) {
+    errors.push('Footer must be at most 60 characters');
+  }
+}
+
+function validateTemplateParams(data, errors) {
+  const { placeholders, headerParams, buttonParams } = data;
+
+  for (const [field, values] of [['placeholders', placeholders], ['headerParams', headerParams]]) {
+    if (values === undefined || values === null) continue;
+    if (!Array.isArray(values) || values.some(v => typeof v !== 'string')) {
+      errors.push(`${field} must be an array of strings`);
+    }
+  }
+
+  if (buttonParams !== undefined && buttonParams !== null) {
+    if (!Array.isArray(buttonParams)) {
+      errors.push('buttonParams must be an array');
+    } else {
+      buttonParams.forEach((param, i) => {
+        if (!Number.isInteger(param?.index) || param.index < 0 || param.index > 9) {
+          errors.push(`buttonParams ${i + 1} needs a button index between 0 and 9`);
+        }
+        if (typeof param?.value !== 'string' || !param.value.trim()) {
+          errors.push(`buttonParams ${i + 1} needs a value`);
+        }
+      });
+    }
+  }
+}
+
+function validateButtonsStep(data, errors) {
+  const buttons = data.interactive?.buttons;
+  if (!Array.isArray(buttons) || buttons.length < 1 || buttons.length > 3) {
+    errors.push('Button steps need 1 to 3 buttons');
+    return;
+  }
+
+  const ids = new Set();
+  const titles = new Set();
+  buttons.forEach((button, index) => {
+    if (isBlank(button?.id) || button.id.length > 256) {
+      errors.push(`Button ${index + 1} needs an id of at most 256 characters`);
+    } else if (ids.has(button.id)) {
+      errors.push(`Duplicate button id: ${button.id}`);
+    } else {
+      ids.add(button.id);
+    }
+
+    if (isBlank(button?.title) || button.title.length > 20) {
+      errors.push(`Button ${index + 1} needs a title of at most 20 characters`);
+    } else if (titles.has(button.title)) {
+      errors.push(`Duplicate button title: ${button.title}`);
+    } else {
+      titles.add(button.title);
+    }
+  });
+}
+
+function validateListStep(data, errors) {
+  const { buttonText, sections } = data.interactive || {};
+
+  if (isBlank(buttonText) || buttonText.length > 20) {
+    errors.push('List steps need a buttonText of at most 20 characters');
+  }
+
+  if (!Array.isArray(sections) || sections.length < 1 || sections.length > 10) {
+    errors.push('List steps need 1 to 10 sections');
+    return;
+  }
+
+  const ids = new Set();
+  let rowCount = 0;
+  sections.forEach((section, sectionIndex) => {
+    if (sections.length > 1 && isBlank(section?.title)) {
+      errors.push(`Section ${sectionIndex + 1} needs a title when a list has several sections`);
+    }
+    if (section?.title && section.title.length > 24) {
+      errors.push(`Section ${sectionIndex + 1} title must be at most 24 characters`);
+    }
+
+    const rows = Array.isArray(section?.rows) ? section.rows : [];
+    if (!rows.length) {
+      errors.push(`Section ${sectionIndex + 1} needs at least one row`);
+    }
+    rowCount += rows.length;
+
+    rows.forEach((row, index) => {
+      const label = `Section ${sectionIndex + 1} row ${index + 1}`;
+      if (isBlank(row?.id) || row.id.length > 200) {
+        errors.push(`${label} needs an id of at most 200 characters`);
+      } else if (ids.has(row.id)) {
+        errors.push(`Duplicate list row id: ${row.id}`);
+      } else {
+        ids.add(row.id);
+      }
+      if (isBlank(row?.title) || row.title.length > 24) {
+        errors.push(`${label} needs a title of at most 24 characters`);
+      }
+      if (row?.description && row.description.length > 72) {
+        errors.push(`${label} description must be at most 72 characters`);
+      }
+    });
+  });
+
+  if (rowCount > 10) {
+    errors.push('Lists can have at most 10 rows in total');
+  }
+}
+
+function validateCtaUrlStep(data, errors) {
+  const { url, displayText } = data.interactive || {};
+
+  if (isBlank(displayText) || displayText.length > 20) {
+    errors.push('CTA URL steps need a displayText of at most 20 characters');
+  }
+  if (isBlank(url) || !/^https?:\/\/\S+$/i.test(url)) {
+    errors.push('CTA URL steps need a valid http(s) url');
+  }
+}
+
+function validateLocationStep(data, errors) {
+  const { latitude, longitude, name, address } = data.location || {};
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+
+  if (latitude === undefined || latitude === null || latitude === '' || !Number.isFinite(lat) || lat < -90 || lat > 90) {
+    errors.push('Location steps need a latitude between -90 and 90');
+  }
+  if (longitude === undefined || longitude === null || longitude === '' || !Number.isFinite(lng) || lng < -180 || lng > 180) {
+    errors.push('Location steps need a longitude between -180 and 180');
+  }
+  if (name && String(name).length > 255) {
+    errors.push('Location name must be at most 255 characters');
+  }
+  if (address && String(address).length > 255) {
+    errors.push('Location address must be at most 255 characters');
+  }
+}
+
+function validateContactsStep(data, errors) {
+  const contacts = data.contacts;
+  if (!Array.isArray(contacts) || contacts.length === 0) {
+    errors.push('Contact steps need at least one contact card');
+    return;
+  }
+
+  contacts.forEach((contact, index) => {
+    if (isBlank(contact?.name)) {
+      errors.push(`Contact card ${index + 1} needs a name`);
+    }
+    const phones = Array.isArray(contact?.phones) ? contact.phones : [];
+    if (!phones.length || phones.some(p => isBlank(p?.phone))) {
+      errors.push(`Contact card ${index + 1} needs at least one phone`);
+    }
+  });
+}
+
+const CONDITION_TYPES = [
+  'replied', 'not_replied', 'button', 'keyword', 'tag', 'no_tag',
+  'field', 'read', 'not_read', 'step_sent', 'step_skipped'
+];
+const FIELD_OPERATORS = ['equals', 'not_equals', 'contains', 'exists', 'not_exists'];
+
+// Branch conditions and wait-for-reply nodes (CampaignStep.conditions)
+function validateStepBranching(data, errors) {
+  const { conditions, conditionMatch, waitForReplyHours } = data;
+
+  if (conditions !== undefined && conditions !== null) {
+    if (!Array.isArray(conditions)) {
+      errors.push('conditions must be an array');
+    } else {
+      conditions.forEach((condition, index) => {
+        const label = `Condition ${index + 1}`;
+        if (!CONDITION_TYPES.includes(condition?.type)) {
+          errors.push(`${label} type must be one of: ${CONDITION_TYPES.join(', ')}`);
+          return;
+        }
+        if (condition.stepId && !/^[a-f\d]{24}$/i.test(String(condition.stepId))) {
+          errors.push(`${label} has an invalid stepId`);
+        }
+        if (['step_sent', 'step_skipped'].includes(condition.type) && !condition.stepId) {
+          errors.push(`${label} needs the stepId of the step it checks`);
+        }
+        if (['button', 'keyword', 'tag', 'no_tag'].includes(condition.type) &&
+            (!Array.isArray(condition.values) || !condition.values.length || condition.values.some(isBlank))) {
+          errors.push(`${label} needs values`);
+        }
+        if (condition.operator && !FIELD_OPERATORS.includes(condition.operator)) {
+          errors.push(`${label} operator must be one of: ${FIELD_OPERATORS.join(', ')}`);
+        }
+        if (condition.type === 'field') {
+          if (isBlank(condition.field)) {
+            errors.push(`${label} needs a contact field`);
+          }
+          if (!['exists', 'not_exists'].includes(condition.operator) &&
+              (condition.value === undefined || condition.value === null)) {
+            errors.push(`${label} needs a value to compare with`);
+          }
+        }
+      });
+    }
+  }
+
+  if (conditionMatch && !['all', 'any'].includes(conditionMatch)) {
+    errors.push('conditionMatch must be all or any');
+  }
+
+  if (waitForReplyHours !== undefined && waitForReplyHours !== null &&
+      !(typeof waitForReplyHours === 'number' && waitForReplyHours > 0 && waitForReplyHours <= 24 * 30)) {
+    errors.push('waitForReplyHours must be between 0 and 720 hours');
+  }
+}
+
+const VARIANT_CONTENT_FIELDS = [
+  'type', 'body', 'templateName', 'language', 'mediaUrl', 'caption',
+  'interactive', 'location', 'contacts', 'placeholders', 'headerParams', 'buttonParams'
+];
+const AB_GOAL_TYPES = ['reply', 'button', 'keyword', 'event', 'tag'];
+const AB_METRICS = ['delivered', 'read', 'replied', 'goal'];
+
+// A/B test variants (CampaignStep.variants) and their settings (abTest).
+// Each variant is checked as the step it sends: its content over the step's.
+function validateStepVariants(data, errors) {
+  const { variants, abTest } = data;
+
+  if (variants !== undefined && variants !== null) {
+    if (!Array.isArray(variants)) {
+      errors.push('variants must be an array');
+      return;
+    }
+    if (variants.length === 1) {
+      errors.push('An A/B test needs at least two variants');
+    }
+
+    const keys = new Set();
+    variants.forEach((variant, index) => {
+      const label = `Variant ${variant?.key || index + 1}`;
+      if (isBlank(variant?.key)) {
+        errors.push(`Variant ${index + 1} needs a key`);
+      } else if (keys.has(variant.key)) {
+        errors.push(`Variant key "${variant.key}" is used twice`);
+      }
+      keys.add(variant?.key);
+
+      if (variant?.weight !== undefined && !(typeof variant.weight === 'number' && variant.weight >= 0)) {
+        errors.push(`${label} weight must be a number, 0 or more`);
+      }
+
+      const content = {};
+      for (const field of VARIANT_CONTENT_FIELDS) {
+        if (variant?.[field] !== undefined && variant[field] !== null) content[field] = variant[field];
+      }
+      const merged = { ...data, ...content, variants: undefined, abTest: undefined };
+      validateCampaignStepData(merged).forEach(error => errors.push(`${label}: ${error}`));
+    });
+
+    if (variants.length && !variants.some(v => (v?.weight ?? 1) > 0)) {
+      errors.push('At least one variant needs a weight above 0');
+    }
+  }
+
+  if (abTest !== undefined && abTest !== null) {
+    const goal = abTest.goal;
+    if (goal && goal.type !== undefined && goal.type !== null) {
+      if (!AB_GOAL_TYPES.includes(goal.type)) {
+        errors.push(`abTest goal type must be one of: ${AB_GOAL_TYPES.join(', ')}`);
+      }
+      if (['button', 'keyword'].includes(goal.type) &&
+          (!Array.isArray(goal.values) || !goal.values.length || goal.values.some(isBlank))) {
+        errors.push(`abTest ${goal.type} goals need values`);
+      }
+      if (goal.type === 'event' && isBlank(goal.eventName)) {
+        errors.push('abTest event goals need an eventName');
+      }
+    }
+    if (abTest.metric && !AB_METRICS.includes(abTest.metric)) {
+      errors.push(`abTest metric must be one of: ${AB_METRICS.join(', ')}`);
+    }
+    if (abTest.metric === 'goal' && !goal?.type) {
+      errors.push('abTest metric "goal" needs a goal');
+    }
+    if (abTest.minSample !== undefined && !(Number.isInteger(abTest.minSample) && abTest.minSample >= 1)) {
+      errors.push('abTest minSample must be a whole number, 1 or more');
+    }
+    if (abTest.windowHours !== undefined && !(typeof abTest.windowHours === 'number' && abTest.windowHours >= 1)) {
+      errors.push('abTest windowHours must be at least 1');
+    }
+    if (abTest.promotedVariant && !(variants || []).some(v => v?.key === abTest.promotedVariant)) {
+      errors.push(`abTest promotedVariant "${abTest.promotedVariant}" is not a variant`);
+    }
+  }
+}
+
 // Helper function for step validation
 function validateCampaignStepData(data) {
   const errors = [];
@@ -142,6 +510,38 @@ function validateCampaignStepData(data) {
     errors.push('Template name is required for template steps');
   }
   
+  if (['buttons', 'list', 'cta_url'].includes(data.type)) {
+    if (!data.body || data.body.trim().length === 0) {
+      errors.push('Body text is required for interactive steps');
+    } else if (data.body.length > 1024) {
+      errors.push('Interactive body must be at most 1024 characters');
+    }
+    validateInteractiveText(data.interactive || {}, errors);
+  }
+  
+  if (data.type === 'template') validateTemplateParams(data, errors);
+  
+  // Per-contact expressions must name a known variable
+  const unknownVariables = [...new Set([
+    data.body,
+    data.caption,
+    data.interactive?.header,
+    data.interactive?.footer,
+    data.interactive?.url,
+    ...(Array.isArray(data.placeholders) ? data.placeholders : []),
+    ...(Array.isArray(data.headerParams) ? data.headerParams : []),
+    ...(Array.isArray(data.buttonParams) ? data.buttonParams.map(p => p?.value) : [])
+  ].flatMap(findUnknownVariables))];
+  if (unknownVariables.length) {
+    errors.push(`Unknown variables: ${unknownVariables.map(v => `{{${v}}}`).join(', ')}`);
+  }
+  
+  if (data.type === 'buttons') validateButtonsStep(data, errors);
+  if (data.type === 'list') validateListStep(data, errors);
+  if (data.type === 'cta_url') validateCtaUrlStep(data, errors);
+  if (data.type === 'location') validateLocationStep(data, errors);
+  if (data.type === 'contacts') validateContactsStep(data, errors);
+  
   if (data.dayOfWeek !== undefined && !isValidDayOfWeek(data.dayOfWeek)) {
     errors.push('Invalid day of week');
   }
@@ -158,6 +558,9 @@ function validateCampaignStepData(data) {
     errors.push('Invalid step condition');
   }
   
+  validateStepBranching(data, errors);
+  validateStepVariants(data, errors);
+  
   return errors;
 }
 
@@ -177,5 +580,7 @@ module.exports = {
   isValidDelayDays,
   isValidSectionId,
   validateCampaignData,
+  validateCampaignTrigger,
+  validateQuietHours,
   validateCampaignStepData
 };
\ No newline at end of file
@@ -0,0 +1,114 @@
+// src/utils/variables.js
+// Per-contact variables in campaign content. Text, captions and template
+// parameters may contain expressions such as
+//   {{contact.name}}  {{contact.customFields.city | "your city"}}  {{day}}
+// The part after "|" is the fallback used when the value is missing.
+// Meta's own positional placeholders ({{1}}, {{2}}) are left untouched.
+const moment = require('moment-timezone');
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+// {{ path | fallback }}, fallback optionally quoted
+const TOKEN_PATTERN = /\{\{\s*([a-zA-Z_][\w.]*)\s*(?:\|\s*(?:"([^"]*)"|'([^']*)'|([^}]*?)))?\s*\}\}/g;
+
+const VARIABLE_ROOTS = ['contact', 'campaign', 'step', 'day', 'date', 'time', 'weekday'];
+
+function plain(value) {
+  if (value instanceof Map) return Object.fromEntries(value);
+  return value || {};
+}
+
+/**
+ * Values expressions can refer to, for one contact
+ */
+function buildContext({ contact = {}, campaign = {}, step = {}, day, now = new Date(), timezone } = {}) {
+  const tz = moment.tz.zone(timezone || '') ? timezone : DEFAULT_TIMEZONE;
+  const local = moment(now).tz(tz);
+  const name = (contact.name || '').trim();
+  const [firstName = '', ...rest] = name.split(/\s+/);
+
+  return {
+    contact: {
+      name,
+      firstName,
+      lastName: rest.join(' '),
+      phone: contact.phone,
+      email: contact.email,
+      tags: contact.tags || [],
+      customFields: plain(contact.customFields),
+      metadata: plain(contact.metadata)
+    },
+    campaign: {
+      name: campaign.name,
+      description: campaign.description,
+      type: campaign.campaignType,
+      totalDays: campaign.totalDays
+    },
+    step: {
+      day: step.day,
+      sequence: step.sequence
+    },
+    day: day ?? step.day,
+    date: local.format('DD MMM YYYY'),
+    time: local.format('HH:mm'),
+    weekday: local.format('dddd')
+  };
+}
+
+function resolvePath(context, path) {
+  let value = context;
+  for (const key of path.split('.')) {
+    if (value === null || value === undefined) return undefined;
+    value = value instanceof Map ? value.get(key) : value[key];
+  }
+
+  if (Array.isArray(value)) return value.length ? value.join(', ') : undefined;
+  if (value instanceof Date) return moment(value).format('DD MMM YYYY');
+  if (value !== null && typeof value === 'object') return undefined;
+  if (value === null || value === undefined || String(value).trim() === '') return undefined;
+  return String(value);
+}
+
+/**
+ * Replace expressions in `text`. Returns { text, missing } where missing
+ * lists expressions that had neither a value nor a fallback.
+ */
+function render(text, context) {
+  const missing = [];
+  if (typeof text !== 'string' || !text.includes('{{')) {
+    return { text, missing };
+  }
+
+  const rendered = text.replace(TOKEN_PATTERN, (token, path, doubleQuoted, singleQuoted, bare) => {
+    const value = resolvePath(context, path);
+    if (value !== undefined) return value;
+
+    const fallback = doubleQuoted ?? singleQuoted ?? (bare !== undefined ? bare.trim() : undefined);
+    if (fallback !== undefined) return fallback;
+
+    missing.push(path);
+    return '';
+  });
+
+  return { text: rendered, missing };
+}
+
+/**
+ * Expressions in `text` whose root is not a known variable
+ */
+function findUnknownVariables(text) {
+  if (typeof text !== 'string') return [];
+  const unknown = [];
+  for (const match of text.matchAll(TOKEN_PATTERN)) {
+    if (!VARIABLE_ROOTS.includes(match[1].split('.')[0])) unknown.push(match[1]);
+  }
+  return unknown;
+}
+
+module.exports = {
+  VARIABLE_ROOTS,
+  buildContext,
+  resolvePath,
+  render,
+  findUnknownVariables
+};